@@ -11,6 +11,8 @@
    - Frontend only: Pure HTML/CSS/JavaScript (no backend, no database)
    - Data storage: Browser's localStorage for session persistence
    - Question data: Static JSON file (questions.json)
+   - Exam profiles: exams.json picks the question file and exam format
+     (duration, counts, passing score, domains) - see EXAM PROFILES
    - State management: Single source of truth in localStorage
 
    QUIZ MODES:
@@ -26,12 +28,20 @@
       - 130 minutes timer (2 hours 10 minutes)
       - No feedback until you submit/time runs out
       - Only 50 random questions are scored (hidden from user)
+      - Questions picked per domain to match the exam blueprint (D1 30%, D2 26%, D3 24%, D4 20%)
       - Simulates real AWS exam experience
 
-   SCORING RULES:
-   - TIMED: 65 questions total, 50 random scored → 1000 max (50 × 20 = 1000)
-   - REVIEW: All questions scored → (correct/total) × 1000
-   - PASSING: 720/1000 points (72%) in both modes
+   3. SPACED MODE:
+      - Same instant feedback and filters as Review mode
+      - Questions scheduled with an SM-2 style algorithm from past results
+      - Sessions contain due cards first (most overdue first), then new ones
+      - "Due today" count shown on the Practice tab
+
+   SCORING RULES (see SCORING MODELS):
+   - TIMED: 65 questions total, 50 random scored; REVIEW / SPACED: all questions scored
+   - SCALED model (default): difficulty-weighted, mapped onto 100-1000
+   - LINEAR model: (correct/total) × 1000 (20 points per question in a standard 50-scored exam)
+   - PASSING: 720/1000 with either model
 
    DATA PERSISTENCE:
    - Question order (deterministic shuffle based on session)
@@ -51,17 +61,42 @@
 // CONSTANTS - Configuration values for the quiz
 // ============================================================================
 
-const STATE_KEY = "saa_practice_state_v1"; // localStorage key for current session
-const HISTORY_KEY = "saa_practice_history_v1"; // localStorage key for quiz history
-const MAX_HISTORY_SESSIONS = 50; // Keep most recent 50 sessions (FIFO)
-
-const EXAM_DURATION_SEC = 130 * 60; // 130 minutes = 7800 seconds (AWS exam time)
-const EXAM_TOTAL_QUESTIONS = 65; // Standard AWS SAA exam question count
-const EXAM_SCORED_QUESTIONS = 50; // Only 50 of 65 questions count (like real exam)
+// Storage names of the SAA-C03 profile. applyExamProfile() gives every other
+// exam profile its own copy (see profileStorageKey), so state, history,
+// notes and statistics never mix between question banks.
+let STATE_KEY = "saa_practice_state_v1"; // Legacy localStorage key for the single saved session (migrated)
+let SESSIONS_KEY = "saa_practice_sessions_v1"; // localStorage key for all saved sessions (see loadSessionStore)
+let HISTORY_KEY = "saa_practice_history_v1"; // Legacy localStorage key for quiz history (migrated to IndexedDB, still used as fallback)
+let HISTORY_DB_NAME = "flipthesaa"; // IndexedDB database holding the session history
+const HISTORY_DB_VERSION = 2; // Bump (and extend openHistoryDb's upgrade) when stores/indexes change
+const HISTORY_STORE = "history"; // Object store: one record per completed session, keyed by sessionId
+const REPLAY_STORE = "replays"; // Object store: question snapshots of completed sessions, keyed by sessionId
+let NOTES_KEY = "saa_question_notes_v1"; // localStorage key for bookmarks and notes (per question id)
+let QUESTION_STATS_KEY = "saa_question_stats_v1"; // localStorage key for per-question statistics
+let AUTHORING_DRAFTS_KEY = "saa_authoring_drafts_v1"; // localStorage key for question editor drafts
+const MAX_HISTORY_SESSIONS = 50; // localStorage fallback only: keep most recent 50 sessions (IndexedDB history is unlimited)
+const MAX_QUESTION_STATS_SESSION_IDS = 500; // Most recent sessionIds the question stats remember (callers also skip sessions already in history)
+
+// Exam format: SAA-C03 values, replaced by the active exam profile in init()
+let EXAM_DURATION_SEC = 130 * 60; // 130 minutes = 7800 seconds (AWS exam time)
+let EXAM_TOTAL_QUESTIONS = 65; // Standard AWS SAA exam question count
+let EXAM_SCORED_QUESTIONS = 50; // Only 50 of 65 questions count (like real exam)
+const TIMER_SLEEP_GAP_MS = 90 * 1000; // A clock tick this late means the device slept: the gap is not exam time
+const TIMER_MAX_PAUSE_LOG = 100; // Pause intervals kept per timed session (oldest dropped first)
+const EXAM_CLOCK_SAVE_MS = 5 * 1000; // Running exam time is written to the session store this often
+const EXAM_LEASE_KEY = "saa_exam_lease_v1"; // localStorage key naming the browser tab that runs the timed exam (shared by all profiles)
+const EXAM_LEASE_TTL_MS = 6000; // A lease not renewed for this long belongs to a closed tab
+const EXAM_LEASE_RENEW_MS = 2000; // How often the owning tab renews its lease
 const REVIEW_MAX_QUESTIONS = 50; // Maximum questions in review mode
+const SPACED_MAX_QUESTIONS = 50; // Maximum questions in one spaced repetition session
 
-const POINTS_PER_SCORED_QUESTION = 20; // 50 questions × 20 points = 1000 max
-const PASSING_SCORE = 720; // 720/1000 = 72% passing threshold
+const SRS_INITIAL_EASE = 2.5; // SM-2 starting ease factor for every card
+const SRS_MIN_EASE = 1.3; // SM-2 lower bound so intervals never stop growing
+const SRS_QUALITY_CORRECT = 4; // SM-2 recall quality for a correct answer (0-5 scale)
+const SRS_QUALITY_WRONG = 1; // SM-2 recall quality for a wrong answer (0-5 scale)
+const DAY_MS = 24 * 60 * 60 * 1000; // One day in milliseconds
+
+let PASSING_SCORE = 720; // Reported score needed to pass (both scoring models, set by the exam profile)
 
 // ============================================================================
 // GLOBAL STATE - Application runtime variables
@@ -70,11 +105,14 @@ const PASSING_SCORE = 720; // 720/1000 = 72% passing threshold
 let QUESTIONS = []; // Array of all question objects loaded from questions.json
 let QMAP = new Map(); // Fast lookup: questionId → question object
 let timerInterval = null; // Reference to the running timer (for cleanup)
+let examClock = null; // Running exam clock: { state, lastTick, lastSave, unsavedMs } (ticks are monotonic, see tickExamClock)
 
 // Navigation state
 let currentTab = 'home'; // Current active tab
-let quizPausedState = null; // Stores timer state when paused: { pausedAt: timestamp, frozenTime: remaining seconds }
+let quizPausedState = null; // Pause shown on screen: { pausedAt: timestamp, reason: 'manual' | 'navigation' | 'other-tab' }
 let navigationLocked = false; // Prevents rapid tab switching
+let questionBankSignature = null; // Hash of the loaded questions.json text (update detection)
+let questionBankRaw = []; // questions.json as parsed, before validation (the Editor exports from this)
 
 // ============================================================================
 // DOM REFERENCES - Cache all HTML element references for performance
@@ -85,10 +123,13 @@ const modeSelect = document.getElementById("modeSelect"); // Dropdown: Review or
 const domainSelect = document.getElementById("domainSelect"); // Dropdown: D1, D2, D3, D4, or ALL
 const sectionSelect = document.getElementById("sectionSelect"); // Dropdown: EC2, S3, IAM, etc. or ALL
 const difficultySelect = document.getElementById("difficultySelect"); // Dropdown: Easy, Medium, Hard, or ALL
+const bookmarkSelect = document.getElementById("bookmarkSelect"); // Dropdown: all questions or bookmarked only
+const scoringSelect = document.getElementById("scoringSelect"); // Dropdown: scoring model for new sessions
 const startBtn = document.getElementById("startBtn"); // "Start" or "Resume" button
 const newSessionBtn = document.getElementById("newSessionBtn"); // "Start Fresh" button
 // const resetBtn = document.getElementById("resetBtn"); // REMOVED - now handled by navigation tab
 const hintText = document.getElementById("hintText"); // Help text below dropdowns
+const dueTodayEl = document.getElementById("dueToday"); // "Due today" count for spaced repetition
 
 // Quiz card elements (shown during active quiz)
 const quizCard = document.getElementById("quizCard"); // Main quiz container
@@ -107,29 +148,171 @@ const resultBox = document.getElementById("resultBox"); // Final results and rev
 const sectionButtons = document.getElementById("sectionButtons"); // Old UI element (deprecated)
 
 // ============================================================================
-// SECTION ORDER - Defines the display order for AWS service sections
-// ============================================================================
-// WHY: This ensures sections appear in a logical, alphabetical order in the
-// dropdown menu, making it easier for users to find specific AWS services.
-const SECTION_ORDER = [
-  "EC2",          // Elastic Compute Cloud
-  "Auto Scaling", // Auto Scaling Groups
-  "DynamoDB",     // NoSQL Database
-  "EBS",          // Elastic Block Store
-  "EFS",          // Elastic File System
-  "ELB",          // Elastic Load Balancing
-  "IAM",          // Identity and Access Management
-  "Lambda",       // Serverless Functions
-  "RDS",          // Relational Database Service
-  "SQS",          // Simple Queue Service
-  "S3",           // Simple Storage Service
-  "VPC",          // Virtual Private Cloud
-  "CloudFront",   // Content Delivery Network
-  "Route 53",     // DNS Service
-  "CloudWatch",   // Monitoring and Logging
-  "KMS"           // Key Management Service
+// SERVICE TAXONOMY - Canonical AWS service tags for filtering and scoring
+// ============================================================================
+// WHY: The free-text `section` field has near-duplicates ("S3 Replication
+// (Select TWO)", "RDS/Aurora", "DR" vs "Disaster Recovery"). Every question is
+// mapped onto one or more canonical tags so the section dropdown, filtering and
+// per-section history all talk about the same names.
+
+/**
+ * Bump when SECTION_ALIASES or SERVICE_TAXONOMY change the meaning of a tag,
+ * so stored history gets re-mapped (see migrateHistoryTaxonomy)
+ */
+const TAXONOMY_VERSION = 1;
+
+/**
+ * Canonical tags grouped by category, in dropdown display order.
+ * "Topics" holds cross-service themes that are not a single AWS service.
+ */
+const SERVICE_TAXONOMY = [
+  { category: "Compute", tags: ["EC2", "Auto Scaling", "Lambda", "ECS", "EKS", "Elastic Beanstalk", "Batch", "Outposts"] },
+  { category: "Storage", tags: ["S3", "S3 Glacier", "EBS", "EFS", "FSx", "Storage Gateway", "AWS Backup"] },
+  { category: "Database", tags: ["RDS", "Aurora", "RDS Proxy", "DynamoDB", "DAX", "ElastiCache", "DocumentDB", "Neptune", "Redshift"] },
+  { category: "Networking & Content Delivery", tags: ["VPC", "VPC Endpoints", "PrivateLink", "NAT Gateway", "Security Groups", "NACL", "Transit Gateway", "Network Firewall", "ELB", "Route 53", "CloudFront", "Global Accelerator"] },
+  { category: "Security, Identity & Compliance", tags: ["IAM", "IAM Identity Center", "STS", "Cognito", "KMS", "Secrets Manager", "ACM", "WAF", "Shield", "Firewall Manager", "GuardDuty", "Security Hub"] },
+  { category: "Application Integration", tags: ["SQS", "SNS", "EventBridge", "Step Functions"] },
+  { category: "Analytics", tags: ["Athena", "Glue", "Kinesis"] },
+  { category: "Machine Learning", tags: ["Rekognition", "Polly"] },
+  { category: "Management & Governance", tags: ["CloudWatch", "CloudTrail", "Config", "Organizations", "Systems Manager", "CloudFormation"] },
+  { category: "Cloud Financial Management", tags: ["Cost Management", "Savings Plans"] },
+  { category: "Migration & Transfer", tags: ["DMS", "MGN", "DataSync", "Snow Family"] },
+  { category: "Customer Engagement", tags: ["Pinpoint"] },
+  { category: "Topics", tags: ["Architecture", "Analytics", "Caching", "Compute", "Cost Optimization", "Data Transfer", "Databases", "Deployments", "Disaster Recovery", "Governance", "High Availability", "Logging", "Messaging", "Migration", "Monitoring", "Multi-Region", "Networking", "Serverless", "Storage"] }
 ];
 
+/**
+ * Raw section text (lowercase) → canonical tags, for names that are not
+ * simply a canonical tag or "<tag> <qualifier>" (those resolve on their own)
+ */
+const SECTION_ALIASES = {
+  "acm / tls": ["ACM"],
+  "certificate management": ["ACM"],
+  "alb": ["ELB"],
+  "nlb": ["ELB"],
+  "load balancing": ["ELB"],
+  "asg": ["Auto Scaling"],
+  "mixed instances": ["Auto Scaling"],
+  "auto scaling costs": ["Auto Scaling", "Cost Optimization"],
+  "backup": ["AWS Backup"],
+  "efs backup": ["EFS", "AWS Backup"],
+  "glacier": ["S3 Glacier"],
+  "s3 costs": ["S3", "Cost Optimization"],
+  "dax": ["DAX"],
+  "nat": ["NAT Gateway"],
+  "nat cost optimization": ["NAT Gateway", "Cost Optimization"],
+  "access": ["IAM"],
+  "billing": ["Cost Management"],
+  "cloudfront pricing": ["CloudFront", "Cost Optimization"],
+  "ec2 pricing": ["EC2", "Cost Optimization"],
+  "spot": ["EC2", "Cost Optimization"],
+  "spot instances": ["EC2", "Cost Optimization"],
+  "compute strategy": ["Compute"],
+  "dr": ["Disaster Recovery"],
+  "dr automation": ["Disaster Recovery"],
+  "rds dr": ["RDS", "Disaster Recovery"],
+  "multi-region disaster recovery": ["Multi-Region", "Disaster Recovery"],
+  "multi-az": ["High Availability"],
+  "centralized logging": ["Logging"],
+  "logs": ["Logging"],
+  "logging costs": ["Logging", "Cost Optimization"],
+  "egress filtering": ["Networking"],
+  "global networking": ["Networking"],
+  "hpc storage": ["Storage"],
+  "search analytics": ["Analytics"]
+};
+
+// Lowercase canonical tag → canonical spelling
+const CANONICAL_TAGS = new Map(
+  SERVICE_TAXONOMY.flatMap(({ tags }) => tags).map((tag) => [tag.toLowerCase(), tag])
+);
+
+// Canonical tags longest-first, so "IAM Identity Center" wins over "IAM"
+const CANONICAL_PREFIXES = Array.from(CANONICAL_TAGS.values())
+  .sort((a, b) => b.length - a.length);
+
+// Memoized section → tags lookups (the bank reuses ~150 section strings)
+const sectionTagCache = new Map();
+
+/**
+ * WHAT IT DOES: Maps one raw section string to its canonical service tags
+ *
+ * HOW IT WORKS:
+ * 1. Drop "(Select TWO)"-style suffixes
+ * 2. Split combined names on "/", "," and " and "
+ * 3. Resolve each part: alias → exact tag → "<tag> <qualifier>" prefix
+ * 4. Unknown parts are kept as-is (shown under "Other" in the dropdown)
+ *
+ * RETURNS: Array of unique tags (never empty for a non-empty section)
+ *
+ * EXAMPLE:
+ * servicesForSection("S3 Replication (Select TWO)") → ["S3"]
+ * servicesForSection("KMS, S3 Security, IAM")       → ["KMS", "S3", "IAM"]
+ * servicesForSection("DR/Route 53")                 → ["Disaster Recovery", "Route 53"]
+ */
+function servicesForSection(section) {
+  const raw = String(section || "").trim();
+  if (sectionTagCache.has(raw)) return sectionTagCache.get(raw);
+
+  const resolvePart = (part) => {
+    const key = part.toLowerCase();
+    if (SECTION_ALIASES[key]) return SECTION_ALIASES[key];
+    if (CANONICAL_TAGS.has(key)) return [CANONICAL_TAGS.get(key)];
+
+    const prefix = CANONICAL_PREFIXES.find((tag) => key.startsWith(tag.toLowerCase() + " "));
+    return [prefix || part];
+  };
+
+  const cleaned = raw.replace(/\(select [^)]*\)/gi, "").trim();
+  const whole = cleaned.toLowerCase();
+
+  // Try the full name first so aliases like "Multi-Region Disaster Recovery" win
+  const parts = (SECTION_ALIASES[whole] || CANONICAL_TAGS.has(whole))
+    ? [cleaned]
+    : cleaned.split(/\s*(?:\/|,|\band\b)\s*/i).filter(Boolean);
+
+  const tags = [...new Set(parts.flatMap(resolvePart))];
+  sectionTagCache.set(raw, tags);
+  return tags;
+}
+
+/**
+ * WHAT IT DOES: Returns the canonical service tags for a question
+ *
+ * Uses the optional `services` array from questions.json when present,
+ * otherwise derives tags from the free-text `section`.
+ *
+ * RETURNS: Array of tag strings
+ */
+function getQuestionTags(q) {
+  if (!q) return [];
+  if (Array.isArray(q.services) && q.services.length) return q.services;
+  return servicesForSection(q.section);
+}
+
+/**
+ * WHAT IT DOES: Checks whether a question carries a given tag
+ *
+ * RETURNS: Boolean
+ */
+function questionHasTag(q, tag) {
+  return getQuestionTags(q).includes(tag);
+}
+
+/**
+ * WHAT IT DOES: Maps a saved section filter value onto a canonical tag
+ *
+ * WHY WE NEED IT: Sessions and history saved before the taxonomy stored the
+ * raw section text (e.g. "RDS/Aurora"); the dropdown now only offers tags.
+ *
+ * RETURNS: "ALL", a canonical tag, or the first tag the raw text maps to
+ */
+function canonicalSectionFilter(section) {
+  if (!section || section === "ALL") return "ALL";
+  if (CANONICAL_TAGS.has(section.toLowerCase())) return CANONICAL_TAGS.get(section.toLowerCase());
+  return servicesForSection(section)[0] || "ALL";
+}
+
 // ============================================================================
 // ERROR HANDLING - Safe operation wrapper for debugging
 // ============================================================================
@@ -167,36 +350,136 @@ function safeOperation(operationName, fn, fallbackValue) {
   }
 }
 
+/**
+ * WHAT IT DOES: safeOperation() for async functions (IndexedDB, fetch)
+ *
+ * RETURNS: Promise of fn's result, or fallbackValue if it throws/rejects
+ */
+async function safeOperationAsync(operationName, fn, fallbackValue) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error(`[SAA Error] ${operationName}:`, {
+      message: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+    return fallbackValue;
+  }
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS - Simple helper functions
 // ============================================================================
 
 /**
- * WHAT IT DOES: Normalizes quiz mode to only "review" or "timed"
+ * WHAT IT DOES: Normalizes quiz mode to "review", "timed" or "spaced"
  *
  * WHY WE NEED IT: Maintains backward compatibility with old "practice" mode
- * while ensuring only two valid modes exist in the new system.
+ * while ensuring only the three valid modes exist in the new system.
  *
  * PARAMETERS:
- * - mode: String representing the mode (could be "review", "timed", "practice", or anything)
+ * - mode: String representing the mode (could be "review", "timed", "spaced", "practice", or anything)
  *
- * RETURNS: Either "timed" or "review" (default)
+ * RETURNS: "timed", "spaced" or "review" (default)
  *
  * EXAMPLE:
  * normalizeMode("practice") → "review"
  * normalizeMode("timed") → "timed"
+ * normalizeMode("spaced") → "spaced"
  * normalizeMode("anything-else") → "review"
  */
 function normalizeMode(mode) {
-  return mode === "timed" ? "timed" : "review";
+  if (mode === "timed" || mode === "spaced") return mode;
+  return "review";
 }
 
 // ============================================================================
 // LOCAL STORAGE FUNCTIONS - Save and load quiz state from browser storage
 // ============================================================================
+// Sessions are kept in a store keyed by sessionKeyFor(filters), so a review
+// session on IAM no longer overwrites an in-progress timed exam:
+// {
+//   version: 1,
+//   activeKey: "timed::ALL::ALL::ALL",     // Session shown on the Practice tab
+//   sessions: { [sessionKey]: { sessionKey, session } }
+// }
+// loadState()/saveState() keep working on the ACTIVE session, so the rest of
+// the app still deals with one state object at a time.
+
+/**
+ * WHAT IT DOES: Returns an empty session store
+ */
+function emptySessionStore() {
+  return { version: 1, activeKey: null, sessions: {} };
+}
+
+/**
+ * WHAT IT DOES: Loads the session store from localStorage
+ *
+ * WHY WE NEED IT: Holds every saved session (one per filter combination)
+ * plus which one is currently active.
+ *
+ * MIGRATION: The old single-slot STATE_KEY session is moved into the store
+ * (and becomes the active session) the first time this runs.
+ *
+ * RETURNS: Store object (always valid, empty if nothing saved or corrupt)
+ */
+function loadSessionStore() {
+  return safeOperation('Load Session Store', () => {
+    const raw = localStorage.getItem(SESSIONS_KEY);
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed.sessions !== "object" || parsed.sessions === null) {
+        console.warn('[SAA Warning] Invalid session store, resetting');
+        return emptySessionStore();
+      }
+      return parsed;
+    }
+
+    // Migrate the legacy single session slot
+    const store = emptySessionStore();
+    const legacyRaw = localStorage.getItem(STATE_KEY);
+    if (legacyRaw) {
+      const legacy = JSON.parse(legacyRaw);
+      if (legacy && legacy.session && typeof legacy.sessionKey === "string") {
+        const key = legacy.sessionKey.replace(/^practice::/i, "review::");
+        store.sessions[key] = {
+          sessionKey: key,
+          session: { ...legacy.session, mode: normalizeMode(legacy.session.mode) }
+        };
+        store.activeKey = key;
+        console.info('[SAA Info] Migrated legacy session into session store:', key);
+      }
+      localStorage.setItem(SESSIONS_KEY, JSON.stringify(store));
+      localStorage.removeItem(STATE_KEY);
+    }
+
+    return store;
+  }, emptySessionStore());
+}
+
+/**
+ * WHAT IT DOES: Writes the session store back to localStorage
+ *
+ * HOUSEKEEPING: Completed sessions are only kept while they are active
+ * (so a refresh still shows their results); the rest are already in history.
+ *
+ * ERROR HANDLING: Catches quota exceeded errors and corrupt data issues
+ */
+function saveSessionStore(store) {
+  safeOperation('Save Session Store', () => {
+    for (const [key, entry] of Object.entries(store.sessions)) {
+      const done = !entry || !entry.session || entry.session.completed;
+      if (done && key !== store.activeKey) delete store.sessions[key];
+    }
+
+    localStorage.setItem(SESSIONS_KEY, JSON.stringify(store));
+  }, undefined);
+}
 
 /**
- * WHAT IT DOES: Loads the saved quiz session from browser's localStorage
+ * WHAT IT DOES: Loads the active quiz session from browser's localStorage
  *
  * WHY WE NEED IT: Allows users to refresh the page without losing their
  * progress. All answers, question order, and timer state are preserved.
@@ -210,14 +493,13 @@ function normalizeMode(mode) {
  */
 function loadState() {
   return safeOperation('Load State from localStorage', () => {
-    const raw = localStorage.getItem(STATE_KEY);
-    if (!raw) {
-      console.info('[SAA Info] No saved state found in localStorage');
+    const store = loadSessionStore();
+    const parsed = store.activeKey ? store.sessions[store.activeKey] : null;
+    if (!parsed) {
+      console.info('[SAA Info] No active session found in localStorage');
       return null;
     }
 
-    const parsed = JSON.parse(raw);
-
     // Validate that the loaded state has required properties
     if (!parsed.session || !parsed.sessionKey) {
       console.warn('[SAA Warning] Loaded state is missing required fields, ignoring');
@@ -230,7 +512,8 @@ function loadState() {
 }
 
 /**
- * WHAT IT DOES: Saves the current quiz session to browser's localStorage
+ * WHAT IT DOES: Saves a quiz session to browser's localStorage and makes it
+ * the active session
  *
  * WHY WE NEED IT: Persists all quiz data so users don't lose progress
  * if they accidentally close the tab or refresh the page.
@@ -238,48 +521,75 @@ function loadState() {
  * PARAMETERS:
  * - state: The complete state object containing session data
  *
- * SIDE EFFECTS: Writes to localStorage
+ * SIDE EFFECTS: Writes to localStorage (only this session's slot changes)
  *
  * ERROR HANDLING: Catches quota exceeded errors and corrupt data issues
  */
 function saveState(state) {
   safeOperation('Save State to localStorage', () => {
-    if (!state || !state.session) {
+    if (!state || !state.session || !state.sessionKey) {
       console.warn('[SAA Warning] Attempted to save invalid state, skipping');
       return;
     }
 
-    const json = JSON.stringify(state);
-    localStorage.setItem(STATE_KEY, json);
+    const store = loadSessionStore();
+
+    // The exam clock only moves forward: a state loaded before the last
+    // clock tick must not roll the banked time or the pause log back
+    const previous = store.sessions[state.sessionKey];
+    if (state.session.mode === "timed" && previous && previous.session && previous.session.seed === state.session.seed) {
+      const lastPauseEnd = (s) => (Array.isArray(s.pauses) && s.pauses.length ? s.pauses[s.pauses.length - 1].toMs : 0);
+      state.session.elapsedMs = Math.max(getElapsedMs(previous.session), getElapsedMs(state.session));
+      if (lastPauseEnd(previous.session) > lastPauseEnd(state.session)) state.session.pauses = previous.session.pauses;
+    }
+
+    store.sessions[state.sessionKey] = state;
+    store.activeKey = state.sessionKey;
+    saveSessionStore(store);
     console.info('[SAA Info] State saved to localStorage successfully');
   }, undefined);
 }
 
 /**
- * WHAT IT DOES: Removes all saved quiz data from localStorage
+ * WHAT IT DOES: Removes the active quiz session from localStorage
  *
- * WHY WE NEED IT: Allows users to start completely fresh by clearing
- * all previous session data (called when user clicks "Reset" button)
+ * WHY WE NEED IT: Allows users to drop the session on screen while keeping
+ * the other saved sessions
  *
  * SIDE EFFECTS: Deletes data from localStorage
  */
 function clearState() {
   safeOperation('Clear State from localStorage', () => {
-    localStorage.removeItem(STATE_KEY);
-    console.info('[SAA Info] State cleared from localStorage');
+    const store = loadSessionStore();
+    if (store.activeKey) delete store.sessions[store.activeKey];
+    store.activeKey = null;
+    saveSessionStore(store);
+    console.info('[SAA Info] Active session cleared from localStorage');
   }, undefined);
 }
 
 /**
  * WHAT IT DOES: Clears ALL data including quiz state AND performance history
+ * of the active exam profile (other profiles' data is left alone)
  * WHY IT EXISTS: Provides complete "start over" functionality for reset
+ *
+ * RETURNS: Promise resolving once the IndexedDB history is cleared too
+ * (wait for it before reloading the page)
  */
 function clearAllData() {
-  safeOperation('Clear All Data from localStorage', () => {
-    localStorage.removeItem(STATE_KEY);     // Clear quiz state
-    localStorage.removeItem(HISTORY_KEY);   // Clear performance history
+  return safeOperation('Clear All Data from localStorage', () => {
+    localStorage.removeItem(SESSIONS_KEY);  // Clear all saved sessions
+    localStorage.removeItem(STATE_KEY);     // Clear legacy single-session slot
+    const historyCleared = clearSessionHistory(); // Clear performance history (IndexedDB + legacy key)
+    localStorage.removeItem(EXAM_BLUEPRINT_KEY); // Clear custom exam blueprint
+    localStorage.removeItem(EXAM_SETTINGS_KEY); // Clear timed exam settings (ESL, length)
+    localStorage.removeItem(NOTES_KEY);     // Clear bookmarks and notes
+    localStorage.removeItem(SCORING_MODEL_KEY); // Clear scoring model choice
+    localStorage.removeItem(QUESTION_STATS_KEY); // Clear per-question statistics
+    localStorage.removeItem(AUTHORING_DRAFTS_KEY); // Clear question editor drafts
     console.info('[SAA Info] All data cleared from localStorage (state + history)');
-  }, undefined);
+    return historyCleared;
+  }, Promise.resolve());
 }
 
 /**
@@ -419,2375 +729,8712 @@ function pickSeededSubset(arr, count, seedStr) {
 }
 
 // ============================================================================
-// FILTER AND SESSION KEY FUNCTIONS - Handle quiz filtering and session identity
+// BOOKMARKS AND NOTES - Per-question, kept across sessions
 // ============================================================================
+// Unlike session.flaggedQuestions (which live and die with one timed exam),
+// bookmarks and notes belong to the question id and survive every session.
+// Editors are plain elements handled by document-level delegation:
+//   <button class="bookmark-btn" data-bookmark-qid="SAA-001">
+//   <textarea class="note-input" data-note-qid="SAA-001">
 
 /**
- * WHAT IT DOES: Reads the current filter selections from the UI dropdowns
- *
- * WHY WE NEED IT: Centralizes reading UI state so we don't have to access
- * the dropdowns directly throughout the code.
+ * WHAT IT DOES: Loads all bookmarks and notes from localStorage
  *
- * RETURNS: Object with mode, domainId, and section from dropdown values
+ * STRUCTURE:
+ * {
+ *   version: 1,
+ *   items: { "SAA-001": { bookmarked: true, note: "NAT vs endpoint", updatedAt: 1735142400000 } }
+ * }
  *
- * EXAMPLE:
- * getFiltersFromUI() → { mode: "review", domainId: "D1", section: "ALL" }
+ * RETURNS: Notes object (empty structure if nothing saved or corrupt)
  */
-function getFiltersFromUI() {
-  return {
-    mode: normalizeMode(modeSelect.value),
-    domainId: domainSelect.value,
-    section: sectionSelect.value,
-    difficulty: difficultySelect.value
-  };
+function loadQuestionNotes() {
+  return safeOperation('Load Question Notes', () => {
+    const raw = localStorage.getItem(NOTES_KEY);
+    if (!raw) return { version: 1, items: {} };
+
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed.items !== "object" || parsed.items === null) {
+      console.warn('[SAA Warning] Invalid notes structure, resetting');
+      return { version: 1, items: {} };
+    }
+    return parsed;
+  }, { version: 1, items: {} });
 }
 
 /**
- * WHAT IT DOES: Creates a unique key string for a quiz session
- *
- * WHY WE NEED IT: We need to identify sessions uniquely so we can resume
- * the correct quiz. Different filter combinations = different sessions.
+ * WHAT IT DOES: Saves bookmarks and notes, dropping empty entries
+ */
+function saveQuestionNotes(notes) {
+  safeOperation('Save Question Notes', () => {
+    for (const [qid, item] of Object.entries(notes.items)) {
+      if (!item || (!item.bookmarked && !(item.note || "").trim())) delete notes.items[qid];
+    }
+    localStorage.setItem(NOTES_KEY, JSON.stringify(notes));
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Returns the bookmark/note entry for one question
  *
- * RULES:
- * - Timed mode: Always "timed::ALL::ALL" (no filtering allowed)
- * - Review mode: "review::domainId::section" (e.g., "review::D1::EC2")
+ * RETURNS: { bookmarked: Boolean, note: String }
+ */
+function getQuestionNote(qid) {
+  const item = loadQuestionNotes().items[qid];
+  return { bookmarked: !!(item && item.bookmarked), note: (item && item.note) || "" };
+}
+
+/**
+ * WHAT IT DOES: Checks whether a question is bookmarked
+ */
+function isBookmarked(qid) {
+  return getQuestionNote(qid).bookmarked;
+}
+
+/**
+ * WHAT IT DOES: Updates one question's bookmark and/or note
  *
  * PARAMETERS:
- * - filters: Object with mode, domainId, section
- *
- * RETURNS: String key identifying this unique session
+ * - qid: Question id
+ * - changes: { bookmarked?: Boolean, note?: String }
  *
- * EXAMPLE:
- * sessionKeyFor({mode: "review", domainId: "D1", section: "IAM"})
- *   → "review::D1::IAM"
+ * RETURNS: The updated { bookmarked, note }
  */
-function sessionKeyFor(filters) {
-  const mode = normalizeMode(filters.mode);
-
-  // Timed mode sessions are identified by difficulty filter
-  // (domain and section are always ALL in timed mode)
-  if (mode === "timed") return `timed::ALL::ALL::${filters.difficulty || "ALL"}`;
-
-  // Review mode sessions are identified by domain + section + difficulty
-  return `review::${filters.domainId}::${filters.section}::${filters.difficulty || "ALL"}`;
+function updateQuestionNote(qid, changes) {
+  const notes = loadQuestionNotes();
+  const current = notes.items[qid] || { bookmarked: false, note: "" };
+  const next = { ...current, ...changes, updatedAt: nowMs() };
+
+  notes.items[qid] = next;
+  saveQuestionNotes(notes);
+  return { bookmarked: !!next.bookmarked, note: next.note || "" };
 }
 
 /**
- * WHAT IT DOES: Filters the question list based on user selections
+ * WHAT IT DOES: Builds the bookmark button + note editor for one question
  *
- * WHY WE NEED IT: In Review mode, users can choose to practice only
- * certain domains or sections. This returns only the matching questions.
- *
- * RULES:
- * - Timed mode: NO filtering, always all questions
- * - Review mode: Filter by domain and/or section if not "ALL"
+ * Used by the question view and by the timed results review, so both edit
+ * the same data.
  *
  * PARAMETERS:
- * - filters: Object with mode, domainId, section
- *
- * RETURNS: Array of question objects that match the filters
+ * - qid: Question id
+ * - disabled: Boolean - read-only (e.g. while a timed exam is paused)
  *
- * EXAMPLE:
- * filteredQuestions({mode: "review", domainId: "D1", section: "IAM"})
- *   → [all IAM questions from Domain 1]
+ * RETURNS: HTML string
  */
-function filteredQuestions(filters) {
-  let list = QUESTIONS;
-
-  // Apply difficulty filter for both timed and review modes
-  if (filters.difficulty && filters.difficulty !== "ALL") {
-    list = list.filter((q) => q.difficulty === filters.difficulty);
-  }
+function buildNoteEditorHtml(qid, disabled) {
+  const { bookmarked, note } = getQuestionNote(qid);
+  const disabledAttr = disabled ? 'disabled' : '';
+
+  return `
+    <div class="note-editor">
+      <button type="button" class="btn btn-ghost bookmark-btn ${bookmarked ? 'bookmarked' : ''}"
+              data-bookmark-qid="${escapeHtml(qid)}" aria-pressed="${bookmarked}" ${disabledAttr}>
+        ${bookmarked ? '🔖 Bookmarked' : '☆ Bookmark'}
+      </button>
+      <details class="note-details" ${note ? 'open' : ''}>
+        <summary>📝 ${note ? 'Your note' : 'Add a note'}</summary>
+        <textarea class="note-input" data-note-qid="${escapeHtml(qid)}" rows="3"
+                  placeholder="Your own notes for this question (saved automatically)" ${disabledAttr}>${escapeHtml(note)}</textarea>
+      </details>
+    </div>
+  `;
+}
 
-  // Review mode: Also filter by domain and section
-  if (filters.mode !== "timed") {
-    // Filter by domain if not "ALL"
-    if (filters.domainId !== "ALL") {
-      list = list.filter((q) => q.domainId === filters.domainId);
-    }
-    // Filter by section if not "ALL"
-    if (filters.section !== "ALL") {
-      list = list.filter((q) => q.section === filters.section);
-    }
-  }
+/**
+ * WHAT IT DOES: Lists the notes written for questions of a finished session
+ *
+ * RETURNS: HTML string ('' when none of the questions has a note)
+ */
+function buildSessionNotesHtml(state) {
+  const notes = loadQuestionNotes().items;
+  const withNotes = state.session.questionIds
+    .map((qid, idx) => ({ qid, idx, note: ((notes[qid] && notes[qid].note) || "").trim() }))
+    .filter((n) => n.note);
+
+  if (withNotes.length === 0) return '';
+
+  return `
+    <div class="session-notes">
+      <div><strong>📝 Your notes</strong></div>
+      <ul>
+        ${withNotes.map((n) => `<li><strong>Q${n.idx + 1} • ${escapeHtml(n.qid)}:</strong> ${escapeHtml(n.note)}</li>`).join('')}
+      </ul>
+    </div>
+  `;
+}
 
-  return list;
+/**
+ * WHAT IT DOES: Refreshes every bookmark button for a question on the page
+ * (the same question can be shown in the quiz and in the results review)
+ */
+function syncBookmarkButtons(qid, bookmarked) {
+  document.querySelectorAll('.bookmark-btn').forEach((btn) => {
+    if (btn.getAttribute('data-bookmark-qid') !== qid) return;
+    btn.classList.toggle('bookmarked', bookmarked);
+    btn.setAttribute('aria-pressed', String(bookmarked));
+    btn.textContent = bookmarked ? '🔖 Bookmarked' : '☆ Bookmark';
+  });
 }
 
 // ============================================================================
-// UI BUILDER FUNCTIONS - Populate dropdown menus dynamically
+// EXAM BLUEPRINT - Stratified question selection for Timed mode
 // ============================================================================
+// WHY WE NEED THIS: Picking 65 questions uniformly from the pool mirrors the
+// pool, not the exam (73 of the questions are S3, D4 is under-represented).
+// The real SAA-C03 weights the domains D1 30%, D2 26%, D3 24%, D4 20%, so a
+// timed exam is built domain by domain to match those weights. Difficulty
+// can optionally be balanced inside each domain too.
+
+let EXAM_BLUEPRINT_KEY = "saa_exam_blueprint_v1"; // localStorage key for custom weights (per exam profile)
 
 /**
- * WHAT IT DOES: Populates the domain dropdown with all available domains
- *
- * WHY WE NEED IT: Domains are loaded from questions.json dynamically, so
- * we build the dropdown options from the actual question data instead of
- * hardcoding them.
- *
- * HOW IT WORKS:
- * 1. Extracts unique domains from all questions (D1, D2, D3, D4)
- * 2. Adds "All domains" as first option
- * 3. Generates <option> HTML for each domain
- * 4. Updates the domain dropdown
+ * Official domain weights (percent) - SAA-C03 until applyExamProfile() sets
+ * the active profile's weights. difficultyWeights = null means difficulty is
+ * not stratified (each domain keeps the pool's natural mix).
+ */
+let DEFAULT_EXAM_BLUEPRINT = {
+  domainWeights: { D1: 30, D2: 26, D3: 24, D4: 20 },
+  difficultyWeights: null
+};
+
+/**
+ * WHAT IT DOES: Loads the user's blueprint weights (or the SAA-C03 defaults)
  *
- * SIDE EFFECTS: Modifies domainSelect.innerHTML
+ * RETURNS: Blueprint object { domainWeights, difficultyWeights }
  */
-function buildDomainOptions() {
-  // Create "ALL" option + extract unique domains from questions
-  const domains = [
-    { id: "ALL", name: "All domains" },
-    ...Array.from(
-      new Map(QUESTIONS.map((q) => [q.domainId, q.domain])).entries()
-    ).map(([id, name]) => ({ id, name }))
-  ];
+function loadExamBlueprint() {
+  return safeOperation('Load Exam Blueprint', () => {
+    const raw = localStorage.getItem(EXAM_BLUEPRINT_KEY);
+    if (!raw) return JSON.parse(JSON.stringify(DEFAULT_EXAM_BLUEPRINT));
 
-  // Build <option> tags and update dropdown
-  domainSelect.innerHTML = domains
-    .map((d) => `<option value="${d.id}">${d.name}</option>`)
-    .join("");
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed.domainWeights !== "object") {
+      console.warn('[SAA Warning] Invalid exam blueprint, using defaults');
+      return JSON.parse(JSON.stringify(DEFAULT_EXAM_BLUEPRINT));
+    }
+    return parsed;
+  }, JSON.parse(JSON.stringify(DEFAULT_EXAM_BLUEPRINT)));
 }
 
 /**
- * WHAT IT DOES: Populates the section dropdown with sections for a given domain
+ * WHAT IT DOES: Saves blueprint weights (null = back to defaults)
  *
- * WHY WE NEED IT: Different domains have different AWS services/sections.
- * This ensures the section dropdown only shows relevant options for the
- * selected domain.
+ * SIDE EFFECTS: Writes/removes EXAM_BLUEPRINT_KEY in localStorage
+ */
+function saveExamBlueprint(blueprint) {
+  safeOperation('Save Exam Blueprint', () => {
+    if (!blueprint) {
+      localStorage.removeItem(EXAM_BLUEPRINT_KEY);
+      return;
+    }
+    localStorage.setItem(EXAM_BLUEPRINT_KEY, JSON.stringify(blueprint));
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Splits a total count across groups according to weights
  *
- * HOW IT WORKS:
- * 1. Filter questions by selected domain (if not "ALL")
- * 2. Extract unique sections from those questions
- * 3. Sort sections using SECTION_ORDER for consistent ordering
- * 4. Add "All sections" as first option
- * 5. Update the section dropdown
+ * HOW IT WORKS: Hands out one slot at a time to the group that is furthest
+ * below its weighted target and still has questions left (largest-deficit
+ * method). If the weighted groups run out, the remaining slots go to any
+ * group that still has questions, so the total is always reached when the
+ * pool is big enough.
  *
  * PARAMETERS:
- * - domainId: The selected domain ID ("ALL", "D1", "D2", "D3", or "D4")
+ * - weights: { key: weight } (any positive scale, normalized internally)
+ * - capacities: { key: number of available questions }
+ * - total: How many slots to hand out
  *
- * SIDE EFFECTS: Modifies sectionSelect.innerHTML
+ * RETURNS: { key: count }
  *
  * EXAMPLE:
- * buildSectionOptions("D1") → Shows only sections present in Domain 1
+ * allocateByWeights({ D1: 30, D2: 26, D3: 24, D4: 20 }, { D1: 190, D2: 172, D3: 170, D4: 119 }, 65)
+ *   → { D1: 19, D2: 17, D3: 16, D4: 13 }
  */
-function buildSectionOptions(domainId) {
-  // Start with all questions, then filter by domain if specified
-  let list = QUESTIONS;
-  if (domainId && domainId !== "ALL") {
-    list = list.filter((q) => q.domainId === domainId);
-  }
-
-  // Get unique sections from the filtered questions
-  const present = new Set(list.map((q) => q.section));
+function allocateByWeights(weights, capacities, total) {
+  const keys = Object.keys(capacities);
+  const counts = Object.fromEntries(keys.map(k => [k, 0]));
+  const weightSum = keys.reduce((sum, k) => sum + Math.max(0, Number(weights[k]) || 0), 0);
+
+  for (let slot = 0; slot < total; slot++) {
+    let bestKey = null;
+    let bestDeficit = -Infinity;
+
+    for (const k of keys) {
+      if (counts[k] >= capacities[k]) continue;
+      const w = Math.max(0, Number(weights[k]) || 0);
+      if (weightSum > 0 && w === 0) continue;
+
+      const target = weightSum > 0 ? ((slot + 1) * w) / weightSum : (slot + 1) / keys.length;
+      const deficit = target - counts[k];
+      if (deficit > bestDeficit) {
+        bestDeficit = deficit;
+        bestKey = k;
+      }
+    }
 
-  // Order sections according to SECTION_ORDER array
-  const ordered = SECTION_ORDER.filter((s) => present.has(s));
+    // Weighted groups exhausted: fall back to whichever group has most left
+    if (bestKey === null) {
+      for (const k of keys) {
+        const left = capacities[k] - counts[k];
+        if (left > 0 && (bestKey === null || left > capacities[bestKey] - counts[bestKey])) {
+          bestKey = k;
+        }
+      }
+    }
 
-  // Add "ALL" as first option
-  const sections = ["ALL", ...ordered];
+    if (bestKey === null) break; // Pool exhausted
+    counts[bestKey]++;
+  }
 
-  // Build <option> tags and update dropdown
-  sectionSelect.innerHTML = sections
-    .map((s) => `<option value="${s}">${s === "ALL" ? "All sections" : s}</option>`)
-    .join("");
+  return counts;
 }
 
 /**
- * WHAT IT DOES: Populates the difficulty dropdown based on available difficulties
- * in the current domain/section filter
- *
- * WHY WE NEED IT: Shows only relevant difficulties for the selected domain/section,
- * similar to how sections update based on domain
+ * WHAT IT DOES: Groups questions by a property
  *
- * HOW IT WORKS:
- * 1. Filter questions by current domain and section selections
- * 2. Extract unique difficulty values from filtered questions
- * 3. Order them as Easy, Medium, Hard
- * 4. Add "All difficulties" as first option
- * 5. Populate the difficulty dropdown
+ * RETURNS: { value: [questions...] }
+ */
+function groupQuestionsBy(list, prop) {
+  const groups = {};
+  for (const q of list) {
+    const key = q[prop] || "Unknown";
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(q);
+  }
+  return groups;
+}
+
+/**
+ * WHAT IT DOES: Picks exam questions by stratified sampling across domains
+ * (and optionally difficulty), deterministically from the seed
  *
  * PARAMETERS:
- * - domainId: Current domain filter ("ALL" or "D1"-"D4")
- * - section: Current section filter ("ALL" or section name)
+ * - list: Question objects to pick from (already difficulty-filtered)
+ * - total: Number of questions to pick (EXAM_TOTAL_QUESTIONS)
+ * - blueprint: { domainWeights, difficultyWeights }
+ * - seedStr: Seed for the per-group random picks
+ *
+ * RETURNS: Array of question IDs (not yet shuffled into exam order)
  */
-function buildDifficultyOptions(domainId, section) {
-  // Start with all questions, then filter by domain/section
-  let list = QUESTIONS;
+function pickBlueprintSubset(list, total, blueprint, seedStr) {
+  const byDomain = groupQuestionsBy(list, "domainId");
+  const domainCapacities = Object.fromEntries(
+    Object.entries(byDomain).map(([d, qs]) => [d, qs.length])
+  );
+  const domainCounts = allocateByWeights(blueprint.domainWeights, domainCapacities, total);
 
-  if (domainId && domainId !== "ALL") {
-    list = list.filter((q) => q.domainId === domainId);
-  }
+  const picked = [];
+  for (const [domainId, count] of Object.entries(domainCounts)) {
+    if (count === 0) continue;
+    const domainQuestions = byDomain[domainId];
 
-  if (section && section !== "ALL") {
-    list = list.filter((q) => q.section === section);
+    if (!blueprint.difficultyWeights) {
+      picked.push(...pickSeededSubset(domainQuestions.map(q => q.id), count, `${seedStr}::${domainId}`));
+      continue;
+    }
+
+    const byDifficulty = groupQuestionsBy(domainQuestions, "difficulty");
+    const difficultyCapacities = Object.fromEntries(
+      Object.entries(byDifficulty).map(([d, qs]) => [d, qs.length])
+    );
+    const difficultyCounts = allocateByWeights(blueprint.difficultyWeights, difficultyCapacities, count);
+
+    for (const [difficulty, n] of Object.entries(difficultyCounts)) {
+      if (n === 0) continue;
+      picked.push(...pickSeededSubset(
+        byDifficulty[difficulty].map(q => q.id),
+        n,
+        `${seedStr}::${domainId}::${difficulty}`
+      ));
+    }
   }
 
-  // Get unique difficulties from the filtered questions
-  const present = new Set(
-    list.map((q) => q.difficulty).filter(d => d)
-  );
+  return picked;
+}
 
-  // Order: Easy, Medium, Hard
-  const ordered = ["Easy", "Medium", "Hard"].filter(d => present.has(d));
+/**
+ * WHAT IT DOES: Builds the blueprint editor inputs in the setup card
+ *
+ * WHY WE NEED IT: Lets users change domain weights (e.g. to drill D4) and
+ * optionally balance difficulty. Changes are saved immediately.
+ *
+ * SIDE EFFECTS: Fills #blueprintDomains and #blueprintDifficulty inputs
+ */
+function renderBlueprintEditor() {
+  const domainsEl = document.getElementById('blueprintDomains');
+  const difficultyEl = document.getElementById('blueprintDifficulty');
+  const difficultyToggle = document.getElementById('blueprintDifficultyToggle');
+  if (!domainsEl || !difficultyEl || !difficultyToggle) return;
+
+  const blueprint = loadExamBlueprint();
+
+  domainsEl.innerHTML = Object.entries(QUESTION_DOMAINS).map(([id, name]) => `
+    <label class="field blueprint-field" title="${escapeHtml(name)}">
+      <span>${escapeHtml(id)} %</span>
+      <input type="number" min="0" max="100" step="1" data-domain="${escapeHtml(id)}"
+             value="${Number(blueprint.domainWeights[id]) || 0}" />
+    </label>
+  `).join('');
+
+  const difficultyWeights = blueprint.difficultyWeights || { Easy: 34, Medium: 33, Hard: 33 };
+  difficultyToggle.checked = Boolean(blueprint.difficultyWeights);
+  difficultyEl.innerHTML = ["Easy", "Medium", "Hard"].map(d => `
+    <label class="field blueprint-field">
+      <span>${d} %</span>
+      <input type="number" min="0" max="100" step="1" data-difficulty="${d}"
+             value="${Number(difficultyWeights[d]) || 0}" ${difficultyToggle.checked ? '' : 'disabled'} />
+    </label>
+  `).join('');
+}
 
-  // Add "ALL" as first option
-  const difficulties = ["ALL", ...ordered];
+/**
+ * WHAT IT DOES: Reads the blueprint editor inputs and saves them
+ *
+ * SIDE EFFECTS: Saves to localStorage, re-renders the editor
+ */
+function saveBlueprintFromEditor() {
+  const readWeights = (selector, attr) => {
+    const weights = {};
+    document.querySelectorAll(selector).forEach(input => {
+      weights[input.getAttribute(attr)] = Math.max(0, Number(input.value) || 0);
+    });
+    return weights;
+  };
 
-  // Build <option> tags and update dropdown
-  difficultySelect.innerHTML = difficulties
-    .map(d => `<option value="${d}">${d === "ALL" ? "All difficulties" : d}</option>`)
-    .join("");
-}
+  const domainWeights = readWeights('#blueprintDomains input', 'data-domain');
+  const useDifficulty = document.getElementById('blueprintDifficultyToggle').checked;
+  const difficultyWeights = useDifficulty
+    ? readWeights('#blueprintDifficulty input', 'data-difficulty')
+    : null;
 
-// ============================================================================
-// SECURITY FUNCTION - Prevent XSS (Cross-Site Scripting) attacks
-// ============================================================================
+  // All-zero weights make no sense: fall back to defaults
+  if (Object.values(domainWeights).every(w => w === 0)) {
+    saveExamBlueprint(null);
+  } else {
+    saveExamBlueprint({ domainWeights, difficultyWeights });
+  }
+
+  renderBlueprintEditor();
+}
 
 /**
- * WHAT IT DOES: Escapes HTML special characters to prevent security issues
- *
- * WHY WE NEED IT: When displaying question text or user input in the HTML,
- * we need to escape special characters (<, >, &, etc.) to prevent malicious
- * code injection (XSS attacks).
- *
- * HOW IT WORKS: Replaces dangerous HTML characters with safe HTML entities:
- * - & becomes &amp;
- * - < becomes &lt;
- * - > becomes &gt;
- * - " becomes &quot;
- * - ' becomes &#039;
+ * WHAT IT DOES: Builds the "exam blueprint" table for the results screen
  *
  * PARAMETERS:
- * - str: Any string that will be inserted into HTML
- *
- * RETURNS: Safe string with HTML characters escaped
- *
- * EXAMPLE:
- * escapeHtml("<script>alert('xss')</script>")
- *   → "&lt;script&gt;alert(&#039;xss&#039;)&lt;/script&gt;"
+ * - state: Completed timed session state
  *
- * SECURITY NOTE: ALWAYS use this when inserting dynamic text into HTML!
+ * RETURNS: HTML string (empty for sessions created before blueprints existed)
  */
-function escapeHtml(str) {
-  return String(str)
-    .replaceAll("&", "&amp;")    // Must be first to avoid double-escaping
-    .replaceAll("<", "&lt;")     // Prevent HTML tags
-    .replaceAll(">", "&gt;")     // Prevent HTML tags
-    .replaceAll('"', "&quot;")   // Prevent breaking attributes
-    .replaceAll("'", "&#039;");  // Prevent breaking attributes
+function buildBlueprintSummaryHtml(state) {
+  const { session } = state;
+  if (!session.blueprint) return '';
+
+  const weights = session.blueprint.domainWeights;
+  const weightSum = Object.values(weights).reduce((sum, w) => sum + (Number(w) || 0), 0) || 1;
+  const total = session.questionIds.length;
+
+  const rows = {};
+  for (const qid of session.questionIds) {
+    const q = QMAP.get(qid);
+    if (!q) continue;
+    if (!rows[q.domainId]) rows[q.domainId] = { count: 0, correct: 0 };
+    rows[q.domainId].count++;
+    const ans = session.answers[qid];
+    if (ans !== undefined && isCorrectAnswer(ans, q.answer)) rows[q.domainId].correct++;
+  }
+
+  const rowsHtml = Object.keys(rows).sort().map(domainId => {
+    const row = rows[domainId];
+    const target = Math.round(((Number(weights[domainId]) || 0) / weightSum) * 100);
+    const actual = Math.round((row.count / total) * 100);
+    return `
+      <tr>
+        <td>${escapeHtml(domainId)}</td>
+        <td>${target}%</td>
+        <td>${row.count} (${actual}%)</td>
+        <td>${row.correct}/${row.count}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div class="blueprint-summary">
+      <div style="font-weight:600; margin-bottom:6px;">Exam blueprint${session.blueprint.difficultyWeights ? ' (difficulty balanced)' : ''}</div>
+      <table class="blueprint-table">
+        <thead><tr><th>Domain</th><th>Target</th><th>Questions</th><th>Correct</th></tr></thead>
+        <tbody>${rowsHtml}</tbody>
+      </table>
+    </div>
+  `;
 }
 
 // ============================================================================
-// MULTI-ANSWER SUPPORT - Helper functions for questions with multiple correct answers
+// EXAM SETTINGS - Accommodations and exam length for Timed mode
 // ============================================================================
+// AWS grants non-native English speakers 30 extra minutes (the ESL +30
+// accommodation). Timed exams can also be shortened (e.g. 20-question
+// mini-mocks, scored/unscored split kept proportional) or given a custom
+// duration. Each session stores its exam format, and so does its history
+// record, so score trends can compare exams of the same format.
+
+let EXAM_SETTINGS_KEY = "saa_exam_settings_v1"; // localStorage key for the timed exam settings (per exam profile)
+const ESL_EXTRA_MINUTES = 30; // ESL accommodation for a full-length exam (pro-rated for shorter ones)
+const EXAM_MIN_QUESTIONS = 5; // Shortest custom timed exam
+const EXAM_MIN_MINUTES = 5; // Custom duration bounds (minutes, before the ESL extension)
+const EXAM_MAX_MINUTES = 300;
 
 /**
- * WHAT IT DOES: Checks if a question has multiple correct answers
- *
- * WHY WE NEED IT: Questions can have either single answer (integer) or
- * multiple answers (array). We need to detect which type to handle selection
- * and validation correctly.
- *
- * PARAMETERS:
- * - question: Question object with answer field
- *
- * RETURNS: Boolean - true if multi-answer, false if single-answer
+ * WHAT IT DOES: Loads the timed exam settings
  *
- * EXAMPLES:
- * - isMultiAnswer({answer: 2}) → false (single answer)
- * - isMultiAnswer({answer: [1, 2]}) → true (multi-answer)
+ * RETURNS: { esl: boolean, totalQuestions: number|null, durationMinutes: number|null }
+ * (null = the exam profile's standard value)
  */
-function isMultiAnswer(question) {
-  return Array.isArray(question.answer);
+function loadExamSettings() {
+  const defaults = { esl: false, totalQuestions: null, durationMinutes: null };
+
+  return safeOperation('Load Exam Settings', () => {
+    const raw = localStorage.getItem(EXAM_SETTINGS_KEY);
+    if (!raw) return defaults;
+
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") {
+      console.warn('[SAA Warning] Invalid exam settings, using defaults');
+      return defaults;
+    }
+    return {
+      esl: parsed.esl === true,
+      totalQuestions: Number.isInteger(parsed.totalQuestions) ? parsed.totalQuestions : null,
+      durationMinutes: Number.isInteger(parsed.durationMinutes) ? parsed.durationMinutes : null
+    };
+  }, defaults);
 }
 
 /**
- * WHAT IT DOES: Validates if user's answer is correct
+ * WHAT IT DOES: Saves the timed exam settings (null = back to the standard exam)
  *
- * WHY WE NEED IT: Handles both single-answer (simple equality) and
- * multi-answer (array comparison with all-or-nothing logic)
+ * SIDE EFFECTS: Writes/removes EXAM_SETTINGS_KEY in localStorage
+ */
+function saveExamSettings(settings) {
+  safeOperation('Save Exam Settings', () => {
+    if (!settings) {
+      localStorage.removeItem(EXAM_SETTINGS_KEY);
+      return;
+    }
+    localStorage.setItem(EXAM_SETTINGS_KEY, JSON.stringify(settings));
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Turns exam settings into the format a timed session runs with
  *
  * HOW IT WORKS:
- * - Single-answer: userAnswer === correctAnswer
- * - Multi-answer: Arrays must match exactly (same indices, same length)
- *   User must select ALL correct answers and NO incorrect answers
+ * - Question count: custom or the profile's, scored questions pro-rated
+ *   (20 of 65 → 15 scored + 5 unscored)
+ * - Duration: custom, else the profile's duration pro-rated to the question
+ *   count (20 of 65 questions → 40 of 130 minutes)
+ * - ESL: ESL_EXTRA_MINUTES pro-rated the same way, added on top
  *
  * PARAMETERS:
- * - userAnswer: User's selection (integer or array of integers)
- * - correctAnswer: Correct answer (integer or array of integers)
- *
- * RETURNS: Boolean - true if correct, false otherwise
+ * - settings: From loadExamSettings() ({} = the standard exam)
  *
- * EXAMPLES:
- * Single-answer:
- * - isCorrectAnswer(2, 2) → true
- * - isCorrectAnswer(1, 2) → false
+ * RETURNS: { id, totalQuestions, scoredQuestions, durationSec, eslExtraSec, esl }
+ * (id is e.g. "65q-130m" or "20q-49m-esl")
  *
- * Multi-answer (all-or-nothing):
- * - isCorrectAnswer([1, 2], [1, 2]) → true (exact match)
- * - isCorrectAnswer([2, 1], [1, 2]) → true (order doesn't matter)
- * - isCorrectAnswer([1], [1, 2]) → false (missing one answer)
- * - isCorrectAnswer([1, 2, 3], [1, 2]) → false (extra wrong answer)
+ * EXAMPLE:
+ * buildExamFormat({ esl: true }) → { id: "65q-160m-esl", totalQuestions: 65,
+ *   scoredQuestions: 50, durationSec: 9600, eslExtraSec: 1800, esl: true }
  */
-function isCorrectAnswer(userAnswer, correctAnswer) {
-  // Multi-answer question
-  if (Array.isArray(correctAnswer)) {
-    // User must provide an array
-    if (!Array.isArray(userAnswer)) return false;
+function buildExamFormat(settings) {
+  const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
 
-    // Must select exact number of answers (all-or-nothing)
-    if (userAnswer.length !== correctAnswer.length) return false;
+  const totalQuestions = settings.totalQuestions
+    ? clamp(settings.totalQuestions, Math.min(EXAM_MIN_QUESTIONS, EXAM_TOTAL_QUESTIONS), EXAM_TOTAL_QUESTIONS)
+    : EXAM_TOTAL_QUESTIONS;
+  const share = totalQuestions / EXAM_TOTAL_QUESTIONS;
 
-    // All selected answers must be correct (no extras, no missing)
-    // Sort both arrays to compare regardless of selection order
-    const sortedUser = [...userAnswer].sort((a, b) => a - b);
-    const sortedCorrect = [...correctAnswer].sort((a, b) => a - b);
-    return sortedUser.every((val, idx) => val === sortedCorrect[idx]);
-  }
+  const scoredQuestions = Math.max(1, Math.round(EXAM_SCORED_QUESTIONS * share));
+  const baseMinutes = settings.durationMinutes
+    ? clamp(settings.durationMinutes, EXAM_MIN_MINUTES, EXAM_MAX_MINUTES)
+    : Math.max(1, Math.round((EXAM_DURATION_SEC / 60) * share));
+  const eslMinutes = settings.esl ? Math.max(1, Math.round(ESL_EXTRA_MINUTES * share)) : 0;
+  const minutes = baseMinutes + eslMinutes;
 
-  // Single-answer question
-  return userAnswer === correctAnswer;
+  return {
+    id: `${totalQuestions}q-${minutes}m${settings.esl ? '-esl' : ''}`,
+    totalQuestions,
+    scoredQuestions,
+    durationSec: minutes * 60,
+    eslExtraSec: eslMinutes * 60,
+    esl: Boolean(settings.esl)
+  };
 }
 
 /**
- * WHAT IT DOES: Checks if a choice index is selected
- *
- * WHY WE NEED IT: User selections can be stored as integer (single-answer)
- * or array (multi-answer). This helper abstracts the check.
- *
- * PARAMETERS:
- * - userAnswer: User's selection (integer or array of integers)
- * - choiceIndex: Index to check (0-based)
- *
- * RETURNS: Boolean - true if selected, false otherwise
+ * WHAT IT DOES: Exam format of a history record (or session)
  *
- * EXAMPLES:
- * - isChoiceSelected(2, 2) → true (single-answer, exact match)
- * - isChoiceSelected(2, 1) → false (single-answer, no match)
- * - isChoiceSelected([1, 2], 1) → true (multi-answer, included)
- * - isChoiceSelected([1, 2], 3) → false (multi-answer, not included)
+ * RETURNS: The stored format; timed exams recorded before exam settings
+ * existed ran the standard format. null for Review/Spaced sessions.
  */
-function isChoiceSelected(userAnswer, choiceIndex) {
-  if (Array.isArray(userAnswer)) {
-    return userAnswer.includes(choiceIndex);
-  }
-  return userAnswer === choiceIndex;
+function getRecordExamFormat(record) {
+  if (!record || record.mode !== "timed") return null;
+  return record.examFormat || buildExamFormat({});
 }
 
-// ============================================================================
-// TIMER FUNCTIONS - Countdown timer for Timed mode
-// ============================================================================
+/**
+ * WHAT IT DOES: Human-readable exam format ("65 questions • 160 min (ESL +30)")
+ */
+function formatExamFormatLabel(format) {
+  const minutes = Math.round(format.durationSec / 60);
+  const esl = format.esl ? ` (ESL +${Math.round(format.eslExtraSec / 60)})` : '';
+  return `${format.totalQuestions} questions • ${minutes} min${esl}`;
+}
 
 /**
- * WHAT IT DOES: Stops the running countdown timer
+ * WHAT IT DOES: Fills the exam settings panel in the setup card
  *
- * WHY WE NEED IT: Prevents memory leaks and ensures only one timer runs
- * at a time. Called when switching questions, finishing exam, or leaving page.
- *
- * SIDE EFFECTS: Clears the interval and sets timerInterval to null
+ * SIDE EFFECTS: Sets the #examEslToggle, #examQuestionCount and
+ * #examDurationMinutes inputs and the #examFormatSummary text
  */
-function stopTimer() {
-  if (timerInterval) {
-    clearInterval(timerInterval);  // Stop the interval
-    timerInterval = null;  // Clear the reference
-  }
+function renderExamSettingsEditor() {
+  const eslToggle = document.getElementById('examEslToggle');
+  const countInput = document.getElementById('examQuestionCount');
+  const durationInput = document.getElementById('examDurationMinutes');
+  const summaryEl = document.getElementById('examFormatSummary');
+  if (!eslToggle || !countInput || !durationInput || !summaryEl) return;
+
+  const settings = loadExamSettings();
+  const format = buildExamFormat(settings);
+
+  eslToggle.checked = settings.esl;
+  countInput.min = String(Math.min(EXAM_MIN_QUESTIONS, EXAM_TOTAL_QUESTIONS));
+  countInput.max = String(EXAM_TOTAL_QUESTIONS);
+  countInput.placeholder = String(EXAM_TOTAL_QUESTIONS);
+  countInput.value = settings.totalQuestions ? String(format.totalQuestions) : '';
+  durationInput.min = String(EXAM_MIN_MINUTES);
+  durationInput.max = String(EXAM_MAX_MINUTES);
+  durationInput.placeholder = `${Math.round((format.durationSec - format.eslExtraSec) / 60)} (auto)`;
+  durationInput.value = settings.durationMinutes ? String(Math.round((format.durationSec - format.eslExtraSec) / 60)) : '';
+
+  const unscored = format.totalQuestions - format.scoredQuestions;
+  summaryEl.textContent =
+    `Next timed exam: ${formatExamFormatLabel(format)} - ${format.scoredQuestions} scored, ${unscored} unscored.` +
+    (format.id === buildExamFormat({}).id ? ' (Standard exam)' : '');
 }
 
 /**
- * WHAT IT DOES: Formats seconds into HH:MM:SS clock display
+ * WHAT IT DOES: Reads the exam settings panel and saves it
  *
- * WHY WE NEED IT: The timer stores seconds, but users need to see a
- * readable clock format like "02:10:00" (2 hours, 10 minutes, 0 seconds)
+ * SIDE EFFECTS: Saves to localStorage, re-renders the panel and the mode hint
+ */
+function saveExamSettingsFromEditor() {
+  const readInt = (id) => {
+    const value = parseInt(document.getElementById(id).value, 10);
+    return Number.isInteger(value) && value > 0 ? value : null;
+  };
+
+  const settings = {
+    esl: document.getElementById('examEslToggle').checked,
+    totalQuestions: readInt('examQuestionCount'),
+    durationMinutes: readInt('examDurationMinutes')
+  };
+  if (settings.totalQuestions === EXAM_TOTAL_QUESTIONS) settings.totalQuestions = null;
+
+  const isStandard = !settings.esl && !settings.totalQuestions && !settings.durationMinutes;
+  saveExamSettings(isStandard ? null : settings);
+
+  renderExamSettingsEditor();
+  ensureModeRulesUI();
+}
+
+// ============================================================================
+// FILTER AND SESSION KEY FUNCTIONS - Handle quiz filtering and session identity
+// ============================================================================
+
+/**
+ * WHAT IT DOES: Reads the current filter selections from the UI dropdowns
  *
- * PARAMETERS:
- * - totalSec: Number of seconds to format (e.g., 7800 for 130 minutes)
+ * WHY WE NEED IT: Centralizes reading UI state so we don't have to access
+ * the dropdowns directly throughout the code.
  *
- * RETURNS: Formatted time string "HH:MM:SS"
+ * RETURNS: Object with mode, domainId, and section from dropdown values
  *
  * EXAMPLE:
- * formatClock(7800) → "02:10:00"
- * formatClock(90) → "00:01:30"
+ * getFiltersFromUI() → { mode: "review", domainId: "D1", section: "ALL" }
  */
-function formatClock(totalSec) {
-  const s = Math.max(0, totalSec);  // Prevent negative time
-  const hh = Math.floor(s / 3600);  // Hours
-  const mm = Math.floor((s % 3600) / 60);  // Minutes
-  const ss = s % 60;  // Seconds
-  const pad = (n) => String(n).padStart(2, "0");  // Add leading zero
-  return `${pad(hh)}:${pad(mm)}:${pad(ss)}`;
+function getFiltersFromUI() {
+  return {
+    mode: normalizeMode(modeSelect.value),
+    domainId: domainSelect.value,
+    section: sectionSelect.value,
+    difficulty: difficultySelect.value,
+    bookmarks: bookmarkSelect.value
+  };
 }
 
 /**
- * WHAT IT DOES: Calculates how many seconds remain in the timed exam
+ * WHAT IT DOES: Creates a unique key string for a quiz session
  *
- * WHY WE NEED IT: Timer needs to account for page refreshes and browser
- * sleep. We calculate elapsed time from the start timestamp each time.
+ * WHY WE NEED IT: We need to identify sessions uniquely so we can resume
+ * the correct quiz. Different filter combinations = different sessions.
  *
- * HOW IT WORKS:
- * 1. Get current time - start time = elapsed time
- * 2. Total duration - elapsed time = remaining time
+ * RULES:
+ * - Timed mode: Always "timed::ALL::ALL" (no filtering allowed)
+ * - Review mode: "review::domainId::section" (e.g., "review::D1::EC2")
+ * - Spaced mode: "spaced::domainId::section" (same filters as review)
+ * - Focused sessions: "review::focus::<origin type>" (see FOCUSED REVIEW)
  *
  * PARAMETERS:
- * - session: Session object with startedAtMs and durationSec
+ * - filters: Object with mode, domainId, section
  *
- * RETURNS: Number of seconds remaining (can be negative if time expired)
+ * RETURNS: String key identifying this unique session
  *
  * EXAMPLE:
- * If exam started 60 seconds ago with 130-minute duration:
- * getRemainingSec(session) → 7740 seconds (129 minutes left)
+ * sessionKeyFor({mode: "review", domainId: "D1", section: "IAM"})
+ *   → "review::D1::IAM"
  */
-function getRemainingSec(session) {
-  const elapsed = Math.floor((nowMs() - session.startedAtMs) / 1000);
-  return session.durationSec - elapsed;
+function sessionKeyFor(filters) {
+  const mode = normalizeMode(filters.mode);
+
+  // Focused sessions (explicit id list): one slot per origin type
+  if (Array.isArray(filters.questionIds)) {
+    return `${mode}::focus::${(filters.origin && filters.origin.type) || "custom"}`;
+  }
+
+  // Timed mode sessions are identified by difficulty filter
+  // (domain and section are always ALL in timed mode)
+  if (mode === "timed") return `timed::ALL::ALL::${filters.difficulty || "ALL"}`;
+
+  // Review and spaced sessions are identified by domain + section + difficulty
+  // (+ "::bookmarked" when limited to bookmarks, so older keys stay valid)
+  const key = `${mode}::${filters.domainId}::${filters.section}::${filters.difficulty || "ALL"}`;
+  return filters.bookmarks === "BOOKMARKED" ? `${key}::bookmarked` : key;
 }
 
 /**
- * WHAT IT DOES: Updates the timer display and checks if time expired
+ * WHAT IT DOES: Filters the question list based on user selections
  *
- * WHY WE NEED IT: Called every second to update the countdown and
- * automatically submit the exam when time runs out.
+ * WHY WE NEED IT: In Review mode, users can choose to practice only
+ * certain domains or sections. This returns only the matching questions.
  *
- * HOW IT WORKS:
- * 1. Calculate remaining time
- * 2. Update the timer display text
- * 3. If time <= 0 and exam not completed, auto-submit
+ * RULES:
+ * - Timed mode: NO filtering, always all questions
+ * - Review/Spaced mode: Filter by domain and/or section if not "ALL",
+ *   and to bookmarked questions when bookmarks is "BOOKMARKED"
  *
  * PARAMETERS:
- * - state: Current app state with session data
+ * - filters: Object with mode, domainId, section
  *
- * SIDE EFFECTS:
- * - Updates timerEl.textContent
- * - May auto-complete session and show results
- * - Persists state to localStorage
+ * RETURNS: Array of question objects that match the filters
+ *
+ * EXAMPLE:
+ * filteredQuestions({mode: "review", domainId: "D1", section: "IAM"})
+ *   → [all IAM questions from Domain 1]
  */
-function updateTimerUI(state) {
-  const session = state.session;
-
-  // If paused, show frozen time instead of calculated time
-  const remaining = quizPausedState && quizPausedState.frozenTime !== undefined
-    ? quizPausedState.frozenTime
-    : getRemainingSec(session);
-
-  timerEl.textContent = `Time left: ${formatClock(remaining)}`;
+function filteredQuestions(filters) {
+  let list = QUESTIONS;
 
-  // Add warning class when time is low (< 5 minutes)
-  if (remaining > 0 && remaining < 300) {
-    timerEl.classList.add('warning');
-  } else {
-    timerEl.classList.remove('warning');
+  // Apply difficulty filter for both timed and review modes
+  if (filters.difficulty && filters.difficulty !== "ALL") {
+    list = list.filter((q) => q.difficulty === filters.difficulty);
   }
 
-  // Time expired! Auto-submit the exam
-  if (remaining <= 0 && !session.completed) {
-    session.completed = true;
-    state.session = session;
-    persistRuntimeState(state);
-    stopTimer();
-    showResults(state, true);  // true = auto-ended (time's up)
+  // Review and spaced modes: Also filter by domain and section
+  if (filters.mode !== "timed") {
+    // Filter by domain if not "ALL"
+    if (filters.domainId !== "ALL") {
+      list = list.filter((q) => q.domainId === filters.domainId);
+    }
+    // Filter by section if not "ALL"
+    if (filters.section !== "ALL") {
+      list = list.filter((q) => questionHasTag(q, filters.section));
+    }
+    // Only bookmarked questions
+    if (filters.bookmarks === "BOOKMARKED") {
+      const notes = loadQuestionNotes().items;
+      list = list.filter((q) => notes[q.id] && notes[q.id].bookmarked);
+    }
   }
+
+  return list;
 }
 
+// ============================================================================
+// UI BUILDER FUNCTIONS - Populate dropdown menus dynamically
+// ============================================================================
+
 /**
- * WHAT IT DOES: Starts the countdown timer for Timed mode
+ * WHAT IT DOES: Populates the domain dropdown with all available domains
  *
- * WHY WE NEED IT: Begins the 130-minute countdown when user starts or
- * resumes a timed exam.
+ * WHY WE NEED IT: Domains are loaded from questions.json dynamically, so
+ * we build the dropdown options from the actual question data instead of
+ * hardcoding them.
+ *
+ * HOW IT WORKS:
+ * 1. Extracts unique domains from all questions (D1, D2, D3, D4)
+ * 2. Adds "All domains" as first option
+ * 3. Generates <option> HTML for each domain
+ * 4. Updates the domain dropdown
+ *
+ * SIDE EFFECTS: Modifies domainSelect.innerHTML
+ */
+function buildDomainOptions() {
+  // Create "ALL" option + extract unique domains from questions
+  const domains = [
+    { id: "ALL", name: "All domains" },
+    ...Array.from(
+      new Map(QUESTIONS.map((q) => [q.domainId, q.domain])).entries()
+    ).map(([id, name]) => ({ id, name }))
+  ];
+
+  // Build <option> tags and update dropdown
+  domainSelect.innerHTML = domains
+    .map((d) => `<option value="${d.id}">${d.name}</option>`)
+    .join("");
+}
+
+/**
+ * WHAT IT DOES: Populates the section dropdown with service tags for a given domain
+ *
+ * WHY WE NEED IT: Different domains have different AWS services/sections.
+ * This ensures the section dropdown only shows relevant options for the
+ * selected domain.
  *
  * HOW IT WORKS:
- * 1. Stop any existing timer (cleanup)
- * 2. Show the timer element
- * 3. Update display immediately
- * 4. Set interval to update every second
+ * 1. Filter questions by selected domain (if not "ALL")
+ * 2. Collect the canonical tags of those questions (see getQuestionTags)
+ * 3. Group tags into <optgroup>s in SERVICE_TAXONOMY order
+ * 4. Tags outside the taxonomy go into an "Other" group
+ * 5. Add "All sections" as first option and update the dropdown
  *
  * PARAMETERS:
- * - state: Current app state with session data
+ * - domainId: The selected domain ID ("ALL", "D1", "D2", "D3", or "D4")
  *
- * SIDE EFFECTS:
- * - Shows timer element
- * - Creates interval that runs every 1000ms
- * - Updates global timerInterval variable
+ * SIDE EFFECTS: Modifies sectionSelect.innerHTML
+ *
+ * EXAMPLE:
+ * buildSectionOptions("D1") → Shows only sections present in Domain 1
  */
-function startTimer(state) {
-  stopTimer();  // Clean up any existing timer
-  timerEl.hidden = false;  // Make timer visible
-  updateTimerUI(state);  // Show initial time immediately
-  timerInterval = setInterval(() => updateTimerUI(state), 1000);  // Update every second
-}
+function buildSectionOptions(domainId) {
+  // Start with all questions, then filter by domain if specified
+  let list = QUESTIONS;
+  if (domainId && domainId !== "ALL") {
+    list = list.filter((q) => q.domainId === domainId);
+  }
 
-function ensureModeRulesUI() {
-  const mode = normalizeMode(modeSelect.value);
+  // Get unique tags from the filtered questions
+  const present = new Set(list.flatMap(getQuestionTags));
 
-  if (mode === "timed") {
-    // Force domain and section to ALL (disabled in timed mode)
-    domainSelect.value = "ALL";
-    sectionSelect.value = "ALL";
-    domainSelect.disabled = true;
-    sectionSelect.disabled = true;
+  const optionsHtml = (tags) => tags
+    .map((t) => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`)
+    .join("");
 
-    // Difficulty can be selected in timed mode (enabled)
-    difficultySelect.disabled = false;
+  // One <optgroup> per taxonomy category that has questions
+  const groups = SERVICE_TAXONOMY
+    .map(({ category, tags }) => ({ category, tags: tags.filter((t) => present.has(t)) }))
+    .filter((g) => g.tags.length);
 
-    hintText.textContent =
-      "Timed mode: random 65 questions from all domains and sections. Filter by difficulty if desired. Finish the exam to see results.";
-  } else {
-    // Review mode: all filters enabled
-    domainSelect.disabled = false;
-    sectionSelect.disabled = false;
-    difficultySelect.disabled = false;
-    buildSectionOptions(domainSelect.value);
-    buildDifficultyOptions(domainSelect.value, sectionSelect.value);
+  const known = new Set(groups.flatMap((g) => g.tags));
+  const other = Array.from(present).filter((t) => !known.has(t)).sort();
+  if (other.length) groups.push({ category: "Other", tags: other });
 
-    hintText.textContent =
-      "Review mode: filter by domain, section, and difficulty. Question order and answers persist on refresh.";
-  }
+  // Build <option> tags and update dropdown
+  sectionSelect.innerHTML =
+    `<option value="ALL">All sections</option>` +
+    groups
+      .map((g) => `<optgroup label="${escapeHtml(g.category)}">${optionsHtml(g.tags)}</optgroup>`)
+      .join("");
 }
 
-function createNewSession(filters, forceFresh) {
-  filters.mode = normalizeMode(filters.mode);
-
-  const key = sessionKeyFor(filters);
-  const existing = loadState();
+/**
+ * WHAT IT DOES: Populates the difficulty dropdown based on available difficulties
+ * in the current domain/section filter
+ *
+ * WHY WE NEED IT: Shows only relevant difficulties for the selected domain/section,
+ * similar to how sections update based on domain
+ *
+ * HOW IT WORKS:
+ * 1. Filter questions by current domain and section selections
+ * 2. Extract unique difficulty values from filtered questions
+ * 3. Order them as Easy, Medium, Hard
+ * 4. Add "All difficulties" as first option
+ * 5. Populate the difficulty dropdown
+ *
+ * PARAMETERS:
+ * - domainId: Current domain filter ("ALL" or "D1"-"D4")
+ * - section: Current section filter ("ALL" or service tag)
+ */
+function buildDifficultyOptions(domainId, section) {
+  // Start with all questions, then filter by domain/section
+  let list = QUESTIONS;
 
-  // Resume if same key and not forcing fresh
-  if (
-    !forceFresh &&
-    existing &&
-    existing.sessionKey === key &&
-    existing.session &&
-    !existing.session.completed
-  ) {
-    return existing;
+  if (domainId && domainId !== "ALL") {
+    list = list.filter((q) => q.domainId === domainId);
   }
 
-  // Build new session
-  let list = filteredQuestions(filters);
-
-  // Generate seed for deterministic shuffling
-  const seed = `${key}::${nowMs()}`;
-
-  // Timed mode: select 65 random questions from filtered pool
-  if (filters.mode === "timed") {
-    // list is already filtered by difficulty (line 866)
-    // DO NOT overwrite it with QUESTIONS
-
-    // Ensure we have at least 65 questions in the filtered pool
-    if (list.length < EXAM_TOTAL_QUESTIONS) {
-      throw new Error(
-        `Timed mode requires at least ${EXAM_TOTAL_QUESTIONS} questions (currently: ${list.length}). Try selecting "All difficulties" or choose a different filter.`
-      );
-    }
-
-    // If more than 65 questions, randomly select 65 using seeded subset
-    // This ensures questions are picked from throughout the pool (not just first 65)
-    if (list.length > EXAM_TOTAL_QUESTIONS) {
-      const questionIds = list.map(q => q.id);
-      const selectedIds = pickSeededSubset(
-        questionIds,
-        EXAM_TOTAL_QUESTIONS,
-        seed + "::timedSelection"
-      );
-      list = selectedIds.map(id => QMAP.get(id));
-    }
+  if (section && section !== "ALL") {
+    list = list.filter((q) => questionHasTag(q, section));
   }
 
-  // Review mode: limit to 50 questions max
-  // Use RANDOM selection (not first 50 or last 50)
-  if (filters.mode === "review") {
-    if (list.length > REVIEW_MAX_QUESTIONS) {
-      const questionIds = list.map(q => q.id);
-      const selectedIds = pickSeededSubset(
-        questionIds,
-        REVIEW_MAX_QUESTIONS,
-        seed + "::reviewSelection"
-      );
-      list = selectedIds.map(id => QMAP.get(id));
-    }
-  }
+  // Get unique difficulties from the filtered questions
+  const present = new Set(
+    list.map((q) => q.difficulty).filter(d => d)
+  );
 
-  if (list.length === 0) throw new Error("No questions match your filters.");
-  const order = seededShuffle(list.map((q) => q.id), seed);
+  // Order: Easy, Medium, Hard
+  const ordered = ["Easy", "Medium", "Hard"].filter(d => present.has(d));
 
-  const session = {
-    version: 1,
-    mode: filters.mode,
-    domainId: filters.mode === "timed" ? "ALL" : filters.domainId,
-    section: filters.mode === "timed" ? "ALL" : filters.section,
-    seed,
-    questionIds: order,
-    answers: {}, // { [id]: choiceIndex }
-    flaggedQuestions: [], // Array of question IDs flagged for review (Timed mode only)
-    checkedQuestions: new Set(), // Question IDs where user clicked "Check Answer" (Review mode only)
-    currentIndex: 0,
-    createdAtMs: nowMs(),
-    completed: false
-  };
+  // Add "ALL" as first option
+  const difficulties = ["ALL", ...ordered];
 
-  if (filters.mode === "timed") {
-    session.startedAtMs = nowMs();
-    session.durationSec = EXAM_DURATION_SEC;
+  // Build <option> tags and update dropdown
+  difficultySelect.innerHTML = difficulties
+    .map(d => `<option value="${d}">${d === "ALL" ? "All difficulties" : d}</option>`)
+    .join("");
+}
 
-    // Only 50 random question IDs are scored (hidden) -> 1000 max
-    const scored = pickSeededSubset(order, EXAM_SCORED_QUESTIONS, seed + "::scored");
-    session.scoredIds = new Set(scored);
-  }
+// ============================================================================
+// SECURITY FUNCTION - Prevent XSS (Cross-Site Scripting) attacks
+// ============================================================================
 
-  // Convert Sets to arrays for storage
-  const state = {
-    sessionKey: key,
-    session: {
-      ...session,
-      scoredIds: session.scoredIds ? Array.from(session.scoredIds) : null,
-      checkedQuestions: Array.from(session.checkedQuestions)
-    }
-  };
-
-  saveState(state);
-  return state;
+/**
+ * WHAT IT DOES: Escapes HTML special characters to prevent security issues
+ *
+ * WHY WE NEED IT: When displaying question text or user input in the HTML,
+ * we need to escape special characters (<, >, &, etc.) to prevent malicious
+ * code injection (XSS attacks).
+ *
+ * HOW IT WORKS: Replaces dangerous HTML characters with safe HTML entities:
+ * - & becomes &amp;
+ * - < becomes &lt;
+ * - > becomes &gt;
+ * - " becomes &quot;
+ * - ' becomes &#039;
+ *
+ * PARAMETERS:
+ * - str: Any string that will be inserted into HTML
+ *
+ * RETURNS: Safe string with HTML characters escaped
+ *
+ * EXAMPLE:
+ * escapeHtml("<script>alert('xss')</script>")
+ *   → "&lt;script&gt;alert(&#039;xss&#039;)&lt;/script&gt;"
+ *
+ * SECURITY NOTE: ALWAYS use this when inserting dynamic text into HTML!
+ */
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")    // Must be first to avoid double-escaping
+    .replaceAll("<", "&lt;")     // Prevent HTML tags
+    .replaceAll(">", "&gt;")     // Prevent HTML tags
+    .replaceAll('"', "&quot;")   // Prevent breaking attributes
+    .replaceAll("'", "&#039;");  // Prevent breaking attributes
 }
 
-function normalizeStateForRuntime(state) {
-  if (!state || !state.session) return state;
+// ============================================================================
+// MULTI-ANSWER SUPPORT - Helper functions for questions with multiple correct answers
+// ============================================================================
 
-  // Migrate any non-timed mode (including old "practice") to "review"
-  state.session.mode = normalizeMode(state.session.mode);
+/**
+ * WHAT IT DOES: Checks if a question has multiple correct answers
+ *
+ * WHY WE NEED IT: Questions can have either single answer (integer) or
+ * multiple answers (array). We need to detect which type to handle selection
+ * and validation correctly.
+ *
+ * PARAMETERS:
+ * - question: Question object with answer field
+ *
+ * RETURNS: Boolean - true if multi-answer, false if single-answer
+ *
+ * EXAMPLES:
+ * - isMultiAnswer({answer: 2}) → false (single answer)
+ * - isMultiAnswer({answer: [1, 2]}) → true (multi-answer)
+ */
+function isMultiAnswer(question) {
+  return Array.isArray(question.answer);
+}
 
-  // Migrate sessionKey prefix if needed
-  if (typeof state.sessionKey === "string") {
-    state.sessionKey = state.sessionKey.replace(/^practice::/i, "review::");
-  }
+/**
+ * WHAT IT DOES: Validates if user's answer is correct
+ *
+ * WHY WE NEED IT: Handles both single-answer (simple equality) and
+ * multi-answer (array comparison with all-or-nothing logic)
+ *
+ * HOW IT WORKS:
+ * - Single-answer: userAnswer === correctAnswer
+ * - Multi-answer: Arrays must match exactly (same indices, same length)
+ *   User must select ALL correct answers and NO incorrect answers
+ *
+ * PARAMETERS:
+ * - userAnswer: User's selection (integer or array of integers)
+ * - correctAnswer: Correct answer (integer or array of integers)
+ *
+ * RETURNS: Boolean - true if correct, false otherwise
+ *
+ * EXAMPLES:
+ * Single-answer:
+ * - isCorrectAnswer(2, 2) → true
+ * - isCorrectAnswer(1, 2) → false
+ *
+ * Multi-answer (all-or-nothing):
+ * - isCorrectAnswer([1, 2], [1, 2]) → true (exact match)
+ * - isCorrectAnswer([2, 1], [1, 2]) → true (order doesn't matter)
+ * - isCorrectAnswer([1], [1, 2]) → false (missing one answer)
+ * - isCorrectAnswer([1, 2, 3], [1, 2]) → false (extra wrong answer)
+ */
+function isCorrectAnswer(userAnswer, correctAnswer) {
+  // Multi-answer question
+  if (Array.isArray(correctAnswer)) {
+    // User must provide an array
+    if (!Array.isArray(userAnswer)) return false;
 
-  if (state.session.mode === "timed") {
-    // Good case: array from localStorage -> Set
-    if (Array.isArray(state.session.scoredIds)) {
-      state.session.scoredIds = new Set(state.session.scoredIds);
-    }
-    // Bad case: {} or null -> rebuild deterministically from seed + questionIds
-    else if (!(state.session.scoredIds instanceof Set)) {
-      const rebuilt = pickSeededSubset(
-        state.session.questionIds,
-        EXAM_SCORED_QUESTIONS,
-        state.session.seed + "::scored"
-      );
-      state.session.scoredIds = new Set(rebuilt);
-    }
-  }
+    // Must select exact number of answers (all-or-nothing)
+    if (userAnswer.length !== correctAnswer.length) return false;
 
-  // Convert checkedQuestions from array to Set (for both timed and review modes)
-  if (Array.isArray(state.session.checkedQuestions)) {
-    state.session.checkedQuestions = new Set(state.session.checkedQuestions);
-  } else if (!(state.session.checkedQuestions instanceof Set)) {
-    state.session.checkedQuestions = new Set();
+    // All selected answers must be correct (no extras, no missing)
+    // Sort both arrays to compare regardless of selection order
+    const sortedUser = [...userAnswer].sort((a, b) => a - b);
+    const sortedCorrect = [...correctAnswer].sort((a, b) => a - b);
+    return sortedUser.every((val, idx) => val === sortedCorrect[idx]);
   }
 
-  return state;
+  // Single-answer question
+  return userAnswer === correctAnswer;
 }
 
-function persistRuntimeState(state) {
-  if (!state || !state.session) return;
+/**
+ * WHAT IT DOES: Lists the picked choices that are not correct answers
+ *
+ * WHY WE NEED IT: Distractor analysis (question stats, common traps) needs
+ * to know which wrong choices were picked, not only that the answer was wrong
+ *
+ * PARAMETERS:
+ * - question: Question object
+ * - chosen: Picked choice indices (array), a single index, or undefined/null
+ *
+ * RETURNS: Array of wrong choice indices (empty if nothing wrong was picked)
+ *
+ * EXAMPLE: answer [1, 3], chosen [1, 2] → [2]
+ */
+function getWrongPicks(question, chosen) {
+  if (chosen === undefined || chosen === null) return [];
+  const correctSet = new Set(isMultiAnswer(question) ? question.answer : [question.answer]);
+  return (Array.isArray(chosen) ? chosen : [chosen]).filter(idx => !correctSet.has(idx));
+}
 
-  const s = state.session;
+/**
+ * WHAT IT DOES: Checks if a choice index is selected
+ *
+ * WHY WE NEED IT: User selections can be stored as integer (single-answer)
+ * or array (multi-answer). This helper abstracts the check.
+ *
+ * PARAMETERS:
+ * - userAnswer: User's selection (integer or array of integers)
+ * - choiceIndex: Index to check (0-based)
+ *
+ * RETURNS: Boolean - true if selected, false otherwise
+ *
+ * EXAMPLES:
+ * - isChoiceSelected(2, 2) → true (single-answer, exact match)
+ * - isChoiceSelected(2, 1) → false (single-answer, no match)
+ * - isChoiceSelected([1, 2], 1) → true (multi-answer, included)
+ * - isChoiceSelected([1, 2], 3) → false (multi-answer, not included)
+ */
+function isChoiceSelected(userAnswer, choiceIndex) {
+  if (Array.isArray(userAnswer)) {
+    return userAnswer.includes(choiceIndex);
+  }
+  return userAnswer === choiceIndex;
+}
 
-  const toStore = {
-    sessionKey: state.sessionKey,
-    session: {
-      ...s,
-      checkedQuestions: Array.from(s.checkedQuestions || []),
-      scoredIds:
-        s.mode === "timed"
-          ? Array.from(s.scoredIds instanceof Set ? s.scoredIds : [])
-          : null
-    }
-  };
+// ============================================================================
+// TIMER FUNCTIONS - Countdown timer for Timed mode
+// ============================================================================
+// A timed session banks the exam time it has used in session.elapsedMs.
+// The running clock adds up the monotonic time between ticks in memory and
+// writes it to the session store every EXAM_CLOCK_SAVE_MS, and whenever the
+// clock stops or the tab is hidden or closed - so a crash loses at most a
+// few seconds, without rewriting the store (and waking every other tab)
+// once a second.
+// Time only counts while the exam is on screen and running: pauses (manual,
+// navigation, suspended) and device sleep are logged in session.pauses
+// instead. Wall-clock changes do not move the clock either.
 
-  saveState(toStore);
+/**
+ * WHAT IT DOES: Returns a monotonic timestamp in milliseconds
+ *
+ * WHY WE NEED IT: Date.now() jumps when the system clock is changed;
+ * performance.now() only moves forward
+ */
+function monotonicNowMs() {
+  return typeof performance !== "undefined" && typeof performance.now === "function"
+    ? performance.now()
+    : nowMs();
 }
 
 /**
- * WHAT IT DOES: Gets the current question object being displayed
+ * WHAT IT DOES: Exam time a timed session has used so far, in milliseconds
+ *
+ * MIGRATION: Sessions saved before elapsedMs existed derive it from
+ * startedAtMs (which used to be shifted forward after every pause)
+ */
+function getElapsedMs(session) {
+  if (Number.isFinite(session.elapsedMs)) return session.elapsedMs;
+  const until = session.suspendedAtMs || nowMs();
+  return Math.max(0, until - (session.startedAtMs || until));
+}
+
+/**
+ * WHAT IT DOES: Appends a pause interval to a timed session's pause log
  *
  * PARAMETERS:
- * - state: Current app state
+ * - session: Timed session (stored or runtime)
+ * - fromMs / toMs: Wall-clock bounds of the pause
+ * - reason: 'manual' | 'navigation' | 'suspended' | 'sleep'
+ */
+function logExamPause(session, fromMs, toMs, reason) {
+  if (!(toMs > fromMs)) return;
+  const pauses = Array.isArray(session.pauses) ? session.pauses : [];
+  pauses.push({ fromMs, toMs, reason });
+  session.pauses = pauses.slice(-TIMER_MAX_PAUSE_LOG);
+}
+
+/**
+ * WHAT IT DOES: Stops the running countdown timer
  *
- * RETURNS: Question object from QMAP
+ * WHY WE NEED IT: Prevents memory leaks and ensures only one timer runs
+ * at a time. Called when switching questions, finishing exam, or leaving page.
+ *
+ * SIDE EFFECTS: Banks the time since the last tick (see tickExamClock),
+ * clears the interval and sets timerInterval to null
  */
-function getCurrentQuestion(state) {
-  const { session } = state;
-  const qid = session.questionIds[session.currentIndex];
-  return QMAP.get(qid);
+function stopTimer() {
+  if (timerInterval) {
+    clearInterval(timerInterval);  // Stop the interval
+    timerInterval = null;  // Clear the reference
+  }
+  if (examClock) {
+    tickExamClock();
+    flushExamClock();
+    examClock = null;
+  }
 }
 
 /**
- * WHAT IT DOES: Toggles the flag status for the current question
+ * WHAT IT DOES: Adds exam time (and optionally a pause) to the stored copy
+ * of a timed session, then mirrors the result into the runtime state
  *
- * WHY WE NEED IT: In Timed mode (like real AWS exams), users can flag
- * questions they want to review later. This adds/removes the current
- * question ID from the flaggedQuestions array.
+ * WHY WE NEED IT: Other handlers save whole state objects they loaded
+ * earlier; writing only the clock fields (and saveState keeping the larger
+ * elapsedMs) means no stale object can roll the clock back.
  *
  * PARAMETERS:
- * - state: Current app state
+ * - state: Runtime state the clock runs for
+ * - deltaMs: Exam time to add (0 just syncs the state from the store)
+ * - pause: Optional { fromMs, toMs, reason } to log
  *
- * SIDE EFFECTS:
- * - Modifies session.flaggedQuestions array
- * - Persists state to localStorage
- * - Re-renders quiz to update flag button and jump grid
+ * RETURNS: false if the session is no longer running in the store
+ * (finished, discarded or suspended, e.g. from another tab), true otherwise
  */
-function toggleFlag(state) {
-  safeOperation('Toggle Question Flag', () => {
-    const { session } = state;
-    const currentQid = session.questionIds[session.currentIndex];
-
-    // Ensure flaggedQuestions array exists (for backward compatibility)
-    if (!Array.isArray(session.flaggedQuestions)) {
-      session.flaggedQuestions = [];
-    }
-
-    // Toggle flag: add if not flagged, remove if already flagged
-    const flagIndex = session.flaggedQuestions.indexOf(currentQid);
-    if (flagIndex === -1) {
-      session.flaggedQuestions.push(currentQid);
-      console.info(`[SAA Info] Flagged question ${currentQid}`);
-    } else {
-      session.flaggedQuestions.splice(flagIndex, 1);
-      console.info(`[SAA Info] Unflagged question ${currentQid}`);
+function commitExamClock(state, deltaMs, pause) {
+  return safeOperation('Save Exam Clock', () => {
+    const session = state.session;
+    const store = loadSessionStore();
+    const entry = store.sessions[state.sessionKey];
+    if (!entry || !entry.session || entry.session.seed !== session.seed) return false;
+
+    const stored = entry.session;
+    if (stored.suspendedAtMs) return false;
+
+    if (deltaMs > 0 || pause) {
+      stored.elapsedMs = Math.max(getElapsedMs(stored), getElapsedMs(session)) + deltaMs;
+      if (pause) logExamPause(stored, pause.fromMs, pause.toMs, pause.reason);
+      saveSessionStore(store);
     }
 
-    // Save and re-render
-    persistRuntimeState(state);
-    renderQuiz(state);
-  }, undefined);
+    session.elapsedMs = Math.max(getElapsedMs(stored), getElapsedMs(session));
+    if (Array.isArray(stored.pauses)) session.pauses = stored.pauses;
+    return true;
+  }, true);
 }
 
 /**
- * WHAT IT DOES: Renders the jump grid (question number buttons)
- *
- * WHY WE NEED IT: Provides quick navigation between questions and shows
- * visual status (answered, flagged, correct/wrong in review mode)
+ * WHAT IT DOES: Adds the exam time since the previous clock tick
  *
- * VISUAL INDICATORS:
- * - Current question: highlighted
- * - Answered: filled background
- * - Flagged (Timed mode): flag emoji badge
- * - Correct/Wrong (Review mode): green/red color
+ * HOW IT WORKS: Ticks arrive every second and add up in
+ * examClock.unsavedMs; every EXAM_CLOCK_SAVE_MS they are written to the
+ * store (flushExamClock). A gap longer than TIMER_SLEEP_GAP_MS means the
+ * device slept or the tab was frozen, so the gap is logged as a 'sleep'
+ * pause instead of being counted.
  */
-function renderJumpGrid(state) {
-  const { session } = state;
+function tickExamClock() {
+  if (!examClock) return;
 
-  // Ensure flaggedQuestions exists (backward compatibility)
-  const flagged = Array.isArray(session.flaggedQuestions) ? session.flaggedQuestions : [];
+  const now = monotonicNowMs();
+  const gap = now - examClock.lastTick;
+  examClock.lastTick = now;
 
-  // Check if paused for disabling jump buttons
-  const isPaused = quizPausedState !== null;
+  if (gap > TIMER_SLEEP_GAP_MS) {
+    const toMs = nowMs();
+    console.info(`[SAA Info] Exam clock skipped ${Math.floor(gap / 1000)}s of device sleep`);
+    flushExamClock({ fromMs: toMs - Math.round(gap), toMs, reason: 'sleep' });
+    return;
+  }
 
-  jumpGrid.innerHTML = session.questionIds
-    .map((qid, idx) => {
-      const ans = session.answers[qid];
-      const answered = ans !== undefined;
-      const isFlagged = flagged.includes(qid);
+  examClock.unsavedMs += Math.max(0, gap);
+  if (now - examClock.lastSave >= EXAM_CLOCK_SAVE_MS) flushExamClock();
+}
 
-      const cls = ["jump", idx === session.currentIndex ? "current" : "", answered ? "answered" : ""];
+/**
+ * WHAT IT DOES: Writes the exam time added since the last save (and
+ * optionally a pause) to the session store
+ *
+ * SIDE EFFECTS: Writes the session store; if the session stopped running
+ * elsewhere, this tab gives the exam up (see yieldTimedExam)
+ */
+function flushExamClock(pause) {
+  if (!examClock) return;
 
-      // Add flagged class for styling
-      if (isFlagged) {
-        cls.push("flagged");
-      }
+  const clock = examClock;
+  const running = commitExamClock(clock.state, clock.unsavedMs, pause);
+  clock.unsavedMs = 0;
+  clock.lastSave = monotonicNowMs();
 
-      // REVIEW only: color green if correct, red if wrong (only after checking or completing)
-      if (session.mode !== "timed" && answered) {
-        const isQuestionChecked = session.checkedQuestions?.has(qid);
-        const shouldReveal = session.completed || isQuestionChecked;
+  if (!running) yieldTimedExam();
+}
 
-        if (shouldReveal) {
-          const q = QMAP.get(qid);
-          cls.push(isCorrectAnswer(ans, q.answer) ? "correct" : "wrong");
-        }
-      }
+/**
+ * WHAT IT DOES: Formats seconds into HH:MM:SS clock display
+ *
+ * WHY WE NEED IT: The timer stores seconds, but users need to see a
+ * readable clock format like "02:10:00" (2 hours, 10 minutes, 0 seconds)
+ *
+ * PARAMETERS:
+ * - totalSec: Number of seconds to format (e.g., 7800 for 130 minutes)
+ *
+ * RETURNS: Formatted time string "HH:MM:SS"
+ *
+ * EXAMPLE:
+ * formatClock(7800) → "02:10:00"
+ * formatClock(90) → "00:01:30"
+ */
+function formatClock(totalSec) {
+  const s = Math.max(0, totalSec);  // Prevent negative time
+  const hh = Math.floor(s / 3600);  // Hours
+  const mm = Math.floor((s % 3600) / 60);  // Minutes
+  const ss = s % 60;  // Seconds
+  const pad = (n) => String(n).padStart(2, "0");  // Add leading zero
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}`;
+}
 
-      // Add flag emoji for flagged questions in Timed mode
-      const flagBadge = (session.mode === "timed" && isFlagged) ? '<span class="flag-badge">🚩</span>' : '';
+/**
+ * WHAT IT DOES: Calculates how many seconds remain in the timed exam
+ *
+ * WHY WE NEED IT: The remaining time follows from the exam time banked in
+ * the session, so it survives page refreshes, pauses and browser sleep.
+ *
+ * PARAMETERS:
+ * - session: Session object with elapsedMs and durationSec (plus the
+ *   running clock's unsaved time when it is the session on the clock)
+ *
+ * RETURNS: Number of seconds remaining (can be negative if time expired)
+ *
+ * EXAMPLE:
+ * After 60 seconds of exam time with a 130-minute duration:
+ * getRemainingSec(session) → 7740 seconds (129 minutes left)
+ */
+function getRemainingSec(session) {
+  // The running clock holds up to EXAM_CLOCK_SAVE_MS not yet banked
+  const unsavedMs = examClock && examClock.state.session === session ? examClock.unsavedMs : 0;
+  const elapsed = Math.floor((getElapsedMs(session) + unsavedMs) / 1000);
+  return session.durationSec - elapsed;
+}
 
-      // Disable button if paused
-      const disabled = isPaused ? 'disabled' : '';
+/**
+ * WHAT IT DOES: Updates the timer display and checks if time expired
+ *
+ * WHY WE NEED IT: Called every second to update the countdown and
+ * automatically submit the exam when time runs out.
+ *
+ * HOW IT WORKS:
+ * 1. Calculate remaining time
+ * 2. Update the timer display text
+ * 3. If time <= 0 and exam not completed, auto-submit
+ *
+ * PARAMETERS:
+ * - state: Current app state with session data
+ *
+ * SIDE EFFECTS:
+ * - Updates timerEl.textContent
+ * - May auto-complete session and show results
+ * - Persists state to localStorage
+ */
+function updateTimerUI(state) {
+  const session = state.session;
+  const remaining = getRemainingSec(session);
 
-      return `<button type="button" ${disabled} class="${cls.filter(Boolean).join(" ")}" data-idx="${idx}">${idx + 1}${flagBadge}</button>`;
-    })
-    .join("");
+  timerEl.textContent = `Time left: ${formatClock(remaining)}`;
 
-  // ✅ Event delegation: One listener on parent container
-  // Remove old listener first to prevent duplicates
-  const oldListener = jumpGrid._clickListener;
-  if (oldListener) {
-    jumpGrid.removeEventListener("click", oldListener);
+  // Add warning class when time is low (< 5 minutes)
+  if (remaining > 0 && remaining < 300) {
+    timerEl.classList.add('warning');
+  } else {
+    timerEl.classList.remove('warning');
   }
 
-  // Create new listener function
-  const clickListener = (e) => {
-    const button = e.target.closest("button");
-    if (!button) return; // Click wasn't on a button
+  // Time expired! Auto-submit the exam
+  if (remaining <= 0 && !session.completed) {
+    session.completed = true;
+    state.session = session;
+    persistRuntimeState(state);
+    stopTimer();
+    showResults(state, true);  // true = auto-ended (time's up)
+  }
+}
 
-    const idx = Number(button.getAttribute("data-idx"));
-    if (!isNaN(idx)) {
-      state.session.currentIndex = idx;
-      persistRuntimeState(state);
-      renderQuiz(state);
-    }
-  };
+/**
+ * WHAT IT DOES: Starts the countdown timer for Timed mode
+ *
+ * WHY WE NEED IT: Begins the 130-minute countdown when user starts or
+ * resumes a timed exam.
+ *
+ * HOW IT WORKS:
+ * 1. Stop any existing timer (banks its time)
+ * 2. Pick up time banked by other copies of this session
+ * 3. Show the timer element and update the display immediately
+ * 4. Set interval to tick the exam clock every second
+ *
+ * PARAMETERS:
+ * - state: Current app state with session data
+ *
+ * SIDE EFFECTS:
+ * - Shows timer element
+ * - Creates interval that runs every 1000ms
+ * - Updates global timerInterval and examClock variables
+ */
+function startTimer(state) {
+  stopTimer();  // Clean up any existing timer
+  commitExamClock(state, 0);
+  examClock = { state, lastTick: monotonicNowMs(), lastSave: monotonicNowMs(), unsavedMs: 0 };
+  timerEl.hidden = false;  // Make timer visible
+  updateTimerUI(state);  // Show initial time immediately
+  timerInterval = setInterval(() => {
+    tickExamClock();
+    if (examClock) updateTimerUI(state);
+  }, 1000);  // Update every second
+}
 
-  // Attach listener and save reference for cleanup
-  jumpGrid.addEventListener("click", clickListener);
-  jumpGrid._clickListener = clickListener;
+/**
+ * WHAT IT DOES: Pauses the timed exam on screen and stores the pause
+ *
+ * PARAMETERS:
+ * - state: Runtime state of the timed exam
+ * - reason: 'manual' (pause button) or 'navigation' (left the Practice tab)
+ *
+ * SIDE EFFECTS: Banks the running time, persists pausedAtMs/pauseReason so
+ * a reload comes back paused, sets quizPausedState
+ */
+function pauseExamClock(state, reason) {
+  stopTimer();
+
+  const at = nowMs();
+  state.session.pausedAtMs = at;
+  state.session.pauseReason = reason;
+  quizPausedState = { pausedAt: at, reason };
+  persistRuntimeState(state);
 }
 
-function computeScore(state) {
-  const { session } = state;
+/**
+ * WHAT IT DOES: Ends the stored pause of a timed exam and logs it
+ *
+ * SIDE EFFECTS: Persists the state, clears quizPausedState (the caller
+ * re-renders, which starts the clock again)
+ *
+ * RETURNS: Pause duration in milliseconds
+ */
+function resumeExamClock(state) {
+  const s = state.session;
+  const from = s.pausedAtMs || (quizPausedState && quizPausedState.pausedAt) || nowMs();
+  const to = nowMs();
 
-  let answeredTotal = 0;
-  let correctTotal = 0;
+  logExamPause(s, from, to, s.pauseReason || 'manual');
+  delete s.pausedAtMs;
+  delete s.pauseReason;
+  quizPausedState = null;
+  persistRuntimeState(state);
+  return to - from;
+}
 
-  let answeredScored = 0;
-  let correctScored = 0;
+/**
+ * WHAT IT DOES: Shows or clears the paused look of the quiz card and the
+ * pause button icon
+ */
+function setPauseIndicators(paused) {
+  quizCard.classList.toggle('quiz-manually-paused', paused);
 
-  for (const qid of session.questionIds) {
-    const q = QMAP.get(qid);
-    const ans = session.answers[qid];
+  const pauseBtn = document.getElementById('pauseBtn');
+  if (pauseBtn) {
+    pauseBtn.textContent = paused ? '▶️' : '⏸️';
+    pauseBtn.title = paused ? 'Resume quiz' : 'Pause quiz';
+  }
+}
 
-    const answered = ans !== undefined;
-    const correct = answered && isCorrectAnswer(ans, q.answer);
+function ensureModeRulesUI() {
+  const mode = normalizeMode(modeSelect.value);
 
-    // In review mode: only count checked questions OR all questions if exam completed
-    const shouldCount = session.mode === "timed"
-      ? true  // Timed mode: count all questions
-      : (session.completed || session.checkedQuestions?.has(qid));  // Review: only checked questions
+  // Blueprint weights and exam settings only apply to timed exams
+  const blueprintPanel = document.getElementById('blueprintPanel');
+  if (blueprintPanel) blueprintPanel.hidden = mode !== "timed";
+  const examSettingsPanel = document.getElementById('examSettingsPanel');
+  if (examSettingsPanel) examSettingsPanel.hidden = mode !== "timed";
 
-    if (answered && shouldCount) answeredTotal++;
-    if (correct && shouldCount) correctTotal++;
+  if (mode === "timed") {
+    // Force domain and section to ALL (disabled in timed mode)
+    domainSelect.value = "ALL";
+    sectionSelect.value = "ALL";
+    domainSelect.disabled = true;
+    sectionSelect.disabled = true;
 
-    if (session.mode === "timed") {
-      if (session.scoredIds && session.scoredIds.has(qid)) {
-        if (answered) answeredScored++;
-        if (correct) correctScored++;
-      }
-    }
-  }
+    // Timed exams always draw from the whole bank
+    bookmarkSelect.value = "ALL";
+    bookmarkSelect.disabled = true;
 
-  const totalQuestions = session.questionIds.length;
+    // Difficulty can be selected in timed mode (enabled)
+    difficultySelect.disabled = false;
 
-  if (session.mode === "timed") {
-    const points = correctScored * POINTS_PER_SCORED_QUESTION;
-    const totalPoints = EXAM_SCORED_QUESTIONS * POINTS_PER_SCORED_QUESTION; // 1000
-    const passed = points >= PASSING_SCORE;
+    const format = buildExamFormat(loadExamSettings());
+    hintText.textContent =
+      `Timed mode: ${formatExamFormatLabel(format)}, weighted by exam domain (see Exam blueprint and Exam settings). Filter by difficulty if desired. Finish the exam to see results.`;
+  } else {
+    // Review and spaced modes: all filters enabled
+    domainSelect.disabled = false;
+    sectionSelect.disabled = false;
+    difficultySelect.disabled = false;
+    bookmarkSelect.disabled = false;
+    buildSectionOptions(domainSelect.value);
+    buildDifficultyOptions(domainSelect.value, sectionSelect.value);
 
-    return {
-      answeredTotal,
-      correctTotal,
-      totalQuestions,
-      answeredScored,
-      correctScored,
-      points,
-      totalPoints,
-      passed
-    };
+    hintText.textContent = mode === "spaced"
+      ? "Spaced repetition: questions due for review come first, then new ones. Your answers reschedule each question."
+      : "Review mode: filter by domain, section, and difficulty. Question order and answers persist on refresh.";
   }
 
-  // REVIEW: scaled to 1000 (unanswered counts as wrong)
-  const points = totalQuestions ? Math.round((correctTotal / totalQuestions) * 1000) : 0;
-  const totalPoints = 1000;
-  const passed = points >= PASSING_SCORE;
-
-  return {
-    answeredTotal,
-    correctTotal,
-    totalQuestions,
-    points,
-    totalPoints,
-    passed
-  };
+  renderDueToday();
 }
 
-function renderQuiz(state) {
-  quizCard.hidden = false;
+function createNewSession(filters, forceFresh) {
+  filters.mode = normalizeMode(filters.mode);
 
-  // Only hide results during an active (not completed) session
-  if (!state.session.completed) resultBox.hidden = true;
+  const key = sessionKeyFor(filters);
+  const existing = loadSessionStore().sessions[key];
 
-  const { session } = state;
-  const q = getCurrentQuestion(state);
-  const idx = session.currentIndex;
+  // Resume the saved session for these filters unless forcing fresh
+  if (
+    !forceFresh &&
+    existing &&
+    existing.session &&
+    !existing.session.completed
+  ) {
+    return activateSession(key);
+  }
 
-  progressText.textContent = `Question ${idx + 1} / ${session.questionIds.length} • Mode: ${session.mode.toUpperCase()}`;
+  // Build new session: an explicit id list (focused review) skips the filters
+  let list = Array.isArray(filters.questionIds)
+    ? [...new Set(filters.questionIds)].map((id) => QMAP.get(id)).filter(Boolean)
+    : filteredQuestions(filters);
 
-  metaText.textContent = ''; // Tags removed to increase difficulty
+  // Generate seed for deterministic shuffling
+  const seed = `${key}::${nowMs()}`;
 
-  // Score mini: REVIEW -> only show Answered; TIMED -> show Answered; show Final only when completed
-  const s = computeScore(state);
-  if (session.mode === "timed") {
-    scoreMini.textContent = session.completed
-      ? `Final: ${s.points}/${s.totalPoints} ${s.passed ? "(PASSED)" : "(FAILED)"}`
-      : `Answered: ${s.answeredTotal}/${s.totalQuestions}`;
-  } else {
-    scoreMini.textContent = session.completed
-      ? `Final: ${s.points}/1000 ${s.passed ? "(PASSED)" : "(FAILED)"}`
-      : `Answered: ${s.answeredTotal}/${s.totalQuestions}`;
-  }
+  // Timed exams follow the configured domain blueprint and exam settings
+  const blueprint = filters.mode === "timed" ? loadExamBlueprint() : null;
+  const examFormat = filters.mode === "timed" ? buildExamFormat(loadExamSettings()) : null;
 
-  // Timer
-  if (session.mode === "timed" && !session.completed && quizPausedState === null) {
-    timerEl.hidden = false;
-    startTimer(state);
-  } else {
-    timerEl.hidden = true;
-    stopTimer();
-  }
+  // Timed mode: select 65 (or the configured count) random questions from filtered pool
+  if (filters.mode === "timed") {
+    // list is already filtered by difficulty (line 866)
+    // DO NOT overwrite it with QUESTIONS
 
-  // Pause button (show/hide based on timed mode and completion status)
-  const pauseBtn = document.getElementById('pauseBtn');
-  if (pauseBtn) {
-    if (session.mode === 'timed' && !session.completed) {
-      pauseBtn.hidden = false;
-    } else {
-      pauseBtn.hidden = true;
+    // Ensure we have enough questions in the filtered pool
+    if (list.length < examFormat.totalQuestions) {
+      throw new Error(
+        `Timed mode requires at least ${examFormat.totalQuestions} questions (currently: ${list.length}). Try selecting "All difficulties" or choose a different filter.`
+      );
+    }
+
+    // If more, select by stratified sampling so the domain mix follows the
+    // exam blueprint (see pickBlueprintSubset)
+    if (list.length > examFormat.totalQuestions) {
+      const selectedIds = pickBlueprintSubset(
+        list,
+        examFormat.totalQuestions,
+        blueprint,
+        seed + "::timedSelection"
+      );
+      list = selectedIds.map(id => QMAP.get(id));
     }
   }
 
-  // Check if paused
-  const isPaused = quizPausedState !== null;
+  // Spaced mode: due cards first, then unseen cards (order is kept, not shuffled)
+  if (filters.mode === "spaced") {
+    const queue = buildSpacedQueue(list, seed);
+    if (queue.length === 0) {
+      throw new Error("Nothing is due for review with these filters. Come back tomorrow or widen the filters.");
+    }
+    list = queue.map(id => QMAP.get(id));
+  }
 
-  // Controls enable/disable
-  if (isPaused) {
-    // Disable all navigation when paused
-    prevBtn.disabled = true;
-    nextBtn.disabled = true;
-    submitBtn.disabled = true;
-  } else {
-    // Normal navigation rules
-    prevBtn.disabled = idx === 0;
-    nextBtn.disabled = idx === session.questionIds.length - 1;
-    submitBtn.disabled = session.completed;
+  // Review mode: limit to 50 questions max
+  // Use RANDOM selection (not first 50 or last 50)
+  // (a focused session keeps exactly the ids it was given)
+  if (filters.mode === "review" && !Array.isArray(filters.questionIds)) {
+    if (list.length > REVIEW_MAX_QUESTIONS) {
+      const questionIds = list.map(q => q.id);
+      const selectedIds = pickSeededSubset(
+        questionIds,
+        REVIEW_MAX_QUESTIONS,
+        seed + "::reviewSelection"
+      );
+      list = selectedIds.map(id => QMAP.get(id));
+    }
   }
 
-  // Submit button logic
-  submitBtn.textContent = session.mode === "timed" ? "End Exam" : "Finish";
+  if (list.length === 0) {
+    throw new Error(filters.bookmarks === "BOOKMARKED"
+      ? "No bookmarked questions match your filters. Bookmark questions with ☆ while practicing."
+      : "No questions match your filters.");
+  }
+  const order = filters.mode === "spaced"
+    ? list.map((q) => q.id)
+    : seededShuffle(list.map((q) => q.id), seed);
 
-  // Question box
-  const selected = session.answers[q.id];
-  const hasAnswered = selected !== undefined;
-  const isMulti = isMultiAnswer(q);
+  const session = {
+    version: 1,
+    mode: filters.mode,
+    domainId: filters.mode === "timed" ? "ALL" : filters.domainId,
+    section: filters.mode === "timed" ? "ALL" : filters.section,
+    difficulty: filters.difficulty || "ALL",
+    bookmarks: filters.mode === "timed" ? "ALL" : (filters.bookmarks || "ALL"),
+    origin: filters.origin || null, // Set for focused sessions (see buildFocusOrigin)
+    scoringModel: loadScoringModelId(), // Kept for the whole session (see SCORING MODELS)
+    seed,
+    questionIds: order,
+    answers: {}, // { [id]: choiceIndex }
+    struckChoices: {}, // { [id]: [choiceIndex, ...] } choices struck out (see CHOICE ELIMINATION)
+    confidence: {}, // { [id]: "sure" | "unsure" | "guess" } (see CONFIDENCE RATINGS)
+    flaggedQuestions: [], // Array of question IDs flagged for review (Timed mode only)
+    checkedQuestions: new Set(), // Question IDs where user clicked "Check Answer" (Review mode only)
+    currentIndex: 0,
+    createdAtMs: nowMs(),
+    completed: false
+  };
 
-  // Reveal logic:
-  // - timed: reveal only after exam submitted
-  // - review: reveal after clicking "Check Answer" OR after completing entire review
-  const revealAnswers = session.mode === "timed"
-    ? session.completed
-    : (session.completed || session.checkedQuestions?.has(q.id));
+  if (filters.mode === "timed") {
+    session.startedAtMs = nowMs();
+    session.elapsedMs = 0; // Exam time used so far (see TIMER FUNCTIONS)
+    session.pauses = []; // Pause log: [{ fromMs, toMs, reason }]
+    session.durationSec = examFormat.durationSec;
+    session.examFormat = examFormat; // Also copied into history (see EXAM SETTINGS)
+    session.blueprint = blueprint;
+
+    // Only 50 random question IDs (pro-rated for shorter exams) are scored (hidden) -> 1000 max
+    const scored = pickSeededSubset(order, examFormat.scoredQuestions, seed + "::scored");
+    session.scoredIds = new Set(scored);
+  }
 
-  const isPausedForChoices = quizPausedState !== null;
-  const isChecked = session.mode !== "timed" && session.checkedQuestions?.has(q.id);
-  const isDisabled = isPausedForChoices || isChecked;
+  // Convert Sets to arrays for storage
+  const state = {
+    sessionKey: key,
+    session: {
+      ...session,
+      scoredIds: session.scoredIds ? Array.from(session.scoredIds) : null,
+      checkedQuestions: Array.from(session.checkedQuestions)
+    }
+  };
 
-  const choicesHtml = q.choices
-    .map((c, i) => {
-      let cls = "choice";
+  // The timed exam we are leaving (if any) stops its clock while saved
+  suspendActiveTimedSession();
 
-      // Check if this choice is selected (works for both single and multi-answer)
-      if (isChoiceSelected(selected, i)) cls += " selected";
+  saveState(state);
+  return state;
+}
 
-      if (revealAnswers) {
-        // Mark correct answers (may be multiple)
-        if (isMulti) {
-          if (q.answer.includes(i)) cls += " correct";
-          if (hasAnswered && isChoiceSelected(selected, i) && !q.answer.includes(i)) cls += " wrong";
-        } else {
-          if (i === q.answer) cls += " correct";
-          if (hasAnswered && selected === i && selected !== q.answer) cls += " wrong";
-        }
-      }
+function normalizeStateForRuntime(state) {
+  if (!state || !state.session) return state;
 
-      // Add disabled class when paused OR checked
-      if (isDisabled) cls += " disabled";
+  // Migrate any non-timed mode (including old "practice") to "review"
+  state.session.mode = normalizeMode(state.session.mode);
 
-      // Add aria-disabled for accessibility
-      const ariaDisabled = (session.completed || isDisabled) ? "aria-disabled='true'" : "";
+  // Migrate sessionKey prefix if needed
+  if (typeof state.sessionKey === "string") {
+    state.sessionKey = state.sessionKey.replace(/^practice::/i, "review::");
+  }
 
-      return `<div class="${cls}" data-choice="${i}" ${ariaDisabled}>${escapeHtml(c)}</div>`;
-    })
-    .join("");
+  // Sessions saved before the service taxonomy stored raw section text
+  state.session.section = canonicalSectionFilter(state.session.section);
+
+  // Drop questions a newer question bank no longer contains
+  if (Array.isArray(state.session.questionIds) && QMAP.size) {
+    const kept = state.session.questionIds.filter((id) => QMAP.has(id));
+    if (kept.length !== state.session.questionIds.length) {
+      console.warn(`[SAA Warning] ${state.session.questionIds.length - kept.length} saved question(s) no longer in the bank, skipping them`);
+      state.session.questionIds = kept;
+      state.session.currentIndex = Math.min(state.session.currentIndex || 0, Math.max(kept.length - 1, 0));
+      if (Array.isArray(state.session.scoredIds)) {
+        state.session.scoredIds = state.session.scoredIds.filter((id) => QMAP.has(id));
+      }
+    }
+  }
 
-  // Check Answer button (review mode only)
-  let checkButtonHtml = '';
-  if (session.mode !== "timed") {
-    const isChecked = session.checkedQuestions?.has(q.id);
-    const canCheck = hasAnswered && !isChecked && !session.completed;
+  if (state.session.mode === "timed") {
+    // Good case: array from localStorage -> Set
+    if (Array.isArray(state.session.scoredIds)) {
+      state.session.scoredIds = new Set(state.session.scoredIds);
+    }
+    // Bad case: {} or null -> rebuild deterministically from seed + questionIds
+    else if (!(state.session.scoredIds instanceof Set)) {
+      const rebuilt = pickSeededSubset(
+        state.session.questionIds,
+        getRecordExamFormat(state.session).scoredQuestions,
+        state.session.seed + "::scored"
+      );
+      state.session.scoredIds = new Set(rebuilt);
+    }
 
-    checkButtonHtml = `
-      <button
-        id="checkAnswerBtn"
-        class="check-answer-btn ${canCheck ? '' : 'disabled'}"
-        ${!canCheck ? 'disabled' : ''}
-      >
-        ${isChecked ? '✓ Checked' : 'Check Answer'}
-      </button>
-    `;
+    // Sessions saved before the exam clock banked its time
+    state.session.elapsedMs = getElapsedMs(state.session);
+    if (!Array.isArray(state.session.pauses)) state.session.pauses = [];
   }
 
-  const feedbackHtml = revealAnswers
-    ? (() => {
-        const correctText = isMultiAnswer(q)
-          ? `Correct answers: ${q.answer.map(idx => q.choices[idx]).join(', ')}`
-          : `Correct answer: ${q.choices[q.answer]}`;
-
-        // Build enhanced explanation sections (optional fields)
-        let enhancedHtml = '';
+  // Sessions saved before choices could be struck out
+  if (!state.session.struckChoices || typeof state.session.struckChoices !== "object") {
+    state.session.struckChoices = {};
+  }
 
-        // AWS Documentation Links
-        if (q.resources && Array.isArray(q.resources) && q.resources.length > 0) {
-          const resourcesHtml = q.resources.map(r =>
-            `<li><a href="${escapeHtml(r.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(r.title)}</a></li>`
-          ).join('');
-          enhancedHtml += `
-            <details class="exp-details resources">
-              <summary>AWS Documentation</summary>
-              <div class="exp-details-content">
-                <ul>${resourcesHtml}</ul>
-              </div>
-            </details>
-          `;
-        }
+  // Sessions saved before answers could be rated
+  if (!state.session.confidence || typeof state.session.confidence !== "object") {
+    state.session.confidence = {};
+  }
 
-        // Related Concepts
-        if (q.relatedConcepts && Array.isArray(q.relatedConcepts) && q.relatedConcepts.length > 0) {
-          const conceptsHtml = q.relatedConcepts.map(c =>
-            `<li>${escapeHtml(c)}</li>`
-          ).join('');
-          enhancedHtml += `
-            <details class="exp-details concepts">
-              <summary>Related Concepts</summary>
-              <div class="exp-details-content">
-                <ul>${conceptsHtml}</ul>
-              </div>
-            </details>
-          `;
-        }
+  // Convert checkedQuestions from array to Set (for both timed and review modes)
+  if (Array.isArray(state.session.checkedQuestions)) {
+    state.session.checkedQuestions = new Set(state.session.checkedQuestions);
+  } else if (!(state.session.checkedQuestions instanceof Set)) {
+    state.session.checkedQuestions = new Set();
+  }
 
-        // Exam Tips
-        if (q.examTips && typeof q.examTips === 'string' && q.examTips.trim()) {
-          enhancedHtml += `
-            <details class="exp-details tips">
-              <summary>Exam Tips</summary>
-              <div class="exp-details-content">
-                <p>${escapeHtml(q.examTips)}</p>
-              </div>
-            </details>
-          `;
-        }
+  return state;
+}
 
-        if (!hasAnswered) {
-          return `
-            <div class="feedback bad">
-              <div class="status">Unanswered ❌</div>
-              <div class="exp">${escapeHtml(correctText)}</div>
-              <div class="exp">${escapeHtml(q.explanation)}</div>
-              ${enhancedHtml}
-            </div>
-          `;
-        }
+/**
+ * WHAT IT DOES: Converts a runtime state (with Sets) into its storable form
+ *
+ * RETURNS: Plain object safe for JSON.stringify
+ */
+function serializeState(state) {
+  const s = state.session;
 
-        const isCorrect = isCorrectAnswer(selected, q.answer);
-        const boxCls = `feedback ${isCorrect ? "good" : "bad"}`;
-        const yourText = Array.isArray(selected)
-          ? `Your answers: ${selected.map(idx => q.choices[idx]).join(', ')}`
-          : `Your answer: ${q.choices[selected]}`;
+  return {
+    sessionKey: state.sessionKey,
+    session: {
+      ...s,
+      checkedQuestions: Array.from(s.checkedQuestions || []),
+      scoredIds:
+        s.mode === "timed"
+          ? Array.from(s.scoredIds instanceof Set ? s.scoredIds : [])
+          : null
+    }
+  };
+}
 
-        // Build choice explanations HTML for wrong answers
-        let choiceExplanationsHtml = '';
-        if (q.choiceExplanations) {
-          const wrongChoices = [];
-          Object.entries(q.choiceExplanations).forEach(([idx, explanation]) => {
-            wrongChoices.push(`
-              <div class="choice-exp">
-                <strong>${escapeHtml(q.choices[idx])}:</strong> ${escapeHtml(explanation)}
-              </div>
-            `);
-          });
+function persistRuntimeState(state) {
+  if (!state || !state.session) return;
 
-          if (wrongChoices.length > 0) {
-            choiceExplanationsHtml = `
-              <div class="choice-explanations">
-                <div class="choice-exp-title">Why other answers are incorrect:</div>
-                ${wrongChoices.join('')}
-              </div>
-            `;
-          }
-        }
+  saveState(serializeState(state));
+  renderResumeList();
+}
 
-        return `
-          <div class="${boxCls}">
-            <div class="status">${isCorrect ? "Correct ✅" : "Incorrect ❌"}</div>
-            <div class="exp">${escapeHtml(yourText)}</div>
-            <div class="exp">${escapeHtml(correctText)}</div>
-            <div class="exp">${escapeHtml(q.explanation)}</div>
-            ${choiceExplanationsHtml}
-            ${enhancedHtml}
-          </div>
-        `;
-      })()
-    : "";
-
-  // Flag button HTML (Timed mode only, hidden when completed)
-  const flagged = Array.isArray(session.flaggedQuestions) && session.flaggedQuestions.includes(q.id);
-  const isPausedForFlag = quizPausedState !== null;
-  const disabledAttr = isPausedForFlag ? 'disabled' : '';
-  const flagBtnHtml = (session.mode === "timed" && !session.completed)
-    ? `<button id="flagBtn" class="btn btn-flag ${flagged ? 'flagged' : ''}" ${disabledAttr}>
-         <span class="flag-icon">${flagged ? '🚩' : '🏳️'}</span> ${flagged ? 'Unflag' : 'Flag for Review'}
-       </button>`
-    : '';
+/**
+ * WHAT IT DOES: Gets the current question object being displayed
+ *
+ * PARAMETERS:
+ * - state: Current app state
+ *
+ * RETURNS: Question object from QMAP
+ */
+function getCurrentQuestion(state) {
+  const { session } = state;
+  const qid = session.questionIds[session.currentIndex];
+  return QMAP.get(qid);
+}
 
-  questionBox.innerHTML = `
-    <div class="q-title">${escapeHtml(q.question)}</div>
-    <div class="q-tags">${escapeHtml(q.domain)} • ${escapeHtml(q.id)}</div>
-    ${flagBtnHtml}
-    <div class="choices">${choicesHtml}</div>
-    ${checkButtonHtml}
-    ${feedbackHtml}
-  `;
+/**
+ * WHAT IT DOES: Toggles the flag status for the current question
+ *
+ * WHY WE NEED IT: In Timed mode (like real AWS exams), users can flag
+ * questions they want to review later. This adds/removes the current
+ * question ID from the flaggedQuestions array.
+ *
+ * PARAMETERS:
+ * - state: Current app state
+ *
+ * SIDE EFFECTS:
+ * - Modifies session.flaggedQuestions array
+ * - Persists state to localStorage
+ * - Re-renders quiz to update flag button and jump grid
+ */
+function toggleFlag(state) {
+  safeOperation('Toggle Question Flag', () => {
+    const { session } = state;
+    const currentQid = session.questionIds[session.currentIndex];
 
-  // ✅ Event delegation: One listener on questionBox for all interactive elements
-  // Remove old listener first to prevent duplicates
-  const oldQuestionBoxListener = questionBox._questionBoxListener;
-  if (oldQuestionBoxListener) {
-    questionBox.removeEventListener("click", oldQuestionBoxListener);
-  }
+    // Ensure flaggedQuestions array exists (for backward compatibility)
+    if (!Array.isArray(session.flaggedQuestions)) {
+      session.flaggedQuestions = [];
+    }
 
-  const questionBoxListener = (e) => {
-    // Handle flag button clicks
-    if (e.target.closest("#flagBtn")) {
-      // Don't allow flagging when paused
-      if (quizPausedState !== null) return;
-      toggleFlag(state);
-      return;
+    // Toggle flag: add if not flagged, remove if already flagged
+    const flagIndex = session.flaggedQuestions.indexOf(currentQid);
+    if (flagIndex === -1) {
+      session.flaggedQuestions.push(currentQid);
+      console.info(`[SAA Info] Flagged question ${currentQid}`);
+    } else {
+      session.flaggedQuestions.splice(flagIndex, 1);
+      console.info(`[SAA Info] Unflagged question ${currentQid}`);
     }
 
-    // Handle Check Answer button clicks (review mode only)
-    if (e.target.closest("#checkAnswerBtn")) {
-      // Only allow if answered and not already checked
-      if (!hasAnswered || session.checkedQuestions?.has(q.id)) return;
+    // Save and re-render
+    persistRuntimeState(state);
+    renderQuiz(state);
+  }, undefined);
+}
 
-      // Mark as checked
-      if (!session.checkedQuestions) {
-        session.checkedQuestions = new Set();
-      }
-      session.checkedQuestions.add(q.id);
+/**
+ * WHAT IT DOES: Renders the jump grid (question number buttons)
+ *
+ * WHY WE NEED IT: Provides quick navigation between questions and shows
+ * visual status (answered, flagged, correct/wrong in review mode)
+ *
+ * VISUAL INDICATORS:
+ * - Current question: highlighted
+ * - Answered: filled background
+ * - Flagged (Timed mode): flag emoji badge
+ * - Correct/Wrong (Review mode): green/red color
+ */
+function renderJumpGrid(state) {
+  const { session } = state;
 
-      // Save and re-render to show feedback
-      state.session = session;
-      persistRuntimeState(state);
-      renderQuiz(state);
-      return;
-    }
+  // Ensure flaggedQuestions exists (backward compatibility)
+  const flagged = Array.isArray(session.flaggedQuestions) ? session.flaggedQuestions : [];
 
-    // Handle choice clicks
-    if (session.completed || quizPausedState !== null || isChecked) return;
+  // Check if paused for disabling jump buttons
+  const isPaused = quizPausedState !== null;
 
-    const choice = e.target.closest(".choice");
-    if (!choice) return;
+  jumpGrid.innerHTML = session.questionIds
+    .map((qid, idx) => {
+      const ans = session.answers[qid];
+      const answered = ans !== undefined;
+      const isFlagged = flagged.includes(qid);
 
-    const choiceIdx = Number(choice.getAttribute("data-choice"));
-    if (!isNaN(choiceIdx)) {
-      const isMulti = isMultiAnswer(q);
-      const requiredCount = isMulti ? q.answer.length : 1;
+      const cls = ["jump", idx === session.currentIndex ? "current" : "", answered ? "answered" : ""];
 
-      if (isMulti) {
-        // Multi-answer: toggle selection
-        let currentSelection = session.answers[q.id];
+      // Add flagged class for styling
+      if (isFlagged) {
+        cls.push("flagged");
+      }
 
-        // Initialize as empty array if not set
-        if (!Array.isArray(currentSelection)) {
-          currentSelection = [];
+      // REVIEW only: color green if correct, red if wrong (only after checking or completing)
+      if (session.mode !== "timed" && answered) {
+        const isQuestionChecked = session.checkedQuestions?.has(qid);
+        const shouldReveal = session.completed || isQuestionChecked;
+
+        if (shouldReveal) {
+          const q = QMAP.get(qid);
+          cls.push(isCorrectAnswer(ans, q.answer) ? "correct" : "wrong");
         }
+      }
 
-        // Check if already selected
-        const alreadySelected = currentSelection.includes(choiceIdx);
+      // Add flag emoji for flagged questions in Timed mode
+      const flagBadge = (session.mode === "timed" && isFlagged) ? '<span class="flag-badge">🚩</span>' : '';
 
-        if (alreadySelected) {
-          // Deselect: remove from array
-          currentSelection = currentSelection.filter(idx => idx !== choiceIdx);
-        } else {
-          // Select: add to array (only if under limit)
-          if (currentSelection.length < requiredCount) {
-            currentSelection = [...currentSelection, choiceIdx];
-          } else {
-            // Already at max selections, do nothing (ignore click)
-            return;
-          }
-        }
+      // Disable button if paused
+      const disabled = isPaused ? 'disabled' : '';
 
-        session.answers[q.id] = currentSelection;
-      } else {
-        // Single-answer: overwrite selection (existing behavior)
-        session.answers[q.id] = choiceIdx;
-      }
+      return `<button type="button" ${disabled} class="${cls.filter(Boolean).join(" ")}" data-idx="${idx}">${idx + 1}${flagBadge}</button>`;
+    })
+    .join("");
 
-      state.session = session;
-      persistRuntimeState(state);
-      renderQuiz(state);
-    }
+  // ✅ Event delegation: One listener on parent container
+  // Remove old listener first to prevent duplicates
+  const oldListener = jumpGrid._clickListener;
+  if (oldListener) {
+    jumpGrid.removeEventListener("click", oldListener);
+  }
+
+  // Create new listener function
+  const clickListener = (e) => {
+    const button = e.target.closest("button");
+    if (!button) return; // Click wasn't on a button
+
+    const idx = Number(button.getAttribute("data-idx"));
+    if (!isNaN(idx)) jumpToQuestion(state, idx);
   };
 
-  questionBox.addEventListener("click", questionBoxListener);
-  questionBox._questionBoxListener = questionBoxListener;
+  // Attach listener and save reference for cleanup
+  jumpGrid.addEventListener("click", clickListener);
+  jumpGrid._clickListener = clickListener;
+}
 
-  renderJumpGrid(state);
+/**
+ * WHAT IT DOES: Moves the session to another question and shows it
+ * (jump grid buttons and the exam review screen)
+ *
+ * PARAMETERS:
+ * - state: Runtime state
+ * - idx: Position in session.questionIds
+ */
+function jumpToQuestion(state, idx) {
+  state.session.currentIndex = idx;
+  persistRuntimeState(state);
+  renderQuiz(state);
 }
 
-function buildTimedReviewHtml(state) {
-  const { session } = state;
+// ============================================================================
+// EXAM REVIEW SCREEN - Answered / unanswered / flagged before ending
+// ============================================================================
+// Like the review page of the real exam: "End Exam" first lists every
+// question as answered or unanswered, with its flag. Clicking one jumps back
+// to it (jumpToQuestion, as in the jump grid); "End exam" confirms with a
+// warning about unanswered and flagged questions and the time left. The exam
+// clock keeps running on this screen.
 
-  return session.questionIds
-    .map((qid, idx) => {
-      const q = QMAP.get(qid);
-      const ans = session.answers[qid];
+let examReviewSeed = null; // Seed of the timed exam whose review screen is open (null = closed)
+let examReviewFilter = 'all'; // 'all' | 'flagged' | 'unanswered'
 
-      const status =
-        ans === undefined ? "Unanswered ❌" : isCorrectAnswer(ans, q.answer) ? "Correct ✅" : "Incorrect ❌";
+/**
+ * WHAT IT DOES: Tells whether the review screen replaces the question of
+ * this session
+ */
+function isExamReviewOpen(session) {
+  return examReviewSeed !== null && examReviewSeed === session.seed && session.mode === "timed" && !session.completed;
+}
 
-      const yourAnswer = ans === undefined
-        ? "—"
-        : Array.isArray(ans)
-          ? ans.map(idx => q.choices[idx]).join(', ')
-          : q.choices[ans];
+/**
+ * WHAT IT DOES: Lists every question of a timed exam for the review screen
+ *
+ * RETURNS: [{ idx, qid, answered, flagged, text }] in exam order
+ */
+function getExamReviewItems(session) {
+  const flagged = Array.isArray(session.flaggedQuestions) ? session.flaggedQuestions : [];
 
-      const correctAnswer = isMultiAnswer(q)
-        ? q.answer.map(idx => q.choices[idx]).join(', ')
-        : q.choices[q.answer];
+  return session.questionIds.map((qid, idx) => {
+    const ans = session.answers[qid];
+    const q = QMAP.get(qid);
+    return {
+      idx,
+      qid,
+      answered: ans !== undefined, // Same rule as the jump grid and the Answered count
+      flagged: flagged.includes(qid),
+      text: q ? q.question : ''
+    };
+  });
+}
 
-      // Build choice explanations HTML
-      let choiceExpsHtml = '';
-      if (q.choiceExplanations) {
-        const wrongChoices = Object.entries(q.choiceExplanations)
-          .map(([idx, exp]) => {
-            const choiceText = q.choices[idx];
-            return `<div style="margin-top:4px;"><strong>${escapeHtml(choiceText)}:</strong> ${escapeHtml(exp)}</div>`;
-          })
-          .join('');
+/**
+ * WHAT IT DOES: Fills the review screen of the exam on screen (or hides it)
+ *
+ * SIDE EFFECTS: Updates #examReview and the quizCard "exam-review-open"
+ * class (CSS hides the question, navigation and jump grid)
+ */
+function renderExamReview(state) {
+  const reviewEl = document.getElementById('examReview');
+  if (!reviewEl) return;
 
-        if (wrongChoices) {
-          choiceExpsHtml = `
-            <div style="margin-top:8px;">
-              <div style="font-weight:600; margin-bottom:4px;">Why other answers are incorrect:</div>
-              ${wrongChoices}
-            </div>
-          `;
-        }
-      }
+  const { session } = state;
+  const show = isExamReviewOpen(session);
+  quizCard.classList.toggle('exam-review-open', show);
+  reviewEl.hidden = !show;
+  if (!show) {
+    reviewEl.innerHTML = '';
+    return;
+  }
 
-      return `
-        <details style="margin-top:10px; padding:10px; border-radius:12px; border:1px solid rgba(255,255,255,0.12); background: rgba(255,255,255,0.03);">
-          <summary style="cursor:pointer; font-weight:700;">
-            Q${idx + 1} • ${escapeHtml(q.section)} • ${escapeHtml(status)}
-          </summary>
-          <div style="margin-top:10px;">
-            <div style="font-weight:700; margin-bottom:6px;">${escapeHtml(q.question)}</div>
-            <div style="color: rgba(233,237,245,0.9); margin-bottom:6px;">
-              Your answer: <strong>${escapeHtml(yourAnswer)}</strong>
-            </div>
-            <div style="color: rgba(233,237,245,0.9); margin-bottom:6px;">
-              Correct answer: <strong>${escapeHtml(correctAnswer)}</strong>
-            </div>
-            <div style="color: rgba(233,237,245,0.9);">
-              Explanation: ${escapeHtml(q.explanation)}
-            </div>
-            ${choiceExpsHtml}
-          </div>
-        </details>
-      `;
-    })
-    .join("");
+  const items = getExamReviewItems(session);
+  const counts = {
+    all: items.length,
+    flagged: items.filter(i => i.flagged).length,
+    unanswered: items.filter(i => !i.answered).length
+  };
+  const visible = items.filter(i =>
+    examReviewFilter === 'flagged' ? i.flagged
+      : examReviewFilter === 'unanswered' ? !i.answered
+      : true
+  );
+  const disabled = quizPausedState !== null ? 'disabled' : '';
+
+  const filtersHtml = [['all', 'All'], ['flagged', 'Flagged'], ['unanswered', 'Unanswered']]
+    .map(([id, label]) => `
+      <button type="button" class="chip ${examReviewFilter === id ? 'active' : ''}" data-review-filter="${id}" aria-pressed="${examReviewFilter === id}">
+        ${label} (${counts[id]})
+      </button>
+    `).join('');
+
+  const itemsHtml = visible.length
+    ? visible.map(item => `
+        <button type="button" class="exam-review-item ${item.answered ? 'answered' : 'unanswered'} ${item.flagged ? 'flagged' : ''}"
+                data-review-jump="${item.idx}" ${disabled}>
+          <span class="exam-review-num">Q${item.idx + 1}${item.flagged ? ' 🚩' : ''}</span>
+          <span class="exam-review-status">${item.answered ? 'Answered' : 'Unanswered'}</span>
+          <span class="exam-review-text">${escapeHtml(item.text.substring(0, 90))}${item.text.length > 90 ? '...' : ''}</span>
+        </button>
+      `).join('')
+    : `<p class="meta">No ${examReviewFilter} questions.</p>`;
+
+  reviewEl.innerHTML = `
+    <h3>Review your answers</h3>
+    <p class="meta">
+      ${counts.all - counts.unanswered} answered • ${counts.unanswered} unanswered • ${counts.flagged} flagged.
+      Click a question to go back to it.
+    </p>
+    <div class="chips exam-review-filters">${filtersHtml}</div>
+    <div class="exam-review-list">${itemsHtml}</div>
+    <div class="actions">
+      <button type="button" class="btn" data-review-close ${disabled}>Return to exam</button>
+      <button type="button" class="btn btn-primary" data-review-submit ${disabled}>End exam</button>
+    </div>
+  `;
 }
 
-function showResults(state, autoEnded) {
-  const { session } = state;
-  session.completed = true;
-  state.session = session;
-  persistRuntimeState(state);
+/**
+ * WHAT IT DOES: Shows the review screen of a timed exam ("End Exam" button)
+ */
+function openExamReview(state) {
+  examReviewSeed = state.session.seed;
+  examReviewFilter = 'all';
+  renderQuiz(state);
+}
 
-  stopTimer();
+/**
+ * WHAT IT DOES: Builds the confirmation text for ending a timed exam
+ *
+ * RETURNS: Message naming unanswered and flagged questions and the time left
+ */
+function buildEndExamConfirmMessage(state) {
+  const items = getExamReviewItems(state.session);
+  const unanswered = items.filter(i => !i.answered).length;
+  const flagged = items.filter(i => i.flagged).length;
+  const plural = (n) => `${n} question${n === 1 ? '' : 's'}`;
+
+  const lines = ["End exam now? (You can't continue after submitting)"];
+  if (unanswered) lines.push(`⚠️ ${plural(unanswered)} unanswered - they count as wrong.`);
+  if (flagged) lines.push(`🚩 ${plural(flagged)} still flagged for review.`);
+  lines.push(`⏱️ ${formatClock(getRemainingSec(state.session))} left on the clock.`);
+  return lines.join('\n\n');
+}
 
-  // Record this session to history for performance tracking
-  recordSessionToHistory(state);
+/**
+ * WHAT IT DOES: Ends the timed exam from the review screen (after confirmation)
+ */
+function submitExamFromReview(state) {
+  if (!confirm(buildEndExamConfirmMessage(state))) {
+    console.info('[SAA Info] User cancelled exam submission');
+    return;
+  }
 
-  const s = computeScore(state);
+  examReviewSeed = null;
+  showResults(state, false);
+}
 
-  let html = "";
-  if (session.mode === "timed") {
-    // Build flagged questions summary
-    const flagged = Array.isArray(session.flaggedQuestions) ? session.flaggedQuestions : [];
-    const flaggedHtml = flagged.length > 0
-      ? `<div style="margin-top:12px; padding:10px; border-radius:8px; background: rgba(251, 191, 36, 0.1); border:1px solid rgba(251, 191, 36, 0.3);">
-           <div style="font-weight:600; margin-bottom:6px;">🚩 You flagged ${flagged.length} question${flagged.length === 1 ? '' : 's'} for review:</div>
-           <div style="font-size:0.95em;">${flagged.map(qid => {
-             const idx = session.questionIds.indexOf(qid) + 1;
-             return `<span style="margin-right:8px;">Q${idx}</span>`;
-           }).join('')}</div>
-         </div>`
-      : '';
+// ============================================================================
+// SCORING MODELS - Pluggable raw → reported score conversion
+// ============================================================================
+// computeScore() collects the questions that count (the 50 scored ones in a
+// timed exam, all of them in review) and hands them to a scoring model. Each
+// model returns the reported score plus a per-domain competency breakdown,
+// like the "Meets / Needs improvement" table of the AWS score report.
+//
+// A session keeps the model it was started with (session.scoringModel), so
+// changing the setting never rescores a session in progress or in history.
 
-    html = `
-      <div><strong>${autoEnded ? "Time is up." : "Exam submitted."}</strong></div>
-      <div style="margin-top:8px;">
-        <div><strong>Final score:</strong> ${s.points}/${s.totalPoints} ${s.passed ? "(PASSED)" : "(FAILED)"}</div>
-        <div class="meta" style="margin-top:6px;">Answered: ${s.answeredTotal}/${s.totalQuestions}</div>
-      </div>
-      ${flaggedHtml}
-      <div style="margin-top:14px;"><strong>Review</strong></div>
-      ${buildTimedReviewHtml(state)}
-    `;
-  } else {
-    html = `
-      <div><strong>Finished.</strong></div>
-      <div style="margin-top:8px;">
-        <div><strong>Final score:</strong> ${s.points}/1000 ${s.passed ? "(PASSED)" : "(FAILED)"}</div>
-        <div class="meta" style="margin-top:6px;">
-          Correct: ${s.correctTotal}/${s.totalQuestions} • Answered: ${s.answeredTotal}/${s.totalQuestions}
-        </div>
-      </div>
-    `;
+let SCORING_MODEL_KEY = "saa_scoring_model_v1"; // localStorage key for the selected model (per exam profile)
+const DEFAULT_SCORING_MODEL = "scaled";
+const LEGACY_SCORING_MODEL = "linear"; // Sessions created before models existed
+
+// Scaled model: question weight by difficulty (harder questions count more)
+const SCALED_DIFFICULTY_WEIGHTS = { Easy: 1, Medium: 1.5, Hard: 2 };
+// Scaled model: weighted raw fraction that maps to the 720 cut score
+const SCALED_CUT_RAW = 0.65;
+const SCALED_MIN_SCORE = 100; // AWS reports scores on a 100-1000 scale
+const MAX_SCORE = 1000;
+
+/**
+ * WHAT IT DOES: Weighted fraction correct per domain + "meets competencies"
+ *
+ * PARAMETERS:
+ * - items: [{ question, correct }] questions that count toward the score
+ * - weightOf: Function(question) → weight
+ * - cut: Raw fraction needed to meet the competencies of a domain
+ *
+ * RETURNS: { D1: { correct, total, raw, meets }, ... } (correct/total are counts)
+ */
+function buildDomainCompetency(items, weightOf, cut) {
+  const domains = {};
+
+  for (const { question, correct } of items) {
+    const d = domains[question.domainId] ||
+      (domains[question.domainId] = { correct: 0, total: 0, weightCorrect: 0, weightTotal: 0 });
+    const w = weightOf(question);
+    d.total++;
+    d.weightTotal += w;
+    if (correct) {
+      d.correct++;
+      d.weightCorrect += w;
+    }
   }
 
-  resultBox.innerHTML = html;
-  resultBox.hidden = false;
+  for (const d of Object.values(domains)) {
+    d.raw = d.weightTotal ? d.weightCorrect / d.weightTotal : 0;
+    d.meets = d.raw >= cut;
+    delete d.weightCorrect;
+    delete d.weightTotal;
+  }
 
-  // Re-render quiz so:
-  // - timed reveals answers on the question screen too
-  // - review keeps jump correctness colors consistent
-  renderQuiz(state);
+  return domains;
 }
 
-// ============================================================================
-// PERFORMANCE TRACKING - Session history and analytics
-// ============================================================================
+/**
+ * Available scoring models.
+ * score(items) → { points, minPoints, totalPoints, passed, domains }
+ */
+const SCORING_MODELS = {
+  linear: {
+    id: "linear",
+    name: "Linear (percent correct × 1000)",
+    score(items) {
+      const correct = items.filter((i) => i.correct).length;
+      const points = items.length ? Math.round((correct / items.length) * MAX_SCORE) : 0;
+      return {
+        points,
+        minPoints: 0,
+        totalPoints: MAX_SCORE,
+        passed: points >= PASSING_SCORE,
+        domains: buildDomainCompetency(items, () => 1, PASSING_SCORE / MAX_SCORE)
+      };
+    }
+  },
+
+  scaled: {
+    id: "scaled",
+    name: "Scaled 100-1000, difficulty-weighted (AWS-style)",
+    score(items) {
+      const weightOf = (q) => SCALED_DIFFICULTY_WEIGHTS[q.difficulty] || SCALED_DIFFICULTY_WEIGHTS.Medium;
+
+      let weightCorrect = 0;
+      let weightTotal = 0;
+      for (const { question, correct } of items) {
+        weightTotal += weightOf(question);
+        if (correct) weightCorrect += weightOf(question);
+      }
+
+      const raw = weightTotal ? weightCorrect / weightTotal : 0;
+      const points = Math.round(scaleRawScore(raw));
+      return {
+        points,
+        minPoints: SCALED_MIN_SCORE,
+        totalPoints: MAX_SCORE,
+        passed: points >= PASSING_SCORE,
+        domains: buildDomainCompetency(items, weightOf, SCALED_CUT_RAW)
+      };
+    }
+  }
+};
 
 /**
- * WHAT IT DOES: Loads quiz history from localStorage
+ * WHAT IT DOES: Maps a weighted raw fraction (0-1) onto the 100-1000 scale
  *
- * WHY WE NEED IT: Retrieves all past quiz attempts so we can analyze
- * performance trends, identify weak areas, and track improvement.
+ * HOW IT WORKS: Two linear pieces that meet at the cut score, so
+ * SCALED_CUT_RAW always lands exactly on PASSING_SCORE (720):
+ *   0 → 100,  SCALED_CUT_RAW → 720,  1 → 1000
  *
- * RETURNS: History object with version and sessions array, or empty structure
+ * EXAMPLE:
+ * scaleRawScore(0.65) → 720
+ * scaleRawScore(0.5)  → 577 (rounded)
+ */
+function scaleRawScore(raw) {
+  const r = Math.min(1, Math.max(0, raw));
+  if (r <= SCALED_CUT_RAW) {
+    return SCALED_MIN_SCORE + (r / SCALED_CUT_RAW) * (PASSING_SCORE - SCALED_MIN_SCORE);
+  }
+  return PASSING_SCORE + ((r - SCALED_CUT_RAW) / (1 - SCALED_CUT_RAW)) * (MAX_SCORE - PASSING_SCORE);
+}
+
+/**
+ * WHAT IT DOES: Looks up a scoring model by id
  *
- * STRUCTURE:
- * {
- *   version: 1,
- *   sessions: [
- *     {
- *       sessionId: "unique-id",
- *       mode: "review" | "timed",
- *       domainId: "D1" | "D2" | "D3" | "D4" | "ALL",
- *       section: "EC2" | "S3" | ... | "ALL",
- *       startedAt: 1735142400000,
- *       completedAt: 1735143120000,
- *       durationSeconds: 720,
- *       totalQuestions: 65,
- *       answeredTotal: 63,
- *       correctTotal: 45,
- *       points: 714,
- *       passed: false,
- *       domainScores: { "D1": { correct: 12, total: 18 }, ... },
- *       sectionScores: { "IAM": { correct: 4, total: 6 }, ... },
- *       questionResults: [{ questionId: "SAA-001", correct: true }, ...]
- *     }
- *   ]
- * }
+ * RETURNS: Model object (legacy linear model for unknown/missing ids)
  */
-function getSessionHistory() {
-  return safeOperation('Load Session History', () => {
-    const raw = localStorage.getItem(HISTORY_KEY);
-    if (!raw) {
-      console.info('[SAA Info] No history found, returning empty structure');
-      return { version: 1, sessions: [] };
+function getScoringModel(id) {
+  return SCORING_MODELS[id] || SCORING_MODELS[LEGACY_SCORING_MODEL];
+}
+
+/**
+ * WHAT IT DOES: Returns the model id selected for new sessions
+ */
+function loadScoringModelId() {
+  return safeOperation('Load Scoring Model', () => {
+    const id = localStorage.getItem(SCORING_MODEL_KEY);
+    return SCORING_MODELS[id] ? id : DEFAULT_SCORING_MODEL;
+  }, DEFAULT_SCORING_MODEL);
+}
+
+/**
+ * WHAT IT DOES: Scores a history record again with the given model
+ *
+ * WHY WE NEED IT: Records keep the points of the model they were taken
+ * with; averaging linear and scaled points mixes two scales. Analyses that
+ * compare records put them all on one model first.
+ *
+ * HOW IT WORKS: Rebuilds the counting questions from questionResults (only
+ * the scored ids of a timed exam when the replay data has them) with the
+ * current bank's difficulty. Records without per-question results keep
+ * their stored points if they used the same model.
+ *
+ * PARAMETERS:
+ * - record: History session record
+ * - modelId: Scoring model id
+ *
+ * RETURNS: Points on the model's scale, or null if it can't be re-scored
+ */
+function scoreHistoryRecord(record, modelId) {
+  const model = getScoringModel(modelId);
+  const replaySession = record.replay && record.replay.session;
+  const scored = replaySession && Array.isArray(replaySession.scoredIds) && replaySession.scoredIds.length
+    ? new Set(replaySession.scoredIds)
+    : null;
+
+  const items = (record.questionResults || [])
+    .filter((r) => !scored || scored.has(r.questionId))
+    .map((r) => ({ question: QMAP.get(r.questionId), correct: Boolean(r.correct) }))
+    .filter((item) => item.question);
+
+  if (items.length) return model.score(items).points;
+  return getScoringModel(record.scoringModel).id === model.id && Number.isFinite(record.points) ? record.points : null;
+}
+
+/**
+ * WHAT IT DOES: Stores the model id used for new sessions
+ */
+function saveScoringModelId(id) {
+  safeOperation('Save Scoring Model', () => {
+    if (!SCORING_MODELS[id]) return;
+    localStorage.setItem(SCORING_MODEL_KEY, id);
+    console.info(`[SAA Info] Scoring model set to ${id}`);
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Fills the Scoring dropdown in the setup card
+ */
+function buildScoringOptions() {
+  const selected = loadScoringModelId();
+  scoringSelect.innerHTML = Object.values(SCORING_MODELS)
+    .map((m) => `<option value="${m.id}" ${m.id === selected ? 'selected' : ''}>${escapeHtml(m.name)}</option>`)
+    .join('');
+}
+
+/**
+ * WHAT IT DOES: Builds the per-domain competency table for the results page
+ *
+ * PARAMETERS:
+ * - score: Result of computeScore()
+ *
+ * RETURNS: HTML string ('' when no domain data)
+ */
+function buildCompetencyHtml(score) {
+  const entries = Object.entries(score.domains || {}).sort((a, b) => a[0].localeCompare(b[0]));
+  if (entries.length === 0) return '';
+
+  const rowsHtml = entries.map(([domainId, d]) => `
+    <tr>
+      <td>${escapeHtml(domainId)}: ${escapeHtml(QUESTION_DOMAINS[domainId] || domainId)}</td>
+      <td>${d.correct}/${d.total}</td>
+      <td class="${d.meets ? 'competency-meets' : 'competency-needs'}">
+        ${d.meets ? '✅ Meets competencies' : '⚠️ Needs improvement'}
+      </td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="competency-report">
+      <div><strong>Domain competency</strong> <span class="meta">${escapeHtml(getScoringModel(score.model).name)}</span></div>
+      <table class="competency-table">
+        <tbody>${rowsHtml}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * WHAT IT DOES: Builds the choices and (once revealed) the answer feedback
+ * of one question
+ *
+ * WHY WE NEED IT: Shared by renderQuiz() and the question editor preview
+ * (Editor tab), so authors see a question exactly as learners will
+ *
+ * PARAMETERS:
+ * - q: Question object
+ * - view: {
+ *     selected,       // User's answer (index, array of indices, or undefined)
+ *     revealAnswers,  // Mark correct/wrong choices and show explanations
+ *     isDisabled,     // Grey out choices (paused or already checked)
+ *     locked,         // Choices can't be clicked (aria-disabled)
+ *     struck,         // Optional: choice indices struck out (see CHOICE ELIMINATION)
+ *     canStrike       // Optional: add the strike-out toggle to each choice
+ *   }
+ *
+ * RETURNS: { choicesHtml, feedbackHtml } (feedbackHtml is '' until revealed)
+ */
+function buildQuestionViewHtml(q, view) {
+  const { selected, revealAnswers, isDisabled, locked, struck = [], canStrike = false } = view;
+  const hasAnswered = selected !== undefined;
+  const isMulti = isMultiAnswer(q);
+
+  const choicesHtml = q.choices
+    .map((c, i) => {
+      let cls = "choice";
+
+      // Check if this choice is selected (works for both single and multi-answer)
+      if (isChoiceSelected(selected, i)) cls += " selected";
+
+      if (revealAnswers) {
+        // Mark correct answers (may be multiple)
+        if (isMulti) {
+          if (q.answer.includes(i)) cls += " correct";
+          if (hasAnswered && isChoiceSelected(selected, i) && !q.answer.includes(i)) cls += " wrong";
+        } else {
+          if (i === q.answer) cls += " correct";
+          if (hasAnswered && selected === i && selected !== q.answer) cls += " wrong";
+        }
+      }
+
+      // Eliminated choices stay struck through after the answers are revealed
+      const isStruck = struck.includes(i);
+      if (isStruck) cls += " struck";
+
+      // Add disabled class when paused OR checked
+      if (isDisabled) cls += " disabled";
+
+      // Add aria-disabled for accessibility
+      const ariaDisabled = locked ? "aria-disabled='true'" : "";
+
+      const strikeBtnHtml = canStrike
+        ? `<button type="button" class="choice-strike" data-strike="${i}" aria-pressed="${isStruck}"
+             title="${isStruck ? 'Restore this choice' : 'Strike out this choice'}">${isStruck ? '↺' : '✕'}</button>`
+        : '';
+
+      return `<div class="${cls}" data-choice="${i}" ${ariaDisabled}><span class="choice-text">${escapeHtml(c)}</span>${strikeBtnHtml}</div>`;
+    })
+    .join("");
+
+  const feedbackHtml = revealAnswers
+    ? (() => {
+        const correctText = isMultiAnswer(q)
+          ? `Correct answers: ${q.answer.map(idx => q.choices[idx]).join(', ')}`
+          : `Correct answer: ${q.choices[q.answer]}`;
+
+        // Build enhanced explanation sections (optional fields)
+        let enhancedHtml = '';
+
+        // AWS Documentation Links
+        if (q.resources && Array.isArray(q.resources) && q.resources.length > 0) {
+          const resourcesHtml = q.resources.map(r =>
+            `<li><a href="${escapeHtml(r.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(r.title)}</a></li>`
+          ).join('');
+          enhancedHtml += `
+            <details class="exp-details resources">
+              <summary>AWS Documentation</summary>
+              <div class="exp-details-content">
+                <ul>${resourcesHtml}</ul>
+              </div>
+            </details>
+          `;
+        }
+
+        // Related Concepts
+        if (q.relatedConcepts && Array.isArray(q.relatedConcepts) && q.relatedConcepts.length > 0) {
+          const conceptsHtml = q.relatedConcepts.map(c =>
+            `<li>${escapeHtml(c)}</li>`
+          ).join('');
+          enhancedHtml += `
+            <details class="exp-details concepts">
+              <summary>Related Concepts</summary>
+              <div class="exp-details-content">
+                <ul>${conceptsHtml}</ul>
+              </div>
+            </details>
+          `;
+        }
+
+        // Exam Tips
+        if (q.examTips && typeof q.examTips === 'string' && q.examTips.trim()) {
+          enhancedHtml += `
+            <details class="exp-details tips">
+              <summary>Exam Tips</summary>
+              <div class="exp-details-content">
+                <p>${escapeHtml(q.examTips)}</p>
+              </div>
+            </details>
+          `;
+        }
+
+        if (!hasAnswered) {
+          return `
+            <div class="feedback bad">
+              <div class="status">Unanswered ❌</div>
+              <div class="exp">${escapeHtml(correctText)}</div>
+              <div class="exp">${escapeHtml(q.explanation)}</div>
+              ${enhancedHtml}
+            </div>
+          `;
+        }
+
+        const isCorrect = isCorrectAnswer(selected, q.answer);
+        const boxCls = `feedback ${isCorrect ? "good" : "bad"}`;
+        const yourText = Array.isArray(selected)
+          ? `Your answers: ${selected.map(idx => q.choices[idx]).join(', ')}`
+          : `Your answer: ${q.choices[selected]}`;
+
+        // Build choice explanations HTML for wrong answers
+        let choiceExplanationsHtml = '';
+        if (q.choiceExplanations) {
+          const wrongChoices = [];
+          Object.entries(q.choiceExplanations).forEach(([idx, explanation]) => {
+            wrongChoices.push(`
+              <div class="choice-exp">
+                <strong>${escapeHtml(q.choices[idx])}:</strong> ${escapeHtml(explanation)}
+              </div>
+            `);
+          });
+
+          if (wrongChoices.length > 0) {
+            choiceExplanationsHtml = `
+              <div class="choice-explanations">
+                <div class="choice-exp-title">Why other answers are incorrect:</div>
+                ${wrongChoices.join('')}
+              </div>
+            `;
+          }
+        }
+
+        return `
+          <div class="${boxCls}">
+            <div class="status">${isCorrect ? "Correct ✅" : "Incorrect ❌"}</div>
+            <div class="exp">${escapeHtml(yourText)}</div>
+            <div class="exp">${escapeHtml(correctText)}</div>
+            <div class="exp">${escapeHtml(q.explanation)}</div>
+            ${choiceExplanationsHtml}
+            ${enhancedHtml}
+          </div>
+        `;
+      })()
+    : "";
+
+  return { choicesHtml, feedbackHtml };
+}
+
+/**
+ * WHAT IT DOES: Scores a session with the model it was started with
+ *
+ * HOW IT WORKS:
+ * 1. Count answered/correct questions (review only counts checked questions
+ *    until the session is completed)
+ * 2. Pick the questions that count: timed → the 50 scored ids, review → all
+ * 3. Let the session's scoring model turn them into points + competencies
+ *
+ * RETURNS: { answeredTotal, correctTotal, totalQuestions, points, minPoints,
+ *            totalPoints, passed, domains, model } (+ answeredScored and
+ *            correctScored in timed mode)
+ */
+function computeScore(state) {
+  const { session } = state;
+
+  let answeredTotal = 0;
+  let correctTotal = 0;
+
+  let answeredScored = 0;
+  let correctScored = 0;
+
+  // Questions handed to the scoring model
+  const items = [];
+
+  for (const qid of session.questionIds) {
+    const q = QMAP.get(qid);
+    const ans = session.answers[qid];
+
+    const answered = ans !== undefined;
+    const correct = answered && isCorrectAnswer(ans, q.answer);
+
+    // In review mode: only count checked questions OR all questions if exam completed
+    const shouldCount = session.mode === "timed"
+      ? true  // Timed mode: count all questions
+      : (session.completed || session.checkedQuestions?.has(qid));  // Review: only checked questions
+
+    if (answered && shouldCount) answeredTotal++;
+    if (correct && shouldCount) correctTotal++;
+
+    if (session.mode === "timed") {
+      if (session.scoredIds && session.scoredIds.has(qid)) {
+        if (answered) answeredScored++;
+        if (correct) correctScored++;
+        items.push({ question: q, correct });
+      }
+    } else {
+      // REVIEW: unanswered counts as wrong
+      items.push({ question: q, correct: correct && shouldCount });
+    }
+  }
+
+  const totalQuestions = session.questionIds.length;
+  const model = getScoringModel(session.scoringModel);
+  const result = model.score(items);
+
+  const score = {
+    answeredTotal,
+    correctTotal,
+    totalQuestions,
+    points: result.points,
+    minPoints: result.minPoints,
+    totalPoints: result.totalPoints,
+    passed: result.passed,
+    domains: result.domains,
+    model: model.id
+  };
+
+  if (session.mode === "timed") {
+    score.answeredScored = answeredScored;
+    score.correctScored = correctScored;
+  }
+
+  return score;
+}
+
+function renderQuiz(state) {
+  quizCard.hidden = false;
+
+  // Only hide results during an active (not completed) session
+  if (!state.session.completed) resultBox.hidden = true;
+
+  const { session } = state;
+  const q = getCurrentQuestion(state);
+  const idx = session.currentIndex;
+
+  progressText.textContent = `Question ${idx + 1} / ${session.questionIds.length} • Mode: ${session.mode.toUpperCase()}`;
+
+  metaText.textContent = ''; // Tags removed to increase difficulty
+
+  // Score mini: REVIEW -> only show Answered; TIMED -> show Answered; show Final only when completed
+  const s = computeScore(state);
+  if (session.mode === "timed") {
+    scoreMini.textContent = session.completed
+      ? `Final: ${s.points}/${s.totalPoints} ${s.passed ? "(PASSED)" : "(FAILED)"}`
+      : `Answered: ${s.answeredTotal}/${s.totalQuestions}`;
+  } else {
+    scoreMini.textContent = session.completed
+      ? `Final: ${s.points}/1000 ${s.passed ? "(PASSED)" : "(FAILED)"}`
+      : `Answered: ${s.answeredTotal}/${s.totalQuestions}`;
+  }
+
+  // Timer (a stored pause, or the exam running in another tab, keeps it stopped)
+  syncExamPauseState(state);
+  if (session.mode === "timed" && !session.completed && quizPausedState === null) {
+    timerEl.hidden = false;
+    startTimer(state);
+  } else {
+    timerEl.hidden = true;
+    stopTimer();
+  }
+
+  // Pause button (show/hide based on timed mode and completion status)
+  const pauseBtn = document.getElementById('pauseBtn');
+  if (pauseBtn) {
+    if (session.mode === 'timed' && !session.completed && !isExamInOtherTab()) {
+      pauseBtn.hidden = false;
+    } else {
+      pauseBtn.hidden = true;
+    }
+  }
+
+  // Check if paused
+  const isPaused = quizPausedState !== null;
+
+  // Controls enable/disable
+  if (isPaused) {
+    // Disable all navigation when paused
+    prevBtn.disabled = true;
+    nextBtn.disabled = true;
+    submitBtn.disabled = true;
+  } else {
+    // Normal navigation rules
+    prevBtn.disabled = idx === 0;
+    nextBtn.disabled = idx === session.questionIds.length - 1;
+    submitBtn.disabled = session.completed;
+  }
+
+  // Submit button logic
+  submitBtn.textContent = session.mode === "timed" ? "End Exam" : "Finish";
+
+  // Question box
+  const selected = session.answers[q.id];
+  const hasAnswered = selected !== undefined;
+
+  // Reveal logic:
+  // - timed: reveal only after exam submitted
+  // - review: reveal after clicking "Check Answer" OR after completing entire review
+  const revealAnswers = session.mode === "timed"
+    ? session.completed
+    : (session.completed || session.checkedQuestions?.has(q.id));
+
+  const isPausedForChoices = quizPausedState !== null;
+  const isChecked = session.mode !== "timed" && session.checkedQuestions?.has(q.id);
+  const isDisabled = isPausedForChoices || isChecked;
+
+  const { choicesHtml, feedbackHtml } = buildQuestionViewHtml(q, {
+    selected,
+    revealAnswers,
+    isDisabled,
+    locked: session.completed || isDisabled,
+    struck: getStruckChoices(session, q.id),
+    canStrike: !session.completed && !isDisabled
+  });
+
+  // Confidence rating (answered questions; read-only once checked or submitted)
+  const confidence = getAnswerConfidence(session, q.id);
+  const confidenceHtml = hasAnswered && (!session.completed || confidence)
+    ? buildConfidenceRowHtml(confidence, session.completed || isDisabled)
+    : '';
+
+  // Check Answer button (review mode only)
+  let checkButtonHtml = '';
+  if (session.mode !== "timed") {
+    const isChecked = session.checkedQuestions?.has(q.id);
+    const canCheck = hasAnswered && !isChecked && !session.completed;
+
+    checkButtonHtml = `
+      <button
+        id="checkAnswerBtn"
+        class="check-answer-btn ${canCheck ? '' : 'disabled'}"
+        ${!canCheck ? 'disabled' : ''}
+      >
+        ${isChecked ? '✓ Checked' : 'Check Answer'}
+      </button>
+    `;
+  }
+
+  // Flag button HTML (Timed mode only, hidden when completed)
+  const flagged = Array.isArray(session.flaggedQuestions) && session.flaggedQuestions.includes(q.id);
+  const isPausedForFlag = quizPausedState !== null;
+  const disabledAttr = isPausedForFlag ? 'disabled' : '';
+  const flagBtnHtml = (session.mode === "timed" && !session.completed)
+    ? `<button id="flagBtn" class="btn btn-flag ${flagged ? 'flagged' : ''}" ${disabledAttr}>
+         <span class="flag-icon">${flagged ? '🚩' : '🏳️'}</span> ${flagged ? 'Unflag' : 'Flag for Review'}
+       </button>`
+    : '';
+
+  questionBox.innerHTML = `
+    <div class="q-title">${escapeHtml(q.question)}</div>
+    <div class="q-tags">${escapeHtml(q.domain)} • ${escapeHtml(q.id)}</div>
+    ${flagBtnHtml}
+    <div class="choices">${choicesHtml}</div>
+    ${confidenceHtml}
+    ${checkButtonHtml}
+    ${feedbackHtml}
+    ${buildNoteEditorHtml(q.id, quizPausedState !== null)}
+  `;
+
+  // ✅ Event delegation: One listener on questionBox for all interactive elements
+  // Remove old listener first to prevent duplicates
+  const oldQuestionBoxListener = questionBox._questionBoxListener;
+  if (oldQuestionBoxListener) {
+    questionBox.removeEventListener("click", oldQuestionBoxListener);
+  }
+
+  const questionBoxListener = (e) => {
+    // Handle flag button clicks
+    if (e.target.closest("#flagBtn")) {
+      // Don't allow flagging when paused
+      if (quizPausedState !== null) return;
+      toggleFlag(state);
+      return;
+    }
+
+    // Handle Check Answer button clicks (review mode only)
+    if (e.target.closest("#checkAnswerBtn")) {
+      // Only allow if answered and not already checked
+      if (!hasAnswered || session.checkedQuestions?.has(q.id)) return;
+
+      // Mark as checked
+      if (!session.checkedQuestions) {
+        session.checkedQuestions = new Set();
+      }
+      session.checkedQuestions.add(q.id);
+
+      // Save and re-render to show feedback
+      state.session = session;
+      persistRuntimeState(state);
+      renderQuiz(state);
+      return;
+    }
+
+    // Handle choice clicks
+    if (session.completed || quizPausedState !== null || isChecked) return;
+
+    // Strike-out toggle sits inside the choice: it must not select it too
+    const strikeBtn = e.target.closest("[data-strike]");
+    if (strikeBtn) {
+      toggleStruckChoice(session, q.id, Number(strikeBtn.getAttribute("data-strike")));
+      state.session = session;
+      persistRuntimeState(state);
+      renderQuiz(state);
+      return;
+    }
+
+    const confidenceBtn = e.target.closest("[data-confidence]");
+    if (confidenceBtn) {
+      if (!hasAnswered) return;
+      setAnswerConfidence(session, q.id, confidenceBtn.getAttribute("data-confidence"));
+      state.session = session;
+      persistRuntimeState(state);
+      renderQuiz(state);
+      return;
+    }
+
+    const choice = e.target.closest(".choice");
+    if (!choice) return;
+
+    const choiceIdx = Number(choice.getAttribute("data-choice"));
+    if (!isNaN(choiceIdx)) {
+      const isMulti = isMultiAnswer(q);
+      const wasStruck = getStruckChoices(session, q.id).includes(choiceIdx);
+      const requiredCount = isMulti ? q.answer.length : 1;
+
+      if (isMulti) {
+        // Multi-answer: toggle selection
+        let currentSelection = session.answers[q.id];
+
+        // Initialize as empty array if not set
+        if (!Array.isArray(currentSelection)) {
+          currentSelection = [];
+        }
+
+        // Check if already selected
+        const alreadySelected = currentSelection.includes(choiceIdx);
+
+        if (alreadySelected) {
+          // Deselect: remove from array
+          currentSelection = currentSelection.filter(idx => idx !== choiceIdx);
+        } else {
+          // Select: add to array (only if under limit)
+          if (currentSelection.length < requiredCount) {
+            currentSelection = [...currentSelection, choiceIdx];
+          } else {
+            // Already at max selections, do nothing (ignore click)
+            return;
+          }
+        }
+
+        session.answers[q.id] = currentSelection;
+      } else {
+        // Single-answer: overwrite selection (existing behavior)
+        session.answers[q.id] = choiceIdx;
+      }
+
+      // Picking an eliminated choice brings it back
+      if (wasStruck) toggleStruckChoice(session, q.id, choiceIdx);
+
+      state.session = session;
+      persistRuntimeState(state);
+      renderQuiz(state);
+    }
+  };
+
+  questionBox.addEventListener("click", questionBoxListener);
+  questionBox._questionBoxListener = questionBoxListener;
+
+  renderJumpGrid(state);
+  renderExamReview(state);
+
+  // Time on the previous question is booked, timing moves to this one
+  trackQuestionDwell(state);
+}
+
+function buildTimedReviewHtml(state) {
+  const { session } = state;
+
+  return session.questionIds
+    .map((qid, idx) => {
+      const q = QMAP.get(qid);
+      const ans = session.answers[qid];
+
+      const status =
+        ans === undefined ? "Unanswered ❌" : isCorrectAnswer(ans, q.answer) ? "Correct ✅" : "Incorrect ❌";
+      const flagged = Array.isArray(session.flaggedQuestions) && session.flaggedQuestions.includes(qid);
+
+      const yourAnswer = ans === undefined
+        ? "—"
+        : Array.isArray(ans)
+          ? ans.map(idx => q.choices[idx]).join(', ')
+          : q.choices[ans];
+
+      const correctAnswer = isMultiAnswer(q)
+        ? q.answer.map(idx => q.choices[idx]).join(', ')
+        : q.choices[q.answer];
+
+      const confidence = getAnswerConfidence(session, qid);
+      const struck = getStruckChoices(session, qid);
+      const struckHtml = struck.length
+        ? `<div style="color: rgba(233,237,245,0.9); margin-bottom:6px;">
+             Struck out: <s>${struck.map(idx => escapeHtml(q.choices[idx])).join('</s>, <s>')}</s>
+             ${getWrongEliminations(q, struck).length ? '<span class="pacing-status wrong">includes a correct answer</span>' : ''}
+           </div>`
+        : '';
+
+      // Build choice explanations HTML
+      let choiceExpsHtml = '';
+      if (q.choiceExplanations) {
+        const wrongChoices = Object.entries(q.choiceExplanations)
+          .map(([idx, exp]) => {
+            const choiceText = q.choices[idx];
+            return `<div style="margin-top:4px;"><strong>${escapeHtml(choiceText)}:</strong> ${escapeHtml(exp)}</div>`;
+          })
+          .join('');
+
+        if (wrongChoices) {
+          choiceExpsHtml = `
+            <div style="margin-top:8px;">
+              <div style="font-weight:600; margin-bottom:4px;">Why other answers are incorrect:</div>
+              ${wrongChoices}
+            </div>
+          `;
+        }
+      }
+
+      return `
+        <details style="margin-top:10px; padding:10px; border-radius:12px; border:1px solid rgba(255,255,255,0.12); background: rgba(255,255,255,0.03);">
+          <summary style="cursor:pointer; font-weight:700;">
+            Q${idx + 1} • ${escapeHtml(q.section)} • ${escapeHtml(status)}${flagged ? ' • 🚩' : ''}
+          </summary>
+          <div style="margin-top:10px;">
+            <div style="font-weight:700; margin-bottom:6px;">${escapeHtml(q.question)}</div>
+            <div style="color: rgba(233,237,245,0.9); margin-bottom:6px;">
+              Your answer: <strong>${escapeHtml(yourAnswer)}</strong>
+              ${ans !== undefined && confidence ? `<span class="confidence-tag ${confidence}">${CONFIDENCE_LEVELS[confidence]}</span>` : ''}
+            </div>
+            <div style="color: rgba(233,237,245,0.9); margin-bottom:6px;">
+              Correct answer: <strong>${escapeHtml(correctAnswer)}</strong>
+            </div>
+            ${struckHtml}
+            <div style="color: rgba(233,237,245,0.9);">
+              Explanation: ${escapeHtml(q.explanation)}
+            </div>
+            ${choiceExpsHtml}
+            ${buildNoteEditorHtml(qid, false)}
+          </div>
+        </details>
+      `;
+    })
+    .join("");
+}
+
+function showResults(state, autoEnded) {
+  const { session } = state;
+
+  // Book the time on the last question before the session is frozen
+  stopDwellClock(state);
+
+  session.completed = true;
+  state.session = session;
+  persistRuntimeState(state);
+
+  stopTimer();
+
+  // Record this session to history for performance tracking
+  recordSessionToHistory(state, autoEnded);
+
+  // New results reschedule spaced repetition cards
+  renderDueToday();
+
+  // A question bank update may have been waiting for this session to end
+  offerPendingQuestionBankUpdate();
+
+  resultBox.innerHTML = buildResultsHtml(state, { autoEnded });
+  resultBox.hidden = false;
+
+  // Re-render quiz so:
+  // - timed reveals answers on the question screen too
+  // - review keeps jump correctness colors consistent
+  renderQuiz(state);
+}
+
+/**
+ * WHAT IT DOES: Builds the results page of a completed session
+ *
+ * PARAMETERS:
+ * - state: Completed session state
+ * - options.autoEnded: true when a timed exam ran out of time
+ * - options.readOnly: true for a replay from history - leaves out the
+ *   parts that start new sessions or depend on later history (retry
+ *   buttons, common traps) and adds the question review for every mode
+ *
+ * RETURNS: HTML string
+ */
+function buildResultsHtml(state, { autoEnded = false, readOnly = false } = {}) {
+  const { session } = state;
+  const s = computeScore(state);
+
+  let html = "";
+  if (session.mode === "timed") {
+    // Build flagged questions summary
+    const flagged = Array.isArray(session.flaggedQuestions) ? session.flaggedQuestions : [];
+    const flaggedHtml = flagged.length > 0
+      ? `<div style="margin-top:12px; padding:10px; border-radius:8px; background: rgba(251, 191, 36, 0.1); border:1px solid rgba(251, 191, 36, 0.3);">
+           <div style="font-weight:600; margin-bottom:6px;">🚩 You flagged ${flagged.length} question${flagged.length === 1 ? '' : 's'} for review:</div>
+           <div style="font-size:0.95em;">${flagged.map(qid => {
+             const idx = session.questionIds.indexOf(qid) + 1;
+             return `<span style="margin-right:8px;">Q${idx}</span>`;
+           }).join('')}</div>
+         </div>`
+      : '';
+
+    html = `
+      <div><strong>${autoEnded ? "Time is up." : "Exam submitted."}</strong></div>
+      <div style="margin-top:8px;">
+        <div><strong>Final score:</strong> ${s.points}/${s.totalPoints} ${s.passed ? "(PASSED)" : "(FAILED)"}</div>
+        <div class="meta" style="margin-top:6px;">Answered: ${s.answeredTotal}/${s.totalQuestions}</div>
+      </div>
+      ${buildCompetencyHtml(s)}
+      ${buildBlueprintSummaryHtml(state)}
+      ${buildPacingSummaryHtml(state)}
+      ${buildEliminationSummaryHtml(state)}
+      ${buildCalibrationSummaryHtml(state)}
+      ${readOnly ? '' : buildCommonTrapsHtml(state)}
+      ${flaggedHtml}
+      ${readOnly ? '' : buildRetryActionsHtml(state)}
+      <div style="margin-top:14px;"><strong>Review</strong></div>
+      ${buildTimedReviewHtml(state)}
+    `;
+  } else {
+    html = `
+      <div><strong>Finished.</strong>${session.origin ? ` <span class="meta">${escapeHtml(session.origin.label)}</span>` : ''}</div>
+      <div style="margin-top:8px;">
+        <div><strong>Final score:</strong> ${s.points}/1000 ${s.passed ? "(PASSED)" : "(FAILED)"}</div>
+        <div class="meta" style="margin-top:6px;">
+          Correct: ${s.correctTotal}/${s.totalQuestions} • Answered: ${s.answeredTotal}/${s.totalQuestions}
+        </div>
+      </div>
+      ${buildCompetencyHtml(s)}
+      ${buildPacingSummaryHtml(state)}
+      ${buildEliminationSummaryHtml(state)}
+      ${buildCalibrationSummaryHtml(state)}
+      ${readOnly ? '' : buildCommonTrapsHtml(state)}
+      ${buildSessionNotesHtml(state)}
+      ${readOnly
+        ? `<div style="margin-top:14px;"><strong>Review</strong></div>${buildTimedReviewHtml(state)}`
+        : buildRetryActionsHtml(state)}
+    `;
+  }
+
+  return html;
+}
+
+// ============================================================================
+// SESSION REPLAY - Re-open a completed session read-only
+// ============================================================================
+// A session's slot in the session store is reused by the next session with
+// the same filters, so the results page used to be lost. Every history
+// record now carries the stored session (order, answers, flags, scored ids,
+// timing) and IndexedDB keeps a snapshot of its questions, so the
+// Performance tab can rebuild the results and review exactly as they were
+// at submission - even after questions.json changed.
+
+const REPLAY_LIST_LIMIT = 20; // Completed sessions listed on the Performance tab
+
+let replayOpenId = null; // sessionId shown in #sessionReplay (null = closed)
+
+/**
+ * WHAT IT DOES: Builds the replay data stored on a history record
+ *
+ * RETURNS: { version: 1, session, endedBy, bankSignature }
+ * - session: the stored form of the session (serializeState)
+ * - endedBy: "time" | "submit" (timed) or "finish" (review / spaced)
+ * - bankSignature: hash of the questions.json it was answered from
+ */
+function buildReplayData(state, autoEnded) {
+  return {
+    version: 1,
+    session: serializeState(state).session,
+    endedBy: state.session.mode === "timed" ? (autoEnded ? "time" : "submit") : "finish",
+    bankSignature: questionBankSignature
+  };
+}
+
+/**
+ * WHAT IT DOES: Runs fn with QMAP showing a session's question snapshot
+ *
+ * WHY: computeScore(), buildTimedReviewHtml() and the other results
+ * builders read questions from QMAP. Overlaying the snapshot lets the
+ * replay reuse them unchanged; questions missing from the snapshot come
+ * from the current bank. fn must be synchronous (QMAP is restored after).
+ *
+ * RETURNS: Whatever fn returns
+ */
+function withQuestionSnapshot(snapshot, fn) {
+  if (!snapshot) return fn();
+
+  const current = QMAP;
+  QMAP = new Map([...current, ...snapshot]);
+  try {
+    return fn();
+  } finally {
+    QMAP = current;
+  }
+}
+
+/**
+ * WHAT IT DOES: Rebuilds the runtime state of a completed session
+ *
+ * RETURNS: Normalized state, or null for records saved before replays
+ */
+function buildReplayState(record) {
+  if (!record || !record.replay || !record.replay.session) return null;
+
+  const session = JSON.parse(JSON.stringify(record.replay.session));
+  session.completed = true;
+  return normalizeStateForRuntime({ sessionKey: `replay::${record.sessionId}`, session });
+}
+
+/**
+ * WHAT IT DOES: Lists recent completed sessions with a Replay button
+ *
+ * SIDE EFFECTS: Updates #sessionList innerHTML
+ */
+function renderSessionList(history) {
+  const listEl = document.getElementById('sessionList');
+  if (!listEl) return;
+
+  const recent = history.sessions.slice(-REPLAY_LIST_LIMIT).reverse();
+  if (recent.length === 0) {
+    listEl.innerHTML = '<p class="meta">No completed sessions yet.</p>';
+    return;
+  }
+
+  listEl.innerHTML = `
+    <ul class="session-list">
+      ${recent.map(record => {
+        const canReplay = Boolean(record.replay && record.replay.session);
+        const format = getRecordExamFormat(record);
+        const label = record.origin && record.origin.label ? record.origin.label
+          : format ? formatExamFormatLabel(format)
+          : `${record.domainId || 'ALL'} • ${record.section || 'ALL'}`;
+        return `
+          <li class="session-row ${record.sessionId === replayOpenId ? 'open' : ''}">
+            <span class="session-date">${escapeHtml(new Date(record.completedAt).toLocaleString())}</span>
+            <span class="session-mode">${escapeHtml(String(record.mode).toUpperCase())}</span>
+            <span class="session-label meta">${escapeHtml(label)}</span>
+            <span class="session-score ${record.passed ? 'passed' : 'failed'}">${Number(record.points) || 0} ${record.passed ? '✅' : '❌'}</span>
+            ${canReplay
+              ? `<button type="button" class="btn session-replay-btn" data-replay-id="${escapeHtml(record.sessionId)}">Replay</button>`
+              : '<span class="meta" title="Recorded before replays were saved">—</span>'}
+          </li>
+        `;
+      }).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * WHAT IT DOES: Shows a completed session read-only under the session list
+ *
+ * HOW IT WORKS:
+ * 1. Rebuild the state from the history record (buildReplayState)
+ * 2. Load the question snapshot (IndexedDB) and render the results page
+ *    with it (withQuestionSnapshot + buildResultsHtml in readOnly mode)
+ * 3. Without a snapshot the current bank is used; questions it no longer
+ *    has are left out and a note says so
+ *
+ * SIDE EFFECTS: Updates #sessionReplay, replayOpenId
+ */
+async function openSessionReplay(sessionId) {
+  const replayEl = document.getElementById('sessionReplay');
+  const record = getSessionHistory().sessions.find(r => r.sessionId === sessionId);
+  if (!replayEl || !record) return;
+
+  const snapshot = await loadReplaySnapshot(sessionId);
+
+  const { state, html } = withQuestionSnapshot(snapshot, () => {
+    const replayState = buildReplayState(record);
+    if (!replayState) return { state: null, html: '' };
+    return {
+      state: replayState,
+      html: buildResultsHtml(replayState, { autoEnded: record.replay.endedBy === "time", readOnly: true })
+    };
+  });
+  if (!state) return;
+
+  const storedCount = record.replay.session.questionIds.length;
+  const bankNote = !snapshot && state.session.questionIds.length < storedCount
+    ? `<p class="meta">${storedCount - state.session.questionIds.length} question(s) are no longer in the question bank and are not shown.</p>`
+    : !snapshot && record.replay.bankSignature !== questionBankSignature
+      ? '<p class="meta">Shown with the current question bank, which has changed since this session.</p>'
+      : '';
+
+  replayOpenId = sessionId;
+  replayEl.innerHTML = `
+    <div class="replay-header">
+      <strong>${escapeHtml(String(record.mode).toUpperCase())} session of ${escapeHtml(new Date(record.completedAt).toLocaleString())}</strong>
+      <span class="meta">Read-only</span>
+      <button type="button" class="btn btn-ghost" data-replay-close>Close</button>
+    </div>
+    ${bankNote}
+    <div class="replay-body">${html}</div>
+  `;
+  replayEl.hidden = false;
+  renderSessionList(getSessionHistory());
+  replayEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  console.info(`[SAA Info] Replaying session ${sessionId}${snapshot ? '' : ' (current question bank)'}`);
+}
+
+/**
+ * WHAT IT DOES: Closes the replay panel
+ */
+function closeSessionReplay() {
+  const replayEl = document.getElementById('sessionReplay');
+  if (replayEl) {
+    replayEl.hidden = true;
+    replayEl.innerHTML = '';
+  }
+  replayOpenId = null;
+  renderSessionList(getSessionHistory());
+}
+
+// ============================================================================
+// QUESTION TIMING - Dwell time per question and pacing
+// ============================================================================
+// The dwell clock runs only while a question is really on screen: Practice
+// tab open, quiz not paused, browser tab visible. renderQuiz() moves the
+// clock from question to question; elapsed time is added to
+// session.timeSpent (questionId → ms) and copied into questionResults when
+// the session is recorded to history.
+
+// Real exam budget: 130 minutes / 65 questions = 120 seconds per question
+// (recomputed by applyExamProfile() for other exams)
+let PACE_BUDGET_SEC = EXAM_DURATION_SEC / EXAM_TOTAL_QUESTIONS;
+
+let dwellClock = null; // { sessionKey, questionId, sinceMs } for the question being timed
+
+/**
+ * WHAT IT DOES: Seconds per question a session can spend and stay on pace
+ *
+ * RETURNS: The timed exam's own duration / question count (extended time
+ * and mini-mocks have their own budget), else PACE_BUDGET_SEC
+ */
+function getPaceBudgetSec(session) {
+  if (session.mode === "timed" && session.durationSec && session.questionIds.length) {
+    return session.durationSec / session.questionIds.length;
+  }
+  return PACE_BUDGET_SEC;
+}
+
+/**
+ * WHAT IT DOES: Formats seconds as "m:ss" (e.g. 94 → "1:34")
+ */
+function formatDuration(totalSec) {
+  const s = Math.max(0, Math.round(totalSec));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+/**
+ * WHAT IT DOES: Checks whether time on the current question should count
+ *
+ * RETURNS: Boolean - false when completed, paused, on another tab, hidden
+ * or behind the exam review screen
+ */
+function isDwellClockAllowed(state) {
+  return !state.session.completed &&
+    quizPausedState === null &&
+    !isExamReviewOpen(state.session) &&
+    currentTab === 'practice' &&
+    !quizCard.hidden &&
+    document.visibilityState !== 'hidden';
+}
+
+/**
+ * WHAT IT DOES: Stops the dwell clock and books the elapsed time
+ *
+ * HOW IT WORKS:
+ * - Clock belongs to `state`: time is added to state.session.timeSpent
+ *   (the caller persists)
+ * - Clock belongs to another saved session (a different session was just
+ *   started or resumed): time is written straight into the session store
+ *
+ * PARAMETERS:
+ * - state: Runtime state currently on screen (may be null)
+ *
+ * RETURNS: Milliseconds added to `state` (0 if none)
+ */
+function stopDwellClock(state) {
+  if (!dwellClock) return 0;
+
+  const clock = dwellClock;
+  dwellClock = null;
+
+  const elapsed = Math.max(0, nowMs() - clock.sinceMs);
+  if (!elapsed) return 0;
+
+  const addTo = (session) => {
+    if (!session.timeSpent || typeof session.timeSpent !== "object") session.timeSpent = {};
+    session.timeSpent[clock.questionId] = (session.timeSpent[clock.questionId] || 0) + elapsed;
+  };
+
+  if (state && state.session && state.sessionKey === clock.sessionKey) {
+    addTo(state.session);
+    return elapsed;
+  }
+
+  const store = loadSessionStore();
+  const entry = store.sessions[clock.sessionKey];
+  if (entry && entry.session && !entry.session.completed) {
+    addTo(entry.session);
+    saveSessionStore(store);
+  }
+  return 0;
+}
+
+/**
+ * WHAT IT DOES: Books time for the question that was on screen and starts
+ * timing the current one (called by renderQuiz on every render)
+ *
+ * SIDE EFFECTS: Updates dwellClock, persists state when time was booked
+ */
+function trackQuestionDwell(state) {
+  if (stopDwellClock(state)) persistRuntimeState(state);
+
+  if (!isDwellClockAllowed(state)) return;
+
+  dwellClock = {
+    sessionKey: state.sessionKey,
+    questionId: state.session.questionIds[state.session.currentIndex],
+    sinceMs: nowMs()
+  };
+}
+
+/**
+ * WHAT IT DOES: Builds an SVG line chart of cumulative time vs the exam budget
+ *
+ * PARAMETERS:
+ * - secondsByPosition: Seconds spent on question 1, 2, 3... (in exam order)
+ * - budgetSec: Seconds per question on pace (default PACE_BUDGET_SEC)
+ *
+ * RETURNS: HTML string ('' when there are fewer than 2 questions)
+ *
+ * Above the dashed budget line = behind pace, below = ahead of pace.
+ */
+function buildPacingCurveSvg(secondsByPosition, budgetSec = PACE_BUDGET_SEC) {
+  const n = secondsByPosition.length;
+  if (n < 2) return '';
+
+  const width = 600;
+  const height = 160;
+
+  let total = 0;
+  const cumulative = [0, ...secondsByPosition.map((sec) => (total += sec))];
+  const maxY = Math.max(total, n * budgetSec) || 1;
+
+  const x = (i) => ((i / n) * width).toFixed(1);
+  const y = (sec) => (height - (sec / maxY) * height).toFixed(1);
+  const points = cumulative.map((sec, i) => `${x(i)},${y(sec)}`).join(' ');
+
+  return `
+    <svg class="pacing-curve" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img"
+         aria-label="Cumulative time across ${n} questions compared with the ${formatDuration(budgetSec)} per question budget">
+      <line class="pacing-budget" x1="0" y1="${height}" x2="${width}" y2="${y(n * budgetSec)}" />
+      <polyline class="pacing-actual" points="${points}" />
+    </svg>
+    <div class="pacing-legend">
+      <span>Q1</span>
+      <span><span class="pacing-key actual"></span> Your time (${formatDuration(total)})
+        <span class="pacing-key budget"></span> Budget (${formatDuration(n * budgetSec)})</span>
+      <span>Q${n}</span>
+    </div>
+  `;
+}
+
+/**
+ * WHAT IT DOES: Builds the "Pacing" block of the results page
+ *
+ * Shows average time per question against the session's budget (2 minutes
+ * on the standard exam, see getPaceBudgetSec), the slowest questions and
+ * the pacing curve for this session.
+ *
+ * RETURNS: HTML string ('' when no time was recorded)
+ */
+function buildPacingSummaryHtml(state) {
+  const { session } = state;
+  const timeSpent = session.timeSpent || {};
+
+  const perQuestion = session.questionIds.map((qid, idx) => ({
+    qid,
+    idx,
+    sec: (timeSpent[qid] || 0) / 1000
+  }));
+
+  const visited = perQuestion.filter((p) => p.sec > 0);
+  if (visited.length === 0) return '';
+
+  const avgSec = visited.reduce((sum, p) => sum + p.sec, 0) / visited.length;
+  const budgetSec = getPaceBudgetSec(session);
+  const overBudget = avgSec > budgetSec;
+
+  const slowestHtml = [...visited]
+    .sort((a, b) => b.sec - a.sec)
+    .slice(0, 5)
+    .map((p) => {
+      const q = QMAP.get(p.qid);
+      const ans = session.answers[p.qid];
+      const status = ans === undefined ? 'unanswered' : isCorrectAnswer(ans, q.answer) ? 'correct' : 'wrong';
+      return `<li>Q${p.idx + 1} • ${escapeHtml(p.qid)} • ${formatDuration(p.sec)} <span class="pacing-status ${status}">${status}</span></li>`;
+    })
+    .join('');
+
+  return `
+    <div class="pacing-summary">
+      <div><strong>⏱️ Pacing</strong></div>
+      <div class="meta">
+        Average <strong class="${overBudget ? 'pacing-over' : 'pacing-ok'}">${formatDuration(avgSec)}</strong>
+        per question (budget ${formatDuration(budgetSec)}) across ${visited.length} question${visited.length === 1 ? '' : 's'} viewed
+      </div>
+      <div class="pacing-slowest-title">Slowest questions</div>
+      <ol class="pacing-slowest">${slowestHtml}</ol>
+      ${buildPacingCurveSvg(perQuestion.map((p) => p.sec), budgetSec)}
+    </div>
+  `;
+}
+
+// ============================================================================
+// CHOICE ELIMINATION - Strike out distractors
+// ============================================================================
+// Like the real exam UI, every choice has a ✕ toggle that strikes it out.
+// Struck choices are kept next to the answers in session.struckChoices
+// (questionId → choice indices) and copied into questionResults `struck`
+// when the session is recorded, so history can tell whether an elimination
+// threw away a correct answer. A choice is never both picked and struck:
+// striking a picked choice unpicks it, picking a struck choice restores it.
+
+const ELIMINATION_MISSES_LIMIT = 5; // Struck-out correct answers listed on the Performance tab
+const ELIMINATION_TARGET_PCT = 90; // Share of struck-out choices that should be wrong answers
+
+/**
+ * WHAT IT DOES: Returns the choice indices struck out on one question
+ *
+ * RETURNS: Array of indices (empty for sessions saved before strike-outs)
+ */
+function getStruckChoices(session, qid) {
+  const struck = session.struckChoices && session.struckChoices[qid];
+  return Array.isArray(struck) ? struck : [];
+}
+
+/**
+ * WHAT IT DOES: Strikes out a choice, or restores it if already struck
+ *
+ * PARAMETERS:
+ * - session: Runtime session (mutated)
+ * - qid: Question ID
+ * - choiceIdx: Choice index
+ *
+ * SIDE EFFECTS: Updates session.struckChoices; striking a picked choice
+ * removes it from session.answers. The caller persists and re-renders.
+ *
+ * RETURNS: Boolean - true if the choice is now struck
+ */
+function toggleStruckChoice(session, qid, choiceIdx) {
+  if (!session.struckChoices || typeof session.struckChoices !== "object") {
+    session.struckChoices = {};
+  }
+
+  const struck = getStruckChoices(session, qid);
+  if (struck.includes(choiceIdx)) {
+    const rest = struck.filter(idx => idx !== choiceIdx);
+    if (rest.length) session.struckChoices[qid] = rest;
+    else delete session.struckChoices[qid];
+    return false;
+  }
+
+  session.struckChoices[qid] = [...struck, choiceIdx].sort((a, b) => a - b);
+
+  const answer = session.answers[qid];
+  if (Array.isArray(answer)) {
+    session.answers[qid] = answer.filter(idx => idx !== choiceIdx);
+  } else if (answer === choiceIdx) {
+    delete session.answers[qid];
+  }
+  return true;
+}
+
+/**
+ * WHAT IT DOES: Returns the struck choices that were correct answers
+ *
+ * RETURNS: Array of choice indices (empty = every elimination was right)
+ */
+function getWrongEliminations(q, struck) {
+  const correct = [].concat(q.answer);
+  return (Array.isArray(struck) ? struck : []).filter(idx => correct.includes(idx));
+}
+
+/**
+ * WHAT IT DOES: Builds the "Eliminations" block of the results page
+ *
+ * Counts the choices struck out in this session and lists the questions
+ * where a correct answer was struck out.
+ *
+ * RETURNS: HTML string ('' when nothing was struck out)
+ */
+function buildEliminationSummaryHtml(state) {
+  const { session } = state;
+  let struckTotal = 0;
+  let wrongTotal = 0; // Struck choices that were correct answers
+  const misses = []; // Question numbers with at least one of them
+
+  session.questionIds.forEach((qid, idx) => {
+    const q = QMAP.get(qid);
+    const struck = getStruckChoices(session, qid);
+    if (!q || struck.length === 0) return;
+
+    struckTotal += struck.length;
+    const wrong = getWrongEliminations(q, struck).length;
+    wrongTotal += wrong;
+    if (wrong) misses.push(idx + 1);
+  });
+
+  if (struckTotal === 0) return '';
+
+  const correctCount = struckTotal - wrongTotal;
+  const missesHtml = misses.length
+    ? `<div class="meta">Struck out a correct answer on ${misses.map(n => `Q${n}`).join(', ')}</div>`
+    : '';
+
+  return `
+    <div class="elimination-summary">
+      <div><strong>✕ Eliminations</strong></div>
+      <div class="meta">
+        ${correctCount}/${struckTotal} struck-out choice${struckTotal === 1 ? ' was a wrong answer' : 's were wrong answers'}
+      </div>
+      ${missesHtml}
+    </div>
+  `;
+}
+
+/**
+ * WHAT IT DOES: Measures how well eliminations work across history
+ *
+ * HOW IT WORKS: Walks every questionResults entry that recorded `struck`
+ * (older records have none). An elimination is correct when the struck
+ * choice is not one of the question's answers. Accuracy on answered
+ * questions with strike-outs is compared against those without any.
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ *
+ * RETURNS: { struckTotal, wrongTotal, questionsWithStrikes, correctWithStrikes,
+ *            questionsWithout, correctWithout,   (question counts: answered only)
+ *            misses: [{ question, choiceIndex, completedAt }] } (most recent first)
+ */
+function getEliminationStats(history) {
+  const stats = {
+    struckTotal: 0,
+    wrongTotal: 0,
+    questionsWithStrikes: 0,
+    correctWithStrikes: 0,
+    questionsWithout: 0,
+    correctWithout: 0,
+    misses: []
+  };
+
+  for (const record of history.sessions) {
+    for (const r of record.questionResults || []) {
+      if (!Array.isArray(r.struck)) continue;
+
+      if (r.struck.length === 0) {
+        if (r.answered) {
+          stats.questionsWithout++;
+          if (r.correct) stats.correctWithout++;
+        }
+        continue;
+      }
+
+      if (r.answered) {
+        stats.questionsWithStrikes++;
+        if (r.correct) stats.correctWithStrikes++;
+      }
+      stats.struckTotal += r.struck.length;
+
+      const q = QMAP.get(r.questionId);
+      if (!q) continue;
+      for (const idx of getWrongEliminations(q, r.struck)) {
+        stats.wrongTotal++;
+        stats.misses.push({ question: q, choiceIndex: idx, completedAt: record.completedAt || 0 });
+      }
+    }
+  }
+
+  stats.misses.sort((a, b) => b.completedAt - a.completedAt);
+  return stats;
+}
+
+// ============================================================================
+// CONFIDENCE RATINGS - Sure / Unsure / Guess and calibration
+// ============================================================================
+// Once a question is answered, renderQuiz() shows a "How sure?" row. The
+// rating is kept per question in session.confidence (questionId → level)
+// and copied into questionResults `confidence`, so the results page and the
+// Performance tab can show calibration: accuracy per level, lucky guesses
+// (guessed and right) and confident-but-wrong answers - the misconceptions
+// most worth studying, because nothing felt wrong while answering.
+
+/**
+ * Confidence levels, most confident first (key stored in session/history)
+ */
+const CONFIDENCE_LEVELS = {
+  sure: "Sure",
+  unsure: "Unsure",
+  guess: "Guess"
+};
+
+const CONFIDENT_WRONG_LIMIT = 10; // Confident-but-wrong questions listed on the Performance tab
+
+/**
+ * WHAT IT DOES: Returns the confidence rating of one question
+ *
+ * RETURNS: "sure" | "unsure" | "guess", or null when not rated
+ */
+function getAnswerConfidence(session, qid) {
+  const level = session.confidence && session.confidence[qid];
+  return Object.prototype.hasOwnProperty.call(CONFIDENCE_LEVELS, level) ? level : null;
+}
+
+/**
+ * WHAT IT DOES: Rates an answer, or clears the rating when the same level
+ * is picked again
+ *
+ * SIDE EFFECTS: Updates session.confidence (the caller persists and re-renders)
+ */
+function setAnswerConfidence(session, qid, level) {
+  if (!Object.prototype.hasOwnProperty.call(CONFIDENCE_LEVELS, level)) return;
+  if (!session.confidence || typeof session.confidence !== "object") {
+    session.confidence = {};
+  }
+
+  if (session.confidence[qid] === level) delete session.confidence[qid];
+  else session.confidence[qid] = level;
+}
+
+/**
+ * WHAT IT DOES: Builds the "How sure?" buttons shown under an answered question
+ *
+ * PARAMETERS:
+ * - level: Current rating (or null)
+ * - disabled: true when paused, checked or completed (rating shown read-only)
+ *
+ * RETURNS: HTML string
+ */
+function buildConfidenceRowHtml(level, disabled) {
+  const buttonsHtml = Object.entries(CONFIDENCE_LEVELS).map(([id, label]) => `
+    <button type="button" class="confidence-btn ${id}${level === id ? ' active' : ''}" data-confidence="${id}"
+            aria-pressed="${level === id}" ${disabled ? 'disabled' : ''}>${label}</button>
+  `).join('');
+
+  return `
+    <div class="confidence-row" role="group" aria-label="How sure are you?">
+      <span class="confidence-label">How sure?</span>
+      ${buttonsHtml}
+    </div>
+  `;
+}
+
+/**
+ * WHAT IT DOES: Summarizes calibration over a list of answers
+ *
+ * PARAMETERS:
+ * - results: Array of { question, answered, correct, confidence }
+ *
+ * RETURNS: { levels: { sure: { answered, correct }, unsure: {...}, guess: {...} },
+ *            rated, unrated, luckyGuesses: [result], confidentWrong: [result] }
+ * (unanswered questions are left out)
+ */
+function summarizeCalibration(results) {
+  const summary = { levels: {}, rated: 0, unrated: 0, luckyGuesses: [], confidentWrong: [] };
+  for (const id of Object.keys(CONFIDENCE_LEVELS)) {
+    summary.levels[id] = { answered: 0, correct: 0 };
+  }
+
+  for (const r of results) {
+    if (!r.answered) continue;
+    if (!r.confidence || !summary.levels[r.confidence]) {
+      summary.unrated++;
+      continue;
+    }
+
+    summary.rated++;
+    summary.levels[r.confidence].answered++;
+    if (r.correct) summary.levels[r.confidence].correct++;
+
+    if (r.confidence === "guess" && r.correct) summary.luckyGuesses.push(r);
+    if (r.confidence === "sure" && !r.correct) summary.confidentWrong.push(r);
+  }
+
+  return summary;
+}
+
+/**
+ * WHAT IT DOES: Builds the accuracy-by-confidence table
+ *
+ * RETURNS: HTML string (one row per level, "—" for levels never used)
+ */
+function buildCalibrationTableHtml(summary) {
+  const rowsHtml = Object.entries(CONFIDENCE_LEVELS).map(([id, label]) => {
+    const level = summary.levels[id];
+    const pct = level.answered ? `${Math.round((level.correct / level.answered) * 100)}%` : '—';
+    return `
+      <tr>
+        <td><span class="confidence-tag ${id}">${label}</span></td>
+        <td>${level.correct}/${level.answered} correct</td>
+        <td><strong>${pct}</strong></td>
+      </tr>
+    `;
+  }).join('');
+
+  return `<table class="calibration-table"><tbody>${rowsHtml}</tbody></table>`;
+}
+
+/**
+ * WHAT IT DOES: Builds the "Confidence" block of the results page
+ *
+ * Accuracy per confidence level for this session, plus the question
+ * numbers of lucky guesses and confident-but-wrong answers.
+ *
+ * RETURNS: HTML string ('' when no answer was rated)
+ */
+function buildCalibrationSummaryHtml(state) {
+  const { session } = state;
+
+  const results = session.questionIds.map((qid, idx) => {
+    const q = QMAP.get(qid);
+    const ans = session.answers[qid];
+    return {
+      question: q,
+      number: idx + 1,
+      answered: Boolean(q) && ans !== undefined,
+      correct: Boolean(q) && ans !== undefined && isCorrectAnswer(ans, q.answer),
+      confidence: getAnswerConfidence(session, qid)
+    };
+  });
+
+  const summary = summarizeCalibration(results);
+  if (summary.rated === 0) return '';
+
+  const listHtml = (items, text) => items.length
+    ? `<div class="meta">${text}: ${items.map(r => `Q${r.number}`).join(', ')}</div>`
+    : '';
+
+  return `
+    <div class="calibration-summary">
+      <div><strong>🎯 Confidence</strong></div>
+      ${buildCalibrationTableHtml(summary)}
+      ${listHtml(summary.confidentWrong, 'Sure but wrong - study these first')}
+      ${listHtml(summary.luckyGuesses, 'Lucky guesses')}
+      ${summary.unrated ? `<div class="meta">${summary.unrated} answer${summary.unrated === 1 ? '' : 's'} not rated</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * WHAT IT DOES: Calibration across history
+ *
+ * HOW IT WORKS: Summarizes every questionResults entry of records that
+ * stored `confidence` (older records have none), then groups lucky
+ * guesses and confident-but-wrong answers by question.
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ *
+ * RETURNS: summarizeCalibration() result, with luckyGuesses and
+ * confidentWrong replaced by [{ question, count, lastAt }]
+ * (most often first, then most recent)
+ */
+function getCalibrationStats(history) {
+  const results = [];
+  for (const record of history.sessions) {
+    for (const r of record.questionResults || []) {
+      if (!("confidence" in r)) continue;
+      results.push({ ...r, question: QMAP.get(r.questionId), completedAt: record.completedAt || 0 });
+    }
+  }
+
+  const summary = summarizeCalibration(results);
+
+  const byQuestion = (items) => {
+    const grouped = new Map();
+    for (const r of items) {
+      if (!r.question) continue;
+      const entry = grouped.get(r.questionId) || { question: r.question, count: 0, lastAt: 0 };
+      entry.count++;
+      entry.lastAt = Math.max(entry.lastAt, r.completedAt);
+      grouped.set(r.questionId, entry);
+    }
+    return [...grouped.values()].sort((a, b) => b.count - a.count || b.lastAt - a.lastAt);
+  };
+
+  return {
+    ...summary,
+    luckyGuesses: byQuestion(summary.luckyGuesses),
+    confidentWrong: byQuestion(summary.confidentWrong)
+  };
+}
+
+// ============================================================================
+// FOCUSED REVIEW - Sessions built from an explicit list of question ids
+// ============================================================================
+// "Retry the ones I got wrong", "practice my most-missed questions" and
+// "review what I flagged" all become a Review session over exactly those
+// ids. The session carries an `origin` that is copied into history.
+
+/**
+ * Where a focused session came from (session.origin.type)
+ */
+const FOCUS_ORIGINS = {
+  missed: "Missed questions",
+  flagged: "Flagged questions",
+  "weak-areas": "Most-missed questions",
+  "confident-wrong": "Sure-but-wrong questions",
+  "question-bank": "Question Bank selection",
+  search: "Search results"
+};
+
+/**
+ * WHAT IT DOES: Builds the origin record stored on a focused session
+ *
+ * PARAMETERS:
+ * - type: Key of FOCUS_ORIGINS
+ * - sourceSessionId: History sessionId it was derived from (optional)
+ *
+ * RETURNS: { type, label, sourceSessionId, createdAt }
+ *
+ * EXAMPLE:
+ * buildFocusOrigin("missed", "timed-1735142400000")
+ *   → { type: "missed", label: "Missed questions from timed exam", ... }
+ */
+function buildFocusOrigin(type, sourceSessionId) {
+  const sourceMode = sourceSessionId ? sourceSessionId.split("-")[0] : null;
+  const from = sourceMode === "timed" ? " from timed exam"
+    : sourceMode ? ` from ${sourceMode} session`
+    : type === "weak-areas" || type === "confident-wrong" ? " (Performance dashboard)"
+    : "";
+
+  return {
+    type,
+    label: `${FOCUS_ORIGINS[type] || "Selected questions"}${from}`,
+    sourceSessionId: sourceSessionId || null,
+    createdAt: nowMs()
+  };
+}
+
+/**
+ * WHAT IT DOES: Builds the retry buttons shown under a session's results
+ *
+ * - "Retry N missed": wrong + unanswered questions of this session
+ * - "Review N flagged": flagged questions (timed exams)
+ * - "Study N sure-but-wrong": answers rated Sure that were wrong
+ *
+ * RETURNS: HTML string ('' when there is nothing to retry)
+ */
+function buildRetryActionsHtml(state) {
+  const { session } = state;
+  const sourceId = `${session.mode}-${session.startedAtMs || session.createdAtMs}`;
+
+  const missed = session.questionIds.filter((qid) => {
+    const q = QMAP.get(qid);
+    const ans = session.answers[qid];
+    return q && (ans === undefined || !isCorrectAnswer(ans, q.answer));
+  });
+  const flagged = Array.isArray(session.flaggedQuestions) ? session.flaggedQuestions : [];
+  const confidentWrong = missed.filter((qid) =>
+    session.answers[qid] !== undefined && getAnswerConfidence(session, qid) === "sure"
+  );
+
+  const button = (type, ids, text) => `
+    <button type="button" class="btn retry-btn" data-retry-origin="${type}"
+            data-retry-source="${escapeHtml(sourceId)}" data-retry-ids="${escapeHtml(ids.join(','))}">${text}</button>
+  `;
+
+  const buttons = [
+    missed.length ? button("missed", missed, `🔁 Retry ${missed.length} missed`) : '',
+    flagged.length ? button("flagged", flagged, `🚩 Review ${flagged.length} flagged`) : '',
+    confidentWrong.length ? button("confident-wrong", confidentWrong, `🎯 Study ${confidentWrong.length} sure-but-wrong`) : ''
+  ].join('');
+
+  return buttons.trim() ? `<div class="actions retry-actions">${buttons}</div>` : '';
+}
+
+/**
+ * WHAT IT DOES: Starts a Review session over exactly the given question ids
+ *
+ * PARAMETERS:
+ * - questionIds: Array of question ids (unknown ids are skipped)
+ * - origin: Result of buildFocusOrigin()
+ *
+ * SIDE EFFECTS: Replaces any earlier focused session of the same origin
+ * type, switches to the Practice tab and renders the quiz
+ */
+function startFocusedSession(questionIds, origin) {
+  safeOperation('Start Focused Session', () => {
+    const filters = {
+      mode: "review",
+      domainId: "ALL",
+      section: "ALL",
+      difficulty: "ALL",
+      bookmarks: "ALL",
+      questionIds,
+      origin
+    };
+
+    let state;
+    try {
+      state = normalizeStateForRuntime(createNewSession(filters, true));
+    } catch (error) {
+      hintText.textContent = `⚠️ ${error.message}`;
+      throw error;
+    }
+
+    resetPauseState();
+    syncSetupUIToSession(state.session);
+    switchTab('practice');
+    renderQuiz(state);
+    renderResumeList();
+    console.info(`[SAA Info] Started focused session: ${origin.label} (${state.session.questionIds.length} questions)`);
+  }, undefined);
+}
+
+// ============================================================================
+// EXAM TAB OWNERSHIP - Only one browser tab runs a timed exam
+// ============================================================================
+// Two tabs showing the same timed exam would both tick its clock. The tab
+// that runs a timed exam holds a lease in localStorage (EXAM_LEASE_KEY) and
+// renews it every EXAM_LEASE_RENEW_MS. Other tabs see the lease (storage
+// events, or on their next render) and show the exam stopped with a
+// "Continue here" button; taking over makes the previous tab stop its clock.
+// A lease that is not renewed (closed or crashed tab) expires after
+// EXAM_LEASE_TTL_MS; a tab showing the exam stopped keeps checking and
+// continues the exam itself once that happens.
+
+const EXAM_TAB_ID = `${nowMs().toString(36)}-${Math.random().toString(36).slice(2, 8)}`; // This tab's lease owner id
+let examLeaseTimer = null; // Interval renewing this tab's lease while it shows a timed exam
+let examLeaseWatchTimer = null; // Interval checking for an expired lease while the exam is stopped here
+let examOnScreen = null; // { sessionKey, seed } of the timed exam this tab shows
+
+/**
+ * WHAT IT DOES: Reads the exam lease from localStorage
+ *
+ * RETURNS: { tabId, profileId, sessionKey, seed, renewedAt } or null
+ */
+function readExamLease() {
+  return safeOperation('Read Exam Lease', () => {
+    const lease = JSON.parse(localStorage.getItem(EXAM_LEASE_KEY) || "null");
+    return lease && typeof lease.tabId === "string" ? lease : null;
+  }, null);
+}
+
+/**
+ * WHAT IT DOES: Tells whether another live tab runs a timed exam of the
+ * active exam profile
+ */
+function isLeaseHeldElsewhere() {
+  const lease = readExamLease();
+  return !!lease &&
+    lease.tabId !== EXAM_TAB_ID &&
+    lease.profileId === activeExamProfile.id &&
+    Math.abs(nowMs() - lease.renewedAt) < EXAM_LEASE_TTL_MS;
+}
+
+/**
+ * WHAT IT DOES: Tells whether a timed exam must stay stopped in this tab
+ * because another tab runs an exam, or took this one off screen
+ * (suspended it by switching to another session)
+ */
+function isExamRunningElsewhere(state) {
+  if (isLeaseHeldElsewhere()) return true;
+
+  const entry = loadSessionStore().sessions[state.sessionKey];
+  return !!entry && !!entry.session && !!entry.session.suspendedAtMs;
+}
+
+/**
+ * WHAT IT DOES: Makes this tab the one that runs the timed exam on screen
+ *
+ * SIDE EFFECTS: Writes the lease (other tabs get a storage event), starts
+ * the renewal interval
+ */
+function claimExamLease(state) {
+  stopExamLeaseWatch();
+  examOnScreen = { sessionKey: state.sessionKey, seed: state.session.seed };
+  writeExamLease();
+
+  if (!examLeaseTimer) {
+    examLeaseTimer = setInterval(renewExamLease, EXAM_LEASE_RENEW_MS);
+  }
+}
+
+/**
+ * WHAT IT DOES: Renews this tab's lease, or gives the exam up if another
+ * tab took the lease over (in case its storage event was missed)
+ */
+function renewExamLease() {
+  const lease = readExamLease();
+  if (lease && lease.tabId !== EXAM_TAB_ID) {
+    stopTimer(); // Banks this tab's time (and may already yield)
+    if (!isExamInOtherTab()) yieldTimedExam();
+    return;
+  }
+
+  writeExamLease();
+}
+
+/**
+ * WHAT IT DOES: Writes this tab's lease for the exam on screen
+ */
+function writeExamLease() {
+  if (!examOnScreen) return;
+
+  safeOperation('Write Exam Lease', () => {
+    localStorage.setItem(EXAM_LEASE_KEY, JSON.stringify({
+      tabId: EXAM_TAB_ID,
+      profileId: activeExamProfile.id,
+      sessionKey: examOnScreen.sessionKey,
+      seed: examOnScreen.seed,
+      renewedAt: nowMs()
+    }));
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Drops this tab's lease (no timed exam on screen any more)
+ */
+function releaseExamLease() {
+  if (examLeaseTimer) {
+    clearInterval(examLeaseTimer);
+    examLeaseTimer = null;
+  }
+  stopExamLeaseWatch();
+  examOnScreen = null;
+
+  const lease = readExamLease();
+  if (lease && lease.tabId === EXAM_TAB_ID) {
+    safeOperation('Release Exam Lease', () => localStorage.removeItem(EXAM_LEASE_KEY), undefined);
+  }
+}
+
+/**
+ * WHAT IT DOES: Tells whether the exam on screen is stopped because another
+ * tab runs it
+ */
+function isExamInOtherTab() {
+  return !!quizPausedState && quizPausedState.reason === 'other-tab';
+}
+
+/**
+ * WHAT IT DOES: Keeps checking the lease while the exam is stopped here
+ *
+ * WHY WE NEED IT: A tab that crashes or is killed never fires pagehide, so
+ * no storage event tells this tab that the lease is gone - it only expires
+ */
+function startExamLeaseWatch() {
+  if (!examLeaseWatchTimer) {
+    examLeaseWatchTimer = setInterval(checkExamLeaseExpired, EXAM_LEASE_RENEW_MS);
+  }
+}
+
+/**
+ * WHAT IT DOES: Stops the expired-lease check
+ */
+function stopExamLeaseWatch() {
+  if (examLeaseWatchTimer) {
+    clearInterval(examLeaseWatchTimer);
+    examLeaseWatchTimer = null;
+  }
+}
+
+/**
+ * WHAT IT DOES: Continues the stopped exam in this tab once no other tab
+ * runs it any more (lease expired or released)
+ *
+ * HOW IT WORKS: Re-renders the stored session while the Practice tab shows
+ * it; syncExamPauseState() then claims the lease and starts the clock. A
+ * session suspended elsewhere still waits for "Continue here".
+ */
+function checkExamLeaseExpired() {
+  safeOperation('Check Exam Lease', () => {
+    if (!isExamInOtherTab() || !examOnScreen) {
+      stopExamLeaseWatch();
+      return;
+    }
+    if (currentTab !== 'practice' || quizCard.hidden || isLeaseHeldElsewhere()) return;
+
+    const entry = loadSessionStore().sessions[examOnScreen.sessionKey];
+    if (!entry || !entry.session || entry.session.seed !== examOnScreen.seed || entry.session.completed) return;
+
+    const state = normalizeStateForRuntime(entry);
+    if (isExamRunningElsewhere(state)) return;
+
+    console.info('[SAA Info] Exam lease of the other tab expired, continuing the exam here');
+    renderQuiz(state);
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Works out the pause state of the session about to be
+ * rendered (called by renderQuiz before it starts the timer)
+ *
+ * HOW IT WORKS:
+ * - Not a running timed exam: this tab gives up its lease
+ * - Running elsewhere: stopped, with the "Continue here" notice
+ * - Otherwise this tab claims the lease and restores a stored pause
+ *   (pausedAtMs survives reloads)
+ *
+ * SIDE EFFECTS: Sets quizPausedState, the pause indicators and the notice
+ */
+function syncExamPauseState(state) {
+  const s = state.session;
+
+  if (s.mode !== "timed" || s.completed) {
+    releaseExamLease();
+    renderExamTabNotice(false);
+    return;
+  }
+
+  if (isExamRunningElsewhere(state)) {
+    if (!isExamInOtherTab()) {
+      stopTimer();
+      quizPausedState = { pausedAt: nowMs(), reason: 'other-tab' };
+    }
+    examOnScreen = { sessionKey: state.sessionKey, seed: s.seed };
+    startExamLeaseWatch();
+  } else {
+    if (isExamInOtherTab()) quizPausedState = null; // The other tab was closed
+    claimExamLease(state);
+    if (!quizPausedState && s.pausedAtMs) {
+      quizPausedState = { pausedAt: s.pausedAtMs, reason: s.pauseReason || 'manual' };
+    }
+  }
+
+  setPauseIndicators(quizPausedState !== null);
+  renderExamTabNotice(isExamInOtherTab());
+}
+
+/**
+ * WHAT IT DOES: Shows or hides the "open in another tab" notice on the
+ * quiz card
+ *
+ * The text depends on why the exam is stopped: the lease of another tab is
+ * for this exam, for a different timed exam (only one exam clock runs at a
+ * time), or no tab runs it because it was switched away from elsewhere.
+ */
+function renderExamTabNotice(show) {
+  const notice = document.getElementById('examTabNotice');
+  if (!notice) return;
+
+  let text = '';
+  if (show) {
+    const lease = isLeaseHeldElsewhere() ? readExamLease() : null;
+    const sameExam = lease && examOnScreen && lease.sessionKey === examOnScreen.sessionKey && lease.seed === examOnScreen.seed;
+    text = sameExam ? 'This timed exam is open in another tab, so its clock runs there.'
+      : lease ? 'Another timed exam is running in another tab - only one exam clock runs at a time.'
+      : 'This timed exam was put aside for another session in another tab.';
+  }
+
+  notice.hidden = !show;
+  notice.innerHTML = show
+    ? `<span>🗂️ ${escapeHtml(text)}</span>
+       <button class="btn btn-primary" type="button" data-exam-takeover>Continue here</button>`
+    : '';
+}
+
+/**
+ * WHAT IT DOES: Stops this tab's clock because the exam now runs elsewhere
+ * (another tab took the lease, or finished/suspended the session)
+ *
+ * SIDE EFFECTS: Banks the running time, stops lease renewal, re-renders the
+ * exam this tab showed in its stopped state
+ */
+function yieldTimedExam() {
+  const shown = examOnScreen;
+
+  // Callers bank the running time first (stopTimer); this must not save
+  // again, since flushExamClock() itself calls here
+  if (timerInterval) clearInterval(timerInterval);
+  timerInterval = null;
+  examClock = null;
+  if (examLeaseTimer) {
+    clearInterval(examLeaseTimer);
+    examLeaseTimer = null;
+  }
+
+  console.info('[SAA Info] Timed exam continues in another tab, stopping this clock');
+  quizPausedState = { pausedAt: nowMs(), reason: 'other-tab' };
+  startExamLeaseWatch();
+
+  const entry = shown ? loadSessionStore().sessions[shown.sessionKey] : null;
+  if (entry && entry.session && entry.session.seed === shown.seed && !entry.session.completed && !quizCard.hidden) {
+    renderQuiz(normalizeStateForRuntime(entry));
+  } else {
+    setPauseIndicators(true);
+    renderExamTabNotice(!quizCard.hidden);
+  }
+}
+
+/**
+ * WHAT IT DOES: Moves the timed exam on screen to this tab ("Continue here")
+ *
+ * HOW IT WORKS: The session becomes the active one again (un-suspending it
+ * if the other tab switched away), this tab claims the lease and the
+ * previous owner stops its clock when it sees the new lease.
+ */
+function takeOverTimedExam() {
+  safeOperation('Continue Exam In This Tab', () => {
+    const shown = examOnScreen;
+    quizPausedState = null;
+
+    const stored = shown ? activateSession(shown.sessionKey) : null;
+    if (!stored || !stored.session || stored.session.seed !== shown.seed || stored.session.completed) {
+      examOnScreen = null;
+      renderExamTabNotice(false);
+      quizCard.hidden = true;
+      hintText.textContent = "⚠️ That timed exam was finished or discarded in another tab.";
+      renderResumeList();
+      return;
+    }
+
+    const state = normalizeStateForRuntime(stored);
+    claimExamLease(state);
+    renderQuiz(state);
+    renderResumeList();
+    console.info(`[SAA Info] Continuing timed exam ${state.sessionKey} in this tab`);
+  }, undefined);
+}
+
+// ============================================================================
+// SAVED SESSIONS - Several sessions in progress at once
+// ============================================================================
+// Each filter combination (sessionKeyFor) has its own slot in the session
+// store. Only the ACTIVE session is on screen; the others wait in the
+// "Resume" list on the Practice tab. A timed exam that is not active is
+// "suspended": its clock stops until it is resumed, just like a pause.
+
+/**
+ * WHAT IT DOES: Stops the clock of the active timed exam before another
+ * session takes over the screen
+ *
+ * HOW IT WORKS: Banks the running time, then stores suspendedAtMs on the
+ * session. activateSession() later logs the time away as a pause (a manual
+ * pause stays in pausedAtMs and survives the suspension).
+ *
+ * SIDE EFFECTS: Writes the session store, stops the running timer, gives
+ * up this tab's exam lease
+ */
+function suspendActiveTimedSession() {
+  stopTimer();
+
+  const store = loadSessionStore();
+  const active = store.activeKey ? store.sessions[store.activeKey] : null;
+  if (!active || !active.session) return;
+
+  const s = active.session;
+  if (s.mode !== "timed" || s.completed || s.suspendedAtMs) return;
+
+  s.elapsedMs = getElapsedMs(s);
+  s.suspendedAtMs = nowMs();
+  saveSessionStore(store);
+  releaseExamLease();
+  console.info(`[SAA Info] Suspended timed session ${store.activeKey}`);
+}
+
+/**
+ * WHAT IT DOES: Makes a saved session the active one
+ *
+ * PARAMETERS:
+ * - key: sessionKey of the saved session
+ *
+ * RETURNS: The (stored, not yet normalized) state, or null if not found
+ *
+ * SIDE EFFECTS: Suspends the previous timed exam, resumes this one's clock
+ */
+function activateSession(key) {
+  const current = loadSessionStore();
+  if (!current.sessions[key]) return null;
+
+  if (current.activeKey !== key) suspendActiveTimedSession();
+
+  const store = loadSessionStore();
+  const target = store.sessions[key];
+
+  // Resuming a suspended timed exam: the time away does not count
+  if (target.session.suspendedAtMs) {
+    const away = nowMs() - target.session.suspendedAtMs;
+    target.session.elapsedMs = getElapsedMs(target.session);
+    logExamPause(target.session, target.session.suspendedAtMs, nowMs(), 'suspended');
+    delete target.session.suspendedAtMs;
+    console.info(`[SAA Info] Resumed ${key} after ${Math.floor(away / 1000)}s suspended`);
+  }
+
+  store.activeKey = key;
+  saveSessionStore(store);
+  return target;
+}
+
+/**
+ * WHAT IT DOES: Clears the in-memory pause state and its visual indicators
+ *
+ * WHY WE NEED IT: The pause state belongs to the session on screen; it must
+ * not leak into the next session that gets started or resumed. (A stored
+ * pause comes back when renderQuiz shows its session again.)
+ */
+function resetPauseState() {
+  quizPausedState = null;
+  setPauseIndicators(false);
+  renderExamTabNotice(false);
+}
+
+/**
+ * WHAT IT DOES: Sets the setup dropdowns to match a session's filters
+ *
+ * PARAMETERS:
+ * - s: Session object
+ */
+function syncSetupUIToSession(s) {
+  modeSelect.value = normalizeMode(s.mode);
+
+  if (s.mode === "timed") {
+    domainSelect.value = "ALL";
+    sectionSelect.value = "ALL";
+    // Restore difficulty for timed mode (can be filtered)
+    buildDifficultyOptions("ALL", "ALL");
+    difficultySelect.value = s.difficulty || "ALL";
+  } else {
+    domainSelect.value = s.domainId;
+    buildSectionOptions(s.domainId);
+    const section = canonicalSectionFilter(s.section);
+    sectionSelect.value = section;
+    buildDifficultyOptions(s.domainId, section);
+    difficultySelect.value = s.difficulty || "ALL";
+    bookmarkSelect.value = s.bookmarks || "ALL";
+  }
+
+  ensureModeRulesUI();
+}
+
+/**
+ * WHAT IT DOES: Formats how long ago a timestamp was ("5 min ago", "2 days ago")
+ */
+function formatAge(ms) {
+  const minutes = Math.floor((nowMs() - ms) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? "" : "s"} ago`;
+}
+
+/**
+ * WHAT IT DOES: Renders the "Resume" list of in-progress sessions
+ *
+ * SHOWS PER SESSION: mode, filters, progress, age, time left (timed),
+ * plus Resume and Discard buttons. The session on screen is marked "current".
+ *
+ * SIDE EFFECTS: Updates #resumeList (hidden when nothing is in progress)
+ */
+function renderResumeList() {
+  safeOperation('Render Resume List', () => {
+    const listEl = document.getElementById('resumeList');
+    if (!listEl) return;
+
+    const store = loadSessionStore();
+    const entries = Object.values(store.sessions)
+      .filter(e => e && e.session && !e.session.completed)
+      .sort((a, b) => (b.session.createdAtMs || 0) - (a.session.createdAtMs || 0));
+
+    if (entries.length === 0) {
+      listEl.hidden = true;
+      listEl.innerHTML = '';
+      return;
+    }
+
+    const itemsHtml = entries.map(({ sessionKey, session }) => {
+      const isCurrent = sessionKey === store.activeKey && !quizCard.hidden;
+      const answered = Object.keys(session.answers || {}).length;
+      const total = session.questionIds.length;
+
+      const filters = session.origin
+        ? [session.origin.label]
+        : session.mode === "timed"
+        ? [session.difficulty && session.difficulty !== "ALL" ? session.difficulty : "All difficulties"]
+        : [
+            session.domainId === "ALL" ? "All domains" : session.domainId,
+            session.section === "ALL" ? "All sections" : canonicalSectionFilter(session.section),
+            session.difficulty && session.difficulty !== "ALL" ? session.difficulty : "All difficulties",
+            ...(session.bookmarks === "BOOKMARKED" ? ["Bookmarked"] : [])
+          ];
+
+      const details = [
+        `${answered}/${total} answered`,
+        `at Q${(session.currentIndex || 0) + 1}`,
+        `started ${formatAge(session.createdAtMs)}`
+      ];
+      if (session.mode === "timed") {
+        details.push(`${formatClock(getRemainingSec(session))} left${session.suspendedAtMs || session.pausedAtMs ? " (paused)" : ""}`);
+      }
+
+      return `
+        <div class="resume-item ${isCurrent ? 'current' : ''}">
+          <div class="resume-item-text">
+            <strong>${escapeHtml(normalizeMode(session.mode).toUpperCase())}</strong> • ${escapeHtml(filters.join(' • '))}${isCurrent ? ' <span class="resume-current">current</span>' : ''}<br>
+            <span class="meta">${escapeHtml(details.join(' • '))}</span>
+          </div>
+          <div class="resume-item-actions">
+            ${isCurrent ? '' : `<button type="button" class="btn" data-resume-key="${escapeHtml(sessionKey)}">Resume</button>`}
+            <button type="button" class="btn btn-ghost" data-discard-key="${escapeHtml(sessionKey)}">Discard</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    listEl.innerHTML = `<div class="resume-title">Sessions in progress</div>${itemsHtml}`;
+    listEl.hidden = false;
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Switches the Practice tab to a saved session
+ *
+ * PARAMETERS:
+ * - key: sessionKey from the Resume list
+ */
+function resumeSavedSession(key) {
+  safeOperation('Resume Saved Session', () => {
+    const state = normalizeStateForRuntime(activateSession(key));
+    if (!state) return;
+
+    resetPauseState();
+    syncSetupUIToSession(state.session);
+    renderQuiz(state);
+    renderResumeList();
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Deletes one saved session (after confirmation)
+ *
+ * PARAMETERS:
+ * - key: sessionKey from the Resume list
+ *
+ * SIDE EFFECTS: If it was on screen, the quiz card is hidden
+ */
+function discardSavedSession(key) {
+  safeOperation('Discard Saved Session', () => {
+    if (!confirm("Discard this session? Its progress will be lost (it is not added to history).")) return;
+
+    const store = loadSessionStore();
+    delete store.sessions[key];
+
+    if (store.activeKey === key) {
+      store.activeKey = null;
+      stopTimer();
+      resetPauseState();
+      quizCard.hidden = true;
+      resultBox.hidden = true;
+    }
+
+    saveSessionStore(store);
+    renderResumeList();
+    offerPendingQuestionBankUpdate();
+    console.info(`[SAA Info] Discarded saved session ${key}`);
+  }, undefined);
+}
+
+// ============================================================================
+// HISTORY STORAGE - IndexedDB with a localStorage fallback
+// ============================================================================
+// Every completed session embeds its per-question results, so history
+// outgrew localStorage's ~5 MB quota; it used to be cut to the last 50
+// sessions. History now lives in IndexedDB with no cap.
+//
+// IndexedDB is asynchronous while the rest of the app reads history
+// synchronously (spaced queue, dashboard, backups). So:
+// - initHistoryStorage() (awaited once in init) loads every record into
+//   historyCache, oldest first
+// - getSessionHistory() reads the cache; writes update the cache first and
+//   then persist in the background (transactions on the same store run in
+//   the order they were created, so writes never overtake each other).
+//   New records are also copied to HISTORY_KEY until their write commits,
+//   so a reload right after the results page can't lose them
+// - historyAggregates keeps dashboard totals up to date as records are
+//   added, so the summary and domain bars never rescan all sessions
+//
+// Without IndexedDB (old browsers, some private modes) history stays in
+// localStorage under HISTORY_KEY with the old MAX_HISTORY_SESSIONS cap.
+
+let historyDb = null; // IDBDatabase once opened; null → localStorage fallback
+let historyCache = []; // All history records, sorted by completedAt (oldest first)
+let historyAggregates = emptyHistoryAggregates(); // Running dashboard totals over historyCache
+
+/**
+ * WHAT IT DOES: Wraps an IDBRequest in a Promise
+ *
+ * RETURNS: Promise resolving with request.result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * WHAT IT DOES: Resolves when an IndexedDB transaction has committed
+ *
+ * WHY WE NEED IT: A put() request succeeding doesn't mean the data is on
+ * disk - only the transaction's complete event does
+ */
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+/**
+ * WHAT IT DOES: Opens (and on first use creates) the history database
+ *
+ * SCHEMA (HISTORY_DB_VERSION 2):
+ * - Object store HISTORY_STORE, keyPath "sessionId"
+ * - Index "completedAt" - chronological loading
+ * - Index "mode" - per-mode queries (timed vs review)
+ * - Object store REPLAY_STORE, keyPath "sessionId" (added in version 2):
+ *   { sessionId, questions: [...question objects as shown] }
+ *
+ * OTHER TABS: An upgrade blocked by a tab that still holds the old version
+ * keeps waiting - the localStorage fallback would show an empty history -
+ * and the loading overlay asks the user to close that tab (see
+ * showHistoryUpgradeNotice). This tab's connection closes itself when a
+ * newer version is opened elsewhere.
+ *
+ * RETURNS: Promise of IDBDatabase, or null if IndexedDB is unavailable
+ */
+function openHistoryDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        const store = db.createObjectStore(HISTORY_STORE, { keyPath: "sessionId" });
+        store.createIndex("completedAt", "completedAt");
+        store.createIndex("mode", "mode");
+      }
+      if (!db.objectStoreNames.contains(REPLAY_STORE)) {
+        db.createObjectStore(REPLAY_STORE, { keyPath: "sessionId" });
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // A newer version opened in another tab: step aside so its upgrade is
+      // not blocked. Later records go to localStorage and are moved into the
+      // database on the next load (see initHistoryStorage).
+      db.onversionchange = () => {
+        db.close();
+        if (historyDb === db) historyDb = null;
+        console.warn('[SAA Warning] History database upgraded in another tab, keeping history in localStorage until reload');
+      };
+
+      showHistoryUpgradeNotice(false);
+      resolve(db);
+    };
+    request.onerror = () => {
+      console.warn('[SAA Warning] IndexedDB unavailable, keeping history in localStorage:', request.error && request.error.message);
+      showHistoryUpgradeNotice(false);
+      resolve(null);
+    };
+    request.onblocked = () => {
+      console.warn('[SAA Warning] History database upgrade blocked by another open tab, waiting for it to close');
+      showHistoryUpgradeNotice(true);
+    };
+  });
+}
+
+/**
+ * WHAT IT DOES: Shows or hides the "close your other tabs" notice while a
+ * history database upgrade waits for an older tab
+ *
+ * WHY WE NEED IT: The app stays on the loading overlay until the upgrade
+ * can run; without a reason the user would think it hangs.
+ *
+ * SIDE EFFECTS: Shows #loadingOverlay with the notice text, or restores and
+ * hides it once the database is open
+ */
+function showHistoryUpgradeNotice(show) {
+  const overlay = document.getElementById('loadingOverlay');
+  const textEl = overlay && overlay.querySelector('p');
+  if (!overlay || !textEl) return;
+
+  if (show) {
+    if (!textEl.dataset.defaultText) textEl.dataset.defaultText = textEl.textContent;
+    textEl.textContent = 'Updating your saved history... Close your other FlipTheSAA tabs to continue.';
+    overlay.style.display = 'flex';
+  } else if (textEl.dataset.defaultText) {
+    textEl.textContent = textEl.dataset.defaultText;
+    delete textEl.dataset.defaultText;
+    overlay.style.display = 'none';
+  }
+}
+
+/**
+ * WHAT IT DOES: Returns zeroed dashboard aggregates
+ */
+function emptyHistoryAggregates() {
+  return { totalAttempts: 0, pointsSum: 0, passedCount: 0, domainScores: {} };
+}
+
+/**
+ * WHAT IT DOES: Adds one history record to the running aggregates (mutates agg)
+ */
+function addToHistoryAggregates(agg, record) {
+  agg.totalAttempts++;
+  agg.pointsSum += record.points || 0;
+  if (record.passed) agg.passedCount++;
+
+  for (const [domainId, scores] of Object.entries(record.domainScores || {})) {
+    if (!agg.domainScores[domainId]) agg.domainScores[domainId] = { correct: 0, total: 0 };
+    agg.domainScores[domainId].correct += scores.correct || 0;
+    agg.domainScores[domainId].total += scores.total || 0;
+  }
+}
+
+/**
+ * WHAT IT DOES: Returns the running dashboard totals over all history
+ *
+ * RETURNS: { totalAttempts, pointsSum, passedCount, domainScores: { D1: { correct, total } } }
+ */
+function getHistoryAggregates() {
+  return historyAggregates;
+}
+
+/**
+ * WHAT IT DOES: Makes a history record safe to store
+ *
+ * WHY WE NEED IT: Records without a numeric completedAt would be missing
+ * from the "completedAt" index (and so from chronological loading);
+ * legacy "practice" mode is normalized like everywhere else
+ */
+function normalizeHistoryRecord(record) {
+  return {
+    ...record,
+    mode: normalizeMode(record.mode),
+    completedAt: Number(record.completedAt) || Number(record.startedAt) || 0
+  };
+}
+
+/**
+ * WHAT IT DOES: Replaces the in-memory history and recomputes aggregates
+ *
+ * PARAMETERS:
+ * - records: Array of history records (any order)
+ */
+function setHistoryCache(records) {
+  historyCache = records.map(normalizeHistoryRecord).sort((a, b) => a.completedAt - b.completedAt);
+  historyAggregates = emptyHistoryAggregates();
+  for (const record of historyCache) addToHistoryAggregates(historyAggregates, record);
+}
+
+/**
+ * WHAT IT DOES: Reads history saved under HISTORY_KEY in localStorage
+ *
+ * RETURNS: Array of records (empty if missing or invalid)
+ */
+function readLocalHistory() {
+  return safeOperation('Read localStorage History', () => {
+    const raw = localStorage.getItem(HISTORY_KEY);
+    if (!raw) return [];
+
+    const parsed = JSON.parse(raw);
+    if (!parsed.version || !Array.isArray(parsed.sessions)) {
+      console.warn('[SAA Warning] Invalid history structure in localStorage, ignoring');
+      return [];
+    }
+    return parsed.sessions;
+  }, []);
+}
+
+/**
+ * WHAT IT DOES: Writes historyCache to localStorage (fallback mode only)
+ *
+ * SIDE EFFECTS: Trims historyCache to MAX_HISTORY_SESSIONS first
+ *
+ * RETURNS: Number of oldest sessions dropped by the cap
+ */
+function writeLocalHistory() {
+  let dropped = 0;
+  if (historyCache.length > MAX_HISTORY_SESSIONS) {
+    dropped = historyCache.length - MAX_HISTORY_SESSIONS;
+    setHistoryCache(historyCache.slice(-MAX_HISTORY_SESSIONS));
+    console.info(`[SAA Info] Removed ${dropped} oldest sessions (keeping ${MAX_HISTORY_SESSIONS} most recent)`);
+  }
+
+  safeOperation('Save localStorage History', () => {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify({ version: 1, sessions: historyCache }));
+  }, undefined);
+  return dropped;
+}
+
+/**
+ * WHAT IT DOES: Keeps a localStorage copy of records whose database write
+ * has not committed yet, or drops the copy once it has
+ *
+ * WHY WE NEED IT: addHistoryRecords() doesn't wait for IndexedDB, so closing
+ * or reloading the tab right after the results page could lose the session.
+ * The copies sit under HISTORY_KEY, which initHistoryStorage() already moves
+ * into the database on the next load.
+ *
+ * PARAMETERS:
+ * - records: Array of normalized history records
+ * - committed: false to add the copies, true to remove them
+ */
+function stageLocalHistory(records, committed) {
+  safeOperation('Stage localStorage History', () => {
+    const ids = new Set(records.map(r => r.sessionId));
+    const others = readLocalHistory().filter(r => !(r && ids.has(r.sessionId)));
+    const sessions = committed ? others : others.concat(records);
+
+    if (sessions.length) localStorage.setItem(HISTORY_KEY, JSON.stringify({ version: 1, sessions }));
+    else localStorage.removeItem(HISTORY_KEY);
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Puts records into the history database
+ *
+ * PARAMETERS:
+ * - records: Array of normalized history records
+ * - replaceAll: true to clear the store first (same transaction)
+ *
+ * RETURNS: Promise resolving when the transaction has committed
+ */
+async function putHistoryRecords(records, replaceAll = false) {
+  const tx = historyDb.transaction(HISTORY_STORE, "readwrite");
+  const store = tx.objectStore(HISTORY_STORE);
+  if (replaceAll) store.clear();
+  for (const record of records) store.put(record);
+  await idbTransactionDone(tx);
+}
+
+/**
+ * WHAT IT DOES: Opens history storage and fills historyCache
+ *
+ * WHY WE NEED IT: Must finish before anything reads history, so init()
+ * awaits it right after the question bank is loaded.
+ *
+ * HOW IT WORKS:
+ * 1. Open IndexedDB (or stay on localStorage if that fails)
+ * 2. Load every record through the "completedAt" index (oldest first)
+ * 3. First run after the upgrade (or records staged by stageLocalHistory
+ *    whose write never committed): copy localStorage history into the
+ *    database, then remove HISTORY_KEY (only once the copy has committed)
+ * 4. Re-key pre-taxonomy records (migrateHistoryTaxonomy) and save them
+ *
+ * RETURNS: Promise (never rejects - storage errors fall back to localStorage)
+ */
+async function initHistoryStorage() {
+  historyDb = await safeOperationAsync('Open History Database', openHistoryDb, null);
+
+  if (!historyDb) {
+    setHistoryCache(readLocalHistory());
+  } else {
+    const loaded = await safeOperationAsync('Load History Database', async () => {
+      const tx = historyDb.transaction(HISTORY_STORE, "readonly");
+      return idbRequest(tx.objectStore(HISTORY_STORE).index("completedAt").getAll());
+    }, null);
+
+    if (loaded === null) {
+      historyDb = null;
+      setHistoryCache(readLocalHistory());
+    } else {
+      const legacy = readLocalHistory();
+      const knownIds = new Set(loaded.map(r => r.sessionId));
+      const toMigrate = legacy
+        .filter(r => r && typeof r.sessionId === "string" && !knownIds.has(r.sessionId))
+        .map(normalizeHistoryRecord);
+
+      setHistoryCache(loaded.concat(toMigrate));
+
+      if (legacy.length > 0) {
+        const migrated = await safeOperationAsync('Migrate History to IndexedDB', async () => {
+          await putHistoryRecords(toMigrate);
+          return true;
+        }, false);
+        if (migrated) {
+          localStorage.removeItem(HISTORY_KEY);
+          console.info(`[SAA Info] Moved ${toMigrate.length} history sessions from localStorage to IndexedDB`);
+        }
+      }
+    }
+  }
+
+  // Re-key pre-taxonomy section aggregates onto canonical tags
+  const history = { version: 1, sessions: historyCache };
+  if (migrateHistoryTaxonomy(history)) {
+    await saveSessionHistory(history);
+    console.info('[SAA Info] Migrated history section scores to canonical service tags');
+  }
+
+  console.info(`[SAA Info] Loaded ${historyCache.length} historical sessions (${historyDb ? 'IndexedDB' : 'localStorage'})`);
+}
+
+/**
+ * WHAT IT DOES: Appends completed sessions to history
+ *
+ * PARAMETERS:
+ * - records: Array of new history records (caller has checked sessionIds)
+ *
+ * SIDE EFFECTS: Updates historyCache/historyAggregates immediately, then
+ * persists in the background (errors are logged); with IndexedDB a copy
+ * stays in localStorage until the write commits (stageLocalHistory)
+ *
+ * RETURNS: Number of oldest sessions dropped (localStorage fallback cap; 0 with IndexedDB)
+ */
+function addHistoryRecords(records) {
+  const normalized = records.map(normalizeHistoryRecord);
+  for (const record of normalized) {
+    historyCache.push(record);
+    addToHistoryAggregates(historyAggregates, record);
+  }
+  historyCache.sort((a, b) => a.completedAt - b.completedAt);
+
+  if (!historyDb) return writeLocalHistory();
+
+  stageLocalHistory(normalized, false);
+  safeOperationAsync('Save History Records', async () => {
+    await putHistoryRecords(normalized);
+    stageLocalHistory(normalized, true);
+  }, undefined);
+  return 0;
+}
+
+/**
+ * WHAT IT DOES: Deletes all history (cache and storage)
+ *
+ * RETURNS: Promise resolving once the store is cleared
+ */
+function clearSessionHistory() {
+  setHistoryCache([]);
+  localStorage.removeItem(HISTORY_KEY);
+
+  // No open connection (IndexedDB unavailable, or the database was handed
+  // over to another tab): drop the whole database so no history comes back
+  if (!historyDb) {
+    if (typeof indexedDB === "undefined") return Promise.resolve();
+    return new Promise((resolve) => {
+      const request = indexedDB.deleteDatabase(HISTORY_DB_NAME);
+      request.onsuccess = () => resolve();
+      request.onerror = () => {
+        console.warn('[SAA Warning] Could not delete the history database:', request.error && request.error.message);
+        resolve();
+      };
+      // Deleted as soon as the other tabs close their connections
+      request.onblocked = () => {
+        console.warn('[SAA Warning] History database deletion waits for other open tabs');
+        resolve();
+      };
+    });
+  }
+
+  return safeOperationAsync('Clear History Database', async () => {
+    await putHistoryRecords([], true);
+    const tx = historyDb.transaction(REPLAY_STORE, "readwrite");
+    tx.objectStore(REPLAY_STORE).clear();
+    await idbTransactionDone(tx);
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Stores the questions of a completed session as they were shown
+ *
+ * WHY: A later questions.json update may reword or remove questions; the
+ * replay (see SESSION REPLAY) should still show what was answered.
+ * IndexedDB only - the localStorage fallback has no room for snapshots.
+ *
+ * RETURNS: Promise (errors are logged, never rejects)
+ */
+function saveReplaySnapshot(sessionId, questions) {
+  if (!historyDb) return Promise.resolve();
+  return safeOperationAsync('Save Replay Snapshot', async () => {
+    const tx = historyDb.transaction(REPLAY_STORE, "readwrite");
+    tx.objectStore(REPLAY_STORE).put({ sessionId, questions });
+    await idbTransactionDone(tx);
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Loads the question snapshot of a completed session
+ *
+ * RETURNS: Promise → Map (questionId → question), or null when there is none
+ */
+function loadReplaySnapshot(sessionId) {
+  if (!historyDb) return Promise.resolve(null);
+  return safeOperationAsync('Load Replay Snapshot', async () => {
+    const tx = historyDb.transaction(REPLAY_STORE, "readonly");
+    const entry = await idbRequest(tx.objectStore(REPLAY_STORE).get(sessionId));
+    return entry && Array.isArray(entry.questions) ? new Map(entry.questions.map(q => [q.id, q])) : null;
+  }, null);
+}
+
+// ============================================================================
+// PERFORMANCE TRACKING - Session history and analytics
+// ============================================================================
+
+/**
+ * WHAT IT DOES: Returns all quiz history (see HISTORY STORAGE)
+ *
+ * WHY WE NEED IT: Retrieves all past quiz attempts so we can analyze
+ * performance trends, identify weak areas, and track improvement.
+ *
+ * RETURNS: History object with version and sessions array (oldest first).
+ * The sessions array is a copy - use addHistoryRecords() or
+ * saveSessionHistory() to change history.
+ *
+ * STRUCTURE:
+ * {
+ *   version: 1,
+ *   sessions: [
+ *     {
+ *       sessionId: "unique-id",
+ *       mode: "review" | "timed",
+ *       domainId: "D1" | "D2" | "D3" | "D4" | "ALL",
+ *       section: "EC2" | "S3" | ... | "ALL",   (canonical service tag)
+ *       origin: null | { type: "missed" | "flagged" | "weak-areas", label, sourceSessionId },
+ *       startedAt: 1735142400000,
+ *       completedAt: 1735143120000,
+ *       durationSeconds: 720,
+ *       examFormat: null | { id: "65q-160m-esl", totalQuestions, scoredQuestions, durationSec, eslExtraSec, esl },
+ *       totalQuestions: 65,
+ *       answeredTotal: 63,
+ *       correctTotal: 45,
+ *       points: 714,
+ *       passed: false,
+ *       scoringModel: "scaled" | "linear",
+ *       domainScores: { "D1": { correct: 12, total: 18 }, ... },
+ *       sectionScores: { "IAM": { correct: 4, total: 6 }, ... },   (keyed by tag)
+ *       questionResults: [{ questionId: "SAA-001", correct: false, answered: true,
+ *                           chosen: [2], struck: [0], confidence: "sure", timeSpentSec: 95 }, ...],
+ *                          (chosen: picked indices, null if unanswered; struck: choices struck out;
+ *                           confidence: "sure" | "unsure" | "guess", null if unanswered or not rated)
+ *       taxonomyVersion: 1,
+ *       replay: { version: 1, session: {...}, endedBy, bankSignature }   (see buildReplayData; missing on old records)
+ *     }
+ *   ]
+ * }
+ */
+function getSessionHistory() {
+  return { version: 1, sessions: historyCache.slice() };
+}
+
+/**
+ * WHAT IT DOES: Re-keys section data of older history records onto the
+ * canonical service taxonomy
+ *
+ * WHY WE NEED IT: Records saved before TAXONOMY_VERSION keyed sectionScores
+ * by raw section text ("RDS/Aurora", "DR"), so the same service was split
+ * across several entries. Each raw key is mapped through servicesForSection()
+ * and its counts are added to every tag it maps to - the same rule
+ * recordSessionToHistory() uses for new sessions.
+ *
+ * PARAMETERS:
+ * - history: History object (mutated in place)
+ *
+ * RETURNS: Boolean - true if any record changed (caller should save)
+ */
+function migrateHistoryTaxonomy(history) {
+  let changed = false;
+
+  for (const record of history.sessions) {
+    if (!record || record.taxonomyVersion === TAXONOMY_VERSION) continue;
+
+    const migrated = {};
+    for (const [rawSection, stats] of Object.entries(record.sectionScores || {})) {
+      for (const tag of servicesForSection(rawSection)) {
+        if (!migrated[tag]) migrated[tag] = { correct: 0, total: 0 };
+        migrated[tag].correct += stats.correct || 0;
+        migrated[tag].total += stats.total || 0;
+      }
+    }
+
+    record.sectionScores = migrated;
+    record.section = canonicalSectionFilter(record.section);
+    record.taxonomyVersion = TAXONOMY_VERSION;
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * WHAT IT DOES: Replaces the whole history with the given object
+ *
+ * WHY WE NEED IT: Bulk rewrites (taxonomy migration); adding sessions
+ * goes through addHistoryRecords() instead
+ *
+ * PARAMETERS:
+ * - history: History object with version and sessions array
+ *
+ * SIDE EFFECTS: Updates historyCache, then rewrites IndexedDB (or localStorage)
+ *
+ * RETURNS: Promise resolving once the write has committed
+ */
+async function saveSessionHistory(history) {
+  if (!history || !Array.isArray(history.sessions)) {
+    console.warn('[SAA Warning] Invalid history object, skipping save');
+    return;
+  }
+
+  setHistoryCache(history.sessions);
+
+  if (!historyDb) {
+    writeLocalHistory();
+  } else {
+    await safeOperationAsync('Save Session History', () => putHistoryRecords(historyCache, true), undefined);
+  }
+  console.info(`[SAA Info] Saved history with ${historyCache.length} sessions`);
+}
+
+/**
+ * WHAT IT DOES: Records a completed quiz session to history
+ *
+ * WHY WE NEED IT: Called after completing a quiz to save performance data
+ * for later analysis and trend tracking.
+ *
+ * HOW IT WORKS:
+ * 1. Load existing history
+ * 2. Calculate detailed stats from the completed session
+ * 3. Break down scores by domain and section
+ * 4. Add new session to history (addHistoryRecords persists it)
+ *
+ * PARAMETERS:
+ * - state: The completed session state
+ * - autoEnded: true when a timed exam ended because time ran out
+ */
+function recordSessionToHistory(state, autoEnded = false) {
+  safeOperation('Record Session to History', () => {
+    const { session } = state;
+
+    // Only record completed sessions
+    if (!session.completed) {
+      console.info('[SAA Info] Session not completed, skipping history recording');
+      return;
+    }
+
+    const history = getSessionHistory();
+    const score = computeScore(state);
+
+    // Calculate duration (timed exams: exam time used, without pauses)
+    const startedAt = session.startedAtMs || session.createdAtMs;
+    const completedAt = nowMs();
+    const durationSeconds = session.mode === "timed"
+      ? Math.floor(getElapsedMs(session) / 1000)
+      : Math.floor((completedAt - startedAt) / 1000);
+
+    // Aggregate scores by domain
+    const domainScores = {};
+    const sectionScores = {};
+    const questionResults = [];
+
+    for (const qid of session.questionIds) {
+      const q = QMAP.get(qid);
+      if (!q) continue;
+
+      const userAnswer = session.answers[qid];
+      const correct = userAnswer !== undefined && isCorrectAnswer(userAnswer, q.answer);
+
+      // Track by domain
+      if (!domainScores[q.domainId]) {
+        domainScores[q.domainId] = { correct: 0, total: 0 };
+      }
+      domainScores[q.domainId].total++;
+      if (correct) domainScores[q.domainId].correct++;
+
+      // Track by service tag (a multi-tag question counts toward each tag)
+      for (const tag of getQuestionTags(q)) {
+        if (!sectionScores[tag]) {
+          sectionScores[tag] = { correct: 0, total: 0 };
+        }
+        sectionScores[tag].total++;
+        if (correct) sectionScores[tag].correct++;
+      }
+
+      // Track individual question
+      questionResults.push({
+        questionId: qid,
+        correct: correct,
+        answered: userAnswer !== undefined,
+        chosen: userAnswer === undefined ? null : [].concat(userAnswer).sort((a, b) => a - b),
+        struck: getStruckChoices(session, qid).slice(),
+        confidence: userAnswer === undefined ? null : getAnswerConfidence(session, qid),
+        timeSpentSec: Math.round(((session.timeSpent && session.timeSpent[qid]) || 0) / 1000)
+      });
+    }
+
+    // Create session record
+    const sessionRecord = {
+      sessionId: `${session.mode}-${startedAt}`,
+      mode: session.mode,
+      domainId: session.domainId,
+      section: session.section,
+      origin: session.origin || null,
+      startedAt: startedAt,
+      completedAt: completedAt,
+      durationSeconds: durationSeconds,
+      examFormat: getRecordExamFormat(session), // Timed only: question count, duration, ESL (see EXAM SETTINGS)
+
+      // Overall scores
+      totalQuestions: score.totalQuestions,
+      answeredTotal: score.answeredTotal,
+      correctTotal: score.correctTotal,
+      points: score.points,
+      passed: score.passed,
+      scoringModel: score.model,
+
+      // Breakdowns
+      domainScores: domainScores,
+      sectionScores: sectionScores,
+      questionResults: questionResults,
+      taxonomyVersion: TAXONOMY_VERSION,
+
+      // Everything needed to re-open the session read-only (SESSION REPLAY)
+      replay: buildReplayData(state, autoEnded)
+    };
+
+    // ✅ Check if this session already exists in history (prevent duplicates)
+    const existingIndex = history.sessions.findIndex(
+      s => s.sessionId === sessionRecord.sessionId
+    );
+
+    if (existingIndex !== -1) {
+      console.info('[SAA Info] Session already recorded, skipping duplicate:', sessionRecord.sessionId);
+      return; // Exit early, don't add duplicate
+    }
+
+    // Load (or first build) the stats before this session enters history,
+    // so the build doesn't count it already
+    const stats = loadQuestionStats();
+
+    // Add to history (only if not duplicate)
+    addHistoryRecords([sessionRecord]);
+    saveReplaySnapshot(sessionRecord.sessionId, session.questionIds.map(qid => QMAP.get(qid)).filter(Boolean));
+
+    // Per-question statistics outlive the history cap
+    if (applySessionToQuestionStats(stats, sessionRecord)) saveQuestionStats(stats);
+
+    console.info('[SAA Info] Session recorded to history:', {
+      mode: session.mode,
+      score: `${score.points}/${score.totalPoints}`,
+      passed: score.passed
+    });
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Analyzes history to find frequently missed questions
+ *
+ * WHY WE NEED IT: Helps users identify their weak areas by showing which
+ * questions they consistently get wrong across multiple attempts.
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ * - limit: How many weak areas to return (default 10)
+ *
+ * RETURNS: Array of objects with questionId, missCount, attempts, and question details
+ *
+ * EXAMPLE:
+ * [
+ *   { questionId: "SAA-023", missCount: 3, attempts: 3, question: {...} },
+ *   { questionId: "SAA-045", missCount: 3, attempts: 4, question: {...} }
+ * ]
+ */
+function analyzeWeakAreas(history, limit = 10) {
+  return safeOperation('Analyze Weak Areas', () => {
+    const questionStats = {};
+
+    // Aggregate results for each question across all sessions
+    for (const session of history.sessions) {
+      for (const result of session.questionResults) {
+        if (!questionStats[result.questionId]) {
+          questionStats[result.questionId] = {
+            questionId: result.questionId,
+            attempts: 0,
+            missCount: 0
+          };
+        }
+
+        if (result.answered) {
+          questionStats[result.questionId].attempts++;
+          if (!result.correct) {
+            questionStats[result.questionId].missCount++;
+          }
+        }
+      }
+    }
+
+    // Convert to array and sort by miss rate (missCount / attempts)
+    const weakAreas = Object.values(questionStats)
+      .filter(stat => stat.attempts > 0 && stat.missCount > 0)
+      .sort((a, b) => {
+        // Primary sort: miss count (descending)
+        if (b.missCount !== a.missCount) {
+          return b.missCount - a.missCount;
+        }
+        // Secondary sort: miss rate (descending)
+        const rateA = a.missCount / a.attempts;
+        const rateB = b.missCount / b.attempts;
+        return rateB - rateA;
+      })
+      .slice(0, limit)
+      .map(stat => ({
+        ...stat,
+        question: QMAP.get(stat.questionId)
+      }));
+
+    console.info(`[SAA Info] Found ${weakAreas.length} weak areas`);
+    return weakAreas;
+  }, []);
+}
+
+/**
+ * WHAT IT DOES: Extracts score trend over time
+ *
+ * WHY WE NEED IT: Shows improvement (or decline) in quiz performance
+ * over multiple attempts. Used for charts and progress tracking.
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ * - mode: Filter by mode ("review", "timed", or null for all)
+ * - formatId: Only timed exams of this exam format (see buildExamFormat),
+ *   so extended-time exams and mini-mocks are compared like with like
+ *
+ * RETURNS: Array of score objects sorted chronologically
+ *
+ * EXAMPLE:
+ * [
+ *   { date: 1735142400000, score: 650, passed: false },
+ *   { date: 1735228800000, score: 720, passed: true }
+ * ]
+ */
+function getScoreTrend(history, mode = null, formatId = null) {
+  return safeOperation('Get Score Trend', () => {
+    let sessions = history.sessions;
+
+    // Filter by mode if specified
+    if (mode) {
+      sessions = sessions.filter(s => s.mode === mode);
+    }
+
+    // Filter by exam format if specified
+    if (formatId) {
+      sessions = sessions.filter(s => {
+        const format = getRecordExamFormat(s);
+        return format !== null && format.id === formatId;
+      });
+    }
+
+    // Map to score data points and sort by date
+    const trend = sessions
+      .map(s => ({
+        date: s.completedAt,
+        score: s.points,
+        passed: s.passed,
+        mode: s.mode,
+        format: getRecordExamFormat(s)
+      }))
+      .sort((a, b) => a.date - b.date);
+
+    console.info(`[SAA Info] Generated score trend with ${trend.length} data points`);
+    return trend;
+  }, []);
+}
+
+/**
+ * WHAT IT DOES: Summarizes time spent per question across history
+ *
+ * WHY WE NEED IT: Shows which questions eat exam time and whether the
+ * overall pace fits the real exam (see PACE_BUDGET_SEC)
+ *
+ * HOW IT WORKS:
+ * - Only questionResults with timeSpentSec > 0 count (older history has none)
+ * - Slowest questions: average seconds per attempt, highest first
+ * - Pacing curve: average seconds at each position of standard-format
+ *   timed exams (mini-mocks and extended time have other budgets)
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ * - limit: Number of slowest questions to return (default 5)
+ *
+ * RETURNS: { avgSec, timedCount, slowest: [{ questionId, avgSec, attempts, question }],
+ *            curve: [avg seconds for Q1, Q2, ...], examCount }
+ */
+function getPacingStats(history, limit = 5) {
+  const byQuestion = {};
+  const byPosition = [];
+  let totalSec = 0;
+  let timedCount = 0;
+  let examCount = 0;
+  const standardFormatId = buildExamFormat({}).id;
+
+  for (const session of history.sessions) {
+    const results = Array.isArray(session.questionResults) ? session.questionResults : [];
+    const timed = results.filter((r) => r.timeSpentSec > 0);
+    if (timed.length === 0) continue;
+
+    for (const r of timed) {
+      totalSec += r.timeSpentSec;
+      timedCount++;
+      if (!byQuestion[r.questionId]) byQuestion[r.questionId] = { totalSec: 0, attempts: 0 };
+      byQuestion[r.questionId].totalSec += r.timeSpentSec;
+      byQuestion[r.questionId].attempts++;
+    }
+
+    if (session.mode === 'timed' && getRecordExamFormat(session).id === standardFormatId) {
+      examCount++;
+      results.forEach((r, idx) => {
+        if (!byPosition[idx]) byPosition[idx] = { totalSec: 0, count: 0 };
+        byPosition[idx].totalSec += r.timeSpentSec || 0;
+        byPosition[idx].count++;
+      });
+    }
+  }
+
+  const slowest = Object.entries(byQuestion)
+    .map(([questionId, stat]) => ({
+      questionId,
+      avgSec: stat.totalSec / stat.attempts,
+      attempts: stat.attempts,
+      question: QMAP.get(questionId)
+    }))
+    .sort((a, b) => b.avgSec - a.avgSec)
+    .slice(0, limit);
+
+  return {
+    avgSec: timedCount ? totalSec / timedCount : 0,
+    timedCount,
+    slowest,
+    curve: byPosition.map((p) => (p && p.count ? p.totalSec / p.count : 0)),
+    examCount
+  };
+}
+
+// Readiness prediction tuning (see predictReadiness)
+const READINESS_HALF_LIFE_DAYS = 21; // A timed exam this old counts half as much as today's
+const READINESS_DEFAULT_SPREAD = 90; // ± points when there are no (or too few) timed exams to measure spread
+const READINESS_UNSEEN_SPREAD = 60; // Extra ± points if the whole bank were unseen (scaled by unseen share)
+const READINESS_TARGET_DOMAIN_PCT = 80; // Domain accuracy the "what would move it" list aims for
+
+/**
+ * WHAT IT DOES: Estimates the score you would get on the real exam today
+ *
+ * WHY WE NEED IT: Average score and pass rate mix old and new attempts and
+ * Review sessions with exams; they don't answer "should I book the exam?"
+ *
+ * HOW IT WORKS:
+ * 1. Timed estimate - full-length timed exam scores (mini-mocks are too
+ *    short to compare), re-scored with the selected scoring model so
+ *    linear and scaled records are not mixed, weighted by recency (weight halves every
+ *    READINESS_HALF_LIFE_DAYS); the sum of weights is the effective
+ *    number of exams (nEff)
+ * 2. Domain estimate - accuracy per domain from getDomainPerformance(),
+ *    weighted by the exam blueprint and put on the score scale of the
+ *    selected scoring model
+ * 3. Center = blend of both; the timed estimate gets nEff / (nEff + 1) of
+ *    the weight (one recent exam = half, three = 75%)
+ * 4. Range = spread of timed scores / √nEff (or READINESS_DEFAULT_SPREAD),
+ *    widened by the share of never-seen questions and of blueprint domains
+ *    without data
+ * 5. Levers - weak domains raised to READINESS_TARGET_DOMAIN_PCT (points
+ *    gained), another timed exam and the unseen pool (range narrowed)
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ *
+ * RETURNS: null without any data, else
+ * { center, low, high, minScore, halfWidth, confidence: "Low" | "Medium" | "High",
+ *   verdict: "ready" | "borderline" | "not-ready", timedCount, nEff,
+ *   daysSinceTimed, timedMean, domainScore, coverage, unseenCount,
+ *   unseenFraction, levers: [{ text, gain, kind: "points" | "range" }] }
+ */
+function predictReadiness(history) {
+  return safeOperation('Predict Readiness', () => {
+    const now = nowMs();
+    const modelId = loadScoringModelId();
+
+    // 1. Full-length timed exams on the selected model's scale, weighted by recency
+    const timed = history.sessions
+      .filter(s => s.mode === 'timed' && getRecordExamFormat(s).totalQuestions === EXAM_TOTAL_QUESTIONS)
+      .map(s => ({
+        points: scoreHistoryRecord(s, modelId),
+        completedAt: s.completedAt,
+        weight: Math.pow(0.5, Math.max(0, now - s.completedAt) / DAY_MS / READINESS_HALF_LIFE_DAYS)
+      }))
+      .filter(t => Number.isFinite(t.points));
+    const nEff = timed.reduce((sum, t) => sum + t.weight, 0);
+    const timedMean = nEff > 0 ? timed.reduce((sum, t) => sum + t.weight * t.points, 0) / nEff : null;
+    const timedSpread = timed.length >= 2
+      ? Math.sqrt(timed.reduce((sum, t) => sum + t.weight * Math.pow(t.points - timedMean, 2), 0) / nEff)
+      : READINESS_DEFAULT_SPREAD;
+
+    // 2. Domain accuracy on the score scale of the selected scoring model
+    const domainWeights = loadExamBlueprint().domainWeights;
+    const domainPerf = getDomainPerformance();
+    const toScore = modelId === 'scaled' ? scaleRawScore : (raw) => raw * MAX_SCORE;
+
+    const domainRaw = (perf) => {
+      let weight = 0;
+      let raw = 0;
+      for (const [domainId, w] of Object.entries(domainWeights)) {
+        if (!perf[domainId] || perf[domainId].total === 0) continue;
+        weight += w;
+        raw += w * (perf[domainId].percentage / 100);
+      }
+      return weight > 0 ? raw / weight : null;
+    };
+
+    const totalWeight = Object.values(domainWeights).reduce((a, b) => a + b, 0) || 1;
+    const coveredWeight = Object.entries(domainWeights)
+      .filter(([domainId]) => domainPerf[domainId] && domainPerf[domainId].total > 0)
+      .reduce((sum, [, w]) => sum + w, 0);
+    const coverage = coveredWeight / totalWeight;
+
+    const raw = domainRaw(domainPerf);
+    const domainScore = raw === null ? null : toScore(raw);
+    if (timedMean === null && domainScore === null) return null;
+
+    // 3. Blend
+    const timedShare = timedMean === null ? 0 : (domainScore === null ? 1 : nEff / (nEff + 1));
+    const center = timedShare * (timedMean || 0) + (1 - timedShare) * (domainScore || 0);
+
+    // 4. Range
+    const stats = loadQuestionStats();
+    const unseenCount = QUESTIONS.filter(q => !(stats.items[q.id] && stats.items[q.id].seen > 0)).length;
+    const unseenFraction = QUESTIONS.length ? unseenCount / QUESTIONS.length : 0;
+
+    const spreadFor = (n) => (n >= 1 ? timedSpread / Math.sqrt(n) : READINESS_DEFAULT_SPREAD);
+    const extraSpread = unseenFraction * READINESS_UNSEEN_SPREAD + (1 - coverage) * READINESS_DEFAULT_SPREAD;
+    const halfWidth = Math.max(25, spreadFor(nEff) + extraSpread);
+
+    const minScore = toScore(0); // Model's floor: 100 scaled, 0 linear
+    const low = Math.max(minScore, Math.round(center - halfWidth));
+    const high = Math.min(MAX_SCORE, Math.round(center + halfWidth));
+
+    const confidence = (nEff >= 3 && unseenFraction < 0.3 && halfWidth <= 60) ? 'High'
+      : (nEff < 1 || unseenFraction > 0.7 || coverage < 1) ? 'Low'
+      : 'Medium';
+    const verdict = low >= PASSING_SCORE ? 'ready' : center >= PASSING_SCORE ? 'borderline' : 'not-ready';
+
+    // 5. What would move the estimate most
+    const levers = [];
+
+    if (raw !== null) {
+      for (const [domainId, perf] of Object.entries(domainPerf)) {
+        if (!domainWeights[domainId] || perf.percentage >= READINESS_TARGET_DOMAIN_PCT) continue;
+        const improved = { ...domainPerf, [domainId]: { ...perf, percentage: READINESS_TARGET_DOMAIN_PCT } };
+        const gain = Math.round(toScore(domainRaw(improved)) - domainScore);
+        if (gain <= 0) continue;
+        levers.push({
+          kind: 'points',
+          gain,
+          text: `Raise ${domainId} ${perf.name} from ${Math.round(perf.percentage)}% to ${READINESS_TARGET_DOMAIN_PCT}% correct`
+        });
+      }
+    }
+
+    const daysSinceTimed = timed.length
+      ? Math.floor((now - Math.max(...timed.map(s => s.completedAt))) / DAY_MS)
+      : null;
+    if (nEff < 3) {
+      levers.push({
+        kind: 'range',
+        gain: Math.round(spreadFor(nEff) - spreadFor(nEff + 1)),
+        text: timed.length === 0
+          ? 'Take a full timed exam - no exam results yet'
+          : `Take another timed exam (last one ${daysSinceTimed} day${daysSinceTimed === 1 ? '' : 's'} ago)`
+      });
+    }
+
+    if (unseenCount > 0) {
+      levers.push({
+        kind: 'range',
+        gain: Math.round(unseenFraction * READINESS_UNSEEN_SPREAD),
+        text: `Practise the ${unseenCount} question${unseenCount === 1 ? '' : 's'} you have never seen (${Math.round(unseenFraction * 100)}% of the bank)`
+      });
+    }
+
+    levers.sort((a, b) => b.gain - a.gain);
+
+    return {
+      center: Math.round(center),
+      low,
+      high,
+      minScore,
+      halfWidth: Math.round(halfWidth),
+      confidence,
+      verdict,
+      timedCount: timed.length,
+      nEff,
+      daysSinceTimed,
+      timedMean: timedMean === null ? null : Math.round(timedMean),
+      domainScore: domainScore === null ? null : Math.round(domainScore),
+      coverage,
+      unseenCount,
+      unseenFraction,
+      levers: levers.filter(l => l.gain > 0).slice(0, 4)
+    };
+  }, null);
+}
+
+/**
+ * WHAT IT DOES: Aggregates performance statistics by domain
+ *
+ * WHY WE NEED IT: Shows which AWS exam domains (D1-D4) the user is
+ * strongest/weakest in across all quiz attempts.
+ *
+ * HOW IT WORKS: Reads the running totals from getHistoryAggregates()
+ * instead of summing every history session
+ *
+ * RETURNS: Object with domain stats
+ *
+ * EXAMPLE:
+ * {
+ *   "D1": { correct: 45, total: 60, percentage: 75.0, name: "Design Secure Architectures" },
+ *   "D2": { correct: 38, total: 55, percentage: 69.1, name: "Design Resilient Architectures" }
+ * }
+ */
+function getDomainPerformance() {
+  return safeOperation('Get Domain Performance', () => {
+    const domainAgg = getHistoryAggregates().domainScores;
+
+    // Calculate percentages and add domain names
+    const performance = {};
+    for (const [domainId, scores] of Object.entries(domainAgg)) {
+      const percentage = scores.total > 0
+        ? Math.round((scores.correct / scores.total) * 100 * 10) / 10
+        : 0;
+
+      // Get domain name from first question with this domainId
+      const sampleQ = QUESTIONS.find(q => q.domainId === domainId);
+      const domainName = sampleQ ? sampleQ.domain : domainId;
+
+      performance[domainId] = {
+        correct: scores.correct,
+        total: scores.total,
+        percentage: percentage,
+        name: domainName
+      };
+    }
+
+    console.info(`[SAA Info] Calculated performance for ${Object.keys(performance).length} domains`);
+    return performance;
+  }, {});
+}
+
+// ============================================================================
+// QUESTION STATISTICS - Per-question aggregates across every session
+// ============================================================================
+// Per-question numbers are accumulated in their own store as each session
+// is recorded (recordSessionToHistory) or imported (mergeHistory), so the
+// Question Bank table doesn't rescan every history session on each render.
+
+let questionBankView = { query: '', sortKey: 'id', sortDir: 'asc', selected: new Set() }; // Question Bank table state (search, sort, checked rows)
+
+/**
+ * WHAT IT DOES: Loads the question statistics store
+ *
+ * STRUCTURE:
+ * {
+ *   version: 1,
+ *   sessionIds: ["timed-1735142400000", ...],   // last MAX_QUESTION_STATS_SESSION_IDS sessions counted
+ *   items: {
+ *     "SAA-001": {
+ *       seen: 4, answered: 3, correct: 2,
+ *       lastSeenAt: 1735143120000,
+ *       wrongChoices: { "2": 1 },               // choice index → times picked wrongly
+ *       timeSec: 310, timedCount: 3             // for average dwell
+ *     }
+ *   }
+ * }
+ *
+ * MIGRATION: Built from the existing history the first time (wrong choices
+ * only for sessions that recorded `chosen` in questionResults).
+ *
+ * RETURNS: Stats store (always valid)
+ */
+function loadQuestionStats() {
+  return safeOperation('Load Question Stats', () => {
+    const raw = localStorage.getItem(QUESTION_STATS_KEY);
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      if (parsed && typeof parsed.items === "object" && parsed.items !== null && Array.isArray(parsed.sessionIds)) {
+        return parsed;
+      }
+      console.warn('[SAA Warning] Invalid question stats, rebuilding from history');
+    }
+
+    const stats = { version: 1, sessionIds: [], items: {} };
+    for (const record of getSessionHistory().sessions) {
+      applySessionToQuestionStats(stats, record);
+    }
+    saveQuestionStats(stats);
+    console.info(`[SAA Info] Built question stats from history (${stats.sessionIds.length} sessions)`);
+    return stats;
+  }, { version: 1, sessionIds: [], items: {} });
+}
+
+/**
+ * WHAT IT DOES: Saves the question statistics store
+ */
+function saveQuestionStats(stats) {
+  safeOperation('Save Question Stats', () => {
+    localStorage.setItem(QUESTION_STATS_KEY, JSON.stringify(stats));
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Adds one history record to the statistics (once per sessionId)
+ *
+ * Only the most recent MAX_QUESTION_STATS_SESSION_IDS ids are remembered,
+ * so the store doesn't grow with every session; callers skip sessions that
+ * are already in history, the ids only guard against recording one twice.
+ *
+ * PARAMETERS:
+ * - stats: Store from loadQuestionStats() (mutated)
+ * - record: History session record (questionResults, completedAt)
+ *
+ * RETURNS: Boolean - false if this session was already counted
+ */
+function applySessionToQuestionStats(stats, record) {
+  if (!record || !Array.isArray(record.questionResults)) return false;
+  if (stats.sessionIds.includes(record.sessionId)) return false;
+  stats.sessionIds.push(record.sessionId);
+  if (stats.sessionIds.length > MAX_QUESTION_STATS_SESSION_IDS) {
+    stats.sessionIds.splice(0, stats.sessionIds.length - MAX_QUESTION_STATS_SESSION_IDS);
+  }
+
+  for (const r of record.questionResults) {
+    const item = stats.items[r.questionId] || (stats.items[r.questionId] = {
+      seen: 0, answered: 0, correct: 0, lastSeenAt: 0, wrongChoices: {}, timeSec: 0, timedCount: 0
+    });
+
+    item.seen++;
+    if (r.answered) item.answered++;
+    if (r.correct) item.correct++;
+    item.lastSeenAt = Math.max(item.lastSeenAt, record.completedAt || 0);
+
+    if (r.timeSpentSec > 0) {
+      item.timeSec += r.timeSpentSec;
+      item.timedCount++;
+    }
+
+    // Wrong picks (records from before `chosen` was stored have none)
+    const q = QMAP.get(r.questionId);
+    if (q && !r.correct) {
+      for (const idx of getWrongPicks(q, r.chosen)) {
+        item.wrongChoices[idx] = (item.wrongChoices[idx] || 0) + 1;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * WHAT IT DOES: Returns display-ready stats for one question
+ *
+ * RETURNS: { seen, answered, correctRate (0-100 or null), lastSeenAt,
+ *            avgTimeSec (or null), topWrongChoice: { index, count } | null }
+ */
+function summarizeQuestionStats(item) {
+  if (!item) {
+    return { seen: 0, answered: 0, correctRate: null, lastSeenAt: 0, avgTimeSec: null, topWrongChoice: null };
+  }
+
+  const top = Object.entries(item.wrongChoices || {})
+    .sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    seen: item.seen,
+    answered: item.answered,
+    correctRate: item.seen ? Math.round((item.correct / item.seen) * 100) : null,
+    lastSeenAt: item.lastSeenAt,
+    avgTimeSec: item.timedCount ? item.timeSec / item.timedCount : null,
+    topWrongChoice: top ? { index: Number(top[0]), count: top[1] } : null
+  };
+}
+
+// ============================================================================
+// COMMON TRAPS - Distractors picked again and again
+// ============================================================================
+// Every history record stores the picked choice indices (questionResults
+// `chosen`). A wrong choice picked in at least TRAP_MIN_REPEATS sessions is
+// a "trap"; the results page lists the traps of the services the session
+// covered, explained with the question's choiceExplanations text.
+
+const TRAP_MIN_REPEATS = 2; // Same wrong choice picked this many times → trap
+const TRAPS_PER_SECTION = 3; // Most-picked traps shown per service
+
+/**
+ * WHAT IT DOES: Counts wrong-choice picks across history and groups the
+ * repeated ones by service
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ * - tags: Optional Set of service tags to keep (null = all)
+ *
+ * HOW IT WORKS:
+ * - Counts (questionId, choice index) pairs over every record's `chosen`
+ * - Keeps pairs with count >= TRAP_MIN_REPEATS
+ * - Groups by the question's primary service tag (first of getQuestionTags)
+ *   so a multi-service question is listed once
+ *
+ * RETURNS: Array of { tag, total, traps: [{ question, choiceIndex, count, lastPickedAt }] },
+ * sections with most trap picks first, traps most-picked first
+ *
+ * EXAMPLE:
+ * [{ tag: "S3", total: 5, traps: [{ question: {...}, choiceIndex: 2, count: 3, lastPickedAt: 1735143120000 }] }]
+ */
+function analyzeCommonTraps(history, tags = null) {
+  return safeOperation('Analyze Common Traps', () => {
+    const picks = new Map(); // "questionId::index" → { question, choiceIndex, count, lastPickedAt }
+
+    for (const record of history.sessions) {
+      for (const r of record.questionResults || []) {
+        if (r.correct) continue;
+        const q = QMAP.get(r.questionId);
+        if (!q) continue;
+
+        for (const idx of getWrongPicks(q, r.chosen)) {
+          const key = `${q.id}::${idx}`;
+          const entry = picks.get(key) || { question: q, choiceIndex: idx, count: 0, lastPickedAt: 0 };
+          entry.count++;
+          entry.lastPickedAt = Math.max(entry.lastPickedAt, record.completedAt || 0);
+          picks.set(key, entry);
+        }
+      }
+    }
+
+    const sections = new Map();
+    for (const entry of picks.values()) {
+      if (entry.count < TRAP_MIN_REPEATS) continue;
+      const tag = getQuestionTags(entry.question)[0] || entry.question.section;
+      if (tags && !getQuestionTags(entry.question).some(t => tags.has(t))) continue;
+
+      if (!sections.has(tag)) sections.set(tag, { tag, total: 0, traps: [] });
+      const section = sections.get(tag);
+      section.total += entry.count;
+      section.traps.push(entry);
+    }
+
+    return [...sections.values()]
+      .map(section => ({
+        ...section,
+        traps: section.traps.sort((a, b) => b.count - a.count || b.lastPickedAt - a.lastPickedAt)
+      }))
+      .sort((a, b) => b.total - a.total);
+  }, []);
+}
+
+/**
+ * WHAT IT DOES: Builds the "Common traps" panel for the results page
+ *
+ * WHY WE NEED IT: Knowing that S3 questions are weak is less useful than
+ * knowing that you keep picking "S3 One Zone-IA" when durability matters.
+ *
+ * PARAMETERS:
+ * - state: Completed runtime state (already recorded to history)
+ *
+ * RETURNS: HTML string ('' when none of the session's services has a trap)
+ */
+function buildCommonTrapsHtml(state) {
+  const { session } = state;
+  const sessionTags = new Set(
+    session.questionIds.flatMap(qid => getQuestionTags(QMAP.get(qid)))
+  );
+
+  const sections = analyzeCommonTraps(getSessionHistory(), sessionTags);
+  if (sections.length === 0) return '';
+
+  const sectionsHtml = sections.map(section => {
+    const itemsHtml = section.traps.slice(0, TRAPS_PER_SECTION).map(trap => {
+      const q = trap.question;
+      const why = q.choiceExplanations && q.choiceExplanations[trap.choiceIndex];
+      const again = session.questionIds.includes(q.id) &&
+        getWrongPicks(q, session.answers[q.id]).includes(trap.choiceIndex);
+
+      return `
+        <li class="trap-item">
+          <div>
+            <strong>${escapeHtml(q.id)}</strong> • picked
+            “${escapeHtml(q.choices[trap.choiceIndex])}” ${trap.count}×
+            ${again ? '<span class="trap-again">again this session</span>' : ''}
+          </div>
+          <div class="trap-question">${escapeHtml(q.question.substring(0, 120))}${q.question.length > 120 ? '...' : ''}</div>
+          ${why ? `<div class="trap-why"><strong>Why it's wrong:</strong> ${escapeHtml(why)}</div>` : ''}
+        </li>
+      `;
+    }).join('');
+
+    return `
+      <div class="traps-section">
+        <div class="traps-section-title">${escapeHtml(section.tag)} <span class="meta">${section.total} repeated wrong pick${section.total === 1 ? '' : 's'}</span></div>
+        <ul class="traps-list">${itemsHtml}</ul>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <details class="traps-summary" open>
+      <summary><strong>🪤 Common traps</strong> <span class="meta">wrong answers you picked ${TRAP_MIN_REPEATS}+ times, by service</span></summary>
+      ${sectionsHtml}
+    </details>
+  `;
+}
+
+// ============================================================================
+// QUESTION SEARCH - Client-side full-text search over the question bank
+// ============================================================================
+// An inverted index (token → question id → weighted term count) is built
+// the first time the Search tab is used. Queries match every word (the last
+// one also as a prefix, so results appear while typing) and are ranked by
+// field weight × rarity of the word (idf).
+
+// Where a word appears matters: a hit in the service name or the question
+// itself says more than one buried in an explanation
+const SEARCH_FIELD_WEIGHTS = {
+  section: 4,
+  question: 3,
+  choices: 2,
+  explanation: 1,
+  choiceExplanations: 1
+};
+const SEARCH_MAX_RESULTS = 50; // Results rendered (the review button uses all matches)
+const SEARCH_STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "can", "for", "from", "how", "in", "is", "it",
+  "of", "on", "or", "that", "the", "this", "to", "what", "when", "which", "with"
+]);
+
+let searchIndex = null; // { signature, docCount, postings: Map(token → Map(qid → score)) }
+let searchOpenIds = new Set(); // Result rows expanded to the full question
+
+/**
+ * WHAT IT DOES: Splits text into normalized search tokens
+ *
+ * HOW IT WORKS: Lowercase, split on anything that isn't a letter/digit,
+ * drop stopwords, strip a plural "s" from longer words ("buckets" → "bucket").
+ * Index and query use the same function, so stems always line up.
+ *
+ * EXAMPLE: "S3 Object Lock buckets" → ["s3", "object", "lock", "bucket"]
+ */
+function tokenizeSearchText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t && !SEARCH_STOPWORDS.has(t))
+    .map(t => (t.length > 3 && t.endsWith("s") && !t.endsWith("ss") ? t.slice(0, -1) : t));
+}
+
+/**
+ * WHAT IT DOES: Returns the searchable text of a question, field by field
+ */
+function getSearchFields(q) {
+  return {
+    section: [q.section, ...getQuestionTags(q)].join(" "),
+    question: q.question,
+    choices: (q.choices || []).join(" "),
+    explanation: q.explanation || "",
+    choiceExplanations: Object.values(q.choiceExplanations || {}).join(" ")
+  };
+}
+
+/**
+ * WHAT IT DOES: Builds (or reuses) the inverted index for QUESTIONS
+ *
+ * WHY questionBankSignature: an accepted question bank update must not be
+ * searched through a stale index
+ *
+ * RETURNS: searchIndex
+ */
+function getSearchIndex() {
+  if (searchIndex && searchIndex.signature === questionBankSignature) return searchIndex;
+
+  const postings = new Map();
+  for (const q of QUESTIONS) {
+    const fields = getSearchFields(q);
+    for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+      for (const token of tokenizeSearchText(fields[field])) {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const docs = postings.get(token);
+        docs.set(q.id, (docs.get(q.id) || 0) + weight);
+      }
+    }
+  }
+
+  searchIndex = { signature: questionBankSignature, docCount: QUESTIONS.length, postings };
+  console.info(`[SAA Info] Search index built: ${postings.size} terms over ${QUESTIONS.length} questions`);
+  return searchIndex;
+}
+
+/**
+ * WHAT IT DOES: Finds and ranks questions matching a free-text query
+ *
+ * HOW IT WORKS:
+ * 1. Tokenize the query; a question must match every token
+ * 2. The last token also matches as a prefix ("obj" → "object"), at half score
+ * 3. Score = Σ field-weighted count × idf, idf = ln(1 + N / questions with the token)
+ * 4. An exact question id ("SAA-123") always ranks first; the whole query
+ *    appearing verbatim gives a bonus (1.5× in the question text, 1.2×
+ *    anywhere else)
+ *
+ * PARAMETERS:
+ * - query: String typed by the user
+ *
+ * RETURNS: { terms, results: [{ question, score }] } best first
+ * (terms = query tokens, used for highlighting)
+ */
+function searchQuestions(query) {
+  return safeOperation('Search Questions', () => {
+    const terms = tokenizeSearchText(query);
+    if (terms.length === 0) return { terms, results: [] };
+
+    const index = getSearchIndex();
+    const scores = new Map();
+
+    terms.forEach((term, i) => {
+      const matches = new Map(); // qid → best score for this term
+      const addDocs = (docs, factor) => {
+        const idf = Math.log(1 + index.docCount / docs.size);
+        for (const [qid, tf] of docs) {
+          matches.set(qid, Math.max(matches.get(qid) || 0, tf * idf * factor));
+        }
+      };
+
+      if (index.postings.has(term)) addDocs(index.postings.get(term), 1);
+      if (i === terms.length - 1) {
+        for (const [token, docs] of index.postings) {
+          if (token !== term && token.startsWith(term)) addDocs(docs, 0.5);
+        }
+      }
+
+      // AND: keep only questions that matched every earlier term
+      if (i === 0) {
+        for (const [qid, score] of matches) scores.set(qid, score);
+      } else {
+        for (const qid of [...scores.keys()]) {
+          if (matches.has(qid)) scores.set(qid, scores.get(qid) + matches.get(qid));
+          else scores.delete(qid);
+        }
+      }
+    });
+
+    const phrase = query.trim().toLowerCase().replace(/\s+/g, " ");
+    const results = [...scores.entries()].map(([qid, score]) => {
+      const question = QMAP.get(qid);
+      if (terms.length > 1) {
+        const fields = getSearchFields(question);
+        if (fields.question.toLowerCase().includes(phrase)) {
+          score *= 1.5;
+        } else if (Object.values(fields).some(text => text.toLowerCase().includes(phrase))) {
+          score *= 1.2;
+        }
+      }
+      return { question, score };
+    });
+
+    const exact = QMAP.get(query.trim().toUpperCase());
+    if (exact) {
+      const others = results.filter(r => r.question.id !== exact.id);
+      return { terms, results: [{ question: exact, score: Infinity }, ...others.sort((a, b) => b.score - a.score)] };
+    }
+
+    return { terms, results: results.sort((a, b) => b.score - a.score || a.question.id.localeCompare(b.question.id)) };
+  }, { terms: [], results: [] });
+}
+
+/**
+ * WHAT IT DOES: Escapes text for HTML and wraps search matches in <mark>
+ *
+ * HOW IT WORKS: Each term matches at the start of a word, plus the rest of
+ * that word, so the stem "bucket" highlights all of "buckets"
+ *
+ * PARAMETERS:
+ * - text: Plain text
+ * - terms: Tokens from tokenizeSearchText()
+ *
+ * RETURNS: Safe HTML string
+ */
+function highlightSearchTerms(text, terms) {
+  const value = String(text || "");
+  if (!terms.length) return escapeHtml(value);
+
+  const pattern = new RegExp(
+    `\\b(?:${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})[a-z0-9]*`,
+    "gi"
+  );
+
+  let html = "";
+  let last = 0;
+  for (const match of value.matchAll(pattern)) {
+    html += escapeHtml(value.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(value.slice(last));
+}
+
+/**
+ * WHAT IT DOES: Finds where a result matched outside the question text
+ *
+ * RETURNS: { label, text } excerpt (~160 chars around the first hit) or null
+ */
+function findSearchExcerpt(q, terms) {
+  const candidates = [
+    ["Answer choice", ...(q.choices || [])],
+    ["Explanation", q.explanation],
+    ["Why a choice is wrong", ...Object.values(q.choiceExplanations || {})]
+  ];
+
+  for (const [label, ...texts] of candidates) {
+    for (const text of texts) {
+      const lower = String(text || "").toLowerCase();
+      const at = terms
+        .map(t => lower.search(new RegExp(`\\b${t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`)))
+        .filter(i => i >= 0)
+        .sort((a, b) => a - b)[0];
+      if (at === undefined) continue;
+
+      const start = Math.max(0, at - 60);
+      const excerpt = text.slice(start, start + 160);
+      return { label, text: `${start > 0 ? "…" : ""}${excerpt}${start + 160 < text.length ? "…" : ""}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * WHAT IT DOES: Builds the full read-only view of one search result
+ * (choices with the correct ones marked, explanations, highlights)
+ */
+function buildSearchDetailHtml(q, terms) {
+  const correct = new Set(isMultiAnswer(q) ? q.answer : [q.answer]);
+  const choicesHtml = q.choices.map((choice, idx) => {
+    const why = q.choiceExplanations && q.choiceExplanations[idx];
+    return `
+      <li class="${correct.has(idx) ? 'search-choice-correct' : ''}">
+        <strong>${String.fromCharCode(65 + idx)}.</strong> ${highlightSearchTerms(choice, terms)}
+        ${correct.has(idx) ? ' ✅' : ''}
+        ${why ? `<div class="search-choice-why">${highlightSearchTerms(why, terms)}</div>` : ''}
+      </li>
+    `;
+  }).join('');
+
+  return `
+    <div class="search-detail">
+      <div class="search-detail-question">${highlightSearchTerms(q.question, terms)}</div>
+      <ol class="search-choices">${choicesHtml}</ol>
+      <div class="search-detail-explanation"><strong>Explanation:</strong> ${highlightSearchTerms(q.explanation, terms)}</div>
+      <div class="actions">
+        <button type="button" class="btn retry-btn" data-retry-origin="search" data-retry-ids="${escapeHtml(q.id)}">📝 Practise this question</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * WHAT IT DOES: Runs the query in #searchInput and renders the results
+ *
+ * SIDE EFFECTS: Updates searchResults element innerHTML
+ */
+function renderSearchResults() {
+  const resultsEl = document.getElementById('searchResults');
+  const inputEl = document.getElementById('searchInput');
+  if (!resultsEl || !inputEl || QUESTIONS.length === 0) return;
+
+  const query = inputEl.value;
+  const { terms, results } = searchQuestions(query);
+
+  if (terms.length === 0) {
+    resultsEl.innerHTML = `<div class="meta">Search ${QUESTIONS.length} questions by service, keyword or question ID - e.g. <em>S3 Object Lock</em>.</div>`;
+    return;
+  }
+
+  if (results.length === 0) {
+    resultsEl.innerHTML = `<div class="meta">No questions match “${escapeHtml(query.trim())}”.</div>`;
+    return;
+  }
+
+  const shown = results.slice(0, SEARCH_MAX_RESULTS);
+  const itemsHtml = shown.map(({ question: q }) => {
+    const excerpt = findSearchExcerpt(q, terms);
+    const open = searchOpenIds.has(q.id);
+
+    return `
+      <li class="search-result">
+        <div class="search-result-head">
+          <strong>${escapeHtml(q.id)}</strong> • ${highlightSearchTerms(q.section, terms)} • ${escapeHtml(q.domainId)} • ${escapeHtml(q.difficulty || '')}
+          <button type="button" class="btn search-open-btn" data-search-open="${escapeHtml(q.id)}" aria-expanded="${open}">${open ? 'Close' : 'Open'}</button>
+        </div>
+        ${open
+          ? buildSearchDetailHtml(q, terms)
+          : `<div class="search-result-question">${highlightSearchTerms(q.question, terms)}</div>
+             ${excerpt ? `<div class="search-result-excerpt"><span class="meta">${excerpt.label}:</span> ${highlightSearchTerms(excerpt.text, terms)}</div>` : ''}`}
+      </li>
+    `;
+  }).join('');
+
+  const allIds = results.map(r => r.question.id);
+  resultsEl.innerHTML = `
+    <div class="search-summary">
+      <span>${results.length} match${results.length === 1 ? '' : 'es'}${results.length > shown.length ? ` (showing top ${shown.length})` : ''}</span>
+      <button type="button" class="btn btn-primary retry-btn" data-retry-origin="search" data-retry-ids="${escapeHtml(allIds.join(','))}">
+        📝 Review all ${results.length}
+      </button>
+    </div>
+    <ol class="search-results">${itemsHtml}</ol>
+  `;
+}
+
+// ============================================================================
+// SPACED REPETITION - SM-2 style scheduling from session history
+// ============================================================================
+// WHY WE NEED THIS: Random selection keeps showing questions you already know
+// while the ones you miss come back only by luck. Spaced mode replays every
+// answered question in history through a simplified SM-2 algorithm:
+// - Correct answer: interval grows (1 day → 6 days → interval × ease)
+// - Wrong answer: card goes back to a 1-day interval and its ease drops
+// A card is "due" once its last answer + interval has passed.
+
+/**
+ * WHAT IT DOES: Builds the spaced repetition schedule for every question seen
+ *
+ * HOW IT WORKS:
+ * 1. Sort history sessions chronologically (oldest first)
+ * 2. For each answered question result, apply one SM-2 review step
+ * 3. The last review decides when the card is due next
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ *
+ * RETURNS: Map of questionId → { repetitions, ease, intervalDays, lastReviewedAt, dueAt }
+ *
+ * NOTE: Unanswered results are skipped (not seen ≠ forgotten)
+ */
+function buildSpacedSchedule(history) {
+  return safeOperation('Build Spaced Schedule', () => {
+    const schedule = new Map();
+
+    const sessions = [...history.sessions].sort((a, b) => a.completedAt - b.completedAt);
+
+    for (const session of sessions) {
+      for (const result of session.questionResults || []) {
+        if (!result.answered) continue;
+
+        const card = schedule.get(result.questionId) || {
+          repetitions: 0,
+          ease: SRS_INITIAL_EASE,
+          intervalDays: 0,
+          lastReviewedAt: 0,
+          dueAt: 0
+        };
+
+        const quality = result.correct ? SRS_QUALITY_CORRECT : SRS_QUALITY_WRONG;
+
+        if (quality >= 3) {
+          // Recalled: grow the interval
+          if (card.repetitions === 0) card.intervalDays = 1;
+          else if (card.repetitions === 1) card.intervalDays = 6;
+          else card.intervalDays = Math.round(card.intervalDays * card.ease);
+          card.repetitions++;
+        } else {
+          // Forgotten: start over with a short interval
+          card.repetitions = 0;
+          card.intervalDays = 1;
+        }
+
+        // Standard SM-2 ease adjustment
+        card.ease = Math.max(
+          SRS_MIN_EASE,
+          card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+        );
+
+        card.lastReviewedAt = session.completedAt;
+        card.dueAt = session.completedAt + card.intervalDays * DAY_MS;
+
+        schedule.set(result.questionId, card);
+      }
+    }
+
+    console.info(`[SAA Info] Spaced schedule built for ${schedule.size} questions`);
+    return schedule;
+  }, new Map());
+}
+
+/**
+ * WHAT IT DOES: Returns the end of the current local day in milliseconds
+ *
+ * WHY WE NEED IT: "Due today" means due at any time before midnight, so a
+ * card scheduled for this evening is already offered this morning.
+ */
+function endOfTodayMs() {
+  const d = new Date(nowMs());
+  d.setHours(23, 59, 59, 999);
+  return d.getTime();
+}
+
+/**
+ * WHAT IT DOES: Splits a question list into due cards and never-seen cards
+ *
+ * PARAMETERS:
+ * - list: Array of question objects (already filtered)
+ * - schedule: Map from buildSpacedSchedule()
+ *
+ * RETURNS: { dueIds, newIds } - dueIds sorted most overdue first
+ */
+function getSpacedBuckets(list, schedule) {
+  const cutoff = endOfTodayMs();
+  const due = [];
+  const newIds = [];
+
+  for (const q of list) {
+    const card = schedule.get(q.id);
+    if (!card) {
+      newIds.push(q.id);
+    } else if (card.dueAt <= cutoff) {
+      due.push({ id: q.id, dueAt: card.dueAt });
+    }
+  }
+
+  due.sort((a, b) => a.dueAt - b.dueAt);
+
+  return { dueIds: due.map(d => d.id), newIds };
+}
+
+/**
+ * WHAT IT DOES: Picks the question IDs for a new spaced repetition session
+ *
+ * HOW IT WORKS:
+ * 1. All due cards first (most overdue first)
+ * 2. Fill the remaining slots with unseen questions (seeded random pick)
+ * 3. Cap at SPACED_MAX_QUESTIONS
+ *
+ * PARAMETERS:
+ * - list: Array of question objects matching the current filters
+ * - seed: Session seed (keeps the new-card pick reproducible)
+ *
+ * RETURNS: Array of question IDs in session order (may be empty)
+ */
+function buildSpacedQueue(list, seed) {
+  const schedule = buildSpacedSchedule(getSessionHistory());
+  const { dueIds, newIds } = getSpacedBuckets(list, schedule);
+
+  const queue = dueIds.slice(0, SPACED_MAX_QUESTIONS);
+  const freeSlots = SPACED_MAX_QUESTIONS - queue.length;
+
+  if (freeSlots > 0) {
+    queue.push(...pickSeededSubset(newIds, freeSlots, seed + "::spacedNew"));
+  }
+
+  console.info(`[SAA Info] Spaced queue: ${Math.min(dueIds.length, SPACED_MAX_QUESTIONS)} due + ${queue.length - Math.min(dueIds.length, SPACED_MAX_QUESTIONS)} new`);
+  return queue;
+}
+
+/**
+ * WHAT IT DOES: Shows how many questions are due today for the current filters
+ *
+ * WHY WE NEED IT: Daily study starts with "how much is waiting for me?"
+ * The count follows the domain/section/difficulty dropdowns.
+ *
+ * SIDE EFFECTS: Updates dueTodayEl text
+ */
+function renderDueToday() {
+  safeOperation('Render Due Today', () => {
+    if (!dueTodayEl || QUESTIONS.length === 0) return;
+
+    const filters = { ...getFiltersFromUI(), mode: "spaced" };
+    const schedule = buildSpacedSchedule(getSessionHistory());
+    const { dueIds, newIds } = getSpacedBuckets(filteredQuestions(filters), schedule);
+
+    dueTodayEl.innerHTML = `📅 Due today: <strong>${dueIds.length}</strong> • New: ${newIds.length}`;
+    dueTodayEl.hidden = false;
+  }, undefined);
+}
+
+// ============================================================================
+// DATA EXPORT / IMPORT - Portable backup of progress and history
+// ============================================================================
+// WHY WE NEED THIS: Everything lives in this browser's localStorage, so
+// switching laptops or browsers used to lose all analytics. A backup file
+// bundles the saved sessions (including their flags), the full history and
+// the per-question bookmarks and notes.
+//
+// FILE FORMAT (version 4):
+// {
+//   format: "flipthesaa-backup",
+//   version: 4,
+//   exportedAt: 1735142400000,
+//   examProfile: "saa-c03",
+//   sessions: { version: 1, activeKey, sessions: { [sessionKey]: { sessionKey, session } } },
+//   history: { version: 1, sessions: [...] },
+//   notes: { version: 1, items: { [questionId]: { bookmarked, note, updatedAt } } }
+// }
+
+const BACKUP_FORMAT = "flipthesaa-backup"; // Marker so we never import random JSON
+const BACKUP_VERSION = 4; // Bump when the file layout changes (add a migration below)
+
+/**
+ * Upgrades older backup files one version at a time.
+ * Key = version being upgraded FROM, value = function returning the next version.
+ *
+ * Version 0: raw localStorage dump ({ [STATE_KEY]: "...", [HISTORY_KEY]: "..." })
+ * Version 1: single `state` slot instead of the `sessions` store
+ * Version 2: no bookmarks/notes
+ * Version 3: no examProfile (always SAA-C03 data)
+ */
+const BACKUP_MIGRATIONS = {
+  0: (raw) => {
+    const parseMaybe = (v) => (typeof v === "string" ? JSON.parse(v) : v);
+    return {
+      format: BACKUP_FORMAT,
+      version: 1,
+      exportedAt: nowMs(),
+      state: raw[STATE_KEY] ? parseMaybe(raw[STATE_KEY]) : null,
+      history: raw[HISTORY_KEY] ? parseMaybe(raw[HISTORY_KEY]) : { version: 1, sessions: [] }
+    };
+  },
+  1: (backup) => {
+    const { state, ...rest } = backup;
+    const sessions = emptySessionStore();
+    if (state && state.sessionKey) {
+      sessions.sessions[state.sessionKey] = state;
+      sessions.activeKey = state.sessionKey;
+    }
+    return { ...rest, version: 2, sessions };
+  },
+  2: (backup) => ({ ...backup, version: 3, notes: { version: 1, items: {} } }),
+  3: (backup) => ({ ...backup, version: 4, examProfile: LEGACY_PROFILE_ID })
+};
+
+/**
+ * WHAT IT DOES: Builds the backup object for the current browser
+ *
+ * RETURNS: Backup object (see FILE FORMAT above)
+ */
+function buildBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: nowMs(),
+    examProfile: activeExamProfile.id,
+    sessions: loadSessionStore(),
+    history: getSessionHistory(),
+    notes: loadQuestionNotes()
+  };
+}
+
+/**
+ * WHAT IT DOES: Downloads the backup as a JSON file
+ *
+ * SIDE EFFECTS: Triggers a browser download named flipthesaa-backup-YYYY-MM-DD.json
+ * (flipthesaa-backup-<profile>-YYYY-MM-DD.json for exams other than SAA-C03)
+ */
+function exportBackup() {
+  safeOperation('Export Backup', () => {
+    const backup = buildBackup();
+    const savedCount = Object.keys(backup.sessions.sessions).length;
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    const profilePart = activeExamProfile.id === LEGACY_PROFILE_ID ? '' : `${activeExamProfile.id}-`;
+    link.download = `flipthesaa-backup-${profilePart}${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    setDataStatus(`Exported ${backup.history.sessions.length} history sessions and ${savedCount} saved session${savedCount === 1 ? "" : "s"}.`, false);
+    console.info('[SAA Info] Backup exported');
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Checks a parsed file and upgrades it to the current version
+ *
+ * PARAMETERS:
+ * - raw: Parsed JSON from the imported file
+ *
+ * RETURNS: Backup object at BACKUP_VERSION
+ *
+ * ERROR HANDLING: Throws an Error with a user-readable message if the file
+ * is not a FlipTheSAA backup, comes from a newer app version or belongs to
+ * another exam profile than the one in use
+ */
+function migrateBackup(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("File is not a FlipTheSAA backup.");
+  }
+
+  let backup = raw;
+
+  // Legacy raw localStorage dumps have no format marker
+  if (backup.format === undefined && (STATE_KEY in backup || HISTORY_KEY in backup)) {
+    backup = { ...backup, version: 0 };
+  } else if (backup.format !== BACKUP_FORMAT) {
+    throw new Error("File is not a FlipTheSAA backup.");
+  }
+
+  if (!Number.isInteger(backup.version) || backup.version < 0) {
+    throw new Error("Backup file has no valid version.");
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup was made by a newer version of the app (file v${backup.version}, app v${BACKUP_VERSION}).`);
+  }
+
+  while (backup.version < BACKUP_VERSION) {
+    console.info(`[SAA Info] Migrating backup from v${backup.version}`);
+    backup = BACKUP_MIGRATIONS[backup.version](backup);
+  }
+
+  // Question ids and history only make sense for the bank they came from
+  if (backup.examProfile !== activeExamProfile.id) {
+    const other = examProfiles.find(p => p.id === backup.examProfile);
+    throw new Error(`Backup is for the ${other ? other.code : backup.examProfile} exam. Switch to it in the header, then import again.`);
+  }
+
+  // Structure checks for the current version
+  if (!backup.history || !Array.isArray(backup.history.sessions)) {
+    throw new Error("Backup file has no session history.");
+  }
+  const badSession = backup.history.sessions.find(
+    s => !s || typeof s.sessionId !== "string" || !Array.isArray(s.questionResults)
+  );
+  if (badSession) {
+    throw new Error("Backup file contains a malformed history entry.");
+  }
+  if (!backup.sessions || typeof backup.sessions.sessions !== "object" || backup.sessions.sessions === null) {
+    throw new Error("Backup file has no saved sessions block.");
+  }
+  const badState = Object.values(backup.sessions.sessions).find(
+    st => !st || !st.session || !st.sessionKey || !Array.isArray(st.session.questionIds)
+  );
+  if (badState) {
+    throw new Error("Backup file contains a malformed session.");
+  }
+  if (!backup.notes || typeof backup.notes.items !== "object" || backup.notes.items === null) {
+    throw new Error("Backup file has no bookmarks/notes block.");
+  }
+
+  return backup;
+}
+
+/**
+ * WHAT IT DOES: Merges imported history into the local history
+ *
+ * HOW IT WORKS:
+ * 1. Skip sessions whose sessionId already exists locally
+ * 2. Normalize legacy modes ("practice" → "review")
+ * 3. Append the rest (dropped is only non-zero on the localStorage
+ *    fallback, which keeps MAX_HISTORY_SESSIONS)
+ *
+ * RETURNS: { added, skipped, dropped }
+ */
+function mergeHistory(imported) {
+  const knownIds = new Set(getSessionHistory().sessions.map(s => s.sessionId));
+  const toAdd = [];
+  let skipped = 0;
+
+  for (const session of imported.sessions) {
+    if (knownIds.has(session.sessionId)) {
+      skipped++;
+      continue;
+    }
+    knownIds.add(session.sessionId);
+    toAdd.push(session);
+  }
+
+  // Imported sessions count toward question statistics too (once, like history)
+  const stats = loadQuestionStats();
+  let statsChanged = false;
+  for (const session of toAdd) {
+    if (applySessionToQuestionStats(stats, session)) statsChanged = true;
+  }
+  if (statsChanged) saveQuestionStats(stats);
+
+  const dropped = addHistoryRecords(toAdd);
+  return { added: toAdd.length, skipped, dropped };
+}
+
+/**
+ * WHAT IT DOES: Merges imported bookmarks/notes into this browser's
+ *
+ * RULE: Per question id, the entry edited most recently (updatedAt) wins
+ *
+ * RETURNS: Number of question entries added or replaced
+ */
+function mergeQuestionNotes(imported) {
+  const notes = loadQuestionNotes();
+  let changed = 0;
+
+  for (const [qid, item] of Object.entries(imported.items)) {
+    if (!item || typeof item !== "object") continue;
+    const local = notes.items[qid];
+    if (local && (local.updatedAt || 0) >= (item.updatedAt || 0)) continue;
+
+    notes.items[qid] = {
+      bookmarked: !!item.bookmarked,
+      note: typeof item.note === "string" ? item.note : "",
+      updatedAt: item.updatedAt || nowMs()
+    };
+    changed++;
+  }
+
+  if (changed) saveQuestionNotes(notes);
+  return changed;
+}
+
+/**
+ * WHAT IT DOES: Imports a parsed backup file into this browser
+ *
+ * HOW IT WORKS:
+ * 1. Validate and migrate the file (migrateBackup)
+ * 2. Merge history without duplicating sessionIds
+ * 3. Add the in-progress saved sessions (after normalizeStateForRuntime)
+ *    to the Resume list - asks before replacing a different session with
+ *    the same filters that is still in progress here
+ *
+ * PARAMETERS:
+ * - raw: Parsed JSON from the imported file
+ *
+ * RETURNS: Summary { added, skipped, dropped, sessionsImported, notesImported }
+ */
+function importBackup(raw) {
+  const backup = migrateBackup(raw);
+  const summary = {
+    ...mergeHistory(backup.history),
+    sessionsImported: 0,
+    notesImported: mergeQuestionNotes(backup.notes)
+  };
+
+  const store = loadSessionStore();
+
+  for (const [key, incomingRaw] of Object.entries(backup.sessions.sessions)) {
+    if (incomingRaw.session.completed) continue; // Already part of history
+
+    const incoming = normalizeStateForRuntime({ ...incomingRaw, sessionKey: key });
+    const local = store.sessions[incoming.sessionKey];
+
+    if (local && local.session && local.session.seed === incoming.session.seed) continue; // Same session
+    if (local && local.session && !local.session.completed &&
+        !confirm(`Replace your in-progress ${incoming.session.mode} session (${incoming.sessionKey}) with the one from the backup file?`)) {
+      continue;
+    }
+
+    // A timed exam's clock stays stopped until it is resumed here
+    if (incoming.session.mode === "timed" && !incoming.session.suspendedAtMs) {
+      incoming.session.suspendedAtMs = Math.min(backup.exportedAt || nowMs(), nowMs());
+    }
+
+    // Replacing the session on screen: take it off screen first
+    if (incoming.sessionKey === store.activeKey) {
+      store.activeKey = null;
+      stopTimer();
+      resetPauseState();
+      quizCard.hidden = true;
+    }
+
+    store.sessions[incoming.sessionKey] = serializeState(incoming);
+    summary.sessionsImported++;
+  }
+
+  saveSessionStore(store);
+  renderResumeList();
+
+  console.info('[SAA Info] Backup imported:', summary);
+  return summary;
+}
+
+/**
+ * WHAT IT DOES: Reads a user-selected file and imports it
+ *
+ * PARAMETERS:
+ * - file: File object from the hidden file input
+ *
+ * SIDE EFFECTS: Updates history/state, status text and dashboard counts
+ */
+async function importBackupFile(file) {
+  try {
+    const raw = JSON.parse(await file.text());
+    const summary = importBackup(raw);
+
+    let message = `Imported ${summary.added} new session${summary.added === 1 ? "" : "s"}`;
+    if (summary.skipped) message += `, skipped ${summary.skipped} already present`;
+    if (summary.dropped) message += `, dropped ${summary.dropped} oldest (limit ${MAX_HISTORY_SESSIONS})`;
+    if (summary.notesImported) message += `. ${summary.notesImported} bookmark/note${summary.notesImported === 1 ? "" : "s"} updated`;
+    if (summary.sessionsImported) message += `. ${summary.sessionsImported} saved session${summary.sessionsImported === 1 ? "" : "s"} added to the Resume list on Practice Questions`;
+    setDataStatus(message + ".", false);
+
+    renderDueToday();
+  } catch (error) {
+    const message = error instanceof SyntaxError ? "File is not valid JSON." : error.message;
+    console.error('[SAA Error] Import Backup:', error);
+    setDataStatus(`Import failed: ${message}`, true);
+  }
+}
+
+/**
+ * WHAT IT DOES: Shows the result of the last export/import on the Data tab
+ */
+function setDataStatus(message, isError) {
+  const statusEl = document.getElementById('dataStatus');
+  if (!statusEl) return;
+  statusEl.textContent = message;
+  statusEl.classList.toggle('error', Boolean(isError));
+}
+
+// ============================================================================
+// PERFORMANCE DASHBOARD UI - Visualization and rendering
+// ============================================================================
+
+/**
+ * WHAT IT DOES: Renders the performance dashboard with all statistics and visualizations
+ *
+ * WHY WE NEED IT: Displays comprehensive analytics including summary stats,
+ * domain performance bars, weak areas list, and score trend chart.
+ *
+ * HOW IT WORKS:
+ * 1. Load session history from localStorage
+ * 2. Calculate summary statistics
+ * 3. Render domain performance bars
+ * 4. Display weak areas list
+ * 5. Draw score trend chart
+ * 6. Show dashboard card
+ *
+ * SIDE EFFECTS:
+ * - Modifies DOM elements in performanceCard
+ * - Makes performanceCard visible
+ */
+function renderPerformanceDashboard() {
+  safeOperation('Render Performance Dashboard', () => {
+    const history = getSessionHistory();
+    const performanceCard = document.getElementById('performanceCard');
+
+    // Visibility now controlled by page-section.active class (via switchTab)
+
+    // If no history, show empty state
+    if (!history.sessions || history.sessions.length === 0) {
+      performanceCard.innerHTML = `
+        <div class="perf-header">
+          <h2>📊 Performance Dashboard</h2>
+        </div>
+        <div class="perf-empty">
+          <div class="perf-empty-icon">📈</div>
+          <div class="perf-empty-text">No performance data yet</div>
+          <div class="perf-empty-hint">Complete a quiz to start tracking your progress</div>
+        </div>
+      `;
+
+      console.info('[SAA Info] Performance dashboard shown (empty state)');
+      return;
+    }
+
+    // Summary statistics come from the running aggregates (see HISTORY STORAGE)
+    const aggregates = getHistoryAggregates();
+    const totalAttempts = aggregates.totalAttempts;
+    const avgScore = Math.round(aggregates.pointsSum / totalAttempts);
+    const passRate = Math.round((aggregates.passedCount / totalAttempts) * 100);
+
+    // Calculate improvement trend (compare last 3 to first 3)
+    let improvement = 0;
+    if (totalAttempts >= 4) {
+      const firstThree = history.sessions.slice(0, 3);
+      const lastThree = history.sessions.slice(-3);
+      const firstAvg = firstThree.reduce((sum, s) => sum + s.points, 0) / 3;
+      const lastAvg = lastThree.reduce((sum, s) => sum + s.points, 0) / 3;
+      improvement = Math.round(lastAvg - firstAvg);
+    }
+
+    // Update summary stats
+    document.getElementById('totalAttempts').textContent = totalAttempts;
+    document.getElementById('avgScore').textContent = avgScore;
+    document.getElementById('passRate').textContent = `${passRate}%`;
+
+    const improvementEl = document.getElementById('improvement');
+    improvementEl.textContent = improvement >= 0 ? `+${improvement}` : improvement;
+    if (improvement > 0) {
+      improvementEl.style.color = 'var(--success)';
+    } else if (improvement < 0) {
+      improvementEl.style.color = 'var(--error)';
+    } else {
+      improvementEl.style.color = 'var(--muted)';
+    }
+
+    // Render readiness prediction
+    renderReadiness(history);
+
+    // Render domain performance bars
+    renderDomainBars();
+
+    // Render weak areas
+    renderWeakAreas(history);
+
+    // Render pacing (time per question)
+    renderPacing(history);
+
+    // Render elimination accuracy (struck-out choices)
+    renderEliminations(history);
+
+    // Render calibration (accuracy by confidence rating)
+    renderCalibration(history);
+
+    // Render score trend chart
+    renderScoreTrend(history);
+
+    // Render completed sessions (replay)
+    renderSessionList(history);
+
+    // Render per-question statistics table
+    renderQuestionBank();
+
+    console.info('[SAA Info] Performance dashboard rendered successfully');
+  }, undefined);
+}
+
+/**
+ * WHAT IT DOES: Renders horizontal bars showing performance by domain
+ *
+ * SIDE EFFECTS: Updates domainBars element innerHTML
+ */
+function renderDomainBars() {
+  const domainPerf = getDomainPerformance();
+  const domainBarsEl = document.getElementById('domainBars');
+
+  if (Object.keys(domainPerf).length === 0) {
+    domainBarsEl.innerHTML = '<div style="color: var(--muted); font-size: 14px;">No domain data available</div>';
+    return;
+  }
+
+  // Sort domains by ID (D1, D2, D3, D4)
+  const sortedDomains = Object.entries(domainPerf).sort((a, b) => a[0].localeCompare(b[0]));
+
+  domainBarsEl.innerHTML = sortedDomains.map(([domainId, perf]) => {
+    const percentage = perf.percentage;
+    const colorClass = percentage >= 80 ? 'good' : percentage >= 60 ? 'medium' : 'poor';
+
+    return `
+      <div class="domain-bar">
+        <div class="domain-bar-header">
+          <div class="domain-bar-name">${domainId}: ${escapeHtml(perf.name)}</div>
+          <div class="domain-bar-stat">${perf.correct}/${perf.total} correct</div>
+        </div>
+        <div class="domain-bar-track">
+          <div class="domain-bar-fill ${colorClass}" style="width: ${percentage}%;">
+            ${percentage}%
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * WHAT IT DOES: Renders list of most frequently missed questions
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ *
+ * SIDE EFFECTS: Updates weakAreas element innerHTML
+ */
+function renderWeakAreas(history) {
+  const weakAreas = analyzeWeakAreas(history, 10);
+  const weakAreasEl = document.getElementById('weakAreas');
+
+  if (weakAreas.length === 0) {
+    weakAreasEl.innerHTML = '<div style="color: var(--muted); font-size: 14px;">Great job! No weak areas identified yet.</div>';
+    return;
+  }
+
+  const weakIds = weakAreas.filter(area => area.question).map(area => area.questionId);
+  const practiceBtnHtml = weakIds.length
+    ? `<div class="actions retry-actions">
+         <button type="button" class="btn retry-btn" data-retry-origin="weak-areas" data-retry-ids="${escapeHtml(weakIds.join(','))}">
+           🔁 Practice these ${weakIds.length} question${weakIds.length === 1 ? '' : 's'}
+         </button>
+       </div>`
+    : '';
+
+  weakAreasEl.innerHTML = practiceBtnHtml + weakAreas.map(area => {
+    const missRate = Math.round((area.missCount / area.attempts) * 100);
+    const question = area.question;
+
+    if (!question) {
+      return '';
+    }
+
+    return `
+      <div class="weak-item">
+        <div class="weak-item-text">
+          <strong>${escapeHtml(question.id)}</strong> • ${escapeHtml(question.section)} • ${escapeHtml(question.domainId)}<br>
+          <span style="font-size: 13px; color: var(--muted);">${escapeHtml(question.question.substring(0, 80))}${question.question.length > 80 ? '...' : ''}</span>
+        </div>
+        <div class="weak-item-stats">
+          <span>${area.attempts} attempts</span>
+          <div class="weak-item-badge">${area.missCount} missed (${missRate}%)</div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * WHAT IT DOES: Builds the Question Bank rows (every question in the bank,
+ * seen or not) filtered by a search query and sorted by one column
+ *
+ * PARAMETERS:
+ * - stats: Store from loadQuestionStats()
+ * - view: questionBankView ({ query, sortKey, sortDir })
+ *
+ * HOW IT WORKS:
+ * - Query is split into words; every word must appear in the question id,
+ *   section, service tags, domain or question text (case-insensitive)
+ * - Questions without a value for the sort column (never seen) go last
+ *
+ * RETURNS: Array of { question, stats } where stats is from summarizeQuestionStats()
+ */
+function getQuestionBankRows(stats, view) {
+  const words = view.query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const rows = QUESTIONS
+    .filter(q => {
+      if (words.length === 0) return true;
+      const haystack = [q.id, q.section, q.domainId, ...getQuestionTags(q), q.question].join(' ').toLowerCase();
+      return words.every(w => haystack.includes(w));
+    })
+    .map(q => ({ question: q, stats: summarizeQuestionStats(stats.items[q.id]) }));
+
+  const valueOf = (row) => {
+    switch (view.sortKey) {
+      case 'section': return row.question.section || '';
+      case 'domainId': return row.question.domainId || '';
+      case 'seen': return row.stats.seen || null;
+      case 'correctRate': return row.stats.correctRate;
+      case 'lastSeenAt': return row.stats.lastSeenAt || null;
+      case 'avgTimeSec': return row.stats.avgTimeSec;
+      default: return row.question.id;
+    }
+  };
+
+  const dir = view.sortDir === 'desc' ? -1 : 1;
+  return rows.sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    if (va === null || vb === null) {
+      if (va === vb) return a.question.id.localeCompare(b.question.id);
+      return va === null ? 1 : -1;
+    }
+    const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+    return cmp !== 0 ? cmp * dir : a.question.id.localeCompare(b.question.id);
+  });
+}
+
+/**
+ * WHAT IT DOES: Renders the Question Bank table on the Performance tab
+ *
+ * HOW IT WORKS:
+ * - Search box (#qbankSearch) lives outside the table so it keeps focus
+ *   while the table re-renders on every keystroke
+ * - Clicking a column header sorts by it (again to reverse)
+ * - Checked rows are kept in questionBankView.selected across re-renders;
+ *   both practice buttons are .retry-btn buttons (see the RETRY listener)
+ *
+ * SIDE EFFECTS: Updates questionBank element innerHTML
+ */
+function renderQuestionBank() {
+  const bankEl = document.getElementById('questionBank');
+  if (!bankEl) return;
+
+  const rows = getQuestionBankRows(loadQuestionStats(), questionBankView);
+  const shownIds = rows.map(r => r.question.id);
+  const selectedIds = [...questionBankView.selected].filter(id => QMAP.has(id));
+
+  const columns = [
+    ['id', 'ID'],
+    ['section', 'Service'],
+    ['domainId', 'Domain'],
+    ['seen', 'Seen'],
+    ['correctRate', 'Correct'],
+    ['lastSeenAt', 'Last seen'],
+    [null, 'Top wrong pick'],
+    ['avgTimeSec', 'Avg time']
+  ];
+
+  const headerHtml = columns.map(([key, label]) => {
+    if (!key) return `<th>${label}</th>`;
+    const arrow = questionBankView.sortKey === key ? (questionBankView.sortDir === 'desc' ? ' ▼' : ' ▲') : '';
+    return `<th class="qbank-sortable" data-qbank-sort="${key}">${label}${arrow}</th>`;
+  }).join('');
+
+  const rowsHtml = rows.map(({ question: q, stats: s }) => {
+    const lastSeen = s.lastSeenAt
+      ? new Date(s.lastSeenAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+      : '—';
+    const topWrong = s.topWrongChoice
+      ? `${String.fromCharCode(65 + s.topWrongChoice.index)} (${s.topWrongChoice.count}×)`
+      : '—';
+    const rateClass = s.correctRate === null ? '' : s.correctRate >= 80 ? 'good' : s.correctRate >= 60 ? 'medium' : 'poor';
+
+    return `
+      <tr>
+        <td><input type="checkbox" class="qbank-select" data-qbank-qid="${escapeHtml(q.id)}" ${questionBankView.selected.has(q.id) ? 'checked' : ''} aria-label="Select ${escapeHtml(q.id)}"></td>
+        <td title="${escapeHtml(q.question)}"><strong>${escapeHtml(q.id)}</strong></td>
+        <td>${escapeHtml(q.section)}</td>
+        <td>${escapeHtml(q.domainId)}</td>
+        <td>${s.seen}</td>
+        <td class="qbank-rate ${rateClass}">${s.correctRate === null ? '—' : `${s.correctRate}%`}</td>
+        <td>${lastSeen}</td>
+        <td>${topWrong}</td>
+        <td>${s.avgTimeSec === null ? '—' : formatDuration(s.avgTimeSec)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  bankEl.innerHTML = `
+    <div class="actions qbank-actions">
+      <button type="button" class="btn retry-btn" id="qbankPracticeSelected" data-retry-origin="question-bank" data-retry-ids="${escapeHtml(selectedIds.join(','))}" ${selectedIds.length ? '' : 'disabled'}>
+        🎯 Practice selected (${selectedIds.length})
+      </button>
+      <button type="button" class="btn retry-btn" data-retry-origin="question-bank" data-retry-ids="${escapeHtml(shownIds.join(','))}" ${shownIds.length ? '' : 'disabled'}>
+        🔁 Practice all shown (${shownIds.length})
+      </button>
+    </div>
+    ${rows.length === 0
+      ? '<div style="color: var(--muted); font-size: 14px;">No questions match your search.</div>'
+      : `<div class="qbank-table-wrap">
+           <table class="qbank-table">
+             <thead><tr><th></th>${headerHtml}</tr></thead>
+             <tbody>${rowsHtml}</tbody>
+           </table>
+         </div>`}
+  `;
+}
+
+/**
+ * WHAT IT DOES: Renders the Exam Readiness panel (predicted score range,
+ * confidence and the levers that would move it most)
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ *
+ * SIDE EFFECTS: Updates readiness element innerHTML
+ */
+function renderReadiness(history) {
+  const readinessEl = document.getElementById('readiness');
+  if (!readinessEl) return;
+
+  const r = predictReadiness(history);
+  if (!r) {
+    readinessEl.innerHTML = '<div style="color: var(--muted); font-size: 14px;">Answer some questions to get a readiness estimate.</div>';
+    return;
+  }
+
+  const verdictText = {
+    ready: 'Ready to book',
+    borderline: 'Borderline',
+    'not-ready': 'Not ready yet'
+  }[r.verdict];
+
+  // Position on the scoring model's scale (100-1000 scaled, 0-1000 linear) as a percentage of the track
+  const pos = (score) => ((score - r.minScore) / (MAX_SCORE - r.minScore)) * 100;
+
+  const basis = [
+    r.timedCount
+      ? `${r.timedCount} timed exam${r.timedCount === 1 ? '' : 's'} (avg ${r.timedMean}, last ${r.daysSinceTimed} day${r.daysSinceTimed === 1 ? '' : 's'} ago)`
+      : 'no timed exams',
+    r.domainScore !== null ? `domain accuracy → ${r.domainScore}` : 'no domain data',
+    `${QUESTIONS.length - r.unseenCount}/${QUESTIONS.length} questions seen`
+  ].join(' • ');
+
+  const leversHtml = r.levers.length
+    ? `<div class="readiness-levers-title">What would move it most</div>
+       <ol class="readiness-levers">
+         ${r.levers.map(l => `
+           <li>${escapeHtml(l.text)}
+             <span class="readiness-gain">${l.kind === 'points' ? `about +${l.gain} points` : `range ±${l.gain} narrower`}</span>
+           </li>`).join('')}
+       </ol>`
+    : '';
+
+  readinessEl.innerHTML = `
+    <div class="readiness-head">
+      <div>Predicted score <strong class="readiness-range">${r.low}–${r.high}</strong></div>
+      <span class="readiness-verdict ${r.verdict}">${verdictText}</span>
+    </div>
+    <div class="readiness-track" title="Passing score ${PASSING_SCORE}">
+      <div class="readiness-band ${r.verdict}" style="left: ${pos(r.low)}%; width: ${pos(r.high) - pos(r.low)}%;"></div>
+      <div class="readiness-pass" style="left: ${pos(PASSING_SCORE)}%;"></div>
+    </div>
+    <div class="meta">Confidence: <strong>${r.confidence}</strong> • ${escapeHtml(basis)}</div>
+    ${leversHtml}
+  `;
+}
+
+/**
+ * WHAT IT DOES: Renders the Pacing panel (average time, slowest questions,
+ * pacing curve of timed exams)
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ *
+ * SIDE EFFECTS: Updates pacingStats element innerHTML
+ */
+function renderPacing(history) {
+  const pacingEl = document.getElementById('pacingStats');
+  if (!pacingEl) return;
+
+  const stats = getPacingStats(history, 5);
+
+  if (stats.timedCount === 0) {
+    pacingEl.innerHTML = '<div style="color: var(--muted); font-size: 14px;">No timing data yet - finish a session to see your pace.</div>';
+    return;
+  }
+
+  const overBudget = stats.avgSec > PACE_BUDGET_SEC;
+
+  const slowestHtml = stats.slowest.map((item) => {
+    const q = item.question;
+    return `
+      <div class="weak-item">
+        <div class="weak-item-text">
+          <strong>${escapeHtml(item.questionId)}</strong>${q ? ` • ${escapeHtml(q.section)}` : ''}<br>
+          ${q ? `<span style="font-size: 13px; color: var(--muted);">${escapeHtml(q.question.substring(0, 80))}${q.question.length > 80 ? '...' : ''}</span>` : ''}
+        </div>
+        <div class="weak-item-stats">
+          <span>${item.attempts} attempt${item.attempts === 1 ? '' : 's'}</span>
+          <div class="weak-item-badge">${formatDuration(item.avgSec)} avg</div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const curveHtml = stats.examCount
+    ? `<div class="pacing-slowest-title">Average pace across ${stats.examCount} standard timed exam${stats.examCount === 1 ? '' : 's'}</div>
+       ${buildPacingCurveSvg(stats.curve)}`
+    : '';
+
+  pacingEl.innerHTML = `
+    <div class="meta">
+      Average <strong class="${overBudget ? 'pacing-over' : 'pacing-ok'}">${formatDuration(stats.avgSec)}</strong>
+      per question (exam budget ${formatDuration(PACE_BUDGET_SEC)}) over ${stats.timedCount} question views
+    </div>
+    <div class="pacing-slowest-title">Slowest questions</div>
+    <div class="weak-list">${slowestHtml}</div>
+    ${curveHtml}
+  `;
+}
+
+/**
+ * WHAT IT DOES: Renders elimination accuracy on the Performance tab
+ *
+ * Shows how many struck-out choices were really wrong, accuracy on
+ * questions with and without strike-outs, and the latest correct answers
+ * that were struck out (see getEliminationStats).
+ *
+ * SIDE EFFECTS: Updates #eliminationStats innerHTML
+ */
+function renderEliminations(history) {
+  const elimEl = document.getElementById('eliminationStats');
+  if (!elimEl) return;
+
+  const stats = getEliminationStats(history);
+
+  if (stats.struckTotal === 0) {
+    elimEl.innerHTML = '<div style="color: var(--muted); font-size: 14px;">No eliminations yet - strike out choices with ✕ while answering.</div>';
+    return;
+  }
+
+  const pct = (part, whole) => (whole ? `${Math.round((part / whole) * 100)}%` : '—');
+  const eliminationPct = Math.round(((stats.struckTotal - stats.wrongTotal) / stats.struckTotal) * 100);
+
+  const missesHtml = stats.misses.slice(0, ELIMINATION_MISSES_LIMIT).map((miss) => {
+    const q = miss.question;
+    return `
+      <div class="weak-item">
+        <div class="weak-item-text">
+          <strong>${escapeHtml(q.id)}</strong> • ${escapeHtml(q.section)}<br>
+          <span style="font-size: 13px; color: var(--muted);">${escapeHtml(q.question.substring(0, 80))}${q.question.length > 80 ? '...' : ''}</span>
+        </div>
+        <div class="weak-item-stats">
+          <div class="weak-item-badge">Struck: ${escapeHtml(q.choices[miss.choiceIndex] || '')}</div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  elimEl.innerHTML = `
+    <div class="meta">
+      <strong class="${eliminationPct >= ELIMINATION_TARGET_PCT ? 'pacing-ok' : 'pacing-over'}">${eliminationPct}%</strong>
+      of ${stats.struckTotal} struck-out choice${stats.struckTotal === 1 ? ' was a wrong answer' : 's were wrong answers'}
+    </div>
+    <div class="meta">
+      Accuracy with eliminations ${pct(stats.correctWithStrikes, stats.questionsWithStrikes)}
+      (${stats.questionsWithStrikes} question${stats.questionsWithStrikes === 1 ? '' : 's'}),
+      without ${pct(stats.correctWithout, stats.questionsWithout)}
+      (${stats.questionsWithout} question${stats.questionsWithout === 1 ? '' : 's'})
+    </div>
+    ${missesHtml
+      ? `<div class="pacing-slowest-title">Correct answers you struck out</div>
+         <div class="weak-list">${missesHtml}</div>`
+      : ''}
+  `;
+}
+
+/**
+ * WHAT IT DOES: Renders calibration on the Performance tab
+ *
+ * Accuracy per confidence level across history, the most repeated
+ * sure-but-wrong questions (with a button to practice them) and the number
+ * of lucky guesses (see getCalibrationStats).
+ *
+ * SIDE EFFECTS: Updates #calibrationStats innerHTML
+ */
+function renderCalibration(history) {
+  const calibrationEl = document.getElementById('calibrationStats');
+  if (!calibrationEl) return;
+
+  const stats = getCalibrationStats(history);
+
+  if (stats.rated === 0) {
+    calibrationEl.innerHTML = '<div style="color: var(--muted); font-size: 14px;">No rated answers yet - mark answers Sure, Unsure or Guess while answering.</div>';
+    return;
+  }
+
+  const confidentWrong = stats.confidentWrong.slice(0, CONFIDENT_WRONG_LIMIT);
+  const luckyCount = stats.luckyGuesses.length;
+
+  const practiceBtnHtml = confidentWrong.length
+    ? `<div class="actions retry-actions">
+         <button type="button" class="btn retry-btn" data-retry-origin="confident-wrong"
+                 data-retry-ids="${escapeHtml(confidentWrong.map(item => item.question.id).join(','))}">
+           🎯 Practice these ${confidentWrong.length} question${confidentWrong.length === 1 ? '' : 's'}
+         </button>
+       </div>`
+    : '';
+
+  const confidentWrongHtml = confidentWrong.map((item) => {
+    const q = item.question;
+    return `
+      <div class="weak-item">
+        <div class="weak-item-text">
+          <strong>${escapeHtml(q.id)}</strong> • ${escapeHtml(q.section)}<br>
+          <span style="font-size: 13px; color: var(--muted);">${escapeHtml(q.question.substring(0, 80))}${q.question.length > 80 ? '...' : ''}</span>
+        </div>
+        <div class="weak-item-stats">
+          <div class="weak-item-badge">Sure but wrong ×${item.count}</div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  calibrationEl.innerHTML = `
+    ${buildCalibrationTableHtml(stats)}
+    <div class="meta">
+      ${luckyCount} question${luckyCount === 1 ? '' : 's'} answered right by a lucky guess
+      ${stats.unrated ? ` • ${stats.unrated} answer${stats.unrated === 1 ? '' : 's'} not rated` : ''}
+    </div>
+    ${confidentWrongHtml
+      ? `<div class="pacing-slowest-title">Sure but wrong - study these first</div>
+         ${practiceBtnHtml}
+         <div class="weak-list">${confidentWrongHtml}</div>`
+      : ''}
+  `;
+}
+
+let trendFilter = 'all'; // Score Trend selection: 'all' or 'timed:<exam format id>'
+
+/**
+ * WHAT IT DOES: Fills the Score Trend "Compare" selector
+ *
+ * Offers all sessions plus one entry per timed exam format found in
+ * history (standard, ESL +30, mini-mocks...), so a trend can compare
+ * like with like. A selection whose format left history falls back to all.
+ */
+function renderTrendFilter(history) {
+  const selectEl = document.getElementById('trendFilter');
+  if (!selectEl) return;
+
+  const formats = new Map();
+  for (const s of history.sessions) {
+    const format = getRecordExamFormat(s);
+    if (format && !formats.has(format.id)) formats.set(format.id, format);
+  }
+
+  if (trendFilter !== 'all' && !formats.has(trendFilter.replace(/^timed:/, ''))) trendFilter = 'all';
+
+  const standardId = buildExamFormat({}).id;
+  selectEl.innerHTML = `<option value="all">All sessions</option>` +
+    [...formats.values()]
+      .sort((a, b) => (b.id === standardId) - (a.id === standardId) || b.totalQuestions - a.totalQuestions || a.durationSec - b.durationSec)
+      .map(format => `
+        <option value="timed:${escapeHtml(format.id)}">Timed • ${escapeHtml(formatExamFormatLabel(format))}${format.id === standardId ? ' (standard)' : ''}</option>
+      `).join('');
+  selectEl.value = trendFilter;
+  selectEl.disabled = formats.size === 0;
+}
+
+/**
+ * WHAT IT DOES: Renders a line chart showing score progression over time
+ *
+ * PARAMETERS:
+ * - history: History object from getSessionHistory()
+ *
+ * SIDE EFFECTS: Updates scoreTrend element innerHTML (only the sessions
+ * picked in the "Compare" selector, see renderTrendFilter)
+ */
+function renderScoreTrend(history) {
+  renderTrendFilter(history);
+
+  const trend = trendFilter === 'all'
+    ? getScoreTrend(history)
+    : getScoreTrend(history, 'timed', trendFilter.replace(/^timed:/, ''));
+  const scoreTrendEl = document.getElementById('scoreTrend');
+
+  if (trend.length === 0) {
+    scoreTrendEl.innerHTML = '<div class="trend-empty">No score data available</div>';
+    return;
+  }
+
+  // Take last 10 sessions for the chart
+  const recentTrend = trend.slice(-10);
+
+  // Chart dimensions and settings
+  const maxScore = 1000;
+  const minScore = 0;
+  const passingScore = PASSING_SCORE; // 720
+  const chartHeight = 180;
+  const chartWidth = scoreTrendEl.offsetWidth || 600;
+  const padding = { top: 10, right: 10, bottom: 10, left: 50 };
+  const plotHeight = chartHeight - padding.top - padding.bottom;
+  const plotWidth = chartWidth - padding.left - padding.right;
+
+  // Calculate positions for each data point
+  const pointSpacing = recentTrend.length > 1 ? plotWidth / (recentTrend.length - 1) : plotWidth / 2;
+
+  // Generate Y-axis grid lines (1000, 750, 500, 250, 0)
+  const gridLines = [1000, 750, 500, 250, 0];
+
+  // Build chart HTML
+  let chartHtml = '<div class="trend-canvas" style="margin-left: 50px;">';
+
+  // Add grid lines
+  chartHtml += '<div class="trend-grid">';
+  gridLines.forEach(score => {
+    const yPercent = ((maxScore - score) / (maxScore - minScore)) * 100;
+    chartHtml += `
+      <div class="trend-grid-line" style="position: absolute; top: ${yPercent}%; width: 100%;">
+        <span class="trend-grid-label">${score}</span>
+      </div>
+    `;
+  });
+  chartHtml += '</div>';
+
+  // Add passing score line
+  const passingYPercent = ((maxScore - passingScore) / (maxScore - minScore)) * 100;
+  chartHtml += `
+    <div class="trend-passing-line" style="top: ${passingYPercent}%;">
+      <span class="trend-passing-label">Pass (${passingScore})</span>
+    </div>
+  `;
+
+  // Add connecting lines between points
+  chartHtml += '<div class="trend-line">';
+  for (let i = 0; i < recentTrend.length - 1; i++) {
+    const point1 = recentTrend[i];
+    const point2 = recentTrend[i + 1];
+
+    const x1 = i * pointSpacing;
+    const y1 = ((maxScore - point1.score) / (maxScore - minScore)) * plotHeight;
+    const x2 = (i + 1) * pointSpacing;
+    const y2 = ((maxScore - point2.score) / (maxScore - minScore)) * plotHeight;
+
+    const length = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
+    const angle = Math.atan2(y2 - y1, x2 - x1) * (180 / Math.PI);
+
+    chartHtml += `
+      <div class="trend-connector" style="
+        left: ${x1}px;
+        top: ${y1}px;
+        width: ${length}px;
+        transform: rotate(${angle}deg);
+      "></div>
+    `;
+  }
+  chartHtml += '</div>';
+
+  // Add data points
+  recentTrend.forEach((point, i) => {
+    const x = i * pointSpacing;
+    const y = ((maxScore - point.score) / (maxScore - minScore)) * plotHeight;
+    const passedClass = point.passed ? 'passed' : '';
+
+    // Format date for tooltip
+    const date = new Date(point.date);
+    const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+    chartHtml += `
+      <div class="trend-point ${passedClass}"
+           style="left: ${x}px; top: ${y}px;"
+           data-score="${point.score}"
+           data-date="${dateStr}"
+           data-mode="${point.mode}"
+           data-format="${point.format ? escapeHtml(formatExamFormatLabel(point.format)) : ''}"
+           data-passed="${point.passed}">
+      </div>
+    `;
+  });
+
+  chartHtml += '</div>';
+
+  scoreTrendEl.innerHTML = chartHtml;
+
+  // Add hover tooltips to points
+  scoreTrendEl.querySelectorAll('.trend-point').forEach(pointEl => {
+    pointEl.addEventListener('mouseenter', () => {
+      const score = pointEl.getAttribute('data-score');
+      const date = pointEl.getAttribute('data-date');
+      const mode = pointEl.getAttribute('data-mode');
+      const format = pointEl.getAttribute('data-format');
+      const passed = pointEl.getAttribute('data-passed') === 'true';
+
+      const tooltip = document.createElement('div');
+      tooltip.className = 'trend-tooltip visible';
+      tooltip.innerHTML = `
+        <div><strong>${date}</strong></div>
+        <div>Score: ${score}/1000</div>
+        <div>Mode: ${mode}</div>
+        ${format ? `<div>${escapeHtml(format)}</div>` : ''}
+        <div style="color: ${passed ? 'var(--success)' : 'var(--error)'};">${passed ? '✓ Passed' : '✗ Failed'}</div>
+      `;
+
+      const rect = pointEl.getBoundingClientRect();
+      const chartRect = scoreTrendEl.getBoundingClientRect();
+
+      // Calculate tooltip dimensions (approximate)
+      const tooltipHeight = 80; // Approximate tooltip height in pixels
+      const tooltipWidth = 100; // Approximate tooltip width in pixels
+
+      // Calculate point position relative to chart
+      const pointX = rect.left - chartRect.left;
+      const pointY = rect.top - chartRect.top;
+
+      // ✅ Smart vertical positioning: flip below if too close to top
+      const flipThreshold = 100; // If point is within 100px of top, show tooltip below
+      let tooltipY;
+
+      if (pointY < flipThreshold) {
+        // Too close to top - show tooltip BELOW the point
+        tooltipY = pointY + 15; // 15px below point
+        console.info('[SAA Info] Tooltip flipped below point (too close to top edge)');
+      } else {
+        // Normal case - show tooltip ABOVE the point
+        tooltipY = pointY - tooltipHeight;
+      }
+
+      // Horizontal positioning (centered, with bounds checking)
+      let tooltipX = pointX - (tooltipWidth / 2);
+
+      // Keep tooltip within chart bounds horizontally
+      if (tooltipX < 0) {
+        tooltipX = 0;
+      } else if (tooltipX + tooltipWidth > chartRect.width) {
+        tooltipX = chartRect.width - tooltipWidth;
+      }
+
+      tooltip.style.left = tooltipX + 'px';
+      tooltip.style.top = tooltipY + 'px';
+
+      scoreTrendEl.appendChild(tooltip);
+      pointEl._tooltip = tooltip;
+    });
+
+    pointEl.addEventListener('mouseleave', () => {
+      if (pointEl._tooltip) {
+        pointEl._tooltip.remove();
+        pointEl._tooltip = null;
+      }
+    });
+  });
+}
+
+// ============================================================================
+// NAVIGATION FUNCTIONS - Tab switching and state management
+// ============================================================================
+
+/**
+ * WHAT IT DOES: Switches between navigation tabs and manages content visibility
+ *
+ * WHY WE NEED IT: Handles tab navigation while preserving quiz state and
+ * managing timer pause/resume for timed mode. This is the core of the new
+ * navigation system.
+ */
+function switchTab(tabName) {
+  safeOperation('Switch Tab', () => {
+    // === HANDLE RESET TAB ===
+    if (tabName === 'reset') {
+      const message =
+        `⚠️ RESET WILL DELETE ALL ${activeExamProfile.code} DATA:\n\n` +
+        "• Current quiz progress (questions, answers, timer)\n" +
+        "• Performance history (all past attempts)\n" +
+        "• Statistics and trends\n\n" +
+        "This cannot be undone. Continue?";
+
+      if (confirm(message)) {
+        console.info('[SAA Info] User initiated complete reset (state + history)');
+        stopTimer();
+        clearAllData().then(() => location.reload());  // Clears saved sessions and history
+      }
+      return;
+    }
+
+    // === CHECK QUIZ STATE ===
+    const state = normalizeStateForRuntime(loadState());
+    const hasActiveTimedQuiz = state &&
+                                state.session &&
+                                !state.session.completed &&
+                                state.session.mode === 'timed';
+
+    const leavingTimedQuiz = currentTab === 'practice' && hasActiveTimedQuiz;
+
+    // === LEAVING PRACTICE: STOP TIMING THE CURRENT QUESTION ===
+    if (currentTab === 'practice' && tabName !== 'practice' && state && state.session) {
+      if (stopDwellClock(state)) persistRuntimeState(state);
+    }
+    const returningToTimedQuiz = tabName === 'practice' && hasActiveTimedQuiz && currentTab !== 'practice';
+
+    // === LEAVING TIMED QUIZ: PAUSE TIMER ===
+    if (leavingTimedQuiz) {
+      console.info('[SAA Info] Leaving timed quiz, pausing timer');
+
+      // Only pause if not already paused (or running in another tab)
+      if (!quizPausedState) {
+        pauseExamClock(state, 'navigation');
+        setPauseIndicators(true);
+        console.info('[SAA Info] Timer auto-paused (navigation)');
+      } else {
+        console.info('[SAA Info] Already paused, keeping pause state');
+      }
+    }
+
+    // === UPDATE NAVIGATION STATE ===
+    const previousTab = currentTab;
+    currentTab = tabName;
+
+    // Update tab button active states
+    document.querySelectorAll('.nav-tab').forEach(tab => {
+      const tabId = tab.getAttribute('data-tab');
+      if (tabId === tabName) {
+        tab.classList.add('active');
+      } else {
+        tab.classList.remove('active');
+      }
+    });
+
+    // === UPDATE SECTION VISIBILITY ===
+    document.querySelectorAll('.page-section').forEach(section => {
+      section.classList.remove('active');
+    });
+
+    const sectionMap = {
+      'home': 'homeSection',
+      'practice': 'practiceSection',
+      'performance': 'performanceSection',
+      'presentations': 'presentationsSection',
+      'search': 'searchSection',
+      'editor': 'editorSection',
+      'data': 'dataSection'
+    };
+
+    const targetSection = document.getElementById(sectionMap[tabName]);
+    if (targetSection) {
+      targetSection.classList.add('active');
+    }
+
+    // === RETURNING TO TIMED QUIZ: RENDER WITH PAUSE STATE ===
+    if (returningToTimedQuiz) {
+      console.info('[SAA Info] Returning to timed quiz');
+
+      // Guard: Only keep pause state if session exists and is not completed
+      if (quizPausedState && (!state.session || state.session.completed)) {
+        console.info('[SAA Info] Clearing stale pause state (session completed or missing)');
+        quizPausedState = null;
+      }
+
+      if (quizPausedState) console.info('[SAA Info] Returning to paused quiz');
+
+      // Render quiz (buttons will be disabled if paused)
+      renderQuiz(state);
+    } else if (tabName === 'practice' && state && state.session && !state.session.completed) {
+      renderQuiz(state);
+    }
+
+    // === TAB-SPECIFIC RENDERING ===
+    if (tabName === 'practice') {
+      renderResumeList();
+    }
+
+    if (tabName === 'performance') {
+      renderPerformanceDashboard();
     }
 
-    const parsed = JSON.parse(raw);
+    if (tabName === 'presentations') {
+      renderPresentations();
+    }
 
-    // Validate structure
-    if (!parsed.version || !Array.isArray(parsed.sessions)) {
-      console.warn('[SAA Warning] Invalid history structure, resetting');
-      return { version: 1, sessions: [] };
+    if (tabName === 'editor') {
+      renderEditor();
     }
 
-    console.info(`[SAA Info] Loaded ${parsed.sessions.length} historical sessions`);
-    return parsed;
-  }, { version: 1, sessions: [] });
-}
+    if (tabName === 'search') {
+      renderSearchResults();
+      const searchInput = document.getElementById('searchInput');
+      if (searchInput) searchInput.focus();
+    }
 
-/**
- * WHAT IT DOES: Saves updated history back to localStorage
- *
- * WHY WE NEED IT: Persists quiz history after adding a new completed session
- *
- * PARAMETERS:
- * - history: History object with version and sessions array
- *
- * SIDE EFFECTS: Writes to localStorage
- */
-function saveSessionHistory(history) {
-  safeOperation('Save Session History', () => {
-    if (!history || !Array.isArray(history.sessions)) {
-      console.warn('[SAA Warning] Invalid history object, skipping save');
-      return;
+    // === MOBILE: CLOSE MENU ===
+    const navMenu = document.getElementById('navMenu');
+    if (navMenu && navMenu.classList.contains('open')) {
+      navMenu.classList.remove('open');
     }
 
-    const json = JSON.stringify(history);
-    localStorage.setItem(HISTORY_KEY, json);
-    console.info(`[SAA Info] Saved history with ${history.sessions.length} sessions`);
+    console.info(`[SAA Info] Switched from '${previousTab}' to '${tabName}'`);
   }, undefined);
 }
 
 /**
- * WHAT IT DOES: Records a completed quiz session to history
- *
- * WHY WE NEED IT: Called after completing a quiz to save performance data
- * for later analysis and trend tracking.
- *
- * HOW IT WORKS:
- * 1. Load existing history
- * 2. Calculate detailed stats from the completed session
- * 3. Break down scores by domain and section
- * 4. Add new session to history
- * 5. Keep only most recent MAX_HISTORY_SESSIONS (50)
- * 6. Save back to localStorage
- *
- * PARAMETERS:
- * - state: The completed session state
- * - startTime: When the quiz started (milliseconds)
- * - endTime: When the quiz ended (milliseconds)
+ * WHAT IT DOES: Debounced version of switchTab to prevent rapid clicking issues
  */
-function recordSessionToHistory(state) {
-  safeOperation('Record Session to History', () => {
-    const { session } = state;
-
-    // Only record completed sessions
-    if (!session.completed) {
-      console.info('[SAA Info] Session not completed, skipping history recording');
-      return;
-    }
-
-    const history = getSessionHistory();
-    const score = computeScore(state);
-
-    // Calculate duration
-    const startedAt = session.startedAtMs || session.createdAtMs;
-    const completedAt = nowMs();
-    const durationSeconds = Math.floor((completedAt - startedAt) / 1000);
-
-    // Aggregate scores by domain
-    const domainScores = {};
-    const sectionScores = {};
-    const questionResults = [];
-
-    for (const qid of session.questionIds) {
-      const q = QMAP.get(qid);
-      if (!q) continue;
-
-      const userAnswer = session.answers[qid];
-      const correct = userAnswer !== undefined && isCorrectAnswer(userAnswer, q.answer);
-
-      // Track by domain
-      if (!domainScores[q.domainId]) {
-        domainScores[q.domainId] = { correct: 0, total: 0 };
-      }
-      domainScores[q.domainId].total++;
-      if (correct) domainScores[q.domainId].correct++;
-
-      // Track by section
-      if (!sectionScores[q.section]) {
-        sectionScores[q.section] = { correct: 0, total: 0 };
-      }
-      sectionScores[q.section].total++;
-      if (correct) sectionScores[q.section].correct++;
-
-      // Track individual question
-      questionResults.push({
-        questionId: qid,
-        correct: correct,
-        answered: userAnswer !== undefined
-      });
-    }
+function switchTabDebounced(tabName) {
+  if (navigationLocked) {
+    console.info('[SAA Info] Navigation locked, ignoring click');
+    return;
+  }
 
-    // Create session record
-    const sessionRecord = {
-      sessionId: `${session.mode}-${startedAt}`,
-      mode: session.mode,
-      domainId: session.domainId,
-      section: session.section,
-      startedAt: startedAt,
-      completedAt: completedAt,
-      durationSeconds: durationSeconds,
+  navigationLocked = true;
+  switchTab(tabName);
 
-      // Overall scores
-      totalQuestions: score.totalQuestions,
-      answeredTotal: score.answeredTotal,
-      correctTotal: score.correctTotal,
-      points: score.points,
-      passed: score.passed,
+  setTimeout(() => {
+    navigationLocked = false;
+  }, 300);
+}
 
-      // Breakdowns
-      domainScores: domainScores,
-      sectionScores: sectionScores,
-      questionResults: questionResults
-    };
+/**
+ * WHAT IT DOES: Toggles pause state for timed quiz (no overlay)
+ * WHY IT EXISTS: Allows user to pause/resume by clicking pause button
+ *
+ * The pause is stored in the session (see pauseExamClock), so a reload
+ * during a pause comes back paused instead of running the clock.
+ */
+function togglePause(state) {
+  safeOperation('Toggle Pause', () => {
+    // Not this tab's exam to pause: "Continue here" takes it over first
+    if (isExamInOtherTab()) return;
 
-    // ✅ Check if this session already exists in history (prevent duplicates)
-    const existingIndex = history.sessions.findIndex(
-      s => s.sessionId === sessionRecord.sessionId
-    );
+    const isPaused = quizPausedState !== null;
 
-    if (existingIndex !== -1) {
-      console.info('[SAA Info] Session already recorded, skipping duplicate:', sessionRecord.sessionId);
-      return; // Exit early, don't add duplicate
-    }
+    if (isPaused) {
+      // RESUME: Log the pause, then re-render (restarts the timer and the
+      // per-question dwell clock, and re-enables the buttons)
+      const pauseDuration = resumeExamClock(state);
+      setPauseIndicators(false);
+      renderQuiz(state);
 
-    // Add to history (only if not duplicate)
-    history.sessions.push(sessionRecord);
+      console.info(`[SAA Info] Quiz resumed after ${Math.floor(pauseDuration / 1000)}s pause`);
+    } else {
+      // PAUSE: Bank the time and store the pause, then re-render to disable
+      // buttons (also stops the per-question dwell clock)
+      pauseExamClock(state, 'manual');
+      setPauseIndicators(true);
+      renderQuiz(state);
 
-    // Keep only most recent sessions (FIFO - First In, First Out)
-    if (history.sessions.length > MAX_HISTORY_SESSIONS) {
-      const removed = history.sessions.length - MAX_HISTORY_SESSIONS;
-      history.sessions = history.sessions.slice(-MAX_HISTORY_SESSIONS);
-      console.info(`[SAA Info] Removed ${removed} oldest sessions (keeping ${MAX_HISTORY_SESSIONS} most recent)`);
+      console.info('[SAA Info] Quiz paused');
     }
-
-    // Save updated history
-    saveSessionHistory(history);
-
-    console.info('[SAA Info] Session recorded to history:', {
-      mode: session.mode,
-      score: `${score.points}/${score.totalPoints}`,
-      passed: score.passed
-    });
   }, undefined);
 }
 
 /**
- * WHAT IT DOES: Analyzes history to find frequently missed questions
- *
- * WHY WE NEED IT: Helps users identify their weak areas by showing which
- * questions they consistently get wrong across multiple attempts.
- *
- * PARAMETERS:
- * - history: History object from getSessionHistory()
- * - limit: How many weak areas to return (default 10)
- *
- * RETURNS: Array of objects with questionId, missCount, attempts, and question details
- *
- * EXAMPLE:
- * [
- *   { questionId: "SAA-023", missCount: 3, attempts: 3, question: {...} },
- *   { questionId: "SAA-045", missCount: 3, attempts: 4, question: {...} }
- * ]
+ * WHAT IT DOES: Renders the presentations list with embedded PDF viewers
  */
-function analyzeWeakAreas(history, limit = 10) {
-  return safeOperation('Analyze Weak Areas', () => {
-    const questionStats = {};
+function renderPresentations() {
+  safeOperation('Render Presentations', () => {
+    const presentationsListEl = document.querySelector('.presentations-list');
 
-    // Aggregate results for each question across all sessions
-    for (const session of history.sessions) {
-      for (const result of session.questionResults) {
-        if (!questionStats[result.questionId]) {
-          questionStats[result.questionId] = {
-            questionId: result.questionId,
-            attempts: 0,
-            missCount: 0
-          };
-        }
+    if (!presentationsListEl) {
+      console.warn('[SAA Warning] Presentations list element not found');
+      return;
+    }
 
-        if (result.answered) {
-          questionStats[result.questionId].attempts++;
-          if (!result.correct) {
-            questionStats[result.questionId].missCount++;
-          }
-        }
+    const presentations = [
+      {
+        filename: 'קבוצת למידה SAA v1.pdf',
+        title: 'IAM, EC2 & Storage Fundamentals',
+        description: 'SAA Study Group Session 1'
+      },
+      {
+        filename: 'קבוצת למידה SAA v2.pdf',
+        title: 'High Availability, Load Balancing & Databases',
+        description: 'SAA Study Group Session 2'
+      },
+      {
+        filename: 'קבוצת למידה SAA v3.pdf',
+        title: 'Route 53 & S3 Basics',
+        description: 'SAA Study Group Session 3'
+      },
+      {
+        filename: 'קבוצת למידה SAA v4.pdf',
+        title: 'Advanced S3, Security & Global Delivery',
+        description: 'SAA Study Group Session 4'
+      },
+      {
+        filename: 'קבוצת למידה SAA v5.pdf',
+        title: 'Integration, Messaging, Containers & Serverless',
+        description: 'SAA Study Group Session 5'
+      },
+      {
+        filename: 'קבוצת למידה SAA v6.pdf',
+        title: 'Data, Analytics & Machine Learning on AWS',
+        description: 'SAA Study Group Session 6'
+      },
+      {
+        filename: 'קבוצת למידה SAA v7.pdf',
+        title: 'Monitoring, IAM Advanced & Cloud Security',
+        description: 'SAA Study Group Session 7'
+      },
+      {
+        filename: 'קבוצת למידה SAA v8.pdf',
+        title: 'VPC Networking & DR',
+        description: 'SAA Study Group Session 8'
       }
-    }
+    ];
 
-    // Convert to array and sort by miss rate (missCount / attempts)
-    const weakAreas = Object.values(questionStats)
-      .filter(stat => stat.attempts > 0 && stat.missCount > 0)
-      .sort((a, b) => {
-        // Primary sort: miss count (descending)
-        if (b.missCount !== a.missCount) {
-          return b.missCount - a.missCount;
-        }
-        // Secondary sort: miss rate (descending)
-        const rateA = a.missCount / a.attempts;
-        const rateB = b.missCount / b.attempts;
-        return rateB - rateA;
-      })
-      .slice(0, limit)
-      .map(stat => ({
-        ...stat,
-        question: QMAP.get(stat.questionId)
-      }));
+    const html = presentations.map((pres, index) => {
+      const pdfPath = `../assets/presentations/${encodeURIComponent(pres.filename)}`;
+
+      return `
+        <div class="presentation-item" data-presentation-index="${index}">
+          <h3 class="presentation-header">${escapeHtml(pres.title)}</h3>
+          <embed
+            src="${pdfPath}#toolbar=1&navpanes=1&scrollbar=1&view=FitH"
+            type="application/pdf"
+            class="presentation-embed"
+            aria-label="${escapeHtml(pres.title)}"
+          />
+          <noscript>
+            <div class="presentation-fallback">
+              <p>📄 Your browser doesn't support embedded PDFs.</p>
+              <p><a href="${pdfPath}" download="${escapeHtml(pres.filename)}">⬇️ Download ${escapeHtml(pres.title)}</a></p>
+            </div>
+          </noscript>
+        </div>
+      `;
+    }).join('');
 
-    console.info(`[SAA Info] Found ${weakAreas.length} weak areas`);
-    return weakAreas;
-  }, []);
+    presentationsListEl.innerHTML = html;
+
+    console.info('[SAA Info] Rendered', presentations.length, 'presentations');
+  }, undefined);
 }
 
+// ============================================================================
+// KEYBOARD SHORTCUTS - Exam workflow without the mouse
+// ============================================================================
+// Every shortcut "clicks" the same element a mouse user would, so the rules
+// already enforced by the click handlers (pause state, completed sessions,
+// checked review questions, multi-answer limits) apply unchanged.
+//
+//   1-9 / A-E   Select choice (toggles on multi-answer questions)
+//   Shift + 1-9 / A-E   Strike out / restore choice
+//   ← / P       Previous question
+//   → / N       Next question
+//   F           Flag / unflag (Timed mode)
+//   S / U / G   Rate the answer Sure / Unsure / Guess
+//   Enter       Check Answer (Review / Spaced mode)
+//   ?           Show / hide the shortcut list
+//   Esc         Close the shortcut list
+
 /**
- * WHAT IT DOES: Extracts score trend over time
- *
- * WHY WE NEED IT: Shows improvement (or decline) in quiz performance
- * over multiple attempts. Used for charts and progress tracking.
+ * WHAT IT DOES: Shows or hides the keyboard shortcut overlay
  *
  * PARAMETERS:
- * - history: History object from getSessionHistory()
- * - mode: Filter by mode ("review", "timed", or null for all)
- *
- * RETURNS: Array of score objects sorted chronologically
- *
- * EXAMPLE:
- * [
- *   { date: 1735142400000, score: 650, passed: false },
- *   { date: 1735228800000, score: 720, passed: true }
- * ]
+ * - show: true/false, or undefined to toggle
  */
-function getScoreTrend(history, mode = null) {
-  return safeOperation('Get Score Trend', () => {
-    let sessions = history.sessions;
-
-    // Filter by mode if specified
-    if (mode) {
-      sessions = sessions.filter(s => s.mode === mode);
-    }
-
-    // Map to score data points and sort by date
-    const trend = sessions
-      .map(s => ({
-        date: s.completedAt,
-        score: s.points,
-        passed: s.passed,
-        mode: s.mode
-      }))
-      .sort((a, b) => a.date - b.date);
+function toggleShortcutsOverlay(show) {
+  const overlay = document.getElementById('shortcutsOverlay');
+  if (!overlay) return;
+  overlay.hidden = show === undefined ? !overlay.hidden : !show;
+}
 
-    console.info(`[SAA Info] Generated score trend with ${trend.length} data points`);
-    return trend;
-  }, []);
+/**
+ * WHAT IT DOES: Maps a key to a choice index ("1" → 0, "b" → 1)
+ *
+ * RETURNS: Choice index, or null if the key is not a choice key
+ */
+function choiceIndexForKey(key) {
+  if (/^[1-9]$/.test(key)) return Number(key) - 1;
+  if (/^[a-e]$/i.test(key)) return key.toLowerCase().charCodeAt(0) - 97;
+  return null;
 }
 
 /**
- * WHAT IT DOES: Aggregates performance statistics by domain
+ * WHAT IT DOES: Handles keyboard shortcuts on the Practice tab
  *
- * WHY WE NEED IT: Shows which AWS exam domains (D1-D4) the user is
- * strongest/weakest in across all quiz attempts.
+ * WHY IT CLICKS ELEMENTS: Disabled buttons ignore .click(), and the quiz
+ * click handlers already check pause/completed state, so shortcuts can never
+ * do something the mouse could not.
  *
  * PARAMETERS:
- * - history: History object from getSessionHistory()
- *
- * RETURNS: Object with domain stats
- *
- * EXAMPLE:
- * {
- *   "D1": { correct: 45, total: 60, percentage: 75.0, name: "Design Secure Architectures" },
- *   "D2": { correct: 38, total: 55, percentage: 69.1, name: "Design Resilient Architectures" }
- * }
+ * - e: KeyboardEvent from the document keydown listener
  */
-function getDomainPerformance(history) {
-  return safeOperation('Get Domain Performance', () => {
-    const domainAgg = {};
+function handleQuizKeydown(e) {
+  // Never hijack typing or browser/OS shortcuts
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
 
-    // Aggregate all domain scores across all sessions
-    for (const session of history.sessions) {
-      for (const [domainId, scores] of Object.entries(session.domainScores)) {
-        if (!domainAgg[domainId]) {
-          domainAgg[domainId] = { correct: 0, total: 0 };
-        }
-        domainAgg[domainId].correct += scores.correct;
-        domainAgg[domainId].total += scores.total;
-      }
-    }
+  if (e.key === 'Escape') {
+    toggleShortcutsOverlay(false);
+    return;
+  }
 
-    // Calculate percentages and add domain names
-    const performance = {};
-    for (const [domainId, scores] of Object.entries(domainAgg)) {
-      const percentage = scores.total > 0
-        ? Math.round((scores.correct / scores.total) * 100 * 10) / 10
-        : 0;
+  if (currentTab !== 'practice' || quizCard.hidden || !questionBox.firstElementChild) return;
 
-      // Get domain name from first question with this domainId
-      const sampleQ = QUESTIONS.find(q => q.domainId === domainId);
-      const domainName = sampleQ ? sampleQ.domain : domainId;
+  if (e.key === '?') {
+    e.preventDefault();
+    toggleShortcutsOverlay();
+    return;
+  }
 
-      performance[domainId] = {
-        correct: scores.correct,
-        total: scores.total,
-        percentage: percentage,
-        name: domainName
-      };
-    }
+  // The exam review screen hides the question: nothing to select or flag
+  if (quizCard.classList.contains('exam-review-open')) return;
 
-    console.info(`[SAA Info] Calculated performance for ${Object.keys(performance).length} domains`);
-    return performance;
-  }, {});
-}
+  const clickIfPresent = (el) => {
+    if (!el) return false;
+    e.preventDefault();
+    el.click();
+    return true;
+  };
 
-// ============================================================================
-// PERFORMANCE DASHBOARD UI - Visualization and rendering
-// ============================================================================
+  const key = e.key;
 
-/**
- * WHAT IT DOES: Renders the performance dashboard with all statistics and visualizations
- *
- * WHY WE NEED IT: Displays comprehensive analytics including summary stats,
- * domain performance bars, weak areas list, and score trend chart.
- *
- * HOW IT WORKS:
- * 1. Load session history from localStorage
- * 2. Calculate summary statistics
- * 3. Render domain performance bars
- * 4. Display weak areas list
- * 5. Draw score trend chart
- * 6. Show dashboard card
- *
- * SIDE EFFECTS:
- * - Modifies DOM elements in performanceCard
- * - Makes performanceCard visible
- */
-function renderPerformanceDashboard() {
-  safeOperation('Render Performance Dashboard', () => {
-    const history = getSessionHistory();
-    const performanceCard = document.getElementById('performanceCard');
+  if (key === 'ArrowLeft' || key === 'p' || key === 'P') {
+    clickIfPresent(prevBtn);
+    return;
+  }
 
-    // Visibility now controlled by page-section.active class (via switchTab)
+  if (key === 'ArrowRight' || key === 'n' || key === 'N') {
+    clickIfPresent(nextBtn);
+    return;
+  }
 
-    // If no history, show empty state
-    if (!history.sessions || history.sessions.length === 0) {
-      performanceCard.innerHTML = `
-        <div class="perf-header">
-          <h2>📊 Performance Dashboard</h2>
-        </div>
-        <div class="perf-empty">
-          <div class="perf-empty-icon">📈</div>
-          <div class="perf-empty-text">No performance data yet</div>
-          <div class="perf-empty-hint">Complete a quiz to start tracking your progress</div>
-        </div>
-      `;
+  if (key === 'f' || key === 'F') {
+    clickIfPresent(document.getElementById('flagBtn'));
+    return;
+  }
 
-      console.info('[SAA Info] Performance dashboard shown (empty state)');
-      return;
-    }
+  const confidenceKeys = { s: 'sure', u: 'unsure', g: 'guess' };
+  if (confidenceKeys[key.toLowerCase()]) {
+    clickIfPresent(questionBox.querySelector(`[data-confidence="${confidenceKeys[key.toLowerCase()]}"]`));
+    return;
+  }
 
-    // Calculate summary statistics
-    const totalAttempts = history.sessions.length;
-    const avgScore = Math.round(history.sessions.reduce((sum, s) => sum + s.points, 0) / totalAttempts);
-    const passedCount = history.sessions.filter(s => s.passed).length;
-    const passRate = Math.round((passedCount / totalAttempts) * 100);
+  if (key === 'Enter') {
+    // Let focused buttons/links handle Enter themselves (avoids double action)
+    if (e.target.closest && e.target.closest('button, a, summary')) return;
+    clickIfPresent(document.getElementById('checkAnswerBtn'));
+    return;
+  }
 
-    // Calculate improvement trend (compare last 3 to first 3)
-    let improvement = 0;
-    if (totalAttempts >= 4) {
-      const firstThree = history.sessions.slice(0, 3);
-      const lastThree = history.sessions.slice(-3);
-      const firstAvg = firstThree.reduce((sum, s) => sum + s.points, 0) / 3;
-      const lastAvg = lastThree.reduce((sum, s) => sum + s.points, 0) / 3;
-      improvement = Math.round(lastAvg - firstAvg);
+  // Shift changes the key ("!" for 1), so strike-outs are read from e.code
+  if (e.shiftKey && e.code) {
+    const struckIdx = choiceIndexForKey(e.code.replace(/^(Digit|Key)/, ''));
+    if (struckIdx !== null) {
+      clickIfPresent(questionBox.querySelector(`.choice-strike[data-strike="${struckIdx}"]`));
+      return;
     }
+  }
 
-    // Update summary stats
-    document.getElementById('totalAttempts').textContent = totalAttempts;
-    document.getElementById('avgScore').textContent = avgScore;
-    document.getElementById('passRate').textContent = `${passRate}%`;
-
-    const improvementEl = document.getElementById('improvement');
-    improvementEl.textContent = improvement >= 0 ? `+${improvement}` : improvement;
-    if (improvement > 0) {
-      improvementEl.style.color = 'var(--success)';
-    } else if (improvement < 0) {
-      improvementEl.style.color = 'var(--error)';
-    } else {
-      improvementEl.style.color = 'var(--muted)';
-    }
+  const choiceIdx = choiceIndexForKey(key);
+  if (choiceIdx !== null) {
+    clickIfPresent(questionBox.querySelector(`.choice[data-choice="${choiceIdx}"]`));
+  }
+}
 
-    // Render domain performance bars
-    renderDomainBars(history);
+// ============================================================================
+// QUESTION BANK VALIDATION - Schema check for every question at load time
+// ============================================================================
+// WHY WE NEED THIS: One malformed question deep in questions.json (answer
+// index out of range, duplicate id, unknown domain) used to break renderQuiz
+// or computeScore in the middle of a session. Every question is now checked
+// against QUESTION_SCHEMA; bad ones are left out and listed in a report,
+// the rest of the bank still loads.
 
-    // Render weak areas
-    renderWeakAreas(history);
+/**
+ * Exam domains a question may belong to (domainId → official name).
+ * SAA-C03 until applyExamProfile() installs the active profile's domains.
+ */
+let QUESTION_DOMAINS = {
+  D1: "Design Secure Architectures",
+  D2: "Design Resilient Architectures",
+  D3: "Design High-Performing Architectures",
+  D4: "Design Cost-Optimized Architectures"
+};
 
-    // Render score trend chart
-    renderScoreTrend(history);
+/**
+ * Declarative schema for a single question object.
+ *
+ * RULE KEYS:
+ * - type: "string" | "integer" | "array" | "object" | "answer"
+ *   ("answer" = integer OR array of integers, see isMultiAnswer)
+ * - required: field must be present
+ * - nonEmpty: strings must not be blank, arrays/objects must have entries
+ * - enum: allowed values
+ * - check(value, question): extra rule, returns an error string or null
+ */
+const QUESTION_SCHEMA = {
+  id: { type: "string", required: true, nonEmpty: true },
+  domainId: {
+    type: "string",
+    required: true,
+    check: (v) => (v in QUESTION_DOMAINS ? null : `unknown domainId "${v}"`)
+  },
+  domain: { type: "string", required: true, nonEmpty: true },
+  section: { type: "string", required: true, nonEmpty: true },
+  question: { type: "string", required: true, nonEmpty: true },
+  choices: {
+    type: "array",
+    required: true,
+    check: (v) => {
+      if (v.length < 2) return "needs at least 2 choices";
+      if (v.some(c => typeof c !== "string" || !c.trim())) return "every choice must be a non-empty string";
+      return null;
+    }
+  },
+  answer: {
+    type: "answer",
+    required: true,
+    check: (v, q) => {
+      if (!Array.isArray(q.choices)) return null; // Reported on choices
+      const indices = Array.isArray(v) ? v : [v];
+      if (indices.some(i => i < 0 || i >= q.choices.length)) {
+        return `answer index out of range (0-${q.choices.length - 1})`;
+      }
+      if (Array.isArray(v)) {
+        if (v.length < 2) return "multi-answer must list at least 2 indices";
+        if (new Set(v).size !== v.length) return "multi-answer has duplicate indices";
+        if (v.length >= q.choices.length) return "multi-answer cannot mark every choice correct";
+      }
+      return null;
+    }
+  },
+  explanation: { type: "string", required: true, nonEmpty: true },
+  difficulty: { type: "string", enum: ["Easy", "Medium", "Hard"] },
+  choiceExplanations: {
+    type: "object",
+    check: (v, q) => {
+      if (!Array.isArray(q.choices)) return null;
+      for (const [key, text] of Object.entries(v)) {
+        const idx = Number(key);
+        if (!Number.isInteger(idx) || idx < 0 || idx >= q.choices.length) {
+          return `choiceExplanations key "${key}" is not a valid choice index`;
+        }
+        if (typeof text !== "string") return `choiceExplanations["${key}"] must be a string`;
+      }
+      return null;
+    }
+  },
+  resources: {
+    type: "array",
+    check: (v) => v.every(r => r && typeof r.title === "string" && typeof r.url === "string")
+      ? null
+      : "every resource needs a title and url"
+  },
+  relatedConcepts: {
+    type: "array",
+    check: (v) => (v.every(c => typeof c === "string") ? null : "relatedConcepts must be strings")
+  },
+  examTips: { type: "string" },
+  // Optional explicit service tags; otherwise derived from section
+  services: {
+    type: "array",
+    check: (v) => {
+      if (!v.length) return "services must list at least one tag";
+      const unknown = v.filter(t => typeof t !== "string" || CANONICAL_TAGS.get(t.toLowerCase()) !== t);
+      return unknown.length ? `unknown service tag(s): ${unknown.join(", ")}` : null;
+    }
+  }
+};
 
-    console.info('[SAA Info] Performance dashboard rendered successfully');
-  }, undefined);
+/**
+ * WHAT IT DOES: Checks a value against a schema type name
+ *
+ * RETURNS: Boolean - true if the value has the expected type
+ */
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case "string": return typeof value === "string";
+    case "integer": return Number.isInteger(value);
+    case "array": return Array.isArray(value);
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "answer":
+      return Number.isInteger(value) ||
+        (Array.isArray(value) && value.every(v => Number.isInteger(v)));
+    default: return false;
+  }
 }
 
 /**
- * WHAT IT DOES: Renders horizontal bars showing performance by domain
+ * WHAT IT DOES: Validates one question object against QUESTION_SCHEMA
  *
  * PARAMETERS:
- * - history: History object from getSessionHistory()
+ * - q: Raw question object from questions.json
  *
- * SIDE EFFECTS: Updates domainBars element innerHTML
+ * RETURNS: Array of error strings (empty = valid)
+ *
+ * EXAMPLE:
+ * validateQuestion({ id: "SAA-999", answer: 7, ... })
+ *   → ["answer index out of range (0-3)"]
  */
-function renderDomainBars(history) {
-  const domainPerf = getDomainPerformance(history);
-  const domainBarsEl = document.getElementById('domainBars');
-
-  if (Object.keys(domainPerf).length === 0) {
-    domainBarsEl.innerHTML = '<div style="color: var(--muted); font-size: 14px;">No domain data available</div>';
-    return;
+function validateQuestion(q) {
+  if (!q || typeof q !== "object" || Array.isArray(q)) {
+    return ["question is not an object"];
   }
 
-  // Sort domains by ID (D1, D2, D3, D4)
-  const sortedDomains = Object.entries(domainPerf).sort((a, b) => a[0].localeCompare(b[0]));
+  const errors = [];
 
-  domainBarsEl.innerHTML = sortedDomains.map(([domainId, perf]) => {
-    const percentage = perf.percentage;
-    const colorClass = percentage >= 80 ? 'good' : percentage >= 60 ? 'medium' : 'poor';
+  for (const [field, rule] of Object.entries(QUESTION_SCHEMA)) {
+    const value = q[field];
 
-    return `
-      <div class="domain-bar">
-        <div class="domain-bar-header">
-          <div class="domain-bar-name">${domainId}: ${escapeHtml(perf.name)}</div>
-          <div class="domain-bar-stat">${perf.correct}/${perf.total} correct</div>
-        </div>
-        <div class="domain-bar-track">
-          <div class="domain-bar-fill ${colorClass}" style="width: ${percentage}%;">
-            ${percentage}%
-          </div>
-        </div>
-      </div>
-    `;
-  }).join('');
+    if (value === undefined) {
+      if (rule.required) errors.push(`missing required field "${field}"`);
+      continue;
+    }
+
+    if (!matchesSchemaType(value, rule.type)) {
+      errors.push(`"${field}" must be of type ${rule.type}`);
+      continue;
+    }
+
+    if (rule.nonEmpty && typeof value === "string" && !value.trim()) {
+      errors.push(`"${field}" must not be empty`);
+      continue;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`"${field}" must be one of ${rule.enum.join(", ")}`);
+      continue;
+    }
+
+    if (rule.check) {
+      const err = rule.check(value, q);
+      if (err) errors.push(err);
+    }
+  }
+
+  return errors;
 }
 
 /**
- * WHAT IT DOES: Renders list of most frequently missed questions
+ * WHAT IT DOES: Validates the whole question bank
+ *
+ * HOW IT WORKS:
+ * 1. Run validateQuestion() on every entry
+ * 2. Reject duplicate ids (the first occurrence wins)
+ * 3. Split into valid questions and a rejection list
  *
  * PARAMETERS:
- * - history: History object from getSessionHistory()
+ * - questions: Raw array parsed from questions.json
  *
- * SIDE EFFECTS: Updates weakAreas element innerHTML
+ * RETURNS: { valid: [...questions], rejected: [{ id, index, reasons }] }
  */
-function renderWeakAreas(history) {
-  const weakAreas = analyzeWeakAreas(history, 10);
-  const weakAreasEl = document.getElementById('weakAreas');
+function validateQuestionBank(questions) {
+  const valid = [];
+  const rejected = [];
+  const seenIds = new Set();
 
-  if (weakAreas.length === 0) {
-    weakAreasEl.innerHTML = '<div style="color: var(--muted); font-size: 14px;">Great job! No weak areas identified yet.</div>';
-    return;
-  }
+  questions.forEach((q, index) => {
+    const reasons = validateQuestion(q);
+    const id = q && typeof q.id === "string" ? q.id : `#${index + 1}`;
 
-  weakAreasEl.innerHTML = weakAreas.map(area => {
-    const missRate = Math.round((area.missCount / area.attempts) * 100);
-    const question = area.question;
+    if (reasons.length === 0 && seenIds.has(q.id)) {
+      reasons.push(`duplicate id (first occurrence kept)`);
+    }
 
-    if (!question) {
-      return '';
+    if (reasons.length > 0) {
+      rejected.push({ id, index, reasons });
+      return;
     }
 
-    return `
-      <div class="weak-item">
-        <div class="weak-item-text">
-          <strong>${escapeHtml(question.id)}</strong> • ${escapeHtml(question.section)} • ${escapeHtml(question.domainId)}<br>
-          <span style="font-size: 13px; color: var(--muted);">${escapeHtml(question.question.substring(0, 80))}${question.question.length > 80 ? '...' : ''}</span>
-        </div>
-        <div class="weak-item-stats">
-          <span>${area.attempts} attempts</span>
-          <div class="weak-item-badge">${area.missCount} missed (${missRate}%)</div>
-        </div>
-      </div>
-    `;
-  }).join('');
+    seenIds.add(q.id);
+    valid.push(q);
+  });
+
+  if (rejected.length > 0) {
+    console.warn(`[SAA Warning] ${rejected.length} invalid question(s) skipped:`, rejected);
+  }
+
+  return { valid, rejected };
 }
 
 /**
- * WHAT IT DOES: Renders a line chart showing score progression over time
+ * WHAT IT DOES: Shows a dismissible report of rejected questions
+ *
+ * WHY WE NEED IT: Rejections must be visible (so the bank gets fixed)
+ * but must not stop anyone from practising with the valid questions.
  *
  * PARAMETERS:
- * - history: History object from getSessionHistory()
+ * - report: Result of validateQuestionBank()
  *
- * SIDE EFFECTS: Updates scoreTrend element innerHTML
+ * SIDE EFFECTS: Fills and shows #validationReport (hidden when nothing was rejected)
  */
-function renderScoreTrend(history) {
-  const trend = getScoreTrend(history);
-  const scoreTrendEl = document.getElementById('scoreTrend');
+function renderValidationReport(report) {
+  const reportEl = document.getElementById('validationReport');
+  if (!reportEl) return;
 
-  if (trend.length === 0) {
-    scoreTrendEl.innerHTML = '<div class="trend-empty">No score data available</div>';
+  if (report.rejected.length === 0) {
+    reportEl.hidden = true;
+    reportEl.innerHTML = '';
     return;
   }
 
-  // Take last 10 sessions for the chart
-  const recentTrend = trend.slice(-10);
+  const itemsHtml = report.rejected.map(r => `
+    <li><strong>${escapeHtml(r.id)}</strong> (entry ${r.index + 1}): ${escapeHtml(r.reasons.join('; '))}</li>
+  `).join('');
 
-  // Chart dimensions and settings
-  const maxScore = 1000;
-  const minScore = 0;
-  const passingScore = PASSING_SCORE; // 720
-  const chartHeight = 180;
-  const chartWidth = scoreTrendEl.offsetWidth || 600;
-  const padding = { top: 10, right: 10, bottom: 10, left: 50 };
-  const plotHeight = chartHeight - padding.top - padding.bottom;
-  const plotWidth = chartWidth - padding.left - padding.right;
+  reportEl.innerHTML = `
+    <div class="validation-header">
+      <strong>⚠️ ${report.rejected.length} question${report.rejected.length === 1 ? '' : 's'} skipped</strong>
+      — ${report.valid.length} valid questions loaded.
+      <button type="button" class="btn btn-ghost validation-dismiss" id="validationDismissBtn">Dismiss</button>
+    </div>
+    <details>
+      <summary>Show details</summary>
+      <ul class="validation-list">${itemsHtml}</ul>
+    </details>
+  `;
+  reportEl.hidden = false;
 
-  // Calculate positions for each data point
-  const pointSpacing = recentTrend.length > 1 ? plotWidth / (recentTrend.length - 1) : plotWidth / 2;
+  document.getElementById('validationDismissBtn').addEventListener('click', () => {
+    reportEl.hidden = true;
+  });
+}
 
-  // Generate Y-axis grid lines (1000, 750, 500, 250, 0)
-  const gridLines = [1000, 750, 500, 250, 0];
+// ============================================================================
+// QUESTION EDITOR - Create and edit questions, export the updated bank
+// ============================================================================
+// questions.json used to be edited by hand, so section names, difficulty and
+// choiceExplanations drifted. The Editor tab edits one question at a time:
+// - new questions get the next free SAA-NNN id
+// - every change is checked against QUESTION_SCHEMA plus the bank's
+//   conventions (lintQuestion) and previewed with the quiz renderer
+// - edits are kept as drafts in localStorage until exported as a complete
+//   questions.json (drafts never change the bank this app is using)
 
-  // Build chart HTML
-  let chartHtml = '<div class="trend-canvas" style="margin-left: 50px;">';
+let QUESTION_ID_PREFIX = "SAA-"; // Set from the exam profile's questionIdPrefix
+const MULTI_ANSWER_WORDS = { 2: "TWO", 3: "THREE", 4: "FOUR" }; // "(Choose TWO.)" suffix by number of answers
 
-  // Add grid lines
-  chartHtml += '<div class="trend-grid">';
-  gridLines.forEach(score => {
-    const yPercent = ((maxScore - score) / (maxScore - minScore)) * 100;
-    chartHtml += `
-      <div class="trend-grid-line" style="position: absolute; top: ${yPercent}%; width: 100%;">
-        <span class="trend-grid-label">${score}</span>
-      </div>
-    `;
-  });
-  chartHtml += '</div>';
+let editorQuestion = null; // Question currently in the editor form (null = none open)
 
-  // Add passing score line
-  const passingYPercent = ((maxScore - passingScore) / (maxScore - minScore)) * 100;
-  chartHtml += `
-    <div class="trend-passing-line" style="top: ${passingYPercent}%;">
-      <span class="trend-passing-label">Pass (${passingScore})</span>
-    </div>
-  `;
+/**
+ * WHAT IT DOES: Loads editor drafts
+ *
+ * STRUCTURE: { version: 1, questions: { "SAA-669": { ...question } } }
+ */
+function loadAuthoringDrafts() {
+  return safeOperation('Load Authoring Drafts', () => {
+    const raw = localStorage.getItem(AUTHORING_DRAFTS_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (!parsed || typeof parsed.questions !== "object" || parsed.questions === null) {
+      return { version: 1, questions: {} };
+    }
+    return parsed;
+  }, { version: 1, questions: {} });
+}
 
-  // Add connecting lines between points
-  chartHtml += '<div class="trend-line">';
-  for (let i = 0; i < recentTrend.length - 1; i++) {
-    const point1 = recentTrend[i];
-    const point2 = recentTrend[i + 1];
+/**
+ * WHAT IT DOES: Saves editor drafts
+ */
+function saveAuthoringDrafts(drafts) {
+  safeOperation('Save Authoring Drafts', () => {
+    localStorage.setItem(AUTHORING_DRAFTS_KEY, JSON.stringify(drafts));
+  }, undefined);
+}
 
-    const x1 = i * pointSpacing;
-    const y1 = ((maxScore - point1.score) / (maxScore - minScore)) * plotHeight;
-    const x2 = (i + 1) * pointSpacing;
-    const y2 = ((maxScore - point2.score) / (maxScore - minScore)) * plotHeight;
+/**
+ * WHAT IT DOES: Returns the question bank with all drafts applied
+ *
+ * HOW IT WORKS: Starts from the raw questions.json (questionBankRaw, so
+ * entries rejected by validation are kept), replaces edited questions in
+ * place and appends new ones in id order. A draft replaces only the first
+ * entry with its id - the one validateQuestionBank() keeps - so later
+ * duplicates stay as they are in the file
+ *
+ * RETURNS: Array of question objects (export order)
+ */
+function getAuthoringBank() {
+  const drafts = loadAuthoringDrafts().questions;
+  const rawIds = new Set(questionBankRaw.map(q => q && q.id));
+
+  const applied = new Set();
+  const bank = questionBankRaw.map(q => {
+    if (!q || !drafts[q.id] || applied.has(q.id)) return q;
+    applied.add(q.id);
+    return drafts[q.id];
+  });
+  const added = Object.values(drafts)
+    .filter(q => !rawIds.has(q.id))
+    .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
 
-    const length = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
-    const angle = Math.atan2(y2 - y1, x2 - x1) * (180 / Math.PI);
+  return bank.concat(added);
+}
 
-    chartHtml += `
-      <div class="trend-connector" style="
-        left: ${x1}px;
-        top: ${y1}px;
-        width: ${length}px;
-        transform: rotate(${angle}deg);
-      "></div>
-    `;
-  }
-  chartHtml += '</div>';
+/**
+ * WHAT IT DOES: Allocates the id for a new question
+ *
+ * RETURNS: The id after the highest SAA-NNN in the bank and drafts
+ *
+ * EXAMPLE: bank ends at "SAA-668" → "SAA-669"
+ */
+function nextQuestionId() {
+  const numbers = getAuthoringBank()
+    .map(q => q && typeof q.id === "string" && q.id.startsWith(QUESTION_ID_PREFIX) ? Number(q.id.slice(QUESTION_ID_PREFIX.length)) : NaN)
+    .filter(Number.isFinite);
+  const next = (numbers.length ? Math.max(...numbers) : 0) + 1;
+  return `${QUESTION_ID_PREFIX}${String(next).padStart(3, "0")}`;
+}
 
-  // Add data points
-  recentTrend.forEach((point, i) => {
-    const x = i * pointSpacing;
-    const y = ((maxScore - point.score) / (maxScore - minScore)) * plotHeight;
-    const passedClass = point.passed ? 'passed' : '';
+/**
+ * WHAT IT DOES: Creates an empty question with the next free id
+ */
+function createBlankQuestion() {
+  return {
+    id: nextQuestionId(),
+    domainId: "D1",
+    domain: QUESTION_DOMAINS.D1,
+    section: "",
+    question: "",
+    choices: ["", "", "", ""],
+    answer: 0,
+    explanation: "",
+    difficulty: "Medium",
+    choiceExplanations: {}
+  };
+}
 
-    // Format date for tooltip
-    const date = new Date(point.date);
-    const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+/**
+ * WHAT IT DOES: Checks a question against the schema and the bank's conventions
+ *
+ * CONVENTIONS (errors):
+ * - Multi-answer questions end with "(Choose TWO.)" matching the number of
+ *   answers; single-answer questions don't say "(Choose ...)"
+ * - domain is the official name of domainId
+ *
+ * CONVENTIONS (warnings - export still allowed):
+ * - section maps onto the service taxonomy and has no "(Select TWO)" suffix
+ * - every wrong choice has a choiceExplanations entry, correct ones don't
+ * - choices are distinct
+ *
+ * RETURNS: { errors: [...strings], warnings: [...strings] }
+ */
+function lintQuestion(q) {
+  const errors = validateQuestion(q);
+  const warnings = [];
+
+  const choices = Array.isArray(q.choices) ? q.choices : [];
+  const answers = q.answer === undefined ? [] : [].concat(q.answer);
+  const letter = (i) => String.fromCharCode(65 + i);
+  const chooseMatch = String(q.question || "").match(/\((?:choose|select) (\w+)\.?\)\s*$/i);
+
+  if (answers.length > 1) {
+    const word = MULTI_ANSWER_WORDS[answers.length];
+    if (!chooseMatch || chooseMatch[1].toUpperCase() !== word) {
+      errors.push(`${answers.length} correct answers: the question must end with "(Choose ${word}.)"`);
+    }
+  } else if (/\((?:choose|select) \w+\.?\)/i.test(q.question || "")) {
+    errors.push('Single-answer question must not say "(Choose ...)" - mark more correct choices or remove it');
+  }
 
-    chartHtml += `
-      <div class="trend-point ${passedClass}"
-           style="left: ${x}px; top: ${y}px;"
-           data-score="${point.score}"
-           data-date="${dateStr}"
-           data-mode="${point.mode}"
-           data-passed="${point.passed}">
-      </div>
-    `;
-  });
+  if (q.domainId in QUESTION_DOMAINS && q.domain !== QUESTION_DOMAINS[q.domainId]) {
+    errors.push(`domain must be "${QUESTION_DOMAINS[q.domainId]}" for ${q.domainId}`);
+  }
 
-  chartHtml += '</div>';
+  if (/\((?:choose|select) \w+\.?\)/i.test(q.section || "")) {
+    warnings.push('Put "(Choose TWO.)" in the question text, not in the section');
+  }
+  const unknownTags = servicesForSection(q.section).filter(tag => !CANONICAL_TAGS.has(tag.toLowerCase()));
+  if (q.section && unknownTags.length) {
+    warnings.push(`Section "${q.section}" is not in the service taxonomy (${unknownTags.join(", ")}) - pick a tag from the list`);
+  }
 
-  scoreTrendEl.innerHTML = chartHtml;
+  const explained = q.choiceExplanations || {};
+  const missing = choices.map((_, i) => i).filter(i => !answers.includes(i) && !String(explained[i] || "").trim());
+  if (missing.length) {
+    warnings.push(`No "why it's wrong" explanation for choice${missing.length === 1 ? "" : "s"} ${missing.map(letter).join(", ")}`);
+  }
+  const onCorrect = answers.filter(i => explained[i] !== undefined);
+  if (onCorrect.length) {
+    warnings.push(`Correct choice${onCorrect.length === 1 ? "" : "s"} ${onCorrect.map(letter).join(", ")} should not have a "why it's wrong" explanation`);
+  }
 
-  // Add hover tooltips to points
-  scoreTrendEl.querySelectorAll('.trend-point').forEach(pointEl => {
-    pointEl.addEventListener('mouseenter', () => {
-      const score = pointEl.getAttribute('data-score');
-      const date = pointEl.getAttribute('data-date');
-      const mode = pointEl.getAttribute('data-mode');
-      const passed = pointEl.getAttribute('data-passed') === 'true';
+  const seen = new Set();
+  for (const choice of choices) {
+    const key = String(choice).trim().toLowerCase();
+    if (key && seen.has(key)) {
+      warnings.push(`Duplicate choice "${choice}"`);
+      break;
+    }
+    seen.add(key);
+  }
 
-      const tooltip = document.createElement('div');
-      tooltip.className = 'trend-tooltip visible';
-      tooltip.innerHTML = `
-        <div><strong>${date}</strong></div>
-        <div>Score: ${score}/1000</div>
-        <div>Mode: ${mode}</div>
-        <div style="color: ${passed ? 'var(--success)' : 'var(--error)'};">${passed ? '✓ Passed' : '✗ Failed'}</div>
-      `;
+  return { errors, warnings };
+}
 
-      const rect = pointEl.getBoundingClientRect();
-      const chartRect = scoreTrendEl.getBoundingClientRect();
+/**
+ * WHAT IT DOES: Renders the editor form for a question
+ *
+ * SIDE EFFECTS: Updates editorForm innerHTML, then the checks and preview
+ */
+function renderEditorForm(q) {
+  const formEl = document.getElementById('editorForm');
+  if (!formEl) return;
+
+  editorQuestion = q;
+  const answers = q.answer === undefined ? [] : [].concat(q.answer);
+  const explained = q.choiceExplanations || {};
+
+  const domainOptions = Object.entries(QUESTION_DOMAINS).map(([id, name]) =>
+    `<option value="${id}" ${q.domainId === id ? 'selected' : ''}>${id}: ${escapeHtml(name)}</option>`
+  ).join('');
+  const difficultyOptions = ['Easy', 'Medium', 'Hard'].map(d =>
+    `<option value="${d}" ${q.difficulty === d ? 'selected' : ''}>${d}</option>`
+  ).join('');
+  const tagOptions = SERVICE_TAXONOMY.flatMap(group => group.tags)
+    .map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('');
+
+  const choicesHtml = q.choices.map((choice, i) => {
+    const correct = answers.includes(i);
+    return `
+      <div class="editor-choice ${correct ? 'correct' : ''}">
+        <div class="editor-choice-head">
+          <strong>${String.fromCharCode(65 + i)}.</strong>
+          <label><input type="checkbox" data-editor-correct="${i}" ${correct ? 'checked' : ''}> Correct</label>
+          <button type="button" class="btn editor-remove-btn" data-editor-action="remove-choice" data-editor-index="${i}" ${q.choices.length <= 2 ? 'disabled' : ''} title="Remove choice">✕</button>
+        </div>
+        <textarea rows="2" data-editor-choice="${i}" placeholder="Choice text">${escapeHtml(choice)}</textarea>
+        ${correct
+          ? ''
+          : `<textarea rows="2" data-editor-choice-exp="${i}" placeholder="Why this choice is wrong">${escapeHtml(explained[i] || '')}</textarea>`}
+      </div>
+    `;
+  }).join('');
 
-      // Calculate tooltip dimensions (approximate)
-      const tooltipHeight = 80; // Approximate tooltip height in pixels
-      const tooltipWidth = 100; // Approximate tooltip width in pixels
+  formEl.innerHTML = `
+    <div class="editor-grid">
+      <label>ID<input type="text" value="${escapeHtml(q.id)}" readonly></label>
+      <label>Domain<select data-editor-field="domainId">${domainOptions}</select></label>
+      <label>Section<input type="text" data-editor-field="section" list="editorSectionTags" value="${escapeHtml(q.section)}" placeholder="e.g. S3"></label>
+      <label>Difficulty<select data-editor-field="difficulty">${difficultyOptions}</select></label>
+    </div>
+    <datalist id="editorSectionTags">${tagOptions}</datalist>
+    <label class="editor-block">Question<textarea rows="4" data-editor-field="question">${escapeHtml(q.question)}</textarea></label>
+    <div class="editor-choices">${choicesHtml}</div>
+    <button type="button" class="btn" data-editor-action="add-choice" ${q.choices.length >= 6 ? 'disabled' : ''}>+ Add choice</button>
+    <label class="editor-block">Explanation<textarea rows="3" data-editor-field="explanation">${escapeHtml(q.explanation)}</textarea></label>
+    <label class="editor-block">Exam tips (optional)<textarea rows="2" data-editor-field="examTips">${escapeHtml(q.examTips || '')}</textarea></label>
+    <div class="actions">
+      <button type="button" class="btn btn-primary" data-editor-action="save">💾 Save draft</button>
+      <button type="button" class="btn" data-editor-action="close">Close</button>
+    </div>
+  `;
 
-      // Calculate point position relative to chart
-      const pointX = rect.left - chartRect.left;
-      const pointY = rect.top - chartRect.top;
+  renderEditorChecks(q);
+}
 
-      // ✅ Smart vertical positioning: flip below if too close to top
-      const flipThreshold = 100; // If point is within 100px of top, show tooltip below
-      let tooltipY;
+/**
+ * WHAT IT DOES: Reads the editor form back into a question object
+ *
+ * HOW IT WORKS: Starts from editorQuestion so fields the form doesn't show
+ * (resources, relatedConcepts, services) are kept as they were
+ *
+ * RETURNS: Question object
+ */
+function readEditorForm() {
+  const formEl = document.getElementById('editorForm');
+  const q = JSON.parse(JSON.stringify(editorQuestion));
+  const field = (name) => formEl.querySelector(`[data-editor-field="${name}"]`).value;
+
+  q.domainId = field('domainId');
+  q.domain = QUESTION_DOMAINS[q.domainId] || q.domain;
+  q.section = field('section').trim();
+  q.difficulty = field('difficulty');
+  q.question = field('question').trim();
+  q.explanation = field('explanation').trim();
+
+  const tips = field('examTips').trim();
+  if (tips) q.examTips = tips;
+  else delete q.examTips;
+
+  q.choices = [...formEl.querySelectorAll('[data-editor-choice]')].map(el => el.value.trim());
+
+  const correct = [...formEl.querySelectorAll('[data-editor-correct]')]
+    .filter(el => el.checked)
+    .map(el => Number(el.getAttribute('data-editor-correct')));
+  if (correct.length === 0) delete q.answer;
+  else q.answer = correct.length === 1 ? correct[0] : correct;
+
+  q.choiceExplanations = {};
+  for (const el of formEl.querySelectorAll('[data-editor-choice-exp]')) {
+    const text = el.value.trim();
+    if (text) q.choiceExplanations[el.getAttribute('data-editor-choice-exp')] = text;
+  }
 
-      if (pointY < flipThreshold) {
-        // Too close to top - show tooltip BELOW the point
-        tooltipY = pointY + 15; // 15px below point
-        console.info('[SAA Info] Tooltip flipped below point (too close to top edge)');
-      } else {
-        // Normal case - show tooltip ABOVE the point
-        tooltipY = pointY - tooltipHeight;
-      }
+  return q;
+}
 
-      // Horizontal positioning (centered, with bounds checking)
-      let tooltipX = pointX - (tooltipWidth / 2);
+/**
+ * WHAT IT DOES: Shows lint results and the quiz preview for a question
+ *
+ * HOW IT WORKS: The preview is built by buildQuestionViewHtml() - the same
+ * code renderQuiz() uses - with the correct answer selected and revealed
+ *
+ * SIDE EFFECTS: Updates editorChecks and editorPreview innerHTML
+ */
+function renderEditorChecks(q) {
+  const checksEl = document.getElementById('editorChecks');
+  const previewEl = document.getElementById('editorPreview');
+  if (!checksEl || !previewEl) return;
+
+  const { errors, warnings } = lintQuestion(q);
+  checksEl.innerHTML = errors.length === 0 && warnings.length === 0
+    ? '<div class="editor-ok">✅ No problems found</div>'
+    : `<ul class="editor-issues">
+         ${errors.map(e => `<li class="error">❌ ${escapeHtml(e)}</li>`).join('')}
+         ${warnings.map(w => `<li class="warning">⚠️ ${escapeHtml(w)}</li>`).join('')}
+       </ul>`;
+
+  // Preview needs choices and a valid answer to render at all
+  const canPreview = Array.isArray(q.choices) && q.choices.length > 0 && q.answer !== undefined &&
+    [].concat(q.answer).every(i => i < q.choices.length);
+  if (!canPreview) {
+    previewEl.innerHTML = '<div class="meta">Mark at least one correct choice to see the preview.</div>';
+    return;
+  }
 
-      // Keep tooltip within chart bounds horizontally
-      if (tooltipX < 0) {
-        tooltipX = 0;
-      } else if (tooltipX + tooltipWidth > chartRect.width) {
-        tooltipX = chartRect.width - tooltipWidth;
-      }
+  const { choicesHtml, feedbackHtml } = buildQuestionViewHtml(q, {
+    selected: q.answer,
+    revealAnswers: true,
+    isDisabled: false,
+    locked: true
+  });
 
-      tooltip.style.left = tooltipX + 'px';
-      tooltip.style.top = tooltipY + 'px';
+  previewEl.innerHTML = `
+    <div class="q-title">${escapeHtml(q.question)}</div>
+    <div class="q-tags">${escapeHtml(q.domain)} • ${escapeHtml(q.id)}</div>
+    <div class="choices">${choicesHtml}</div>
+    ${feedbackHtml}
+  `;
+}
 
-      scoreTrendEl.appendChild(tooltip);
-      pointEl._tooltip = tooltip;
-    });
+/**
+ * WHAT IT DOES: Lists saved drafts and updates the export button
+ *
+ * SIDE EFFECTS: Updates editorDrafts innerHTML
+ */
+function renderEditorDrafts() {
+  const draftsEl = document.getElementById('editorDrafts');
+  if (!draftsEl) return;
+
+  const drafts = Object.values(loadAuthoringDrafts().questions)
+    .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+  const rawIds = new Set(questionBankRaw.map(q => q && q.id));
+
+  const listHtml = drafts.length
+    ? `<ul class="editor-draft-list">
+         ${drafts.map(q => `
+           <li>
+             <button type="button" class="btn editor-draft-btn" data-editor-action="open-draft" data-editor-id="${escapeHtml(q.id)}">${escapeHtml(q.id)}</button>
+             <span class="meta">${rawIds.has(q.id) ? 'edited' : 'new'} • ${escapeHtml(q.question.substring(0, 70))}${q.question.length > 70 ? '...' : ''}</span>
+             <button type="button" class="btn editor-remove-btn" data-editor-action="discard-draft" data-editor-id="${escapeHtml(q.id)}" title="Discard draft">✕</button>
+           </li>`).join('')}
+       </ul>`
+    : '<div class="meta">No drafts yet.</div>';
+
+  draftsEl.innerHTML = `
+    ${listHtml}
+    <div class="actions">
+      <button type="button" class="btn btn-primary" data-editor-action="export" ${drafts.length ? '' : 'disabled'}>
+        ⬇️ Export ${escapeHtml(activeExamProfile.questionFile)} (${drafts.length} change${drafts.length === 1 ? '' : 's'})
+      </button>
+    </div>
+  `;
+}
 
-    pointEl.addEventListener('mouseleave', () => {
-      if (pointEl._tooltip) {
-        pointEl._tooltip.remove();
-        pointEl._tooltip = null;
-      }
-    });
-  });
+/**
+ * WHAT IT DOES: Shows a message under the editor toolbar
+ */
+function setEditorStatus(message, isError) {
+  const statusEl = document.getElementById('editorStatus');
+  if (!statusEl) return;
+  statusEl.textContent = message;
+  statusEl.classList.toggle('error', Boolean(isError));
+}
+
+/**
+ * WHAT IT DOES: Opens an existing question (its draft if there is one)
+ *
+ * PARAMETERS:
+ * - id: Question id, any case ("saa-12" works too)
+ */
+function openQuestionInEditor(id) {
+  const wanted = String(id || "").trim().toUpperCase();
+  const digits = wanted.slice(QUESTION_ID_PREFIX.length);
+  const padded = wanted.startsWith(QUESTION_ID_PREFIX.toUpperCase()) && /^\d+$/.test(digits)
+    ? `${QUESTION_ID_PREFIX}${digits.padStart(3, "0")}`
+    : wanted;
+  const q = getAuthoringBank().find(item => item && (item.id === wanted || item.id === padded));
+
+  if (!q) {
+    setEditorStatus(`No question with id "${id}".`, true);
+    return;
+  }
+  setEditorStatus('', false);
+  renderEditorForm(JSON.parse(JSON.stringify(q)));
 }
 
-// ============================================================================
-// NAVIGATION FUNCTIONS - Tab switching and state management
-// ============================================================================
+/**
+ * WHAT IT DOES: Saves the form as a draft (blocked while there are errors)
+ */
+function saveEditorDraft() {
+  const q = readEditorForm();
+  const { errors } = lintQuestion(q);
+  if (errors.length) {
+    renderEditorChecks(q);
+    setEditorStatus(`Fix ${errors.length} error${errors.length === 1 ? '' : 's'} before saving.`, true);
+    return;
+  }
+
+  const drafts = loadAuthoringDrafts();
+  drafts.questions[q.id] = q;
+  saveAuthoringDrafts(drafts);
+  editorQuestion = q;
+
+  renderEditorDrafts();
+  setEditorStatus(`Saved draft ${q.id}. Export ${activeExamProfile.questionFile} to publish it.`, false);
+  console.info(`[SAA Info] Saved authoring draft ${q.id}`);
+}
 
 /**
- * WHAT IT DOES: Switches between navigation tabs and manages content visibility
+ * WHAT IT DOES: Downloads the bank with all drafts applied as questions.json
  *
- * WHY WE NEED IT: Handles tab navigation while preserving quiz state and
- * managing timer pause/resume for timed mode. This is the core of the new
- * navigation system.
+ * HOW IT WORKS: Validates the whole result first (validateQuestionBank) so
+ * the exported file never has an entry the app would reject because of a
+ * draft (rejections of untouched entries, such as duplicates already in the
+ * file, do not block it); formatted like the repository file (2-space JSON)
  */
-function switchTab(tabName) {
-  safeOperation('Switch Tab', () => {
-    // === HANDLE RESET TAB ===
-    if (tabName === 'reset') {
-      const message =
-        "⚠️ RESET WILL DELETE ALL DATA:\n\n" +
-        "• Current quiz progress (questions, answers, timer)\n" +
-        "• Performance history (all past attempts)\n" +
-        "• Statistics and trends\n\n" +
-        "This cannot be undone. Continue?";
-
-      if (confirm(message)) {
-        console.info('[SAA Info] User initiated complete reset (state + history)');
-        stopTimer();
-        clearAllData();  // Clears both STATE_KEY and HISTORY_KEY
-        location.reload();
-      }
+function exportQuestionBank() {
+  safeOperation('Export Question Bank', () => {
+    const bank = getAuthoringBank();
+    const draftIds = new Set(Object.keys(loadAuthoringDrafts().questions));
+    const draftIndexes = new Set([...draftIds].map(id => bank.findIndex(q => q && q.id === id)));
+    const badDrafts = validateQuestionBank(bank).rejected.filter(r => draftIndexes.has(r.index));
+    if (badDrafts.length) {
+      setEditorStatus(`Not exported: ${badDrafts.map(r => `${r.id} (${r.reasons.join('; ')})`).join(', ')}`, true);
       return;
     }
 
-    // === CHECK QUIZ STATE ===
-    const state = normalizeStateForRuntime(loadState());
-    const hasActiveTimedQuiz = state &&
-                                state.session &&
-                                !state.session.completed &&
-                                state.session.mode === 'timed';
-
-    const leavingTimedQuiz = currentTab === 'practice' && hasActiveTimedQuiz;
-    const returningToTimedQuiz = tabName === 'practice' && hasActiveTimedQuiz && currentTab !== 'practice';
-
-    // === LEAVING TIMED QUIZ: PAUSE TIMER ===
-    if (leavingTimedQuiz) {
-      console.info('[SAA Info] Leaving timed quiz, pausing timer');
-
-      // Only pause if not already paused
-      if (!quizPausedState) {
-        stopTimer();
-
-        // Store frozen time for navigation pause (same as manual pause)
-        const frozenTime = getRemainingSec(state.session);
-
-        quizPausedState = {
-          pausedAt: nowMs(),
-          frozenTime: frozenTime
-        };
+    const blob = new Blob([JSON.stringify(bank, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
 
-        // Apply CSS class for visual pause state
-        const quizCard = document.getElementById('quizCard');
-        if (quizCard) {
-          quizCard.classList.add('quiz-manually-paused');
-        }
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = activeExamProfile.questionFile.split("/").pop();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
 
-        console.info('[SAA Info] Timer auto-paused (navigation)');
-      } else {
-        console.info('[SAA Info] Already paused, keeping pause state');
-      }
-    }
+    setEditorStatus(`Exported ${bank.length} questions (${draftIds.size} changed). Replace src/${activeExamProfile.questionFile} with the downloaded file.`, false);
+    console.info('[SAA Info] Question bank exported');
+  }, undefined);
+}
 
-    // === UPDATE NAVIGATION STATE ===
-    const previousTab = currentTab;
-    currentTab = tabName;
+/**
+ * WHAT IT DOES: Prepares the Editor tab (drafts list, empty form message)
+ */
+function renderEditor() {
+  renderEditorDrafts();
+  if (!editorQuestion) {
+    const formEl = document.getElementById('editorForm');
+    if (formEl) formEl.innerHTML = '<div class="meta">Open a question by id or start a new one.</div>';
+    const checksEl = document.getElementById('editorChecks');
+    if (checksEl) checksEl.innerHTML = '';
+    const previewEl = document.getElementById('editorPreview');
+    if (previewEl) previewEl.innerHTML = '';
+  }
+}
 
-    // Update tab button active states
-    document.querySelectorAll('.nav-tab').forEach(tab => {
-      const tabId = tab.getAttribute('data-tab');
-      if (tabId === tabName) {
-        tab.classList.add('active');
-      } else {
-        tab.classList.remove('active');
-      }
-    });
+// ============================================================================
+// OFFLINE SUPPORT - Service worker registration and question bank updates
+// ============================================================================
+// sw.js caches the app shell, questions.json and the presentations. The
+// question bank is served from cache until the user accepts an update, so a
+// session in progress never sees its questions change mid-way.
 
-    // === UPDATE SECTION VISIBILITY ===
-    document.querySelectorAll('.page-section').forEach(section => {
-      section.classList.remove('active');
-    });
+/**
+ * WHAT IT DOES: Registers the service worker (sw.js) for offline use
+ *
+ * Skipped when the browser has no service worker support or the app is
+ * opened from file:// (service workers need http/https).
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+    console.info('[SAA Info] Service worker not available, offline mode disabled');
+    return;
+  }
 
-    const sectionMap = {
-      'home': 'homeSection',
-      'practice': 'practiceSection',
-      'performance': 'performanceSection',
-      'presentations': 'presentationsSection'
-    };
+  navigator.serviceWorker.register('sw.js')
+    .then((reg) => console.info('[SAA Info] Service worker registered, scope:', reg.scope))
+    .catch((e) => console.warn('[SAA Warning] Service worker registration failed:', e.message));
 
-    const targetSection = document.getElementById(sectionMap[tabName]);
-    if (targetSection) {
-      targetSection.classList.add('active');
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'QUESTIONS_UPDATE_APPLIED') {
+      console.info('[SAA Info] New question bank stored, reloading');
+      location.reload();
     }
+  });
 
-    // === RETURNING TO TIMED QUIZ: RENDER WITH PAUSE STATE ===
-    if (returningToTimedQuiz) {
-      console.info('[SAA Info] Returning to timed quiz');
+  // Coming back online is a good moment to look for a newer bank
+  window.addEventListener('online', () => checkForQuestionBankUpdate());
+}
 
-      // Guard: Only keep pause state if session exists and is not completed
-      if (quizPausedState && (!state.session || state.session.completed)) {
-        console.info('[SAA Info] Clearing stale pause state (session completed or missing)');
-        quizPausedState = null;
-      }
+let pendingQuestionBankUpdate = null; // { text, count } offered while a session was in progress
 
-      // Update pause button icon based on pause state
-      const pauseBtn = document.getElementById('pauseBtn');
-      if (quizPausedState && pauseBtn) {
-        pauseBtn.textContent = '▶️';
-        pauseBtn.title = 'Resume quiz';
-        console.info('[SAA Info] Returning to paused quiz');
-      } else if (pauseBtn) {
-        pauseBtn.textContent = '⏸️';
-        pauseBtn.title = 'Pause quiz';
-      }
+/**
+ * WHAT IT DOES: Checks whether any saved session is still in progress
+ *
+ * RETURNS: Boolean
+ */
+function hasInProgressSession() {
+  const store = loadSessionStore();
+  return Object.values(store.sessions).some((entry) => entry.session && !entry.session.completed);
+}
 
-      // Render quiz (buttons will be disabled if paused)
-      renderQuiz(state);
-    } else if (tabName === 'practice' && state && state.session && !state.session.completed) {
-      renderQuiz(state);
-    }
+/**
+ * WHAT IT DOES: Asks the network for the latest questions.json and offers it
+ * as an update when it differs from the bank currently loaded
+ *
+ * HOW IT WORKS:
+ * 1. Only runs when a service worker controls the page and we're online
+ * 2. Fetches <questionFile>?check=... (sw.js sends this straight to the network)
+ * 3. Compares a hash of the text with questionBankSignature from init()
+ * 4. Validates the new bank and shows #updateBanner if it has valid questions
+ *
+ * SIDE EFFECTS: May show the update banner. Network errors are ignored.
+ */
+async function checkForQuestionBankUpdate() {
+  if (!navigator.serviceWorker || !navigator.serviceWorker.controller) return;
+  if (!navigator.onLine || questionBankSignature === null) return;
 
-    // === TAB-SPECIFIC RENDERING ===
-    if (tabName === 'performance') {
-      renderPerformanceDashboard();
-    }
+  try {
+    const res = await fetch(`${activeExamProfile.questionFile}?check=${nowMs()}`, { cache: 'no-store' });
+    if (!res.ok) return;
 
-    if (tabName === 'presentations') {
-      renderPresentations();
+    const text = await res.text();
+    if (hashStringToSeed(text) === questionBankSignature) {
+      console.info('[SAA Info] Question bank is up to date');
+      return;
     }
 
-    // === MOBILE: CLOSE MENU ===
-    const navMenu = document.getElementById('navMenu');
-    if (navMenu && navMenu.classList.contains('open')) {
-      navMenu.classList.remove('open');
+    const parsed = JSON.parse(text);
+    const report = Array.isArray(parsed) ? validateQuestionBank(parsed) : null;
+    if (!report || report.valid.length === 0) {
+      console.warn('[SAA Warning] New questions.json is not usable, ignoring update');
+      return;
     }
 
-    console.info(`[SAA Info] Switched from '${previousTab}' to '${tabName}'`);
-  }, undefined);
+    console.info(`[SAA Info] New question bank available (${report.valid.length} questions)`);
+    renderUpdateBanner(text, report.valid.length);
+  } catch (e) {
+    console.info('[SAA Info] Question bank update check skipped:', e.message);
+  }
 }
 
 /**
- * WHAT IT DOES: Debounced version of switchTab to prevent rapid clicking issues
+ * WHAT IT DOES: Shows the "new question bank" banner with Update / Later
+ *
+ * WHY: A new bank can change answer keys, so it is only installed when no
+ * session is in progress - otherwise answers given against the old bank
+ * would be graded against the new one. While sessions are in progress the
+ * banner explains the wait and the update is kept in
+ * pendingQuestionBankUpdate; offerPendingQuestionBankUpdate() shows the
+ * Update button once the last one is finished or discarded.
+ *
+ * PARAMETERS:
+ * - text: Raw questions.json text to install if the user accepts
+ * - count: Number of valid questions in it
+ *
+ * SIDE EFFECTS: Fills and shows #updateBanner
  */
-function switchTabDebounced(tabName) {
-  if (navigationLocked) {
-    console.info('[SAA Info] Navigation locked, ignoring click');
-    return;
-  }
+function renderUpdateBanner(text, count) {
+  const bannerEl = document.getElementById('updateBanner');
+  if (!bannerEl) return;
 
-  navigationLocked = true;
-  switchTab(tabName);
+  const waiting = hasInProgressSession();
+  pendingQuestionBankUpdate = waiting ? { text, count } : null;
 
-  setTimeout(() => {
-    navigationLocked = false;
-  }, 300);
+  const sessionNote = waiting
+    ? ' It can be installed once your sessions in progress are finished or discarded, so they are graded with the questions they were asked with.'
+    : '';
+
+  bannerEl.innerHTML = `
+    <div class="update-header">
+      <span>📦 <strong>New question bank available</strong> — ${count} questions (currently ${QUESTIONS.length}).${escapeHtml(sessionNote)}</span>
+      ${waiting ? '' : '<button type="button" class="btn btn-primary" id="updateApplyBtn">Update</button>'}
+      <button type="button" class="btn btn-ghost" id="updateLaterBtn">Later</button>
+    </div>
+  `;
+  bannerEl.hidden = false;
+
+  const applyBtn = document.getElementById('updateApplyBtn');
+  if (applyBtn) {
+    applyBtn.addEventListener('click', () => {
+      bannerEl.hidden = true;
+      applyQuestionBankUpdate(text, count);
+    });
+  }
+  document.getElementById('updateLaterBtn').addEventListener('click', () => {
+    bannerEl.hidden = true;
+  });
 }
 
 /**
- * WHAT IT DOES: Toggles pause state for timed quiz (no overlay)
- * WHY IT EXISTS: Allows user to pause/resume by clicking pause button
+ * WHAT IT DOES: Offers a deferred question bank update again once no
+ * session is in progress (see renderUpdateBanner)
+ *
+ * SIDE EFFECTS: May show #updateBanner with its Update button
  */
-function togglePause(state) {
-  safeOperation('Toggle Pause', () => {
-    const isPaused = quizPausedState !== null;
+function offerPendingQuestionBankUpdate() {
+  if (!pendingQuestionBankUpdate || hasInProgressSession()) return;
+  renderUpdateBanner(pendingQuestionBankUpdate.text, pendingQuestionBankUpdate.count);
+}
 
-    if (isPaused) {
-      // RESUME: Clear pause state and restart timer
-      if (quizPausedState && quizPausedState.pausedAt) {
-        const pauseDuration = nowMs() - quizPausedState.pausedAt;
-        state.session.startedAtMs += pauseDuration;
-        persistRuntimeState(state);
-
-        const pauseSeconds = Math.floor(pauseDuration / 1000);
-        console.info(`[SAA Info] Resumed after ${pauseSeconds}s pause`);
-      }
+/**
+ * WHAT IT DOES: Installs the accepted question bank and reloads
+ *
+ * The exact text the user was offered is handed to sw.js, which stores it
+ * and replies with QUESTIONS_UPDATE_APPLIED (handled in registerServiceWorker).
+ * Refused while a session is in progress (one may have been started in
+ * another tab since the banner was shown), so no session is ever re-graded
+ * against new answer keys.
+ *
+ * PARAMETERS:
+ * - text: Raw questions.json text the user accepted
+ * - count: Number of valid questions in it (for the banner if deferred)
+ */
+function applyQuestionBankUpdate(text, count) {
+  const controller = navigator.serviceWorker && navigator.serviceWorker.controller;
+  if (!controller) return;
 
-      quizPausedState = null;
-      startTimer(state);
+  if (hasInProgressSession()) {
+    console.warn('[SAA Warning] Question bank update deferred: a session is in progress');
+    renderUpdateBanner(text, count);
+    return;
+  }
 
-      // Remove CSS class to re-enable interactions
-      const quizCard = document.getElementById('quizCard');
-      if (quizCard) {
-        quizCard.classList.remove('quiz-manually-paused');
-      }
+  controller.postMessage({ type: 'APPLY_QUESTIONS_UPDATE', file: activeExamProfile.questionFile, body: text });
+}
 
-      // Update pause button back to pause icon
-      const pauseBtn = document.getElementById('pauseBtn');
-      pauseBtn.textContent = '⏸️';
-      pauseBtn.title = 'Pause quiz';
+// ============================================================================
+// EXAM PROFILES - Question bank and exam format per certification
+// ============================================================================
+// exams.json lists the exams this app can drill. Each profile names its
+// question file and the exam format that used to be hard-coded for SAA-C03
+// (duration, question counts, passing score, domains and their weights).
+// The profile picked in the header is stored in EXAM_PROFILE_KEY; switching
+// reloads the page so every module starts from the new profile's data.
+//
+// MANIFEST FORMAT (exams.json):
+// {
+//   version: 1,
+//   profiles: [{
+//     id: "saa-c03", code: "SAA-C03", name: "...",
+//     questionFile: "questions.json", questionIdPrefix: "SAA-",
+//     durationMinutes: 130, totalQuestions: 65, scoredQuestions: 50,
+//     passingScore: 720,
+//     domains: [{ id: "D1", name: "Design Secure Architectures", weight: 30 }, ...]
+//   }]
+// }
+// The first profile is the default.
+
+const EXAM_MANIFEST_URL = "exams.json";
+const EXAM_PROFILE_KEY = "saa_exam_profile_v1"; // localStorage key for the selected profile id (shared by all profiles)
+const LEGACY_PROFILE_ID = "saa-c03"; // Profile whose data uses the original, un-suffixed storage names
 
-      // Re-render to enable buttons
-      renderQuiz(state);
+/**
+ * Used when exams.json is missing or has no valid profile, so the app still
+ * works as the SAA-C03 trainer it started as
+ */
+const BUILTIN_EXAM_PROFILE = {
+  id: LEGACY_PROFILE_ID,
+  code: "SAA-C03",
+  name: "AWS Certified Solutions Architect - Associate",
+  questionFile: "questions.json",
+  questionIdPrefix: "SAA-",
+  durationMinutes: 130,
+  totalQuestions: 65,
+  scoredQuestions: 50,
+  passingScore: 720,
+  domains: [
+    { id: "D1", name: "Design Secure Architectures", weight: 30 },
+    { id: "D2", name: "Design Resilient Architectures", weight: 26 },
+    { id: "D3", name: "Design High-Performing Architectures", weight: 24 },
+    { id: "D4", name: "Design Cost-Optimized Architectures", weight: 20 }
+  ]
+};
+
+let examProfiles = [BUILTIN_EXAM_PROFILE]; // Valid profiles from exams.json
+let activeExamProfile = BUILTIN_EXAM_PROFILE; // Profile the app is running with
 
-      console.info('[SAA Info] Quiz resumed');
-    } else {
-      // PAUSE: Stop timer and set pause state
-      stopTimer();
+/**
+ * WHAT IT DOES: Checks one exams.json profile
+ *
+ * RETURNS: Array of error strings (empty = valid)
+ *
+ * EXAMPLE:
+ * validateExamProfile({ id: "clf-c02", passingScore: 1200, ... })
+ *   → ["passingScore must be between 100 and 1000"]
+ */
+function validateExamProfile(p) {
+  if (!p || typeof p !== "object" || Array.isArray(p)) return ["profile is not an object"];
 
-      // Store frozen time value for display
-      const frozenTime = getRemainingSec(state.session);
+  const errors = [];
+  const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
 
-      quizPausedState = {
-        pausedAt: nowMs(),
-        frozenTime: frozenTime  // Save the time we paused at
-      };
+  if (typeof p.id !== "string" || !/^[a-z0-9-]+$/.test(p.id)) errors.push('id must be lowercase letters, digits and "-"');
+  for (const field of ["code", "name"]) {
+    if (typeof p[field] !== "string" || !p[field].trim()) errors.push(`${field} must be a non-empty string`);
+  }
+  if (typeof p.questionFile !== "string" || !/\.json$/.test(p.questionFile) || p.questionFile === EXAM_MANIFEST_URL) {
+    errors.push("questionFile must be a .json file other than exams.json");
+  }
+  if (p.questionIdPrefix !== undefined && typeof p.questionIdPrefix !== "string") errors.push("questionIdPrefix must be a string");
+  if (!(typeof p.durationMinutes === "number" && p.durationMinutes > 0)) errors.push("durationMinutes must be a positive number");
+  if (!isPositiveInt(p.totalQuestions)) errors.push("totalQuestions must be a positive integer");
+  if (!isPositiveInt(p.scoredQuestions) || p.scoredQuestions > p.totalQuestions) {
+    errors.push("scoredQuestions must be a positive integer no larger than totalQuestions");
+  }
+  if (!(typeof p.passingScore === "number" && p.passingScore >= SCALED_MIN_SCORE && p.passingScore <= MAX_SCORE)) {
+    errors.push(`passingScore must be between ${SCALED_MIN_SCORE} and ${MAX_SCORE}`);
+  }
 
-      // Apply CSS class to visually disable interactions
-      const quizCard = document.getElementById('quizCard');
-      if (quizCard) {
-        quizCard.classList.add('quiz-manually-paused');
+  if (!Array.isArray(p.domains) || p.domains.length === 0) {
+    errors.push("domains must be a non-empty array");
+  } else {
+    const ids = new Set();
+    p.domains.forEach((d, i) => {
+      if (!d || typeof d.id !== "string" || !d.id || typeof d.name !== "string" || !d.name) {
+        errors.push(`domains[${i}] needs an id and a name`);
+      } else if (ids.has(d.id)) {
+        errors.push(`duplicate domain id "${d.id}"`);
+      } else {
+        ids.add(d.id);
       }
+      if (d && !(typeof d.weight === "number" && d.weight >= 0)) errors.push(`domains[${i}].weight must be a number >= 0`);
+    });
+  }
 
-      // Update pause button to resume icon
-      const pauseBtn = document.getElementById('pauseBtn');
-      pauseBtn.textContent = '▶️';
-      pauseBtn.title = 'Resume quiz';
-
-      // Re-render to disable buttons
-      renderQuiz(state);
-
-      console.info('[SAA Info] Quiz paused');
-    }
-  }, undefined);
+  return errors;
 }
 
 /**
- * WHAT IT DOES: Renders the presentations list with embedded PDF viewers
+ * WHAT IT DOES: Loads and validates exams.json
+ *
+ * ERROR HANDLING: Invalid profiles are skipped with a warning; a missing or
+ * unusable manifest falls back to BUILTIN_EXAM_PROFILE
+ *
+ * RETURNS: Promise → array of valid profiles (never empty)
  */
-function renderPresentations() {
-  safeOperation('Render Presentations', () => {
-    const presentationsListEl = document.querySelector('.presentations-list');
+async function loadExamProfiles() {
+  try {
+    const res = await fetch(EXAM_MANIFEST_URL, { cache: "no-store" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+
+    const manifest = await res.json();
+    if (!manifest || !Array.isArray(manifest.profiles)) throw new Error("exams.json has no profiles array");
+
+    const seen = new Set();
+    const profiles = manifest.profiles.filter((p, index) => {
+      const errors = validateExamProfile(p);
+      if (errors.length === 0 && seen.has(p.id)) errors.push("duplicate profile id");
+      if (errors.length > 0) {
+        console.warn(`[SAA Warning] Exam profile ${p && p.id ? p.id : `#${index + 1}`} skipped:`, errors);
+        return false;
+      }
+      seen.add(p.id);
+      return true;
+    });
 
-    if (!presentationsListEl) {
-      console.warn('[SAA Warning] Presentations list element not found');
-      return;
-    }
+    if (profiles.length === 0) throw new Error("exams.json has no valid profile");
+    return profiles;
+  } catch (e) {
+    console.warn(`[SAA Warning] Exam profiles not loaded (${e.message}), using built-in ${BUILTIN_EXAM_PROFILE.code}`);
+    return [BUILTIN_EXAM_PROFILE];
+  }
+}
 
-    const presentations = [
-      {
-        filename: 'קבוצת למידה SAA v1.pdf',
-        title: 'IAM, EC2 & Storage Fundamentals',
-        description: 'SAA Study Group Session 1'
-      },
-      {
-        filename: 'קבוצת למידה SAA v2.pdf',
-        title: 'High Availability, Load Balancing & Databases',
-        description: 'SAA Study Group Session 2'
-      },
-      {
-        filename: 'קבוצת למידה SAA v3.pdf',
-        title: 'Route 53 & S3 Basics',
-        description: 'SAA Study Group Session 3'
-      },
-      {
-        filename: 'קבוצת למידה SAA v4.pdf',
-        title: 'Advanced S3, Security & Global Delivery',
-        description: 'SAA Study Group Session 4'
-      },
-      {
-        filename: 'קבוצת למידה SAA v5.pdf',
-        title: 'Integration, Messaging, Containers & Serverless',
-        description: 'SAA Study Group Session 5'
-      },
-      {
-        filename: 'קבוצת למידה SAA v6.pdf',
-        title: 'Data, Analytics & Machine Learning on AWS',
-        description: 'SAA Study Group Session 6'
-      },
-      {
-        filename: 'קבוצת למידה SAA v7.pdf',
-        title: 'Monitoring, IAM Advanced & Cloud Security',
-        description: 'SAA Study Group Session 7'
-      },
-      {
-        filename: 'קבוצת למידה SAA v8.pdf',
-        title: 'VPC Networking & DR',
-        description: 'SAA Study Group Session 8'
-      }
-    ];
+/**
+ * WHAT IT DOES: Returns the storage name a profile uses for a base name
+ *
+ * WHY: The SAA-C03 profile keeps the original names, so data saved before
+ * exam profiles existed is still found; other profiles get a suffix
+ *
+ * EXAMPLE:
+ * profileStorageKey("saa_question_notes_v1", "saa-c03") → "saa_question_notes_v1"
+ * profileStorageKey("saa_question_notes_v1", "clf-c02") → "saa_question_notes_v1__clf-c02"
+ */
+function profileStorageKey(baseKey, profileId) {
+  return profileId === LEGACY_PROFILE_ID ? baseKey : `${baseKey}__${profileId}`;
+}
 
-    const html = presentations.map((pres, index) => {
-      const pdfPath = `../assets/presentations/${encodeURIComponent(pres.filename)}`;
+/**
+ * WHAT IT DOES: Picks the profile to run with
+ *
+ * RETURNS: The saved profile if it's still in the manifest, else the first one
+ */
+function resolveActiveExamProfile(profiles) {
+  const savedId = safeOperation('Load Exam Profile Choice', () => localStorage.getItem(EXAM_PROFILE_KEY), null);
+  return profiles.find(p => p.id === savedId) || profiles[0];
+}
 
-      return `
-        <div class="presentation-item" data-presentation-index="${index}">
-          <h3 class="presentation-header">${escapeHtml(pres.title)}</h3>
-          <embed
-            src="${pdfPath}#toolbar=1&navpanes=1&scrollbar=1&view=FitH"
-            type="application/pdf"
-            class="presentation-embed"
-            aria-label="${escapeHtml(pres.title)}"
-          />
-          <noscript>
-            <div class="presentation-fallback">
-              <p>📄 Your browser doesn't support embedded PDFs.</p>
-              <p><a href="${pdfPath}" download="${escapeHtml(pres.filename)}">⬇️ Download ${escapeHtml(pres.title)}</a></p>
-            </div>
-          </noscript>
-        </div>
-      `;
-    }).join('');
+/**
+ * WHAT IT DOES: Switches the exam format, domains and storage names to a profile
+ *
+ * HOW IT WORKS: Overwrites the module-level settings that used to be
+ * SAA-C03 constants. Must run before anything reads storage (init step 0).
+ *
+ * SIDE EFFECTS: Sets activeExamProfile and the EXAM_*, PASSING_SCORE,
+ * QUESTION_DOMAINS, DEFAULT_EXAM_BLUEPRINT and *_KEY globals
+ */
+function applyExamProfile(profile) {
+  activeExamProfile = profile;
+
+  EXAM_DURATION_SEC = Math.round(profile.durationMinutes * 60);
+  EXAM_TOTAL_QUESTIONS = profile.totalQuestions;
+  EXAM_SCORED_QUESTIONS = profile.scoredQuestions;
+  PASSING_SCORE = profile.passingScore;
+  PACE_BUDGET_SEC = EXAM_DURATION_SEC / EXAM_TOTAL_QUESTIONS;
+  QUESTION_ID_PREFIX = profile.questionIdPrefix || "";
+
+  QUESTION_DOMAINS = Object.fromEntries(profile.domains.map(d => [d.id, d.name]));
+  DEFAULT_EXAM_BLUEPRINT = {
+    domainWeights: Object.fromEntries(profile.domains.map(d => [d.id, d.weight])),
+    difficultyWeights: null
+  };
 
-    presentationsListEl.innerHTML = html;
+  const key = (base) => profileStorageKey(base, profile.id);
+  STATE_KEY = key("saa_practice_state_v1");
+  SESSIONS_KEY = key("saa_practice_sessions_v1");
+  HISTORY_KEY = key("saa_practice_history_v1");
+  HISTORY_DB_NAME = key("flipthesaa");
+  NOTES_KEY = key("saa_question_notes_v1");
+  QUESTION_STATS_KEY = key("saa_question_stats_v1");
+  AUTHORING_DRAFTS_KEY = key("saa_authoring_drafts_v1");
+  EXAM_BLUEPRINT_KEY = key("saa_exam_blueprint_v1");
+  EXAM_SETTINGS_KEY = key("saa_exam_settings_v1");
+  SCORING_MODEL_KEY = key("saa_scoring_model_v1");
+
+  console.info(`[SAA Info] Exam profile: ${profile.code} (${profile.questionFile})`);
+}
 
-    console.info('[SAA Info] Rendered', presentations.length, 'presentations');
-  }, undefined);
+/**
+ * WHAT IT DOES: Fills the header exam selector and the profile-specific texts
+ *
+ * SIDE EFFECTS: Updates #examSelect, the header title/logo, the Timed mode
+ * option and the [data-exam-code|name|minutes] placeholders in index.html
+ */
+function renderExamProfileUI() {
+  const p = activeExamProfile;
+  const minutes = Math.round(EXAM_DURATION_SEC / 60);
+
+  const selectEl = document.getElementById('examSelect');
+  if (selectEl) {
+    selectEl.innerHTML = examProfiles.map(profile => `
+      <option value="${escapeHtml(profile.id)}" ${profile.id === p.id ? 'selected' : ''}>${escapeHtml(profile.code)} - ${escapeHtml(profile.name)}</option>
+    `).join('');
+    selectEl.disabled = examProfiles.length < 2;
+  }
+
+  const logoEl = document.querySelector('.brand .logo');
+  if (logoEl) logoEl.textContent = p.code.split('-')[0];
+  const titleEl = document.querySelector('.brand .title');
+  if (titleEl) titleEl.textContent = `${p.code} Practice`;
+
+  const timedOption = modeSelect && modeSelect.querySelector('option[value="timed"]');
+  if (timedOption) timedOption.textContent = `Timed Exam (${minutes} min, no instant feedback)`;
+
+  document.querySelectorAll('[data-exam-code]').forEach(el => { el.textContent = p.code; });
+  document.querySelectorAll('[data-exam-name]').forEach(el => { el.textContent = p.name; });
+  document.querySelectorAll('[data-exam-minutes]').forEach(el => { el.textContent = minutes; });
+}
+
+/**
+ * WHAT IT DOES: Switches to another exam profile
+ *
+ * HOW IT WORKS: A running timed exam is suspended and taken off screen
+ * first (its clock must not run while another exam is open), then the
+ * choice is saved and the page reloads into the new profile
+ */
+function switchExamProfile(profileId) {
+  if (profileId === activeExamProfile.id || !examProfiles.some(p => p.id === profileId)) return;
+
+  suspendActiveTimedSession();
+  const store = loadSessionStore();
+  const active = store.activeKey ? store.sessions[store.activeKey] : null;
+  if (active && active.session && active.session.suspendedAtMs) {
+    store.activeKey = null; // Back in the Resume list; activateSession() restarts its clock
+    saveSessionStore(store);
+  }
+
+  safeOperation('Save Exam Profile Choice', () => localStorage.setItem(EXAM_PROFILE_KEY, profileId), undefined);
+  console.info(`[SAA Info] Switching exam profile to ${profileId}`);
+  location.reload();
 }
 
 // ============================================================================
@@ -2801,15 +9448,16 @@ function renderPresentations() {
  * the UI, and restores any previous session from localStorage.
  *
  * HOW IT WORKS:
- * 1. Load questions from questions.json file
- * 2. Validate question data structure
+ * 0. Pick the exam profile from exams.json (question file, exam format)
+ * 1. Load questions from the profile's question file
+ * 2. Validate every question against QUESTION_SCHEMA (invalid ones are skipped)
  * 3. Build dropdown menus
  * 4. Restore previous session if exists
  * 5. Show quiz card if resuming
  *
  * ERROR HANDLING:
  * - Retries failed fetch up to 3 times
- * - Validates question JSON structure
+ * - Validates question JSON structure (non-blocking report for bad questions)
  * - Shows user-friendly error messages
  * - Logs detailed error info to console
  *
@@ -2827,47 +9475,57 @@ async function init() {
     loadingOverlay.style.display = 'flex';
   }
 
+  // ===== STEP 0: Pick the exam profile =====
+  // Sets the question file, exam format and storage names used below
+  examProfiles = await loadExamProfiles();
+  applyExamProfile(resolveActiveExamProfile(examProfiles));
+  renderExamProfileUI();
+
   // ===== STEP 1: Load Questions from JSON file =====
   // Retry logic: Try up to 3 times in case of network issues
+  const questionFile = activeExamProfile.questionFile;
   let questions = null;
+  let validationReport = null;
   let lastError = null;
   const MAX_RETRIES = 3;
 
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      console.info(`[SAA Info] Loading questions.json (attempt ${attempt}/${MAX_RETRIES})...`);
+      console.info(`[SAA Info] Loading ${questionFile} (attempt ${attempt}/${MAX_RETRIES})...`);
 
-      const res = await fetch("questions.json", { cache: "no-store" });
+      const res = await fetch(questionFile, { cache: "no-store" });
 
       if (!res.ok) {
         throw new Error(`HTTP ${res.status}: ${res.statusText}`);
       }
 
-      questions = await res.json();
+      const text = await res.text();
+      questions = JSON.parse(text);
+      questionBankSignature = hashStringToSeed(text);
 
       // Validate questions is an array
       if (!Array.isArray(questions)) {
-        throw new Error("questions.json must contain an array of questions");
+        throw new Error(`${questionFile} must contain an array of questions`);
       }
 
       // Validate at least one question exists
       if (questions.length === 0) {
-        throw new Error("questions.json contains no questions");
+        throw new Error(`${questionFile} contains no questions`);
       }
 
-      // Validate first question has required fields
-      const firstQ = questions[0];
-      const requiredFields = ['id', 'domainId', 'domain', 'section', 'question', 'choices', 'answer', 'explanation'];
-      for (const field of requiredFields) {
-        if (!(field in firstQ)) {
-          throw new Error(`Question missing required field: ${field}`);
-        }
+      // Validate every question, keep the valid ones
+      questionBankRaw = questions;
+      validationReport = validateQuestionBank(questions);
+      if (validationReport.valid.length === 0) {
+        throw new Error(`${questionFile} contains no valid questions`);
       }
+      questions = validationReport.valid;
 
-      console.info(`[SAA Info] Successfully loaded ${questions.length} questions`);
+      console.info(`[SAA Info] Successfully loaded ${questions.length} questions (${validationReport.rejected.length} rejected)`);
       break;  // Success! Exit retry loop
 
     } catch (error) {
+      questions = null;
       lastError = error;
       console.warn(`[SAA Warning] Failed to load questions (attempt ${attempt}/${MAX_RETRIES}):`, error.message);
 
@@ -2888,7 +9546,7 @@ async function init() {
       loadingOverlay.style.display = 'none';
     }
 
-    alert(errorMsg + '\n\nPlease check:\n1. questions.json exists\n2. File is valid JSON\n3. Network connection is working');
+    alert(errorMsg + `\n\nPlease check:\n1. ${questionFile} exists\n2. File is valid JSON\n3. Network connection is working (the app works offline after one online visit)`);
     return;  // Stop initialization
   }
 
@@ -2901,6 +9559,13 @@ async function init() {
     loadingOverlay.style.display = 'none';
   }
 
+  // Report rejected questions without blocking the app
+  renderValidationReport(validationReport);
+
+  // ===== STEP 1b: Open history storage (IndexedDB) =====
+  // Everything below may read history (spaced queue, restored results)
+  await initHistoryStorage();
+
   // ===== STEP 2: Setup UI =====
 
   // Mode select already configured in HTML (Review + Timed only)
@@ -2924,6 +9589,13 @@ async function init() {
   buildSectionOptions("ALL");
   buildDifficultyOptions("ALL", "ALL");
 
+  // Exam blueprint editor and exam settings (timed mode setup)
+  renderBlueprintEditor();
+  renderExamSettingsEditor();
+
+  // Scoring model for new sessions
+  buildScoringOptions();
+
   // Apply mode-specific UI rules
   ensureModeRulesUI();
 
@@ -2938,23 +9610,7 @@ async function init() {
     const s = existing.session;
 
     // Restore UI state to match the session
-    modeSelect.value = normalizeMode(s.mode);
-
-    if (s.mode === "timed") {
-      domainSelect.value = "ALL";
-      sectionSelect.value = "ALL";
-      // Restore difficulty for timed mode (can be filtered)
-      buildDifficultyOptions("ALL", "ALL");
-      difficultySelect.value = s.difficulty || "ALL";
-    } else {
-      domainSelect.value = s.domainId;
-      buildSectionOptions(s.domainId);
-      sectionSelect.value = s.section;
-      buildDifficultyOptions(s.domainId, s.section);
-      difficultySelect.value = s.difficulty || "ALL";
-    }
-
-    ensureModeRulesUI();
+    syncSetupUIToSession(s);
 
     // Navigate to practice tab to show the quiz
     switchTab('practice');
@@ -2967,14 +9623,19 @@ async function init() {
       console.info('[SAA Info] Session in progress, resuming quiz');
       renderQuiz(existing);
     }
+    renderResumeList();
   } else {
     console.info('[SAA Info] No previous session found, showing home page');
     // Initialize to home tab
     currentTab = 'home';
     switchTab('home');
+    renderResumeList();
   }
 
   console.info('[SAA Info] Initialization complete');
+
+  // Offer a newer questions.json if one was published (offline-cached copy in use)
+  checkForQuestionBankUpdate();
 }
 
 // ============================================================================
@@ -3070,10 +9731,239 @@ window.addEventListener('orientationchange', () => {
 domainSelect.addEventListener("change", () => {
   buildSectionOptions(domainSelect.value);
   buildDifficultyOptions(domainSelect.value, sectionSelect.value);
+  renderDueToday();
 });
 
 sectionSelect.addEventListener("change", () => {
   buildDifficultyOptions(domainSelect.value, sectionSelect.value);
+  renderDueToday();
+});
+
+/**
+ * DIFFICULTY DROPDOWN CHANGE
+ * Keeps the spaced repetition "due today" count in sync with the filters
+ */
+difficultySelect.addEventListener("change", () => {
+  renderDueToday();
+});
+
+/**
+ * SCORING DROPDOWN CHANGE
+ * Applies to sessions started from now on (running sessions keep their model)
+ */
+scoringSelect.addEventListener("change", () => {
+  saveScoringModelId(scoringSelect.value);
+});
+
+/**
+ * BOOKMARKS DROPDOWN CHANGE
+ * "Bookmarked only" narrows the pool, so the due count changes too
+ */
+bookmarkSelect.addEventListener("change", () => {
+  renderDueToday();
+});
+
+/**
+ * RETRY BUTTONS (results screen + Performance dashboard)
+ * Start a focused Review session over the ids carried by the button
+ */
+document.addEventListener('click', (e) => {
+  const btn = e.target.closest('.retry-btn');
+  if (!btn) return;
+
+  const ids = (btn.getAttribute('data-retry-ids') || '').split(',').filter(Boolean);
+  if (ids.length === 0) return;
+
+  startFocusedSession(ids, buildFocusOrigin(
+    btn.getAttribute('data-retry-origin'),
+    btn.getAttribute('data-retry-source')
+  ));
+});
+
+/**
+ * SEARCH TAB
+ * Results follow every keystroke; "Open" expands one result in place
+ */
+document.addEventListener('input', (e) => {
+  if (e.target.id !== 'searchInput') return;
+  searchOpenIds = new Set();
+  renderSearchResults();
+});
+
+document.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-search-open]');
+  if (!btn) return;
+
+  const qid = btn.getAttribute('data-search-open');
+  if (searchOpenIds.has(qid)) {
+    searchOpenIds.delete(qid);
+  } else {
+    searchOpenIds.add(qid);
+  }
+  renderSearchResults();
+});
+
+/**
+ * SESSION REPLAY (Performance tab)
+ */
+document.addEventListener('click', (e) => {
+  const replayBtn = e.target.closest('[data-replay-id]');
+  if (replayBtn) {
+    openSessionReplay(replayBtn.getAttribute('data-replay-id'));
+    return;
+  }
+  if (e.target.closest('[data-replay-close]')) closeSessionReplay();
+});
+
+/**
+ * QUESTION EDITOR (Editor tab)
+ * Typing updates the checks and preview; structural changes (correct
+ * answers, adding/removing choices) re-render the form
+ */
+document.addEventListener('input', (e) => {
+  if (!editorQuestion || !e.target.closest('#editorForm')) return;
+  renderEditorChecks(readEditorForm());
+});
+
+document.addEventListener('change', (e) => {
+  if (!editorQuestion || !e.target.closest('#editorForm')) return;
+  if (e.target.matches('[data-editor-correct], [data-editor-field="domainId"]')) {
+    renderEditorForm(readEditorForm());
+  }
+});
+
+document.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-editor-action]');
+  if (!btn || btn.disabled) return;
+
+  const action = btn.getAttribute('data-editor-action');
+  const id = btn.getAttribute('data-editor-id');
+
+  switch (action) {
+    case 'new':
+      setEditorStatus('', false);
+      renderEditorForm(createBlankQuestion());
+      break;
+    case 'open': {
+      const input = document.getElementById('editorOpenId');
+      openQuestionInEditor(input ? input.value : '');
+      break;
+    }
+    case 'open-draft':
+      openQuestionInEditor(id);
+      break;
+    case 'add-choice': {
+      const q = readEditorForm();
+      q.choices.push('');
+      renderEditorForm(q);
+      break;
+    }
+    case 'remove-choice': {
+      const q = readEditorForm();
+      const idx = Number(btn.getAttribute('data-editor-index'));
+      const shift = (i) => (i > idx ? i - 1 : i);
+
+      q.choices.splice(idx, 1);
+      const answers = [].concat(q.answer === undefined ? [] : q.answer).filter(i => i !== idx).map(shift);
+      if (answers.length === 0) delete q.answer;
+      else q.answer = answers.length === 1 ? answers[0] : answers;
+
+      const explained = {};
+      for (const [key, text] of Object.entries(q.choiceExplanations || {})) {
+        if (Number(key) !== idx) explained[shift(Number(key))] = text;
+      }
+      q.choiceExplanations = explained;
+      renderEditorForm(q);
+      break;
+    }
+    case 'save':
+      saveEditorDraft();
+      break;
+    case 'close':
+      editorQuestion = null;
+      setEditorStatus('', false);
+      renderEditor();
+      break;
+    case 'discard-draft': {
+      if (!confirm(`Discard the draft of ${id}?`)) return;
+      const drafts = loadAuthoringDrafts();
+      delete drafts.questions[id];
+      saveAuthoringDrafts(drafts);
+      if (editorQuestion && editorQuestion.id === id) editorQuestion = null;
+      renderEditor();
+      setEditorStatus(`Discarded draft ${id}.`, false);
+      break;
+    }
+    case 'export':
+      exportQuestionBank();
+      break;
+  }
+});
+
+/**
+ * QUESTION BANK TABLE (Performance tab)
+ * Search, column sorting and row selection (see renderQuestionBank)
+ */
+document.addEventListener('input', (e) => {
+  if (e.target.id !== 'qbankSearch') return;
+  questionBankView.query = e.target.value;
+  renderQuestionBank();
+});
+
+document.addEventListener('click', (e) => {
+  const th = e.target.closest('[data-qbank-sort]');
+  if (!th) return;
+
+  const key = th.getAttribute('data-qbank-sort');
+  if (questionBankView.sortKey === key) {
+    questionBankView.sortDir = questionBankView.sortDir === 'asc' ? 'desc' : 'asc';
+  } else {
+    questionBankView.sortKey = key;
+    questionBankView.sortDir = 'asc';
+  }
+  renderQuestionBank();
+});
+
+document.addEventListener('change', (e) => {
+  if (!e.target.classList || !e.target.classList.contains('qbank-select')) return;
+
+  const qid = e.target.getAttribute('data-qbank-qid');
+  if (e.target.checked) {
+    questionBankView.selected.add(qid);
+  } else {
+    questionBankView.selected.delete(qid);
+  }
+
+  // Only the "Practice selected" button changes; keep the table (and scroll) as is
+  const ids = [...questionBankView.selected];
+  const btn = document.getElementById('qbankPracticeSelected');
+  if (btn) {
+    btn.setAttribute('data-retry-ids', ids.join(','));
+    btn.disabled = ids.length === 0;
+    btn.textContent = `🎯 Practice selected (${ids.length})`;
+  }
+});
+
+/**
+ * BOOKMARK BUTTONS AND NOTE EDITORS
+ * Delegated on document: the same editors appear in the question view and
+ * in the timed results review (see buildNoteEditorHtml)
+ */
+document.addEventListener('click', (e) => {
+  const btn = e.target.closest('.bookmark-btn');
+  if (!btn || btn.disabled) return;
+
+  const qid = btn.getAttribute('data-bookmark-qid');
+  const updated = updateQuestionNote(qid, { bookmarked: !isBookmarked(qid) });
+  syncBookmarkButtons(qid, updated.bookmarked);
+  console.info(`[SAA Info] ${updated.bookmarked ? 'Bookmarked' : 'Removed bookmark from'} ${qid}`);
+});
+
+document.addEventListener('input', (e) => {
+  const input = e.target.closest && e.target.closest('.note-input');
+  if (!input) return;
+
+  updateQuestionNote(input.getAttribute('data-note-qid'), { note: input.value });
 });
 
 /**
@@ -3085,26 +9975,94 @@ sectionSelect.addEventListener("change", () => {
 });
 
 /**
- * START/RESUME BUTTON
- * Starts a new quiz or resumes existing session with current filter settings
+ * EXAM PROFILE SELECTOR (header)
+ * Picking another exam reloads the app with that profile's bank and data
  */
-startBtn.addEventListener("click", () => {
+const examSelectEl = document.getElementById('examSelect');
+if (examSelectEl) {
+  examSelectEl.addEventListener('change', () => switchExamProfile(examSelectEl.value));
+}
+
+/**
+ * EXAM BLUEPRINT EDITOR
+ * Any weight change is saved right away; "Reset" restores the exam's official weights
+ */
+const blueprintPanelEl = document.getElementById('blueprintPanel');
+if (blueprintPanelEl) {
+  blueprintPanelEl.addEventListener('change', (e) => {
+    if (e.target.matches('input')) saveBlueprintFromEditor();
+  });
+
+  document.getElementById('blueprintResetBtn').addEventListener('click', () => {
+    saveExamBlueprint(null);
+    renderBlueprintEditor();
+  });
+}
+
+/**
+ * EXAM SETTINGS (ESL accommodation, question count, duration)
+ * Saved on every change; "Reset" goes back to the standard exam
+ */
+const examSettingsPanelEl = document.getElementById('examSettingsPanel');
+if (examSettingsPanelEl) {
+  examSettingsPanelEl.addEventListener('change', (e) => {
+    if (e.target.matches('input')) saveExamSettingsFromEditor();
+  });
+
+  document.getElementById('examSettingsResetBtn').addEventListener('click', () => {
+    saveExamSettings(null);
+    renderExamSettingsEditor();
+    ensureModeRulesUI();
+  });
+}
+
+/**
+ * SCORE TREND "COMPARE" SELECTOR (Performance tab)
+ */
+const trendFilterEl = document.getElementById('trendFilter');
+if (trendFilterEl) {
+  trendFilterEl.addEventListener('change', () => {
+    trendFilter = trendFilterEl.value;
+    renderScoreTrend(getSessionHistory());
+  });
+}
+
+/**
+ * WHAT IT DOES: Starts (or resumes) the session for the current dropdowns
+ *
+ * PARAMETERS:
+ * - forceFresh: true = new shuffle even if a saved session exists
+ *
+ * ERROR HANDLING: Problems such as "not enough questions" are shown in the
+ * hint text instead of failing silently
+ */
+function startSessionFromUI(forceFresh) {
   const filters = getFiltersFromUI();
   ensureModeRulesUI();
 
-  safeOperation('Start Quiz', () => {
-    // Clear any existing pause state from previous sessions
-    quizPausedState = null;
-
-    // Remove pause CSS class if it exists
-    const quizCard = document.getElementById('quizCard');
-    if (quizCard) {
-      quizCard.classList.remove('quiz-manually-paused');
+  safeOperation(forceFresh ? 'Start Fresh Quiz' : 'Start Quiz', () => {
+    let state;
+    try {
+      state = normalizeStateForRuntime(createNewSession(filters, forceFresh));
+    } catch (error) {
+      hintText.textContent = `⚠️ ${error.message}`;
+      throw error;
     }
 
-    let state = normalizeStateForRuntime(createNewSession(filters, false));
+    // Clear any existing pause state from previous sessions
+    resetPauseState();
+
     renderQuiz(state);
+    renderResumeList();
   }, undefined);
+}
+
+/**
+ * START/RESUME BUTTON
+ * Starts a new quiz or resumes existing session with current filter settings
+ */
+startBtn.addEventListener("click", () => {
+  startSessionFromUI(false);
 });
 
 /**
@@ -3113,23 +10071,28 @@ startBtn.addEventListener("click", () => {
  * even if a matching session already exists
  */
 newSessionBtn.addEventListener("click", () => {
-  const filters = getFiltersFromUI();
-  ensureModeRulesUI();
-
-  safeOperation('Start Fresh Quiz', () => {
-    // Clear any existing pause state from previous sessions
-    quizPausedState = null;
+  startSessionFromUI(true);
+});
 
-    // Remove pause CSS class if it exists
-    const quizCard = document.getElementById('quizCard');
-    if (quizCard) {
-      quizCard.classList.remove('quiz-manually-paused');
+/**
+ * RESUME LIST (Practice tab)
+ * Event delegation for the Resume / Discard buttons of saved sessions
+ */
+const resumeListEl = document.getElementById('resumeList');
+if (resumeListEl) {
+  resumeListEl.addEventListener('click', (e) => {
+    const resumeButton = e.target.closest('[data-resume-key]');
+    if (resumeButton) {
+      resumeSavedSession(resumeButton.getAttribute('data-resume-key'));
+      return;
     }
 
-    let state = normalizeStateForRuntime(createNewSession(filters, true));
-    renderQuiz(state);
-  }, undefined);
-});
+    const discardButton = e.target.closest('[data-discard-key]');
+    if (discardButton) {
+      discardSavedSession(discardButton.getAttribute('data-discard-key'));
+    }
+  });
+}
 
 /**
  * OLD RESET BUTTON LISTENER - REMOVED
@@ -3153,6 +10116,50 @@ if (pauseBtn) {
   });
 }
 
+/**
+ * EXAM TAB OWNERSHIP
+ * "Continue here" moves the timed exam to this tab; a lease written by
+ * another tab stops this tab's clock; a freed or expired lease lets the
+ * stopped tab continue; hiding or closing the tab banks its time and frees
+ * the lease for the next tab
+ */
+document.addEventListener('click', (e) => {
+  if (e.target.closest('[data-exam-takeover]')) takeOverTimedExam();
+});
+
+window.addEventListener('storage', (e) => {
+  if (e.key !== EXAM_LEASE_KEY) return;
+
+  // Stopped here: the owner may just have closed its tab
+  if (isExamInOtherTab()) {
+    checkExamLeaseExpired();
+    return;
+  }
+  if (!examLeaseTimer) return;
+
+  const lease = readExamLease();
+  if (lease && lease.tabId !== EXAM_TAB_ID) {
+    stopTimer(); // Banks this tab's time (and may already yield)
+    if (!isExamInOtherTab()) yieldTimedExam();
+  }
+});
+
+window.addEventListener('pagehide', () => {
+  stopTimer();
+  releaseExamLease();
+});
+
+// A hidden tab may be frozen or discarded without pagehide: save the clock.
+// Coming back, a stopped exam checks whether its other tab is gone.
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') {
+    tickExamClock();
+    flushExamClock();
+  } else if (isExamInOtherTab()) {
+    checkExamLeaseExpired();
+  }
+});
+
 /**
  * PREVIOUS BUTTON
  * Navigate to the previous question in the quiz
@@ -3212,18 +10219,102 @@ submitBtn.addEventListener("click", () => {
       return;
     }
 
-    // Timed mode: Confirm before submitting (can't undo)
+    // Timed mode: review screen first; it confirms before submitting (can't undo)
     if (state.session.mode === "timed") {
-      if (!confirm("End exam now? (You can't continue after submitting)")) {
-        console.info('[SAA Info] User cancelled exam submission');
-        return;
-      }
+      openExamReview(state);
+      return;
     }
 
     showResults(state, false);
   }, undefined);
 });
 
+/**
+ * EXAM REVIEW SCREEN (Timed mode, opened by "End Exam")
+ * Filters, jump back to a question, return to the exam, end the exam
+ */
+document.addEventListener('click', (e) => {
+  const target = e.target.closest('[data-review-filter], [data-review-jump], [data-review-close], [data-review-submit]');
+  if (!target) return;
+
+  safeOperation('Exam Review Screen', () => {
+    const state = normalizeStateForRuntime(loadState());
+    if (!state || !state.session || !isExamReviewOpen(state.session) || quizPausedState !== null) return;
+
+    if (target.hasAttribute('data-review-filter')) {
+      examReviewFilter = target.getAttribute('data-review-filter');
+      renderExamReview(state);
+    } else if (target.hasAttribute('data-review-jump')) {
+      examReviewSeed = null;
+      jumpToQuestion(state, Number(target.getAttribute('data-review-jump')));
+    } else if (target.hasAttribute('data-review-close')) {
+      examReviewSeed = null;
+      renderQuiz(state);
+    } else {
+      submitExamFromReview(state);
+    }
+  }, undefined);
+});
+
+/**
+ * PAGE VISIBILITY
+ * Time spent on a question only counts while the browser tab is visible
+ */
+document.addEventListener('visibilitychange', () => {
+  safeOperation('Track Question Time', () => {
+    if (currentTab !== 'practice' || quizCard.hidden) return;
+
+    const state = normalizeStateForRuntime(loadState());
+    if (!state || !state.session || state.session.completed) return;
+
+    if (document.visibilityState === 'hidden') {
+      if (stopDwellClock(state)) persistRuntimeState(state);
+    } else {
+      // Re-render so every handler works on the state that holds the booked time
+      renderQuiz(state);
+    }
+  }, undefined);
+});
+
+/**
+ * EXPORT / IMPORT BUTTONS (Data tab)
+ * Import opens the hidden file picker; the chosen file is read and merged
+ */
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importFileInput = document.getElementById('importFileInput');
+
+if (exportBtn) {
+  exportBtn.addEventListener('click', () => exportBackup());
+}
+
+if (importBtn && importFileInput) {
+  importBtn.addEventListener('click', () => importFileInput.click());
+
+  importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files && importFileInput.files[0];
+    if (!file) return;
+    await importBackupFile(file);
+    importFileInput.value = ''; // Allow importing the same file again
+  });
+}
+
+/**
+ * KEYBOARD SHORTCUTS
+ * One document-level listener; see handleQuizKeydown for the key map
+ */
+document.addEventListener('keydown', handleQuizKeydown);
+
+const shortcutsOverlayEl = document.getElementById('shortcutsOverlay');
+if (shortcutsOverlayEl) {
+  shortcutsOverlayEl.addEventListener('click', (e) => {
+    // Close on backdrop click or the close button
+    if (e.target === shortcutsOverlayEl || e.target.closest('#shortcutsCloseBtn')) {
+      toggleShortcutsOverlay(false);
+    }
+  });
+}
+
 /**
  * OLD PERFORMANCE BUTTON LISTENERS - REMOVED
  * Performance is now accessed via navigation tabs
@@ -3236,6 +10327,9 @@ submitBtn.addEventListener("click", () => {
 // APP STARTUP
 // ============================================================================
 
+// Offline caching (sw.js) - independent of init() succeeding
+registerServiceWorker();
+
 /**
  * Initialize the application when page loads
  * If init fails, show error to user with helpful message
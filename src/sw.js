@@ -0,0 +1,188 @@
+/**
+ * FlipTheSAA service worker - offline support
+ *
+ * WHAT IT DOES:
+ * - Precaches the app shell, the question bank and the study presentations
+ *   so the app keeps working on trains and flights
+ * - Serves the shell stale-while-revalidate (fast offline start, picks up
+ *   new app.js/styles.css on the next load)
+ * - Serves question banks (questions.json and the other files listed in
+ *   exams.json) cache-first: a bank only changes when the user accepts an
+ *   update (see checkForQuestionBankUpdate in app.js), so an in-progress
+ *   session never has its questions swapped underneath it
+ *
+ * Paths are relative to this file (src/), so the PWA works from any sub-path.
+ */
+
+// Bump when the precache list changes; old caches are removed on activate
+const CACHE_VERSION = "v2";
+const CACHE_PREFIX = "flipthesaa-";
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const QUESTIONS_CACHE = `${CACHE_PREFIX}questions-${CACHE_VERSION}`;
+const PRESENTATIONS_CACHE = `${CACHE_PREFIX}presentations-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./styles.css",
+  "./exams.json",
+  "./manifest.webmanifest",
+  "./icons/icon.svg"
+];
+
+// Default bank, precached on install; other banks are cached on first load
+const QUESTIONS_URL = new URL("./questions.json", self.location).href;
+const EXAMS_URL = new URL("./exams.json", self.location).href;
+
+/**
+ * Question banks are the .json files next to this worker, except the
+ * exam profile manifest (part of the shell)
+ */
+function isQuestionBankUrl(href) {
+  return href.endsWith(".json") && href !== EXAMS_URL &&
+    href.startsWith(new URL("./", self.location).href);
+}
+
+// Keep in sync with renderPresentations() in app.js
+const PRESENTATION_FILES = [1, 2, 3, 4, 5, 6, 7, 8].map(
+  (n) => `../assets/presentations/${encodeURIComponent(`קבוצת למידה SAA v${n}.pdf`)}`
+);
+
+// ============================================================================
+// INSTALL - Precache shell + question bank (required), presentations (best effort)
+// ============================================================================
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+
+    const questions = await caches.open(QUESTIONS_CACHE);
+    if (!(await questions.match(QUESTIONS_URL))) {
+      await questions.add(new Request(QUESTIONS_URL, { cache: "no-store" }));
+    }
+
+    // ~12 MB of PDFs: a failed download must not block installing the app
+    const presentations = await caches.open(PRESENTATIONS_CACHE);
+    const results = await Promise.allSettled(PRESENTATION_FILES.map((f) => presentations.add(f)));
+    const failed = results.filter((r) => r.status === "rejected").length;
+    if (failed) console.warn(`[SAA Warning] ${failed} presentation(s) not cached, will retry on view`);
+
+    await self.skipWaiting();
+  })());
+});
+
+// ============================================================================
+// ACTIVATE - Drop caches from older versions, take control of open pages
+// ============================================================================
+self.addEventListener("activate", (event) => {
+  const current = new Set([SHELL_CACHE, QUESTIONS_CACHE, PRESENTATIONS_CACHE]);
+
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names
+        .filter((name) => name.startsWith(CACHE_PREFIX) && !current.has(name))
+        .map((name) => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+// ============================================================================
+// FETCH - Route requests to a caching strategy
+// ============================================================================
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  const bankUrl = url.href.split("?")[0];
+  if (isQuestionBankUrl(bankUrl)) {
+    // ?check=... is the app asking for the latest bank: always go to the network
+    if (url.searchParams.has("check")) {
+      event.respondWith(fetch(request, { cache: "no-store" }));
+    } else {
+      event.respondWith(questionsFirst(bankUrl));
+    }
+    return;
+  }
+
+  if (url.pathname.includes("/assets/presentations/")) {
+    event.respondWith(cacheFirst(request, PRESENTATIONS_CACHE));
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(request));
+});
+
+/**
+ * Question bank: cached copy first; only fetched from the network when
+ * nothing is cached yet (first visit, or caches cleared)
+ */
+async function questionsFirst(bankUrl) {
+  const cache = await caches.open(QUESTIONS_CACHE);
+  const cached = await cache.match(bankUrl);
+  if (cached) return cached;
+
+  const res = await fetch(bankUrl, { cache: "no-store" });
+  if (res.ok) await cache.put(bankUrl, res.clone());
+  return res;
+}
+
+/**
+ * Presentations: large and immutable, so cache on first successful download
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const res = await fetch(request);
+  if (res.ok) await cache.put(request, res.clone());
+  return res;
+}
+
+/**
+ * App shell: answer from cache immediately, refresh the cache in the
+ * background. Navigations fall back to the cached index.html when offline.
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const isNavigation = request.mode === "navigate";
+  const cached = await cache.match(request, { ignoreSearch: true }) ||
+    (isNavigation ? await cache.match("./index.html") : undefined);
+
+  const refresh = fetch(request)
+    .then((res) => {
+      if (res.ok) cache.put(request, res.clone());
+      return res;
+    })
+    .catch(() => undefined);
+
+  if (cached) return cached;
+  return (await refresh) || Response.error();
+}
+
+// ============================================================================
+// MESSAGES - Commands from the page
+// ============================================================================
+self.addEventListener("message", (event) => {
+  const data = event.data || {};
+
+  // The user accepted a new question bank: store the exact copy they saw
+  if (data.type === "APPLY_QUESTIONS_UPDATE" && typeof data.body === "string") {
+    const bankUrl = new URL(data.file || "./questions.json", self.location).href;
+    if (!isQuestionBankUrl(bankUrl)) return;
+
+    event.waitUntil((async () => {
+      const cache = await caches.open(QUESTIONS_CACHE);
+      await cache.put(bankUrl, new Response(data.body, {
+        headers: { "Content-Type": "application/json" }
+      }));
+      if (event.source) event.source.postMessage({ type: "QUESTIONS_UPDATE_APPLIED" });
+    })());
+  }
+});